@@ -6,25 +6,26 @@
  */
 
 import { PresetSelector, PresetManager, QualityPresets } from './src/presets/quality-presets.js';
+import { formatEstimate } from './src/presets/preset-estimator.js';
 
 async function demo() {
   console.log('🎯 Quality Presets Demo\n');
 
   // 1. Show all available presets
   const manager = new PresetManager();
-  const table = manager.getComparisonTable();
+  const table = await manager.getComparisonTable();
 
-  console.log('📋 Available Presets:\n');
-  console.log('┌─────────────────┬────────┬──────────┬──────────┬─────────────────────┐');
-  console.log('│ Preset          │ Models │ Time     │ Cost     │ Best For            │');
-  console.log('├─────────────────┼────────┼──────────┼──────────┼─────────────────────┤');
+  console.log('📋 Available Presets (time and cost: p50-p90):\n');
+  console.log('┌─────────────────┬────────┬───────────────┬───────────────┬─────────────────────┐');
+  console.log('│ Preset          │ Models │ Time          │ Cost          │ Best For            │');
+  console.log('├─────────────────┼────────┼───────────────┼───────────────┼─────────────────────┤');
 
   table.rows.forEach(row => {
     const [preset, models, time, cost, bestFor] = row;
-    console.log(`│ ${preset.padEnd(15)} │ ${models.padEnd(6)} │ ${time.padEnd(8)} │ ${cost.padEnd(8)} │ ${bestFor.padEnd(19)} │`);
+    console.log(`│ ${preset.padEnd(15)} │ ${models.padEnd(6)} │ ${time.padEnd(13)} │ ${cost.padEnd(13)} │ ${bestFor.padEnd(19)} │`);
   });
 
-  console.log('└─────────────────┴────────┴──────────┴──────────┴─────────────────────┘\n');
+  console.log('└─────────────────┴────────┴───────────────┴───────────────┴─────────────────────┘\n');
 
   // 2. Demo automatic preset selection
   const selector = new PresetSelector();
@@ -43,7 +44,8 @@ async function demo() {
 
     try {
       const preset = await selector.selectPreset(question);
-      console.log(`   → ${preset.name} (${preset.estimatedTime}, ${preset.estimatedCost})`);
+      const { time, cost } = formatEstimate(await manager.estimateActualCost(preset.id, { question }));
+      console.log(`   → ${preset.name} (${time}, ${cost})`);
       console.log(`   → Reason: ${preset.selectionReason}\n`);
     } catch (error) {
       console.log(`   → Error: ${error.message}\n`);
@@ -56,7 +58,7 @@ async function demo() {
   const examplePresets = ['rapid', 'balanced', 'maximum-accuracy'];
 
   for (const presetId of examplePresets) {
-    console.log(manager.formatPresetInfo(presetId));
+    console.log(manager.formatPresetInfo(presetId, await manager.estimateActualCost(presetId)));
     console.log('');
   }
 
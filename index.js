@@ -5,13 +5,29 @@ import { Security } from './src/security.js';
 import { PromptEnhancer } from './src/prompt-enhancer.js';
 import { StreamHandler } from './src/streaming/stream-handler.js';
 import { ProgressTracker } from './src/streaming/progress-tracker.js';
+import { getModelRegistry } from './src/models/model-registry.js';
+import { getActiveDebates } from './src/active-debates.js';
+import { DebateJobQueue, isFinished } from './src/jobs/debate-jobs.js';
+import { diffAnswers } from './src/cache/answer-diff.js';
+import { validateResponseFormat } from './src/structured-answer.js';
+import { WorkflowLibrary, parseWorkflow } from './src/workflows/workflow-definition.js';
+import { ImplementationDebate } from './src/agents/implementation-debate.js';
+import { describeTests } from './src/git/project-tests.js';
+import { getPresetTools, handlePresetToolCall, PRESET_TOOL_NAMES } from './src/presets/mcp-preset-tools.js';
 import { spawn } from 'child_process';
 import axios from 'axios';
+import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Default cache_export/cache_import file, relative to the project
+const CACHE_EXPORT_FILE = '.debate-cache.json';
+
+// Most questions cache_warm queues from one file
+const MAX_WARM_QUESTIONS = 50;
+
 // Create dynamic imports for MCP SDK since it uses ES modules
 let Server, StdioServerTransport, ListToolsRequestSchema, CallToolRequestSchema;
 
@@ -35,16 +51,29 @@ class DebateConsensusMCP {
         this.server = null;
         // Use Claude CLI debate with full MCP tool access
         this.debate = new ClaudeCliDebate();
-        this.iterativeDebate = new IterativeDebateOrchestrator();
+        this.iterativeDebate = new IterativeDebateOrchestrator({ budgetManager: this.debate.budgetManager });
         this.history = new DebateHistory();
+        // Built-in and project workflows run by debate_workflow
+        this.workflows = new WorkflowLibrary();
+        // Competing implementations in git worktrees, pending until applied
+        this.implementations = new ImplementationDebate({
+            confidenceScorer: this.debate.confidenceScorer,
+            budgetManager: this.debate.budgetManager
+        });
         this.security = new Security();
         this.promptEnhancer = new PromptEnhancer();
         // Initialize streaming components
         this.streamHandler = new StreamHandler();
         this.progressTracker = new ProgressTracker({ verbose: true });
+        // Background debates started with start_debate
+        this.jobs = new DebateJobQueue({
+            run: (job, hooks) => this.runDebateJob(job, hooks)
+        });
+        // Background refresh job of each stale cache entry served, by cache key
+        this.staleRefreshes = new Map();
         this.initialized = false;
         this.proxyProcess = null;
-        this.PROXY_PORT = 3456;
+        this.PROXY_PORT = parseInt(process.env.PROXY_PORT) || 3456;
     }
 
     async initialize() {
@@ -54,6 +83,13 @@ class DebateConsensusMCP {
         
         // Start proxy server if not running
         await this.ensureProxyServerRunning();
+
+        // Pending implementations don't survive a restart: drop their worktrees and branches
+        try {
+            await this.implementations.removeOrphans();
+        } catch (error) {
+            console.error('Failed to remove orphaned implementation worktrees:', error.message);
+        }
         
         this.server = new Server(
             { name: 'debate-consensus', version: '1.0.0' },
@@ -65,6 +101,9 @@ class DebateConsensusMCP {
     }
     
     setupTools() {
+        // Model lineup for tool descriptions; re-read on every tools/list request
+        const modelRegistry = getModelRegistry();
+
         // Set up tools/list handler  
         this.server.setRequestHandler(ListToolsRequestSchema, async (request) => ({
             tools: [
@@ -88,7 +127,7 @@ WHEN TO USE:
 
 FEATURES:
 1. AUTOMATIC PROMPT ENHANCEMENT - System analyzes and improves vague questions while preserving intent
-2. INTELLIGENT MODEL SELECTION v2.0 - Gemini analyzes question to auto-select optimal 3-5 models from 9 experts
+2. INTELLIGENT MODEL SELECTION v2.0 - Gemini analyzes question to auto-select optimal 3-5 models from ${modelRegistry.aliases().length} experts
 3. PARALLEL INSTANCE SUPPORT - Syntax: "k1:2,k3:3" for multiple instances with different seeds
 4. Full MCP tool access for all models - Can read files, search code, execute commands
 
@@ -97,16 +136,8 @@ QUALITY EXAMPLES:
 ✅ "Debug: PostgreSQL query taking 8 seconds. Query: SELECT * FROM users JOIN orders WHERE created_at > '2024-01-01'. Table has 10M rows. What indexing strategy would help?"
 ✅ "Compare authentication approaches for SaaS app: JWT vs sessions vs OAuth. Consider: security, scalability to 100k users, mobile support, token refresh."
 
-Available models (k1-k9):
-- k1: Claude Sonnet 4.5 Thinking (architecture, 64K tokens)
-- k2: GPT-5.1-Codex (advanced coding & testing, 128K tokens)
-- k3: Qwen 3 Max (algorithms, 32K tokens)
-- k4: Gemini 3.0 Pro (integration, 1M tokens)
-- k5: Grok 4 Fast (fast reasoning, 30K tokens)
-- k6: GPT-5 Max Thinking (deep thinking, 128K tokens)
-- k7: Kimi K2 Thinking (autonomous tools, 256K tokens)
-- k8: GLM-4.6 Exacto (massive context, 200K tokens)
-- k9: Claude Opus 4.1 (ultra reasoning, 200K tokens)`,
+Available models (${modelRegistry.aliases().join(', ')}):
+${modelRegistry.describeModels()}`,
                     inputSchema: {
                         type: 'object',
                         properties: {
@@ -121,11 +152,243 @@ Available models (k1-k9):
                             modelConfig: {
                                 type: 'string',
                                 description: 'Manual model selection (optional). Format: "k1:2,k2,k3:3" where k1:2=2 parallel Claude instances, k2=1 GPT-5.1-Codex instance, k3:3=3 Qwen instances. Omit for intelligent auto-selection (recommended).'
+                            },
+                            maxCost: {
+                                type: 'number',
+                                description: 'Spend cap for this debate in USD (optional). Over-budget debates run on cheaper models; model calls are stopped when the cap is reached.'
+                            },
+                            fresh: {
+                                type: 'boolean',
+                                description: 'Skip the cache, including near matches of earlier questions, and run a new debate (optional)'
+                            },
+                            allowStale: {
+                                type: 'boolean',
+                                description: 'Return an outdated cached answer immediately, labeled with its age and why it is stale, and refresh it in a background job (optional, default: CACHE_STALE_WHILE_REVALIDATE)'
+                            },
+                            responseFormat: {
+                                type: 'string',
+                                enum: ['markdown', 'structured'],
+                                description: 'Answer format (optional, default: markdown). "structured" also returns a validated JSON answer: recommendation, alternatives considered, risks, code snippets, dissenting opinions and per-claim confidence.'
+                            }
+                        },
+                        required: ['question']
+                    }
+                },
+                {
+                    name: 'start_debate',
+                    description: 'Start a debate in the background and return a job ID immediately. Takes the same arguments as debate. Poll debate_status for the phase and per-model progress, then fetch the answer with debate_result. Jobs run one at a time and survive server restarts (reported as interrupted, or resumed with DEBATE_JOBS_ON_RESTART=resume).',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            question: {
+                                type: 'string',
+                                description: 'Complex technical question (15+ chars). System will automatically enhance vague questions.'
+                            },
+                            projectPath: {
+                                type: 'string',
+                                description: 'Project path to analyze (optional, defaults to current working directory)'
+                            },
+                            modelConfig: {
+                                type: 'string',
+                                description: 'Manual model selection (optional), same format as for debate, e.g. "k1:2,k2,k3"'
+                            },
+                            maxCost: {
+                                type: 'number',
+                                description: 'Spend cap for this debate in USD (optional)'
+                            },
+                            fresh: {
+                                type: 'boolean',
+                                description: 'Skip the cache and run a new debate (optional)'
+                            },
+                            responseFormat: {
+                                type: 'string',
+                                enum: ['markdown', 'structured'],
+                                description: 'Answer format (optional, default: markdown). "structured" also returns a validated JSON answer: recommendation, alternatives considered, risks, code snippets, dissenting opinions and per-claim confidence.'
                             }
                         },
                         required: ['question']
                     }
                 },
+                {
+                    name: 'debate_status',
+                    description: 'Report the status of a debate job started with start_debate: queued, running (with current phase and per-model progress), completed, failed, cancelled or interrupted. Without a jobId, lists recent jobs.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            jobId: {
+                                type: 'string',
+                                description: 'Job ID returned by start_debate (optional)'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'debate_result',
+                    description: 'Get the final synthesis of a debate job started with start_debate once it has completed.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            jobId: {
+                                type: 'string',
+                                description: 'Job ID returned by start_debate'
+                            },
+                            compare: {
+                                type: 'boolean',
+                                description: 'For a refresh of a stale cached answer: summarize how the new answer differs from the stale one (optional)'
+                            }
+                        },
+                        required: ['jobId']
+                    }
+                },
+                {
+                    name: 'resume_debate',
+                    description: 'Resume a debate that failed, was cancelled or was interrupted by a server restart. Reloads its checkpoint and continues from the first incomplete phase (proposals, evaluation, verification, improvements, synthesis) without calling models again for finished phases. Without a debateId, lists the debates that can be resumed.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            debateId: {
+                                type: 'string',
+                                description: 'ID of the debate to resume (optional)'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'cancel_debate',
+                    description: 'Cancel a running debate. Stops its model processes, keeps any proposals already received and records the debate as cancelled in the history. Without a debateId, cancels the only running debate, or lists running debates when there are several.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            debateId: {
+                                type: 'string',
+                                description: 'ID of the debate to cancel (optional)'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'budget_status',
+                    description: 'Report debate spend against the configured budgets: limits, spend today and over the last days, recent debates, and the cap the next debate in a project would get.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            projectPath: {
+                                type: 'string',
+                                description: 'Project path to report project budget for (optional)'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'cache_stats',
+                    description: 'Report debate cache statistics: entries, hits (exact and near-duplicate), misses, hit rate, tokens and cost saved, invalidations by reason and the storage backend.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {}
+                    }
+                },
+                {
+                    name: 'cache_list',
+                    description: 'List cached debates, newest first, with key, question preview, project, category, age and confidence.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            projectPath: {
+                                type: 'string',
+                                description: 'Only list entries of this project (optional)'
+                            },
+                            limit: {
+                                type: 'number',
+                                description: 'Maximum entries to list (default: 20)'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'cache_invalidate',
+                    description: 'Remove cached debates by project, category, regular expression (matched against questions) or key prefix from cache_list. Use all: true to clear the whole cache.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            projectPath: {
+                                type: 'string',
+                                description: 'Remove the entries of this project whose files changed'
+                            },
+                            category: {
+                                type: 'string',
+                                description: 'Remove entries of this question category'
+                            },
+                            pattern: {
+                                type: 'string',
+                                description: 'Remove entries whose question matches this regular expression (case-insensitive)'
+                            },
+                            key: {
+                                type: 'string',
+                                description: 'Remove the entry with this key or key prefix'
+                            },
+                            all: {
+                                type: 'boolean',
+                                description: 'Clear every cached debate'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'cache_warm',
+                    description: 'Warm the cache from a question file: one question per line (# comments allowed) or a JSON array of questions. Each question is queued as a background debate (cached questions finish immediately); follow them with debate_status.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            file: {
+                                type: 'string',
+                                description: 'Question file, relative to the project path'
+                            },
+                            projectPath: {
+                                type: 'string',
+                                description: 'Project the questions are about (optional, defaults to current)'
+                            },
+                            modelConfig: {
+                                type: 'string',
+                                description: 'Model configuration for the debates (optional)'
+                            }
+                        },
+                        required: ['file']
+                    }
+                },
+                {
+                    name: 'cache_export',
+                    description: `Export cached debates of a project to a JSON file (default: ${CACHE_EXPORT_FILE} in the project) that can be committed and imported by teammates with cache_import.`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            projectPath: {
+                                type: 'string',
+                                description: 'Project whose entries to export (optional, defaults to current)'
+                            },
+                            file: {
+                                type: 'string',
+                                description: `Output file, relative to the project path (default: ${CACHE_EXPORT_FILE})`
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'cache_import',
+                    description: `Import cached debates from a cache_export file (default: ${CACHE_EXPORT_FILE} in the project). Expired entries and entries older than the local copy are skipped.`,
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            projectPath: {
+                                type: 'string',
+                                description: 'Project to import the entries into (optional, defaults to current)'
+                            },
+                            file: {
+                                type: 'string',
+                                description: `Input file, relative to the project path (default: ${CACHE_EXPORT_FILE})`
+                            }
+                        }
+                    }
+                },
                 {
                     name: 'debate_history',
                     description: 'Get recent completed debates',
@@ -179,11 +442,122 @@ Available models (k1-k9):
                             consensusThreshold: {
                                 type: 'number',
                                 description: 'Consensus threshold percentage for early exit (default: 90)'
+                            },
+                            maxCost: {
+                                type: 'number',
+                                description: 'Maximum spend for this debate in USD (optional). A debate estimated above it is refused; one that reaches it is aborted.'
+                            },
+                            responseFormat: {
+                                type: 'string',
+                                enum: ['markdown', 'structured'],
+                                description: 'Answer format (optional, default: markdown). "structured" also returns a validated JSON answer: recommendation, alternatives considered, risks, code snippets, dissenting opinions and per-claim confidence.'
                             }
                         },
                         required: ['question']
                     }
                 },
+                {
+                    name: 'debate_workflow',
+                    description: 'Run a custom debate workflow: named phases (propose, critique, rebut, vote, judge, synthesize, verify, fact-check), the models in each and their prompts, defined in JSON. Built-in workflows include red-team-blue-team and panel-with-judge; projects add their own in .debate-workflows/. Call without workflow, definition or file to list the available workflows.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            question: {
+                                type: 'string',
+                                description: 'The problem to solve or analyze'
+                            },
+                            projectPath: {
+                                type: 'string',
+                                description: 'Project path to analyze (optional, defaults to current)'
+                            },
+                            workflow: {
+                                type: 'string',
+                                description: 'Name of a built-in or project workflow'
+                            },
+                            definition: {
+                                type: ['object', 'string'],
+                                description: 'Inline workflow definition: { name, description?, phases: [{ id, type, models, prompt?, input? }] }, as an object or JSON string'
+                            },
+                            file: {
+                                type: 'string',
+                                description: 'JSON workflow file inside the project'
+                            },
+                            maxCost: {
+                                type: 'number',
+                                description: 'Maximum spend for this workflow in USD (optional). A workflow estimated above it is refused.'
+                            }
+                        }
+                    }
+                },
+                {
+                    name: 'implement_debate',
+                    description: 'Implement a change with competing models: each works in its own git worktree branched from the project\'s last commit, the project\'s tests run in each worktree, the models review each other\'s diffs and test results, and the best implementation by tests and reviews (or, with merge, the winner merged with the other patches that apply on top) is offered as a diff. The project\'s files are not touched until the implementation is applied with apply_implementation.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            task: {
+                                type: 'string',
+                                description: 'The change to implement'
+                            },
+                            projectPath: {
+                                type: 'string',
+                                description: 'Git repository to implement in (optional, defaults to current)'
+                            },
+                            models: {
+                                type: 'array',
+                                items: { type: 'string' },
+                                description: `Implementing models, at least 2 (optional, defaults to the first 3: ${modelRegistry.aliases().slice(0, 3).join(', ')})`
+                            },
+                            merge: {
+                                type: 'boolean',
+                                description: 'Offer the winner merged with the other implementations that apply on top of it (default: false)'
+                            },
+                            timeoutMinutes: {
+                                type: 'number',
+                                description: 'Limit per model call in minutes (default: 10)'
+                            },
+                            runTests: {
+                                type: 'boolean',
+                                description: 'Run the project\'s tests in each worktree to score the implementations (default: true)'
+                            },
+                            testCommand: {
+                                type: 'string',
+                                description: 'Test command (optional, detected from package.json, pytest config, go.mod, Cargo.toml, Maven, Gradle or a Makefile test target)'
+                            },
+                            testTimeoutMinutes: {
+                                type: 'number',
+                                description: 'Limit per test run in minutes (default: DEBATE_TEST_TIMEOUT_MINUTES or 10)'
+                            },
+                            maxCost: {
+                                type: 'number',
+                                description: 'Spend cap in USD (optional). A run whose estimated cost exceeds the budget is refused.'
+                            }
+                        },
+                        required: ['task']
+                    }
+                },
+                {
+                    name: 'apply_implementation',
+                    description: 'Apply a pending implementation from implement_debate to the project\'s working tree (uncommitted), or discard it. Either way its worktrees and branches are removed.',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            implementationId: {
+                                type: 'string',
+                                description: 'ID reported by implement_debate'
+                            },
+                            candidate: {
+                                type: 'string',
+                                description: 'Apply this model\'s implementation instead of the offered one (optional)'
+                            },
+                            discard: {
+                                type: 'boolean',
+                                description: 'Discard the implementation instead of applying it (default: false)'
+                            }
+                        },
+                        required: ['implementationId']
+                    }
+                },
                 {
                     name: 'confidence_analysis',
                     description: 'Analyze confidence metrics for a completed debate or evaluate confidence factors for any AI consensus output. Provides detailed scoring with factors like model agreement, verification status, historical accuracy, and actionable recommendations.',
@@ -204,7 +578,9 @@ Available models (k1-k9):
                             }
                         }
                     }
-                }
+                },
+                // Quality presets: debate_with_preset, list_presets, analyze_question_for_preset, estimate_preset_cost
+                ...getPresetTools()
             ]
         }));
         
@@ -219,42 +595,9 @@ Available models (k1-k9):
                     const validatedPath = await this.security.validateProjectPath(args.projectPath);
                     this.security.checkRateLimit('debate', 5, 300000); // 5 debates per 5 minutes
 
-                    // Enhance question if enabled
-                    let enhancementResult;
-                    let finalQuestion = sanitizedQuestion;
-
-                    try {
-                        enhancementResult = await this.promptEnhancer.enhanceQuestion(sanitizedQuestion);
-
-                        if (enhancementResult.wasEnhanced) {
-                            finalQuestion = enhancementResult.enhanced;
-                            console.error('Question enhanced:', {
-                                original: sanitizedQuestion.substring(0, 100) + '...',
-                                enhanced: finalQuestion.substring(0, 100) + '...',
-                                changes: enhancementResult.changes
-                            });
-                        } else {
-                            console.error('Question already well-structured, no enhancement needed');
-                        }
-
-                        // Show warnings if any
-                        if (enhancementResult.validation?.warnings?.length > 0) {
-                            console.error('Question validation warnings:', enhancementResult.validation.warnings);
-                        }
-                    } catch (enhanceError) {
-                        // If enhancement fails with validation error, return it
-                        if (enhanceError.message.includes('too simple') || enhanceError.message.includes('validation failed')) {
-                            return {
-                                content: [{
-                                    type: 'text',
-                                    text: `❌ ${enhanceError.message}\n\nThis tool is designed for complex technical questions that benefit from multiple expert AI perspectives.\n\nGood examples:\n- "How should I implement caching in my Express API to reduce database load?"\n- "Compare microservices vs monolithic architecture for a high-traffic e-commerce platform"\n- "Debug: PostgreSQL query slow on 10M row table, need indexing strategy"\n\nNot suitable for:\n- Simple greetings or small talk\n- One-word questions\n- Already-answered documentation lookups`
-                                }]
-                            };
-                        }
-
-                        // Otherwise log warning and continue with original
-                        console.error('Enhancement failed, using original question:', enhanceError.message);
-                        finalQuestion = sanitizedQuestion;
+                    const { finalQuestion, enhancementResult, rejection } = await this.prepareQuestion(sanitizedQuestion);
+                    if (rejection) {
+                        return { content: [{ type: 'text', text: rejection }] };
                     }
 
                     console.error('Starting synchronous debate for:', finalQuestion.substring(0, 150) + '...');
@@ -264,11 +607,19 @@ Available models (k1-k9):
                         console.error('Using model configuration:', args.modelConfig);
                     }
 
+                    this.validateMaxCost(args.maxCost);
+
                     // Run debate synchronously and wait for completion
                     const result = await this.debate.runDebate(
                         finalQuestion,
                         validatedPath,
-                        args.modelConfig
+                        args.modelConfig,
+                        {
+                            maxCost: args.maxCost,
+                            fresh: args.fresh === true,
+                            allowStale: args.allowStale,
+                            responseFormat: args.responseFormat
+                        }
                     );
 
                     // Save to history (with original question and enhancement info)
@@ -282,14 +633,33 @@ Available models (k1-k9):
                         ...result
                     });
 
+                    let text = this.formatResponse(args.question, result, historyId, enhancementResult);
+                    if (result.stale) {
+                        const job = this.refreshStaleAnswer(result, historyId, {
+                            question: args.question,
+                            finalQuestion,
+                            enhancementResult,
+                            projectPath: validatedPath,
+                            modelConfig: args.modelConfig,
+                            maxCost: args.maxCost,
+                            responseFormat: args.responseFormat
+                        });
+                        text += `\n\n🔄 Refreshing in the background as job ${job.id}. ` +
+                            'debate_result with compare: true shows how the new answer differs.';
+                    }
+
                     return {
                         content: [{
                             type: 'text',
-                            text: this.formatResponse(args.question, result, historyId, enhancementResult)
+                            text
                         }]
                     };
 
                 } catch (error) {
+                    if (error.name === 'DebateCancelledError') {
+                        return await this.saveCancelledDebate(args.question, 'debate', error);
+                    }
+
                     console.error('Debate error:', error);
 
                     // Special handling for enhancement errors
@@ -303,6 +673,10 @@ Available models (k1-k9):
                         errorMessage = `❌ Proxy Error: ${error.message}\n\nMake sure k-proxy-server is running:\nnode k-proxy-server.js`;
                     }
 
+                    if (error.resumeDebateId) {
+                        errorMessage += `\n\n${this.formatResumeHint(error.resumeDebateId)}`;
+                    }
+
                     return {
                         content: [{
                             type: 'text',
@@ -456,6 +830,7 @@ Available models (k1-k9):
                     // Security validation
                     const sanitizedQuestion = this.security.validateQuestion(args.question);
                     const validatedPath = await this.security.validateProjectPath(args.projectPath);
+                    this.validateMaxCost(args.maxCost);
                     this.security.checkRateLimit('iterative_debate', 3, 600000); // 3 iterative debates per 10 minutes
                     
                     console.error('Starting iterative debate for:', sanitizedQuestion);
@@ -471,7 +846,8 @@ Available models (k1-k9):
                     // Run iterative debate
                     const result = await this.iterativeDebate.runIterativeDebate(
                         sanitizedQuestion,
-                        validatedPath
+                        validatedPath,
+                        { responseFormat: args.responseFormat, maxCost: args.maxCost }
                     );
                     
                     // Save to history
@@ -490,11 +866,16 @@ Available models (k1-k9):
                                   `**Iterations:** ${result.iterations}\n` +
                                   `**Final Consensus:** ${result.finalConsensus}%\n` +
                                   `**Consensus Evolution:** ${result.debateHistory.consensusTrend.join('% → ')}%\n\n` +
-                                  `## Solution\n\n${result.solution}`
+                                  `## Solution\n\n${result.solution}` +
+                                  this.formatStructuredAnswer(result)
                         }]
                     };
                     
                 } catch (error) {
+                    if (error.name === 'DebateCancelledError') {
+                        return await this.saveCancelledDebate(args.question, 'iterative', error);
+                    }
+
                     console.error('Iterative debate error:', error);
                     return {
                         content: [{
@@ -505,16 +886,190 @@ Available models (k1-k9):
                 }
             }
 
-            if (name === 'confidence_analysis') {
+            if (name === 'debate_workflow') {
                 try {
-                    let debateData = null;
+                    const validatedPath = await this.security.validateProjectPath(args?.projectPath);
 
-                    // If historyId is provided, fetch the debate from history
-                    if (args.historyId) {
-                        const historicalDebate = await this.history.get(args.historyId);
-                        if (!historicalDebate) {
-                            return {
-                                content: [{
+                    const definition = await this.loadWorkflowDefinition(args || {}, validatedPath);
+                    if (!definition) {
+                        const workflows = await this.workflows.list(validatedPath);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `📋 Available Workflows\n\n` +
+                                      (workflows.length > 0 ?
+                                          workflows.map(w => `- **${w.name}** (${w.source}): ${w.description}`).join('\n') :
+                                          'No workflows found.') +
+                                      `\n\nRun one with debate_workflow (workflow: <name>, question: ...).`
+                            }]
+                        };
+                    }
+
+                    const sanitizedQuestion = this.security.validateQuestion(args.question);
+                    this.validateMaxCost(args.maxCost);
+                    this.security.checkRateLimit('debate', 5, 300000); // shares the debate tool's limit
+
+                    console.error(`Starting workflow ${definition.name} for:`, sanitizedQuestion.substring(0, 150));
+
+                    const result = await this.debate.runWorkflow(definition, sanitizedQuestion, validatedPath, {
+                        maxCost: args.maxCost
+                    });
+
+                    const historyId = await this.history.save({
+                        question: args.question,
+                        type: 'workflow',
+                        ...result
+                    });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `✅ Workflow Complete!\n\n` +
+                                  `**Question:** ${args.question}\n` +
+                                  `**Workflow:** ${result.workflow}\n` +
+                                  `**History ID:** ${historyId}\n` +
+                                  (result.usage ? `**Cost:** $${result.usage.cost.toFixed(4)}\n` : '') +
+                                  `\n${result.solution}`
+                        }]
+                    };
+                } catch (error) {
+                    if (error.name === 'DebateCancelledError') {
+                        return await this.saveCancelledDebate(args.question, 'workflow', error);
+                    }
+
+                    console.error('Workflow error:', error);
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error running workflow: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'implement_debate') {
+                try {
+                    const sanitizedTask = this.security.validateQuestion(args.task);
+                    const validatedPath = await this.security.validateProjectPath(args.projectPath);
+                    this.validateMaxCost(args.maxCost);
+                    this.security.checkRateLimit('implement_debate', 2, 600000); // 2 per 10 minutes
+
+                    console.error('Starting implementation debate for:', sanitizedTask.substring(0, 150));
+
+                    const result = await this.implementations.run(sanitizedTask, validatedPath, {
+                        models: args.models,
+                        merge: args.merge === true,
+                        timeoutMinutes: args.timeoutMinutes,
+                        runTests: args.runTests !== false,
+                        testCommand: args.testCommand,
+                        testTimeoutMinutes: args.testTimeoutMinutes,
+                        maxCost: args.maxCost
+                    });
+
+                    const historyId = await this.history.save({
+                        question: args.task,
+                        type: 'implementation',
+                        implementationId: result.id,
+                        winner: result.winner,
+                        score: result.candidates[0].score,
+                        candidates: result.candidates,
+                        failed: result.failed,
+                        confidence: result.confidence,
+                        solution: result.offered.diff
+                    });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: this.formatImplementation(result, historyId)
+                        }]
+                    };
+                } catch (error) {
+                    if (error.name === 'DebateCancelledError') {
+                        return await this.saveCancelledDebate(args.task, 'implementation', error);
+                    }
+
+                    console.error('Implementation debate error:', error);
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error running implementation debate: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'apply_implementation') {
+                try {
+                    if (args.discard === true) {
+                        await this.implementations.discard(args.implementationId);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `🗑️ Implementation ${args.implementationId} discarded; its worktrees and branches are removed.`
+                            }]
+                        };
+                    }
+
+                    const applied = await this.implementations.apply(args.implementationId, {
+                        candidate: args.candidate
+                    });
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `✅ Implementation Applied\n\n` +
+                                  `**Implementation:** ${applied.id} (${applied.source})\n` +
+                                  `**Files:** ${applied.files.join(', ')}\n\n` +
+                                  `The changes are in your working tree, uncommitted. Review them with git diff.`
+                        }]
+                    };
+                } catch (error) {
+                    console.error('Apply implementation error:', error);
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error applying implementation: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (PRESET_TOOL_NAMES.includes(name)) {
+                try {
+                    if (name === 'debate_with_preset') {
+                        this.validateMaxCost(args.maxCost);
+                        validateResponseFormat(args.responseFormat);
+                    }
+                    return await handlePresetToolCall(name, args, this.debate, this.security, this.history);
+                } catch (error) {
+                    if (error.name === 'DebateCancelledError') {
+                        return await this.saveCancelledDebate(args.question, 'preset', error);
+                    }
+
+                    console.error('Preset debate error:', error);
+                    let errorMessage = `Error running preset debate: ${error.message}`;
+                    if (error.resumeDebateId) {
+                        errorMessage += `\n\n${this.formatResumeHint(error.resumeDebateId)}`;
+                    }
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: errorMessage
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'confidence_analysis') {
+                try {
+                    let debateData = null;
+
+                    // If historyId is provided, fetch the debate from history
+                    if (args.historyId) {
+                        const historicalDebate = await this.history.get(args.historyId);
+                        if (!historicalDebate) {
+                            return {
+                                content: [{
                                     type: 'text',
                                     text: `❌ No debate found with ID: ${args.historyId}`
                                 }]
@@ -529,6 +1084,7 @@ Available models (k1-k9):
                             score: historicalDebate.score,
                             improvements: historicalDebate.improvements || {},
                             solution: historicalDebate.solution,
+                            structured: historicalDebate.structured,
                             toolsUsed: historicalDebate.toolsUsed,
                             verificationScore: historicalDebate.confidence?.factors?.verification_passed / 100
                         };
@@ -576,54 +1132,452 @@ Available models (k1-k9):
                     response += `## Analysis Summary\n`;
                     response += `${confidence.analysis.summary}\n\n`;
 
-                    if (confidence.analysis.strengths.length > 0) {
-                        response += `## Strengths ✅\n`;
-                        confidence.analysis.strengths.forEach(strength => {
-                            response += `- ${strength}\n`;
-                        });
-                        response += '\n';
+                    if (confidence.analysis.strengths.length > 0) {
+                        response += `## Strengths ✅\n`;
+                        confidence.analysis.strengths.forEach(strength => {
+                            response += `- ${strength}\n`;
+                        });
+                        response += '\n';
+                    }
+
+                    if (confidence.analysis.concerns.length > 0) {
+                        response += `## Concerns ⚠️\n`;
+                        confidence.analysis.concerns.forEach(concern => {
+                            response += `- ${concern}\n`;
+                        });
+                        response += '\n';
+                    }
+
+                    if (confidence.analysis.suggestions.length > 0) {
+                        response += `## Suggestions 💡\n`;
+                        confidence.analysis.suggestions.forEach(suggestion => {
+                            response += `- ${suggestion}\n`;
+                        });
+                        response += '\n';
+                    }
+
+                    response += `## Recommendation\n`;
+                    response += `${confidence.recommendation}\n\n`;
+
+                    response += `## Confidence Thresholds Reference\n`;
+                    Object.entries(confidence.thresholds).forEach(([level, threshold]) => {
+                        const icon = confidence.score >= threshold.min && confidence.score <= threshold.max ? '👈 **YOUR LEVEL**' : '';
+                        response += `- **${threshold.min}-${threshold.max}%:** ${level.replace('_', ' ').toUpperCase()} - ${threshold.action} (${threshold.review} review) ${icon}\n`;
+                    });
+
+                    response += `\n---\n*Confidence scoring system analyzing ${Object.keys(debateData.proposals || {}).length} model responses*`;
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: response
+                        }]
+                    };
+
+                } catch (error) {
+                    console.error('Confidence analysis error:', error);
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error analyzing confidence: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'start_debate') {
+                try {
+                    const sanitizedQuestion = this.security.validateQuestion(args.question);
+                    const validatedPath = await this.security.validateProjectPath(args.projectPath);
+                    this.security.checkRateLimit('debate', 5, 300000); // shares the debate tool's limit
+                    this.validateMaxCost(args.maxCost);
+                    validateResponseFormat(args.responseFormat);
+
+                    const { finalQuestion, enhancementResult, rejection } = await this.prepareQuestion(sanitizedQuestion);
+                    if (rejection) {
+                        return { content: [{ type: 'text', text: rejection }] };
+                    }
+
+                    const job = this.jobs.submit({
+                        question: args.question,
+                        finalQuestion,
+                        enhancementResult,
+                        projectPath: validatedPath,
+                        modelConfig: args.modelConfig,
+                        maxCost: args.maxCost,
+                        fresh: args.fresh === true,
+                        responseFormat: args.responseFormat
+                    });
+                    const position = this.jobs.queuePosition(job.id);
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `🚀 Debate job started\n\n` +
+                                  `**Job ID:** ${job.id}\n` +
+                                  `**Status:** ${position ? `queued (position ${position})` : job.status}\n\n` +
+                                  'Check progress with debate_status and fetch the answer with debate_result. ' +
+                                  'cancel_debate with this ID stops the job.'
+                        }]
+                    };
+                } catch (error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error starting debate: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'debate_status') {
+                if (!args?.jobId) {
+                    const jobs = this.jobs.list(10);
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: jobs.length === 0 ? 'No debate jobs found.' : jobs.map(job =>
+                                `- ${job.id} ${job.status} (created ${job.createdAt}): ${job.params.question.substring(0, 80)}`
+                            ).join('\n')
+                        }]
+                    };
+                }
+
+                const job = this.jobs.get(args.jobId);
+                if (!job) {
+                    return { content: [{ type: 'text', text: `❌ No debate job with ID: ${args.jobId}` }] };
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: this.formatJobStatus(job, await this.isResumableJob(job))
+                    }]
+                };
+            }
+
+            if (name === 'debate_result') {
+                const job = this.jobs.get(args?.jobId);
+                if (!job) {
+                    return { content: [{ type: 'text', text: `❌ No debate job with ID: ${args?.jobId}` }] };
+                }
+
+                if (args?.compare) {
+                    if (!job.params.refreshOf) {
+                        return { content: [{ type: 'text', text: `❌ Debate job ${job.id} is not a refresh of a stale cached answer` }] };
+                    }
+                    if (job.result?.historyId) {
+                        try {
+                            const [stale, refreshed] = await Promise.all([
+                                this.history.get(job.params.refreshOf),
+                                this.history.get(job.result.historyId)
+                            ]);
+                            return { content: [{ type: 'text', text: this.formatAnswerDiff(stale, refreshed) }] };
+                        } catch (error) {
+                            return { content: [{ type: 'text', text: `Error comparing answers: ${error.message}` }] };
+                        }
+                    }
+                }
+
+                if (job.result) {
+                    return { content: [{ type: 'text', text: job.result.text }] };
+                }
+
+                const text = job.status === 'queued' || job.status === 'running' ?
+                    `⏳ Debate job ${job.id} is ${job.status}; the result is not ready yet.\n\n${this.formatJobStatus(job)}` :
+                    this.formatJobStatus(job, await this.isResumableJob(job));
+                return { content: [{ type: 'text', text }] };
+            }
+
+            if (name === 'resume_debate') {
+                let checkpoint = null;
+                try {
+                    if (!args?.debateId) {
+                        const checkpoints = await this.debate.checkpoints.list();
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: checkpoints.length === 0 ? 'No debates to resume.' :
+                                    `Debates that can be resumed:\n\n${this.formatCheckpoints(checkpoints)}`
+                            }]
+                        };
+                    }
+
+                    checkpoint = await this.debate.checkpoints.load(args.debateId);
+                    if (!checkpoint) {
+                        return {
+                            content: [{ type: 'text', text: `❌ No checkpoint found for debate: ${args.debateId}` }]
+                        };
+                    }
+
+                    this.security.checkRateLimit('debate', 5, 300000); // shares the debate tool's limit
+
+                    const result = await this.debate.resumeDebate(args.debateId);
+                    const historyId = await this.history.save({
+                        question: checkpoint.question,
+                        debateId: args.debateId,
+                        ...result
+                    });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: this.formatResponse(checkpoint.question, result, historyId)
+                        }]
+                    };
+                } catch (error) {
+                    if (error.name === 'DebateCancelledError') {
+                        return await this.saveCancelledDebate(checkpoint?.question || args.debateId, 'debate', error);
+                    }
+
+                    console.error('Resume debate error:', error);
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error resuming debate: ${error.message}` +
+                                  (error.resumeDebateId ? `\n\n${this.formatResumeHint(error.resumeDebateId)}` : '')
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'cancel_debate') {
+                const activeDebates = getActiveDebates();
+                const running = activeDebates.list();
+                let debateId = args?.debateId;
+
+                if (debateId && this.jobs.cancelQueued(debateId)) {
+                    return {
+                        content: [{ type: 'text', text: `🛑 Debate job ${debateId} was removed from the queue before it started.` }]
+                    };
+                }
+
+                if (!debateId) {
+                    if (running.length === 0) {
+                        return { content: [{ type: 'text', text: 'No debates are running.' }] };
+                    }
+                    if (running.length > 1) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `Several debates are running, pass a debateId:\n\n${this.formatRunningDebates(running)}`
+                            }]
+                        };
+                    }
+                    debateId = running[0].debateId;
+                }
+
+                if (!activeDebates.cancel(debateId)) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `❌ No running debate with ID: ${debateId}` +
+                                  (running.length > 0 ? `\n\nRunning debates:\n${this.formatRunningDebates(running)}` : '')
+                        }]
+                    };
+                }
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `🛑 Cancelling debate ${debateId}. Its model processes are being stopped; ` +
+                              'proposals received so far are saved to the debate history.'
+                    }]
+                };
+            }
+
+            if (name === 'budget_status') {
+                try {
+                    const projectPath = args?.projectPath ?
+                        await this.security.validateProjectPath(args.projectPath) :
+                        null;
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: this.formatBudgetStatus(this.debate.budgetManager.getStatus(projectPath))
+                        }]
+                    };
+                } catch (error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error reading budget status: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'cache_stats') {
+                const stats = this.debate.getCacheStats();
+                return {
+                    content: [{
+                        type: 'text',
+                        text: stats.enabled ? this.formatCacheStats(stats) : `🗄️ ${stats.message}`
+                    }]
+                };
+            }
+
+            if (name === 'cache_list') {
+                try {
+                    const projectPath = args?.projectPath ?
+                        await this.security.validateProjectPath(args.projectPath) :
+                        null;
+                    const entries = this.debate.listCacheEntries({ projectPath, limit: args?.limit || 20 });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: entries.length === 0 ? 'No cached debates found.' : this.formatCacheEntries(entries)
+                        }]
+                    };
+                } catch (error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error listing cache: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'cache_invalidate') {
+                try {
+                    if (args?.all === true) {
+                        const { entries } = this.debate.getCacheStats();
+                        this.debate.clearCache();
+                        return { content: [{ type: 'text', text: `🗑️ Cleared the cache (${entries} entries)` }] };
+                    }
+
+                    let pattern;
+                    if (args?.pattern) {
+                        if (args.pattern.length > 200) {
+                            throw new Error('Pattern too long (max 200 characters)');
+                        }
+                        pattern = new RegExp(args.pattern, 'i');
+                    }
+
+                    const count = await this.debate.invalidateCache({
+                        projectPath: args?.projectPath ? await this.security.validateProjectPath(args.projectPath) : undefined,
+                        category: args?.category,
+                        pattern,
+                        key: args?.key
+                    });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `🗑️ Invalidated ${count} cache ${count === 1 ? 'entry' : 'entries'}`
+                        }]
+                    };
+                } catch (error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error invalidating cache: ${error.message}`
+                        }]
+                    };
+                }
+            }
+
+            if (name === 'cache_warm') {
+                try {
+                    const validatedPath = await this.security.validateProjectPath(args.projectPath);
+                    this.security.checkRateLimit('cache_warm', 2, 300000); // 2 warm-ups per 5 minutes
+                    if (!this.debate.cachingEnabled) {
+                        throw new Error('Caching is disabled');
                     }
 
-                    if (confidence.analysis.concerns.length > 0) {
-                        response += `## Concerns ⚠️\n`;
-                        confidence.analysis.concerns.forEach(concern => {
-                            response += `- ${concern}\n`;
-                        });
-                        response += '\n';
+                    const questions = await this.readWarmQuestions(this.resolveProjectFile(validatedPath, args.file));
+                    const queued = [];
+                    const skipped = [];
+
+                    for (const question of questions) {
+                        try {
+                            const sanitizedQuestion = this.security.validateQuestion(question);
+                            const { finalQuestion, enhancementResult, rejection } = await this.prepareQuestion(sanitizedQuestion);
+                            if (rejection) {
+                                skipped.push({ question, reason: 'rejected by prompt enhancement' });
+                                continue;
+                            }
+
+                            const job = this.jobs.submit({
+                                question,
+                                finalQuestion,
+                                enhancementResult,
+                                projectPath: validatedPath,
+                                modelConfig: args.modelConfig,
+                                fresh: false
+                            });
+                            queued.push({ question, jobId: job.id });
+                        } catch (error) {
+                            skipped.push({ question, reason: error.message });
+                        }
                     }
 
-                    if (confidence.analysis.suggestions.length > 0) {
-                        response += `## Suggestions 💡\n`;
-                        confidence.analysis.suggestions.forEach(suggestion => {
-                            response += `- ${suggestion}\n`;
-                        });
-                        response += '\n';
+                    let text = `🔥 Cache warming: ${queued.length} debate${queued.length === 1 ? '' : 's'} queued\n\n` +
+                        queued.map(q => `- ${q.jobId}: ${q.question.substring(0, 80)}`).join('\n');
+                    if (skipped.length > 0) {
+                        text += `\n\n**Skipped:**\n${skipped.map(s => `- ${s.question.substring(0, 80)} (${s.reason})`).join('\n')}`;
                     }
+                    text += '\n\nQuestions that are already cached finish immediately. Follow progress with debate_status.';
 
-                    response += `## Recommendation\n`;
-                    response += `${confidence.recommendation}\n\n`;
+                    return { content: [{ type: 'text', text }] };
+                } catch (error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error warming cache: ${error.message}`
+                        }]
+                    };
+                }
+            }
 
-                    response += `## Confidence Thresholds Reference\n`;
-                    Object.entries(confidence.thresholds).forEach(([level, threshold]) => {
-                        const icon = confidence.score >= threshold.min && confidence.score <= threshold.max ? '👈 **YOUR LEVEL**' : '';
-                        response += `- **${threshold.min}-${threshold.max}%:** ${level.replace('_', ' ').toUpperCase()} - ${threshold.action} (${threshold.review} review) ${icon}\n`;
-                    });
+            if (name === 'cache_export') {
+                try {
+                    const validatedPath = await this.security.validateProjectPath(args?.projectPath);
+                    const file = this.resolveProjectFile(validatedPath, args?.file || CACHE_EXPORT_FILE);
+                    const data = this.debate.exportCache(validatedPath);
 
-                    response += `\n---\n*Confidence scoring system analyzing ${Object.keys(debateData.proposals || {}).length} model responses*`;
+                    await fs.mkdir(path.dirname(file), { recursive: true });
+                    await fs.writeFile(file, JSON.stringify(data, null, 2));
 
                     return {
                         content: [{
                             type: 'text',
-                            text: response
+                            text: `📦 Exported ${data.entries.length} cached debate${data.entries.length === 1 ? '' : 's'} to ${file}\n\n` +
+                                  'Commit the file so teammates can load it with cache_import.'
+                        }]
+                    };
+                } catch (error) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error exporting cache: ${error.message}`
                         }]
                     };
+                }
+            }
 
+            if (name === 'cache_import') {
+                try {
+                    const validatedPath = await this.security.validateProjectPath(args?.projectPath);
+                    const file = this.resolveProjectFile(validatedPath, args?.file || CACHE_EXPORT_FILE);
+                    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+                    const { imported, skipped } = await this.debate.importCache(data, validatedPath);
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `📥 Imported ${imported} cached debate${imported === 1 ? '' : 's'} from ${file}` +
+                                  (skipped > 0 ? ` (${skipped} skipped: expired or older than the local copy)` : '')
+                        }]
+                    };
                 } catch (error) {
-                    console.error('Confidence analysis error:', error);
                     return {
                         content: [{
                             type: 'text',
-                            text: `Error analyzing confidence: ${error.message}`
+                            text: `Error importing cache: ${error.message}`
                         }]
                     };
                 }
@@ -644,6 +1598,10 @@ Available models (k1-k9):
                 const response = debates.map(d => {
                     const displayScore = (typeof d.score === 'number') ? d.score.toFixed(2) : 
                                          (d.score && typeof d.score.total === 'number') ? d.score.total.toFixed(2) : 'N/A';
+                    if (d.status === 'cancelled') {
+                        return `[${new Date(d.timestamp).toISOString()}] ${d.id} (cancelled)\n` +
+                               `Q: ${d.question}`;
+                    }
                     return `[${new Date(d.timestamp).toISOString()}] ${d.id}\n` +
                            `Q: ${d.question}\nWinner: ${d.winner} (${displayScore})`;
                 }).join('\n\n');
@@ -696,8 +1654,8 @@ Available models (k1-k9):
                 console.error('[K-PROXY]', data.toString().trim());
                 
                 // Check for successful startup indicators
-                if (startupOutput.includes('proxy running on http://') ||
-                    startupOutput.includes('K-Proxy Server Status:')) {
+                if (startupOutput.includes('K-Proxy running on http://') ||
+                    startupOutput.includes('K-Proxy Server Status')) {
                     console.error('✅ K-Proxy server started successfully');
                     resolve();
                 }
@@ -723,8 +1681,8 @@ Available models (k1-k9):
             
             // Timeout after 10 seconds if not started
             setTimeout(() => {
-                if (!startupOutput.includes('proxy running on http://') &&
-                    !startupOutput.includes('K-Proxy Server Status:')) {
+                if (!startupOutput.includes('K-Proxy running on http://') &&
+                    !startupOutput.includes('K-Proxy Server Status')) {
                     console.error('❌ K-Proxy server startup timeout');
                     if (this.proxyProcess) {
                         this.proxyProcess.kill();
@@ -739,6 +1697,9 @@ Available models (k1-k9):
      * Cleanup proxy process on shutdown
      */
     cleanup() {
+        // Stop the model processes of debates still running
+        getActiveDebates().cancelAll();
+
         if (this.proxyProcess) {
             console.error('🛑 Stopping k-proxy server...');
             this.proxyProcess.kill();
@@ -764,6 +1725,15 @@ Available models (k1-k9):
         if (result.confidence) {
             configInfo.push(`Confidence: ${result.confidence.score}% (${result.confidence.level})`);
         }
+        if (result.budget?.degraded) {
+            configInfo.push('Degraded to fit budget');
+        }
+        if (result.resumed) {
+            configInfo.push('Resumed from checkpoint');
+        }
+        if (result.coalesced) {
+            configInfo.push('Shared with an identical debate already running');
+        }
 
         const configText = configInfo.length > 0 ? ` (${configInfo.join(', ')})` : '';
 
@@ -772,6 +1742,25 @@ Available models (k1-k9):
 
 **Question:** ${question}`;
 
+        // Near-duplicate cache hits answer a differently worded question
+        if (result.cacheMatch?.type === 'similar') {
+            response += `
+
+ℹ️ **Answered from cache (near match, ${Math.round(result.cacheMatch.similarity * 100)}% similar).** Cached question: "${result.cacheMatch.cachedQuestion}". Pass \`fresh: true\` or reword the question more specifically for a new debate.`;
+        }
+
+        // Stale-while-revalidate: an outdated answer returned while it is refreshed
+        if (result.stale) {
+            const reasons = {
+                time_expired: 'older than the cache lifetime',
+                files_changed: 'files it cited have changed',
+                project_changed: 'project files have changed'
+            };
+            response += `
+
+⚠️ **Stale answer from cache (${this.formatAge(result.stale.ageMs)} old; ${result.stale.reasons.map(r => reasons[r] || r).join(', ')}).** It may no longer be accurate.`;
+        }
+
         // Add enhancement info if question was enhanced
         if (enhancementResult?.wasEnhanced) {
             response += `
@@ -786,6 +1775,12 @@ Available models (k1-k9):
              (result.score && typeof result.score.total === 'number') ? result.score.total.toFixed(2) : 'N/A'}
 **Contributors:** ${result.contributors.join(', ')}`;
 
+        // Minority report: the full positions are in the solution's Minority Report section
+        if (result.dissent?.length > 0) {
+            response += `
+**Dissent:** ${result.dissent.map(d => `${d.model} (${d.strength})`).join(', ')}`;
+        }
+
         // Add confidence information if available
         if (result.confidence) {
             response += `
@@ -800,7 +1795,7 @@ Available models (k1-k9):
 
 ## Solution
 
-${solution}
+${solution}${this.formatStructuredAnswer(result)}
 
 ---
 *Multi-model consensus with automatic prompt enhancement and intelligent expert selection*`;
@@ -808,6 +1803,493 @@ ${solution}
         return response;
     }
 
+    /**
+     * The JSON of a structured answer, for clients that parse the reply
+     */
+    formatStructuredAnswer(result) {
+        if (!result.structured) {
+            return '';
+        }
+        return `\n\n## Structured Answer\n\n\`\`\`json\n${JSON.stringify(result.structured, null, 2)}\n\`\`\``;
+    }
+
+    /**
+     * Run the prompt enhancer on a validated question.
+     * `rejection` holds the reply for questions the enhancer turns down.
+     */
+    async prepareQuestion(sanitizedQuestion) {
+        let enhancementResult;
+        let finalQuestion = sanitizedQuestion;
+
+        try {
+            enhancementResult = await this.promptEnhancer.enhanceQuestion(sanitizedQuestion);
+
+            if (enhancementResult.wasEnhanced) {
+                finalQuestion = enhancementResult.enhanced;
+                console.error('Question enhanced:', {
+                    original: sanitizedQuestion.substring(0, 100) + '...',
+                    enhanced: finalQuestion.substring(0, 100) + '...',
+                    changes: enhancementResult.changes
+                });
+            } else {
+                console.error('Question already well-structured, no enhancement needed');
+            }
+
+            // Show warnings if any
+            if (enhancementResult.validation?.warnings?.length > 0) {
+                console.error('Question validation warnings:', enhancementResult.validation.warnings);
+            }
+        } catch (enhanceError) {
+            // If enhancement fails with validation error, return it
+            if (enhanceError.message.includes('too simple') || enhanceError.message.includes('validation failed')) {
+                return {
+                    finalQuestion,
+                    enhancementResult,
+                    rejection: `❌ ${enhanceError.message}\n\nThis tool is designed for complex technical questions that benefit from multiple expert AI perspectives.\n\nGood examples:\n- "How should I implement caching in my Express API to reduce database load?"\n- "Compare microservices vs monolithic architecture for a high-traffic e-commerce platform"\n- "Debug: PostgreSQL query slow on 10M row table, need indexing strategy"\n\nNot suitable for:\n- Simple greetings or small talk\n- One-word questions\n- Already-answered documentation lookups`
+                };
+            }
+
+            // Otherwise log warning and continue with original
+            console.error('Enhancement failed, using original question:', enhanceError.message);
+        }
+
+        return { finalQuestion, enhancementResult, rejection: null };
+    }
+
+    validateMaxCost(maxCost) {
+        if (maxCost !== undefined && (typeof maxCost !== 'number' || maxCost < 0)) {
+            throw new Error('maxCost must be a non-negative number of USD');
+        }
+    }
+
+    /**
+     * Run a start_debate job: the same debate, history entry and reply as the debate tool.
+     * Progress reported by the orchestrator is passed to the job queue.
+     */
+    async runDebateJob(job, { onProgress }) {
+        const {
+            question, finalQuestion, enhancementResult, projectPath, modelConfig, maxCost, fresh, refreshOf, replaceCacheKey,
+            responseFormat
+        } = job.params;
+        const stopProgress = this.debate.progressReporter.onUpdate(onProgress);
+
+        try {
+            // A job restarted after a crash continues from the phases it had finished
+            const result = await this.debate.checkpoints.load(job.id) ?
+                await this.debate.resumeDebate(job.id) :
+                await this.debate.runDebate(finalQuestion, projectPath, modelConfig, {
+                    maxCost,
+                    fresh,
+                    // Whoever polls a background job wants an up-to-date answer
+                    allowStale: false,
+                    replaceCacheKey,
+                    responseFormat,
+                    debateId: job.id
+                });
+
+            const historyId = await this.history.save({
+                question,
+                enhancedQuestion: enhancementResult?.wasEnhanced ? finalQuestion : undefined,
+                enhancementInfo: enhancementResult?.wasEnhanced ? {
+                    changes: enhancementResult.changes,
+                    confidence: enhancementResult.confidence
+                } : undefined,
+                jobId: job.id,
+                refreshOf,
+                ...result
+            });
+
+            return {
+                historyId,
+                text: this.formatResponse(question, result, historyId, enhancementResult)
+            };
+        } catch (error) {
+            if (error.name === 'DebateCancelledError') {
+                const response = await this.saveCancelledDebate(question, 'debate', error);
+                return { status: 'cancelled', text: response.content[0].text };
+            }
+            throw error;
+        } finally {
+            stopProgress();
+        }
+    }
+
+    /**
+     * Queue a background debate refreshing a stale cached answer, once per cache entry.
+     * The new result replaces the stale entry and is saved to the history with
+     * `refreshOf` pointing at the stale answer's history record.
+     */
+    refreshStaleAnswer(result, historyId, params) {
+        const running = this.jobs.get(this.staleRefreshes.get(result.cacheKey));
+        if (running && !isFinished(running)) {
+            return running;
+        }
+
+        const job = this.jobs.submit({
+            ...params,
+            fresh: true,
+            refreshOf: historyId,
+            replaceCacheKey: result.cacheKey
+        });
+        this.staleRefreshes.set(result.cacheKey, job.id);
+        return job;
+    }
+
+    async isResumableJob(job) {
+        if (job.status !== 'failed' && job.status !== 'interrupted') {
+            return false;
+        }
+        try {
+            return Boolean(await this.debate.checkpoints.load(job.id));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * implement_debate result: candidates with their test results and peer
+     * reviews, the offered diff and how to apply or discard it
+     */
+    formatImplementation(result, historyId) {
+        const MAX_DIFF_CHARS = 20000;
+        const score = value => (typeof value === 'number' ? `${value.toFixed(1)}/10` : 'not reviewed');
+
+        let text = `🛠️ Implementation Ready\n\n` +
+                   `**Task:** ${result.task}\n` +
+                   `**Implementation ID:** ${result.id}\n` +
+                   `**History ID:** ${historyId}\n` +
+                   `**Based on:** ${result.baseCommit.substring(0, 12)}\n`;
+        if (result.confidence) {
+            text += `**Confidence:** ${result.confidence.score}% (${result.confidence.level})\n`;
+        }
+        if (result.uncommittedChanges) {
+            text += `\n⚠️ The project has uncommitted changes. The models worked from the last commit, ` +
+                    `so the patch may not apply to files you have changed.\n`;
+        }
+
+        text += `\n## Candidates\n\n`;
+        result.candidates.forEach((candidate, index) => {
+            text += `${index + 1}. **${candidate.alias}** (${candidate.name}): ${score(candidate.score)}` +
+                    `${candidate.tests && candidate.tests.status !== 'not-run' ? ` (reviews ${score(candidate.reviewScore)})` : ''}` +
+                    `${candidate.improved ? ', improved after review' : ''}` +
+                    `${candidate.improvementReverted ? ', improvement rolled back as it failed more tests' : ''}\n` +
+                    `   Files: ${candidate.files.join(', ')}\n`;
+            if (candidate.tests) {
+                text += `   Tests: ${describeTests(candidate.tests)}\n`;
+                if (candidate.tests.configChanges?.length > 0) {
+                    text += `   ⚠️ Changes the test configuration (${candidate.tests.configChanges.join(', ')}): ` +
+                            `test results not scored\n`;
+                }
+                if (candidate.tests.testFileChanges?.length > 0) {
+                    text += `   ⚠️ Removes or skips tests (${candidate.tests.testFileChanges.join(', ')}): ` +
+                            `test results not scored\n`;
+                }
+            }
+            for (const review of candidate.reviews) {
+                const concerns = [...review.mustFix, ...review.issues];
+                text += `   - ${review.reviewer}: ${score(review.score)}` +
+                        `${concerns.length > 0 ? ` (${concerns.slice(0, 3).join('; ')})` : ''}\n`;
+            }
+        });
+        for (const failure of result.failed) {
+            text += `- **${failure.alias}**: no implementation (${failure.error})\n`;
+        }
+        if (result.merged) {
+            text += `\n**Merged:** ${result.merged.included.join(', ')}` +
+                    `${result.merged.skipped.length > 0 ? ` (conflicting, left out: ${result.merged.skipped.join(', ')})` : ''}\n`;
+            if (result.merged.tests && result.merged.tests.status !== 'not-run') {
+                text += `**Merged Tests:** ${describeTests(result.merged.tests)}\n`;
+            }
+            if (result.merged.rejected) {
+                text += `The merge is not offered: ${result.merged.rejected}.\n`;
+            }
+        }
+
+        const diff = result.offered.diff.length > MAX_DIFF_CHARS ?
+            `${result.offered.diff.substring(0, MAX_DIFF_CHARS)}\n... (diff truncated)` :
+            result.offered.diff;
+        text += `\n## Offered Patch (${result.offered.source})\n\n` +
+                `**Files:** ${result.offered.files.join(', ')}\n\n` +
+                `\`\`\`diff\n${diff}\n\`\`\`\n\n` +
+                `Nothing in your project has changed yet. Apply this patch with apply_implementation ` +
+                `(implementationId: ${result.id}), add candidate: <model> for another model's implementation, ` +
+                `or discard: true to drop it.`;
+
+        return text;
+    }
+
+    /**
+     * Format a job record for debate_status
+     * `resumable` is set when the job left a checkpoint that resume_debate can continue
+     */
+    formatJobStatus(job, resumable = false) {
+        const icons = {
+            queued: '⏳', running: '🔄', completed: '✅', failed: '❌', cancelled: '🛑', interrupted: '⚠️'
+        };
+
+        let response = `${icons[job.status] || ''} Debate job ${job.id}: ${job.status}
+
+**Question:** ${job.params.question}
+**Created:** ${job.createdAt}`;
+
+        if (job.startedAt) {
+            response += `\n**Started:** ${job.startedAt}`;
+        }
+        if (job.finishedAt) {
+            response += `\n**Finished:** ${job.finishedAt}`;
+        }
+        if (job.restarts) {
+            response += `\n**Restarted after server restart:** ${job.restarts}x`;
+        }
+
+        const position = this.jobs.queuePosition(job.id);
+        if (position) {
+            response += `\n**Queue position:** ${position}`;
+        }
+
+        if (job.status === 'running' && job.progress) {
+            const progress = job.progress;
+            response += `\n\n**Phase:** ${progress.phase} (${progress.elapsedSeconds}s elapsed)`;
+            if (progress.percentage !== null) {
+                response += `\n**Progress:** ${progress.percentage}%`;
+            }
+            if (progress.message) {
+                response += `\n**Last update:** ${progress.message}`;
+            }
+
+            const models = Object.entries(progress.models);
+            if (models.length > 0) {
+                response += `\n\n**Models:**\n${models.map(([model, status]) => `- ${model}: ${status}`).join('\n')}`;
+            }
+        }
+
+        if (job.error) {
+            response += `\n\n**Error:** ${job.error}`;
+            if (resumable) {
+                response += `\n${this.formatResumeHint(job.id)}`;
+            }
+        }
+        if (job.result?.historyId) {
+            response += `\n**History ID:** ${job.result.historyId}`;
+        }
+
+        return response;
+    }
+
+    /**
+     * Record a cancelled debate, with what it had produced, in the history
+     */
+    async saveCancelledDebate(question, type, error) {
+        const partial = error.partial || {};
+        const responses = partial.proposals || partial.responses || {};
+
+        const historyId = await this.history.save({
+            question,
+            type,
+            status: 'cancelled',
+            debateId: error.debateId,
+            ...partial
+        });
+
+        const kept = Object.keys(responses);
+        return {
+            content: [{
+                type: 'text',
+                text: `🛑 Debate cancelled\n\n` +
+                      `**Question:** ${question}\n` +
+                      `**Debate ID:** ${error.debateId}\n` +
+                      `**History ID:** ${historyId}\n` +
+                      `**Responses kept:** ${kept.length > 0 ? kept.join(', ') : 'none'}` +
+                      (error.resumeDebateId ? `\n\n${this.formatResumeHint(error.resumeDebateId)}` : '')
+            }]
+        };
+    }
+
+    formatResumeHint(debateId) {
+        return `Finished phases were checkpointed. Continue the debate with resume_debate (debateId: ${debateId}).`;
+    }
+
+    formatCheckpoints(checkpoints) {
+        return checkpoints.map(c =>
+            `- ${c.debateId} (${c.status}, updated ${c.updatedAt}; done: ${c.completedPhases.join(', ') || 'none'}): ${c.question.substring(0, 80)}`
+        ).join('\n');
+    }
+
+    formatRunningDebates(running) {
+        return running.map(d =>
+            `- ${d.debateId} (${d.type}, started ${d.startedAt})${d.cancelling ? ' [cancelling]' : ''}: ${d.question.substring(0, 80)}`
+        ).join('\n');
+    }
+
+    /**
+     * Resolve a file argument inside the project directory
+     */
+    resolveProjectFile(projectPath, file) {
+        if (!this.security.validatePath(file)) {
+            throw new Error('Invalid file path');
+        }
+
+        const resolved = path.resolve(projectPath, file);
+        const relative = path.relative(projectPath, resolved);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error('File must be inside the project');
+        }
+        return resolved;
+    }
+
+    /**
+     * The workflow named by a debate_workflow call (inline definition, project
+     * file or library name), or null when none was given
+     */
+    async loadWorkflowDefinition(args, projectPath) {
+        if (args.definition) {
+            return parseWorkflow(args.definition);
+        }
+        if (args.file) {
+            return parseWorkflow(await fs.readFile(this.resolveProjectFile(projectPath, args.file), 'utf8'));
+        }
+        if (args.workflow) {
+            return this.workflows.load(args.workflow, projectPath);
+        }
+        return null;
+    }
+
+    /**
+     * Questions of a cache_warm file: a JSON array, or one question per line
+     */
+    async readWarmQuestions(file) {
+        const content = await fs.readFile(file, 'utf8');
+
+        const questions = file.endsWith('.json') ?
+            JSON.parse(content) :
+            content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+        if (!Array.isArray(questions) || questions.some(q => typeof q !== 'string')) {
+            throw new Error('Question file must contain a JSON array of strings or one question per line');
+        }
+        if (questions.length === 0) {
+            throw new Error('Question file contains no questions');
+        }
+        if (questions.length > MAX_WARM_QUESTIONS) {
+            throw new Error(`Question file has ${questions.length} questions (max ${MAX_WARM_QUESTIONS})`);
+        }
+
+        return questions;
+    }
+
+    /**
+     * Format the diff between a stale answer and its refresh for debate_result
+     */
+    formatAnswerDiff(stale, refreshed) {
+        const diff = diffAnswers(stale.solution, refreshed.solution);
+        const lines = (prefix, list, count) => list.map(line => `${prefix} ${line.substring(0, 160)}`).join('\n') +
+            (count > list.length ? `\n… ${count - list.length} more` : '');
+
+        let response = `🔍 Refreshed answer vs. stale answer
+
+**Question:** ${refreshed.question}
+**Stale answer from:** ${new Date(stale.cachedAt || stale.timestamp).toISOString()}
+**Wording similarity:** ${Math.round(diff.similarity * 100)}%
+**Lines:** ${diff.unchanged} unchanged, ${diff.addedCount} added, ${diff.removedCount} removed`;
+
+        if (diff.addedCount === 0 && diff.removedCount === 0) {
+            return `${response}\n\nThe refreshed answer is the same as the stale one.`;
+        }
+        if (diff.addedCount > 0) {
+            response += `\n\n**Added:**\n${lines('+', diff.added, diff.addedCount)}`;
+        }
+        if (diff.removedCount > 0) {
+            response += `\n\n**Removed:**\n${lines('-', diff.removed, diff.removedCount)}`;
+        }
+        return response;
+    }
+
+    /**
+     * Format an age in milliseconds as minutes, hours or days
+     */
+    formatAge(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.round(minutes / 60);
+        return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+    }
+
+    /**
+     * Format ClaudeCliDebate.getCacheStats() output for the cache_stats tool
+     */
+    formatCacheStats(stats) {
+        const reasons = Object.entries(stats.invalidationStats?.reasons || {})
+            .filter(([, count]) => count > 0)
+            .map(([reason, count]) => `- ${reason}: ${count}`);
+
+        let response = `🗄️ Debate Cache (${stats.storage} storage)
+
+**Entries:** ${stats.entries} / ${stats.maxEntries}
+**Hits:** ${stats.hits} (${stats.similarHits} near-duplicate, ${stats.staleHits} stale)
+**Misses:** ${stats.misses}
+**Hit rate:** ${Math.round(stats.hitRate * 100)}%
+**Tokens saved:** ${stats.tokensSaved}
+**Cost saved:** $${stats.costSaved.toFixed(4)}
+**Invalidations:** ${stats.invalidations}
+**Memory:** ${stats.memoryUsage.mb} MB`;
+
+        if (reasons.length > 0) {
+            response += `\n\n**Invalidation reasons:**\n${reasons.join('\n')}`;
+        }
+
+        return response;
+    }
+
+    /**
+     * Format DebateCache.listEntries() output for the cache_list tool
+     */
+    formatCacheEntries(entries) {
+        return `🗄️ Cached debates (${entries.length})\n\n` + entries.map(e =>
+            `- \`${e.key.substring(0, 12)}\` ${this.formatAge(e.ageMs)} old${e.expired ? ' (expired)' : ''}, ` +
+            `confidence ${e.confidence === null ? 'n/a' : `${Math.round(e.confidence * 100)}%`}` +
+            `${e.category ? `, ${e.category}` : ''}` +
+            `${e.dependencies ? `, ${e.dependencies} file${e.dependencies === 1 ? '' : 's'} tracked` : ''}\n` +
+            `  ${(e.question || '(no question)').substring(0, 100)}${e.projectPath ? `\n  ${e.projectPath}` : ''}`
+        ).join('\n');
+    }
+
+    /**
+     * Format BudgetManager.getStatus() output for the budget_status tool
+     */
+    formatBudgetStatus(status) {
+        const usd = (amount) => amount === null ? 'unlimited' : `$${amount.toFixed(4)}`;
+
+        let response = `💰 Budget Status (${status.date})
+
+**Per debate:** ${usd(status.limits.perDebate)}
+**Per day:** ${usd(status.limits.perDay)}
+**Spent today:** ${usd(status.today.spent)}
+**Reserved by running debates:** ${usd(status.today.reserved)}
+**Remaining today:** ${usd(status.today.remaining)}`;
+
+        if (status.project) {
+            response += `
+
+**Project:** ${status.project.path}${status.project.configuredPath ? ` (budget of ${status.project.configuredPath})` : ' (no project budget)'}
+**Project per debate:** ${usd(status.project.limits.perDebate)}
+**Project per day:** ${usd(status.project.limits.perDay)}
+**Project spent today:** ${usd(status.project.spentToday)}
+**Next debate cap:** ${usd(status.project.nextDebateCap)}`;
+        }
+
+        if (status.lastDays.length > 0) {
+            response += `\n\n**Last days:**\n${status.lastDays.map(d => `- ${d.date}: ${usd(d.spent)}`).join('\n')}`;
+        }
+
+        if (status.recent.length > 0) {
+            response += `\n\n**Recent debates:**\n${status.recent.map(d =>
+                `- ${d.timestamp} ${d.debateId} ${usd(d.cost)} (${d.status}) ${d.projectPath}`
+            ).join('\n')}`;
+        }
+
+        return response;
+    }
+
     /**
      * Format timestamp for streaming logs
      */
@@ -835,6 +2317,9 @@ ${solution}
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
         console.error('Debate Consensus MCP Server started');
+
+        // Report or resume debate jobs a previous server left unfinished
+        this.jobs.load();
     }
 }
 
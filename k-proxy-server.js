@@ -1,11 +1,13 @@
 #!/usr/bin/env node
 
 /**
- * K-Proxy Server: Claude API to OpenRouter proxy for k1-k4 debate models
+ * K-Proxy Server: Claude API proxy for the k-model debate lineup
  *
- * This server intercepts Claude CLI API calls and routes them through OpenRouter,
- * allowing each k1-k4 instance to use different models while maintaining
- * full MCP tool access through the Claude CLI.
+ * This server intercepts Claude CLI API calls and routes them to each model's
+ * provider (OpenRouter, OpenAI, Anthropic, Ollama or any OpenAI-compatible
+ * endpoint), allowing each k-instance to use a different model while maintaining
+ * full MCP tool access through the Claude CLI. The lineup and providers are read
+ * from the model registry (config/models.json).
  */
 
 import express from 'express';
@@ -14,22 +16,23 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { Security } from './src/security.js';
+import { getModelRegistry } from './src/models/model-registry.js';
+import { SSEParser, formatSSEEvent } from './src/proxy/sse.js';
+import { AnthropicStreamTranslator, AnthropicEventRelay } from './src/proxy/stream-translator.js';
+import { translateRequest, translateResponse, sanitizeAnthropicMessage } from './src/proxy/message-translator.js';
+import { PROVIDERS, resolveProvider, buildProviderHeaders, reasoningParams } from './src/proxy/providers.js';
+import { ProxyMultiplexer, MODEL_HEADER } from './src/proxy/multiplexer.js';
+import { ProxyMetrics } from './src/proxy/metrics.js';
+import { UsageLedger, getDebateId, normalizeUsage, calculateCost } from './src/proxy/usage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '.env') });
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-
 // Configurable timeout (default: 60 minutes)
 const DEBATE_TIMEOUT_MINUTES = parseInt(process.env.DEBATE_TIMEOUT_MINUTES) || 60;
 const TIMEOUT_MS = DEBATE_TIMEOUT_MINUTES * 60 * 1000; // Convert to milliseconds
 
-if (!OPENROUTER_API_KEY) {
-  console.error('ERROR: OPENROUTER_API_KEY environment variable is required');
-  process.exit(1);
-}
-
 console.log(`⏱️  Timeout configured: ${DEBATE_TIMEOUT_MINUTES} minutes (${TIMEOUT_MS}ms)`);
 
 // Initialize security module
@@ -38,46 +41,98 @@ const security = new Security();
 // Log security configuration
 console.log('🔒 Security Configuration:', security.getSecurityStatus());
 
-// Model mapping for k1-k8 (updated with specified OpenRouter models)
-const modelMap = {
-  'k1': 'anthropic/claude-sonnet-4.5',  // Architecture expert (Claude Sonnet 4.5 with reasoning via API)
-  'k2': 'openai/gpt-5.1-codex',         // Testing expert (GPT-5.1-Codex - optimized for coding workflows)
-  'k3': 'qwen/qwen3-max',               // Algorithm expert (Qwen 3 Max)
-  'k4': 'google/gemini-3-pro-preview',  // Integration expert (Gemini 3 Pro Preview)
-  'k5': 'x-ai/grok-4-fast',             // Fast reasoning (Grok 4 Fast)
-  'k6': 'openai/gpt-5',                 // Max thinking expert (GPT-5 with maximum reasoning tokens)
-  'k7': 'moonshotai/kimi-k2-thinking',  // Deep reasoning + autonomous tool use (Kimi K2 Thinking - MoE, 256K context)
-  'k8': 'z-ai/glm-4.6:exacto',          // Open-source powerhouse (GLM-4.6 exacto - 200K context, high tool-use accuracy)
-  'k9': 'anthropic/claude-opus-4.1'     // Claude Opus 4.1 (Ultra reasoning - 200K tokens, production-ready)
-};
-
-// Maximum token limits for each model (highest quality, no cost compromise)
-const maxTokensMap = {
-  'k1': 64000,   // Claude Sonnet 4.5 :thinking (maximum output with reasoning)
-  'k2': 128000,  // GPT-5.1-Codex (maximum output - optimized for coding)
-  'k3': 32768,   // Qwen 3 Max (maximum output)
-  'k4': 1048576, // Gemini 3 Pro Preview (1M context window)
-  'k5': 30000,   // Grok 4 Fast (maximum output - free tier)
-  'k6': 128000,  // GPT-5 Max Thinking (maximum reasoning capability)
-  'k7': 262144,  // Kimi K2 Thinking (256K context - autonomous tool use specialist)
-  'k8': 200000,  // GLM-4.6 (maximum output - massive context window)
-  'k9': 200000   // Claude Opus 4.1 (maximum output - ultra reasoning capability)
-};
-
-// Port mapping for each k instance
-const portMap = {
-  'k1': 3457,
-  'k2': 3458,
-  'k3': 3459,
-  'k4': 3460,
-  'k5': 3461,
-  'k6': 3462,
-  'k7': 3463,
-  'k8': 3464,
-  'k9': 3465
-};
-
-function createProxyServer(kInstance) {
+// All models are served from one port; PROXY_LEGACY_PORTS=true also opens the
+// per-model ports from the registry for wrapper scripts that hard-code them
+const PROXY_PORT = parseInt(process.env.PROXY_PORT) || 3456;
+const LEGACY_PORTS = process.env.PROXY_LEGACY_PORTS === 'true';
+
+// Per-model request metrics, shared by the multiplexed and legacy entry points
+const metrics = new ProxyMetrics();
+
+// Real token usage reported by providers, grouped by the X-Debate-Id request header
+const usageLedger = new UsageLedger();
+
+// Model lineup, token limits and ports come from config/models.json.
+// Entries are looked up per request, so provider model swaps apply without a restart.
+const registry = getModelRegistry();
+
+// Each model names its upstream provider; a missing API key only disables the models that need it
+for (const entry of registry.list()) {
+  const provider = resolveProvider(entry);
+  if (provider.missingApiKey) {
+    console.warn(`⚠️  ${entry.alias}: ${provider.apiKeyEnv} is not set - requests to ${provider.label} will fail`);
+  }
+}
+
+/**
+ * Build an OpenAI chat-completion request from a Claude CLI request.
+ * Content blocks, tools, tool_use and tool_result are converted to their OpenAI equivalents.
+ * No system prompt modification - let the model identify itself naturally.
+ */
+function buildOpenAIRequest(body, modelEntry, provider, streaming) {
+  const request = {
+    model: modelEntry.model,
+    ...translateRequest(body),
+    max_tokens: body.max_tokens || modelEntry.maxTokens,
+    temperature: body.temperature || 0.7,
+    stream: streaming,
+    // Enable reasoning for thinking models (configured per model in the registry)
+    ...reasoningParams(provider, modelEntry.reasoning)
+  };
+
+  if (streaming) {
+    // Ask for token usage in the final chunk
+    request.stream_options = { include_usage: true };
+  }
+
+  return request;
+}
+
+/**
+ * Build an Anthropic Messages request. The Claude CLI already speaks this
+ * format, so the body is forwarded with the registry's model and limits.
+ */
+function buildAnthropicRequest(body, modelEntry, provider, streaming) {
+  const request = {
+    ...body,
+    model: modelEntry.model,
+    max_tokens: body.max_tokens || modelEntry.maxTokens,
+    stream: streaming
+  };
+
+  if (!request.thinking) {
+    Object.assign(request, reasoningParams(provider, modelEntry.reasoning));
+  }
+
+  return request;
+}
+
+/**
+ * Record the provider-reported token usage of one request against its debate
+ */
+function recordUsage(req, kInstance, modelEntry, usage, reportedCost = null) {
+  const normalized = normalizeUsage(usage);
+  if (!normalized) {
+    return;
+  }
+
+  const cost = normalized.cost ?? reportedCost ??
+    calculateCost(modelEntry.pricing, normalized.inputTokens, normalized.outputTokens);
+
+  usageLedger.record(getDebateId(req), {
+    alias: kInstance,
+    name: modelEntry.name,
+    model: modelEntry.model,
+    inputTokens: normalized.inputTokens,
+    outputTokens: normalized.outputTokens,
+    cost
+  });
+}
+
+/**
+ * Shared Express setup for the multiplexed server and legacy per-model servers
+ */
+function createBaseApp() {
   const app = express();
 
   // Enable trust proxy for proper IP detection behind reverse proxies
@@ -90,8 +145,21 @@ function createProxyServer(kInstance) {
   // Parse JSON with size limit
   app.use(express.json({ limit: '50mb' }));
 
+  return app;
+}
+
+/**
+ * Router serving one k-instance. Mounted under `/<alias>` on the multiplexed
+ * server (or selected with the X-K-Model header), and at `/` on its legacy port.
+ */
+function createModelRouter(kInstance) {
+  const router = express.Router();
+
+  // Per-model request metrics (counted before rate limiting so rejections show up)
+  router.use(metrics.middleware(kInstance));
+
   // Apply rate limiting (more lenient for proxy servers)
-  app.use(security.rateLimitMiddleware({
+  router.use(security.rateLimitMiddleware({
     maxRequests: 100, // Higher limit for proxy
     windowMs: 60000,  // 1 minute window
     keyGenerator: (req) => {
@@ -102,9 +170,9 @@ function createProxyServer(kInstance) {
 
   // Apply signature validation (exempt health/monitoring endpoints)
   if (process.env.ENABLE_REQUEST_SIGNING !== 'false') {
-    app.use((req, res, next) => {
+    router.use((req, res, next) => {
       // Skip signature validation for health and monitoring endpoints
-      if (req.path === '/health' || req.path === '/security/status') {
+      if (req.path === '/health' || req.path === '/security/status' || req.path === '/metrics') {
         return next();
       }
       // Apply signature middleware for all other routes
@@ -112,16 +180,30 @@ function createProxyServer(kInstance) {
     });
   }
 
-  const model = modelMap[kInstance];
-  const port = portMap[kInstance];
+  // Legacy per-model port from the registry (only listened on with PROXY_LEGACY_PORTS=true)
+  const legacyPort = registry.get(kInstance).port;
+  // Last known model slug and provider, used for error reporting if the alias disappears from the registry
+  let model = registry.get(kInstance).model;
+  let providerLabel = PROVIDERS[registry.get(kInstance).provider].label;
 
-  console.log(`🚀 Starting ${kInstance} proxy server on port ${port} -> ${model}`);
+  console.log(`🚀 Registering ${kInstance} at /${kInstance} -> ${model}`);
 
-  // Claude API to OpenRouter translation
-  app.post('/v1/messages', async (req, res) => {
+  // Claude API to upstream provider translation
+  router.post('/v1/messages', async (req, res) => {
     try {
       console.log(`[${new Date().toISOString()}] ${kInstance} request received from ${req.ip}`);
 
+      const modelEntry = registry.get(kInstance);
+      if (!modelEntry) {
+        return res.status(503).json({
+          error: {
+            message: `Model ${kInstance} is no longer enabled in the model registry`,
+            type: 'proxy_error'
+          }
+        });
+      }
+      model = modelEntry.model;
+
       // Validate request body
       if (!req.body || !req.body.messages) {
         return res.status(400).json({
@@ -132,98 +214,77 @@ function createProxyServer(kInstance) {
         });
       }
 
-      // Transform Claude format to OpenRouter format
-      // No system prompt modification - let the model identify itself naturally
-      const openRouterRequest = {
-        model: model,
-        messages: req.body.messages,
-        max_tokens: req.body.max_tokens || maxTokensMap[kInstance] || 16000,
-        temperature: req.body.temperature || 0.7,
-        stream: false // Force non-streaming for simplicity
-      };
-
-      // Enable reasoning for thinking models
-      if (kInstance === 'k1') {
-        // Claude Sonnet 4.5 uses reasoning parameter
-        openRouterRequest.reasoning = {
-          effort: 'high'  // Maximum reasoning capability
-        };
+      const provider = resolveProvider(modelEntry);
+      providerLabel = provider.label;
+      if (provider.missingApiKey) {
+        return res.status(503).json({
+          error: {
+            message: `Model ${kInstance} (${model}) is not configured: set ${provider.apiKeyEnv} to use the ${provider.label} provider`,
+            type: 'proxy_error'
+          }
+        });
       }
-      // Note: k7 (Kimi K2) reasoning is enabled by default via :thinking suffix
 
-      console.log(`[${new Date().toISOString()}] ${kInstance} -> OpenRouter: ${model}${openRouterRequest.reasoning ? ' [reasoning: high]' : ''}`);
+      const streaming = req.body.stream === true;
+      const upstreamRequest = provider.format === 'anthropic' ?
+        buildAnthropicRequest(req.body, modelEntry, provider, streaming) :
+        buildOpenAIRequest(req.body, modelEntry, provider, streaming);
 
-      // Sign outgoing request if enabled
-      const requestHeaders = {
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'http://localhost:' + port,
-        'X-Title': `Debate Consensus MCP - ${kInstance}`
-      };
+      const reasoningLabel = upstreamRequest.reasoning ? ` [reasoning: ${upstreamRequest.reasoning.effort || 'on'}]` :
+        upstreamRequest.reasoning_effort ? ` [reasoning: ${upstreamRequest.reasoning_effort}]` :
+        upstreamRequest.thinking ? ' [thinking]' : '';
+      console.log(`[${new Date().toISOString()}] ${kInstance} -> ${provider.label}: ${model}${reasoningLabel}`);
+
+      const requestHeaders = buildProviderHeaders(provider, {
+        port: PROXY_PORT,
+        title: `Debate Consensus MCP - ${kInstance}`
+      });
 
       // Add signature headers for enhanced security
-      if (process.env.SIGN_OUTGOING_REQUESTS === 'true') {
+      if (process.env.SIGN_OUTGOING_REQUESTS === 'true' && provider.apiKey) {
         const signatureData = security.signOutgoingRequest(
           'POST',
-          'https://openrouter.ai/api/v1/chat/completions',
-          openRouterRequest,
-          OPENROUTER_API_KEY
+          provider.url,
+          upstreamRequest,
+          provider.apiKey
         );
         Object.assign(requestHeaders, signatureData.headers);
       }
 
-      // Make request to OpenRouter
+      if (streaming) {
+        return await streamFromProvider(req, res, provider, upstreamRequest, requestHeaders, modelEntry);
+      }
+
       const response = await axios.post(
-        'https://openrouter.ai/api/v1/chat/completions',
-        openRouterRequest,
+        provider.url,
+        upstreamRequest,
         {
           headers: requestHeaders,
           timeout: TIMEOUT_MS
         }
       );
 
-      // Log which model OpenRouter actually used
+      // Log which model the provider actually used
       const usedModel = response.headers['x-openrouter-model'] || response.data.model || model;
-      console.log(`[${new Date().toISOString()}] ${kInstance} -> OpenRouter used model: ${usedModel}`);
+      console.log(`[${new Date().toISOString()}] ${kInstance} -> ${provider.label} used model: ${usedModel}`);
 
       // Verify we got the correct model (warn if different)
       if (usedModel !== model) {
-        console.warn(`⚠️  WARNING: Requested ${model} but OpenRouter used ${usedModel}`);
-      }
-
-      // Transform OpenRouter response to Claude format
-      if (!response.data.choices || !response.data.choices[0]) {
-        throw new Error(`Invalid OpenRouter response: ${JSON.stringify(response.data).substring(0, 200)}`);
-      }
-
-      // Get content from response, handle different formats
-      let messageContent = response.data.choices[0].message.content;
-
-      // If content is empty or just whitespace, provide a default
-      if (!messageContent || messageContent.trim() === '') {
-        messageContent = 'Model response was empty. Please try rephrasing the question.';
+        console.warn(`⚠️  WARNING: Requested ${model} but ${provider.label} used ${usedModel}`);
       }
 
-      // Sanitize output to remove any sensitive information
-      messageContent = security.sanitizeOutput(messageContent);
-
-      const claudeResponse = {
-        id: response.data.id,
-        type: 'message',
-        role: 'assistant',
-        content: [{
-          type: 'text',
-          text: messageContent
-        }],
-        model: model,
-        stop_reason: response.data.choices[0].finish_reason,
-        usage: {
-          input_tokens: response.data.usage?.prompt_tokens || 0,
-          output_tokens: response.data.usage?.completion_tokens || 0
-        }
-      };
-
-      console.log(`[${new Date().toISOString()}] ${kInstance} response: ${claudeResponse.content[0].text.length} chars`);
+      // Transform the response to Claude format, sanitizing text to remove any sensitive information
+      const sanitize = (text) => security.sanitizeOutput(text);
+      const claudeResponse = provider.format === 'anthropic' ?
+        sanitizeAnthropicMessage(response.data, sanitize) :
+        translateResponse(response.data, { model, sanitize });
+
+      const textLength = claudeResponse.content
+        .filter(block => block.type === 'text')
+        .reduce((total, block) => total + block.text.length, 0);
+      const toolUses = claudeResponse.content.filter(block => block.type === 'tool_use').length;
+      console.log(`[${new Date().toISOString()}] ${kInstance} response: ${textLength} chars${toolUses ? `, ${toolUses} tool call(s)` : ''}`);
+      recordUsage(req, kInstance, modelEntry, response.data.usage);
       res.json(claudeResponse);
 
     } catch (error) {
@@ -252,6 +313,18 @@ function createProxyServer(kInstance) {
         clientIp: req.ip
       });
 
+      // Stream already started: report the failure as an SSE error event
+      if (res.headersSent) {
+        if (!res.writableEnded) {
+          res.write(formatSSEEvent({
+            type: 'error',
+            error: { type: 'api_error', message: security.sanitizeOutput(error.message) }
+          }));
+          res.end();
+        }
+        return;
+      }
+
       // Sanitize error message
       const sanitizedErrorMessage = security.sanitizeOutput(
         error.response?.data?.error?.message || error.message
@@ -263,7 +336,7 @@ function createProxyServer(kInstance) {
                    errorType === 'authentication' ? 'Invalid API key' :
                    errorType === 'authorization' ? 'Access denied to model' :
                    errorType === 'rate_limit' ? 'Rate limit exceeded' :
-                   errorType === 'server_error' ? 'OpenRouter server error' :
+                   errorType === 'server_error' ? `${providerLabel} server error` :
                    sanitizedErrorMessage}`,
           type: 'proxy_error',
           details: errorDetails
@@ -273,12 +346,15 @@ function createProxyServer(kInstance) {
   });
 
   // Simple health check (no authentication required)
-  app.get('/health', (req, res) => {
+  router.get('/health', (req, res) => {
+    const modelEntry = registry.get(kInstance);
     res.json({
-      status: 'ok',
+      status: modelEntry ? 'ok' : 'disabled',
       instance: kInstance,
-      model: model,
-      port: port,
+      model: modelEntry ? modelEntry.model : model,
+      path: `/${kInstance}`,
+      port: PROXY_PORT,
+      legacyPort: LEGACY_PORTS ? legacyPort : undefined,
       timestamp: new Date().toISOString(),
       security: {
         requestSigning: security.ENABLE_REQUEST_SIGNING,
@@ -289,8 +365,19 @@ function createProxyServer(kInstance) {
   });
 
   // Deep health check that actually tests the model
-  app.post('/health/test', async (req, res) => {
+  router.post('/health/test', async (req, res) => {
+    const modelEntry = registry.get(kInstance);
+    model = modelEntry?.model || model;
     try {
+      if (!modelEntry) {
+        throw new Error(`Model ${kInstance} is not enabled in the model registry`);
+      }
+
+      const provider = resolveProvider(modelEntry);
+      if (provider.missingApiKey) {
+        throw new Error(`${provider.apiKeyEnv} is not set`);
+      }
+
       const testRequest = {
         model: model,
         messages: [{
@@ -302,15 +389,13 @@ function createProxyServer(kInstance) {
         stream: false
       };
 
-      const requestHeaders = {
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'http://localhost:' + port,
-        'X-Title': `Health Check - ${kInstance}`
-      };
+      const requestHeaders = buildProviderHeaders(provider, {
+        port: PROXY_PORT,
+        title: `Health Check - ${kInstance}`
+      });
 
       const response = await axios.post(
-        'https://openrouter.ai/api/v1/chat/completions',
+        provider.url,
         testRequest,
         {
           headers: requestHeaders,
@@ -318,11 +403,16 @@ function createProxyServer(kInstance) {
         }
       );
 
+      const text = provider.format === 'anthropic' ?
+        response.data.content?.find(block => block.type === 'text')?.text :
+        response.data.choices?.[0]?.message?.content;
+
       res.json({
         status: 'healthy',
         instance: kInstance,
         model: model,
-        response: security.sanitizeOutput(response.data.choices?.[0]?.message?.content || 'No response'),
+        provider: provider.name,
+        response: security.sanitizeOutput(text || 'No response'),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -337,7 +427,7 @@ function createProxyServer(kInstance) {
   });
 
   // Security status endpoint (no authentication required for monitoring)
-  app.get('/security/status', (req, res) => {
+  router.get('/security/status', (req, res) => {
     res.json({
       instance: kInstance,
       security: security.getSecurityStatus(),
@@ -345,23 +435,212 @@ function createProxyServer(kInstance) {
     });
   });
 
-  return { app, port };
+  // Per-model request metrics (no authentication required for monitoring)
+  router.get('/metrics', (req, res) => {
+    res.json({
+      instance: kInstance,
+      metrics: metrics.snapshot(kInstance),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
 }
 
-// Start proxy servers for all k instances
+/**
+ * Relay a streamed upstream response to the client as Anthropic SSE events.
+ * OpenAI-format streams are translated; Anthropic streams are relayed with text sanitized.
+ */
+async function streamFromProvider(req, res, provider, upstreamRequest, requestHeaders, modelEntry) {
+  const kInstance = modelEntry.alias;
+  const controller = new AbortController();
+
+  // Stop the upstream request if the Claude CLI disconnects
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const response = await axios.post(
+    provider.url,
+    upstreamRequest,
+    {
+      headers: requestHeaders,
+      timeout: TIMEOUT_MS,
+      responseType: 'stream',
+      signal: controller.signal
+    }
+  );
+
+  const sanitize = (text) => security.sanitizeOutput(text);
+  const translator = provider.format === 'anthropic' ?
+    new AnthropicEventRelay({ sanitize }) :
+    new AnthropicStreamTranslator({ model: upstreamRequest.model, sanitize });
+  const parser = new SSEParser();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (events) => {
+    for (const event of events) {
+      res.write(formatSSEEvent(event));
+    }
+  };
+
+  send(translator.start());
+
+  await new Promise((resolve, reject) => {
+    response.data.on('data', (chunk) => {
+      for (const payload of parser.push(chunk)) {
+        if (payload.error) {
+          send(translator.error(security.sanitizeOutput(payload.error.message || 'Upstream error')));
+          continue;
+        }
+        send(translator.handleChunk(payload));
+      }
+    });
+    response.data.on('end', resolve);
+    response.data.on('error', reject);
+  });
+
+  for (const payload of parser.flush()) {
+    send(translator.handleChunk(payload));
+  }
+  send(translator.finish());
+  res.end();
+
+  recordUsage(req, kInstance, modelEntry, translator.usage, translator.reportedCost);
+
+  const toolUses = translator.toolCalls.size;
+  console.log(`[${new Date().toISOString()}] ${kInstance} streamed response: ${translator.emittedChars} chars${toolUses ? `, ${toolUses} tool call(s)` : ''}`);
+}
+
+// One router per k-instance, shared by the multiplexed server and legacy ports
+const multiplexer = new ProxyMultiplexer();
 const servers = [];
 
-Object.keys(modelMap).forEach(kInstance => {
-  const { app, port } = createProxyServer(kInstance);
+function createMultiplexedServer() {
+  const app = createBaseApp();
+
+  // Aggregate health of every model (no authentication required)
+  app.get('/health', (req, res) => {
+    const models = {};
+    for (const entry of registry.list({ includeDisabled: true })) {
+      models[entry.alias] = {
+        status: entry.enabled ? 'ok' : 'disabled',
+        model: entry.model,
+        provider: entry.provider,
+        path: `/${entry.alias}`,
+        legacyPort: LEGACY_PORTS ? entry.port : undefined
+      };
+    }
+
+    res.json({
+      status: 'ok',
+      port: PROXY_PORT,
+      legacyPorts: LEGACY_PORTS,
+      models,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.json({
+      metrics: metrics.snapshot(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Provider-reported token usage: totals, or one debate's usage by model
+  app.get('/usage', (req, res) => {
+    res.json({
+      usage: usageLedger.summary(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.get('/usage/:debateId', (req, res) => {
+    const usage = usageLedger.get(req.params.debateId);
+    if (!usage) {
+      return res.status(404).json({
+        error: {
+          message: `No usage recorded for debate ${req.params.debateId}`,
+          type: 'proxy_error'
+        }
+      });
+    }
+    res.json({ usage, timestamp: new Date().toISOString() });
+  });
+
+  // /k3/v1/messages, or /v1/messages with an X-K-Model: k3 header
+  app.use(multiplexer.middleware());
+
+  app.use((req, res) => {
+    res.status(404).json({
+      error: {
+        message: `No model selected: use /<alias>${req.path} or the ${MODEL_HEADER} header (models: ${multiplexer.aliases().join(', ')})`,
+        type: 'proxy_error'
+      }
+    });
+  });
+
+  const server = app.listen(PROXY_PORT, '0.0.0.0', () => {
+    console.log(`✅ K-Proxy running on http://0.0.0.0:${PROXY_PORT} (${multiplexer.aliases().join(', ')})`);
+  });
+
+  // Set server timeout
+  server.timeout = TIMEOUT_MS + 10000; // Add 10 seconds buffer
+
+  servers.push({ instance: 'multiplexed', server, port: PROXY_PORT });
+}
+
+/**
+ * Serve one model on its own registry port (PROXY_LEGACY_PORTS=true)
+ */
+function startLegacyServer(kInstance) {
+  const port = registry.get(kInstance).port;
+  if (!port) {
+    console.warn(`⚠️  ${kInstance} has no port in the model registry - only available at /${kInstance}`);
+    return;
+  }
+
+  const app = createBaseApp();
+  app.use(multiplexer.routers.get(kInstance));
 
   const server = app.listen(port, '0.0.0.0', () => {
-    console.log(`✅ ${kInstance} proxy running on http://0.0.0.0:${port} -> ${modelMap[kInstance]}`);
+    console.log(`✅ ${kInstance} proxy running on http://0.0.0.0:${port} -> ${registry.get(kInstance).model}`);
   });
 
   // Set server timeout
   server.timeout = TIMEOUT_MS + 10000; // Add 10 seconds buffer
 
   servers.push({ instance: kInstance, server, port });
+}
+
+function registerModel(kInstance) {
+  multiplexer.register(kInstance, createModelRouter(kInstance));
+  if (LEGACY_PORTS) {
+    startLegacyServer(kInstance);
+  }
+}
+
+registry.list().forEach(entry => registerModel(entry.alias));
+createMultiplexedServer();
+
+// Register aliases added to the registry while running; existing models keep serving
+registry.onChange((current) => {
+  for (const entry of current) {
+    if (entry.enabled && !multiplexer.has(entry.alias)) {
+      console.log(`➕ ${entry.alias} added to model registry`);
+      registerModel(entry.alias);
+    }
+  }
 });
 
 // Graceful shutdown
@@ -400,16 +679,13 @@ process.on('unhandledRejection', (reason, promise) => {
   // Don't exit for unhandled rejections, just log them
 });
 
-console.log('\n📡 K-Proxy Server Status:');
-console.log('k1 (Claude 4.5 Think):   http://localhost:3457 [64K tokens + reasoning]');
-console.log('k2 (GPT-5.1-Codex):      http://localhost:3458 [128K tokens + coding]');
-console.log('k3 (Qwen 3 Max):         http://localhost:3459 [32K tokens]');
-console.log('k4 (Gemini 3 Pro):       http://localhost:3460 [1M tokens]');
-console.log('k5 (Grok 4 Fast):        http://localhost:3461 [30K tokens]');
-console.log('k6 (GPT-5 Max Think):    http://localhost:3462 [128K tokens]');
-console.log('k7 (Kimi K2 Thinking):   http://localhost:3463 [256K tokens + tools]');
-console.log('k8 (GLM-4.6):            http://localhost:3464 [200K tokens]');
-console.log('k9 (Claude Opus 4.1):    http://localhost:3465 [200K tokens]');
+console.log(`\n📡 K-Proxy Server Status (http://localhost:${PROXY_PORT}):`);
+registry.list().forEach(entry => {
+  const label = `${entry.alias} (${entry.shortName}):`.padEnd(24);
+  const extras = entry.reasoning ? ' + reasoning' : '';
+  const legacy = LEGACY_PORTS && entry.port ? ` (legacy: http://localhost:${entry.port})` : '';
+  console.log(`${label} /${entry.alias}${legacy} [${Math.round(entry.maxTokens / 1000)}K tokens${extras}]`);
+});
 console.log(`\nTimeout: ${DEBATE_TIMEOUT_MINUTES} minutes per request (configurable via DEBATE_TIMEOUT_MINUTES env var)`);
 console.log('Security Features: Request signing, Rate limiting, Security headers, Audit logging');
 console.log('All models configured with MAXIMUM token limits for highest quality');
@@ -39,7 +39,7 @@ class SetupManager {
             'k3-wrapper.sh', 
             'k4-wrapper.sh'
         ];
-        this.PROXY_PORT = 3456;
+        this.PROXY_PORT = parseInt(process.env.PROXY_PORT) || 3456;
         this.setupComplete = false;
     }
 
@@ -179,7 +179,7 @@ DEBUG=false
 # Auto-generated wrapper script for k${kNumber}
 # This script routes Claude CLI calls through the k-proxy server
 
-export ANTHROPIC_API_URL="http://localhost:${3456 + parseInt(kNumber)}/v1"
+export ANTHROPIC_BASE_URL="http://localhost:${this.PROXY_PORT}/k${kNumber}"
 export ANTHROPIC_API_KEY="proxy-key-k${kNumber}"
 
 # Execute Claude CLI with all arguments
@@ -227,7 +227,7 @@ exec claude "$@"
             proxyProcess.stdout.on('data', (data) => {
                 startupOutput += data.toString();
                 
-                if (startupOutput.includes('proxy running on http://localhost') && !resolved) {
+                if (startupOutput.includes('K-Proxy running on http://') && !resolved) {
                     resolved = true;
                     console.log('   ✅ K-Proxy server started successfully');
                     console.log(`   🔗 URL: http://localhost:${this.PROXY_PORT}`);
@@ -134,19 +134,18 @@ check_prerequisites() {
 system_health_check() {
     print_header "SYSTEM HEALTH CHECK"
 
-    # Check if proxy servers are running
+    # One proxy serves every model on PROXY_PORT
     print_info "Checking proxy server status..."
 
+    local proxy_port=${PROXY_PORT:-3456}
     local proxy_running=false
-    for port in 3457 3458 3459 3460 3461; do
-        if nc -z localhost $port 2>/dev/null; then
-            print_info "Proxy server running on port $port"
-            proxy_running=true
-        fi
-    done
+    if curl -sf "http://localhost:$proxy_port/health" > /dev/null 2>&1; then
+        print_info "Proxy server running on port $proxy_port"
+        proxy_running=true
+    fi
 
     if [[ "$proxy_running" == "false" ]]; then
-        print_warning "No proxy servers detected - starting k-proxy-server..."
+        print_warning "No proxy server detected - starting k-proxy-server..."
         log_command "node k-proxy-server.js &"
         node k-proxy-server.js > "$LOG_DIR/proxy-server-$TIMESTAMP.log" 2>&1 &
         local proxy_pid=$!
@@ -155,7 +154,7 @@ system_health_check() {
         # Wait for proxy server to start
         sleep 5
 
-        if nc -z localhost 3457 2>/dev/null; then
+        if curl -sf "http://localhost:$proxy_port/health" > /dev/null 2>&1; then
             print_success "Proxy server started successfully"
         else
             print_error "Failed to start proxy server"
@@ -118,16 +118,19 @@ echo -e "\n${CYAN}🌐 Proxy Server Status${NC}"
 echo "======================"
 
 PROXY_RUNNING=false
-PROXY_PORTS=(3457 3458 3459 3460 3463 3464)
-
-for port in "${PROXY_PORTS[@]}"; do
-    if check_port "$port"; then
-        log_message "INFO" "Proxy server running on port $port"
-        PROXY_RUNNING=true
-    else
-        log_message "WARN" "No proxy server on port $port"
-    fi
-done
+# One proxy serves every model under /<alias> on PROXY_PORT
+PROXY_PORT=${PROXY_PORT:-$(grep -s "^PROXY_PORT=" .env | cut -d'=' -f2)}
+PROXY_PORT=${PROXY_PORT:-3456}
+PROXY_URL="http://localhost:$PROXY_PORT"
+MODEL_ALIAS=$(node -e "import('./src/models/model-registry.js').then(m => console.log(m.getModelRegistry().aliases()[0]))" 2>/dev/null)
+MODEL_ALIAS=${MODEL_ALIAS:-k1}
+
+if check_port "$PROXY_PORT"; then
+    log_message "INFO" "Proxy server running on port $PROXY_PORT"
+    PROXY_RUNNING=true
+else
+    log_message "WARN" "No proxy server on port $PROXY_PORT"
+fi
 
 if [ "$PROXY_RUNNING" = false ]; then
     log_message "INFO" "Starting proxy server..."
@@ -139,7 +142,7 @@ if [ "$PROXY_RUNNING" = false ]; then
     sleep 10
 
     # Check if proxy started successfully
-    if check_port 3457; then
+    if check_port "$PROXY_PORT"; then
         log_message "INFO" "Proxy server started successfully (PID: $PROXY_PID)"
         STARTED_PROXY=true
     else
@@ -246,7 +249,7 @@ SECURITY_HEADERS=(
 HEADERS_OK=true
 
 for header in "${SECURITY_HEADERS[@]}"; do
-    if curl -s -I "http://localhost:3457/health" | grep -i "$header" > /dev/null; then
+    if curl -s -I "$PROXY_URL/health" | grep -i "$header" > /dev/null; then
         echo "✅ $header: Present"
         log_message "PASS" "Security header present: $header"
     else
@@ -269,11 +272,11 @@ echo "============================"
 
 log_message "INFO" "Testing security status endpoint"
 
-if curl -s "http://localhost:3457/security/status" | jq . > /dev/null 2>&1; then
+if curl -s "$PROXY_URL/$MODEL_ALIAS/security/status" | jq . > /dev/null 2>&1; then
     echo "✅ Security status endpoint is accessible"
 
     # Extract security configuration
-    SECURITY_STATUS=$(curl -s "http://localhost:3457/security/status")
+    SECURITY_STATUS=$(curl -s "$PROXY_URL/$MODEL_ALIAS/security/status")
 
     echo "Security Configuration:"
     echo "$SECURITY_STATUS" | jq '.security' 2>/dev/null || echo "Could not parse security status"
@@ -300,7 +303,7 @@ VULN_COUNT=0
 SENSITIVE_FILES=(".env" "config.json" "secrets.json" "private.key")
 
 for file in "${SENSITIVE_FILES[@]}"; do
-    if curl -s -f "http://localhost:3457/$file" > /dev/null 2>&1; then
+    if curl -s -f "$PROXY_URL/$file" > /dev/null 2>&1; then
         echo "⚠️  Sensitive file exposed: $file"
         log_message "VULN" "Sensitive file exposed: $file"
         ((VULN_COUNT++))
@@ -308,7 +311,7 @@ for file in "${SENSITIVE_FILES[@]}"; do
 done
 
 # Check for directory traversal
-if curl -s "http://localhost:3457/../../../etc/passwd" | grep "root:" > /dev/null 2>&1; then
+if curl -s "$PROXY_URL/../../../etc/passwd" | grep "root:" > /dev/null 2>&1; then
     echo "⚠️  Directory traversal vulnerability detected"
     log_message "VULN" "Directory traversal vulnerability"
     ((VULN_COUNT++))
@@ -318,7 +321,7 @@ fi
 SQL_PAYLOADS=("1' OR '1'='1" "1; DROP TABLE users--" "' UNION SELECT * FROM users--")
 
 for payload in "${SQL_PAYLOADS[@]}"; do
-    if curl -s "http://localhost:3457/health?test=$payload" | grep -i "sql\|error\|exception" > /dev/null 2>&1; then
+    if curl -s "$PROXY_URL/health?test=$payload" | grep -i "sql\|error\|exception" > /dev/null 2>&1; then
         echo "⚠️  Potential SQL injection vulnerability with payload: $payload"
         log_message "VULN" "Potential SQL injection: $payload"
         ((VULN_COUNT++))
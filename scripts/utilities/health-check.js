@@ -15,6 +15,7 @@ import os from 'os';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { getModelRegistry } from '../../src/models/model-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -149,57 +150,54 @@ class HealthCheck {
   }
 
   async checkProxyServer() {
-    // All 7 proxy servers with their ports and model aliases
-    const proxyServers = [
-      { alias: 'k1', port: 3457, model: 'Claude Sonnet 4.5' },
-      { alias: 'k2', port: 3458, model: 'GPT-5.1-Codex' },
-      { alias: 'k3', port: 3459, model: 'Qwen 3 Max' },
-      { alias: 'k4', port: 3460, model: 'Gemini 2.5 Pro' },
-      { alias: 'k5', port: 3461, model: 'Grok 4 Fast' },
-      { alias: 'k7', port: 3463, model: 'DeepSeek R1' },
-      { alias: 'k8', port: 3464, model: 'GLM-4.5' }
-    ];
-
-    let runningCount = 0;
-    const failedServers = [];
-
-    for (const server of proxyServers) {
-      const isRunning = await this.checkPort(server.port);
-      if (isRunning) {
-        runningCount++;
-        this.log(`  - ${server.alias} (${server.model}) on port ${server.port} ✓`, 'success');
-      } else {
-        failedServers.push(server);
-        this.log(`  - ${server.alias} (${server.model}) on port ${server.port} ✗`, 'warning');
-      }
-    }
+    // One proxy serves every model in config/models.json under /<alias> on PROXY_PORT
+    const port = parseInt(process.env.PROXY_PORT) || 3456;
+    const models = getModelRegistry().list();
+    const health = await this.fetchHealth(port);
 
-    if (runningCount === proxyServers.length) {
-      this.results.passed.push('All 7 proxy servers running');
-      this.log(`All ${proxyServers.length} proxy servers running ✓`, 'success');
-      return true;
-    } else if (runningCount > 0) {
-      this.results.warnings.push(`Only ${runningCount}/${proxyServers.length} proxy servers running`);
-      this.log(`${runningCount}/${proxyServers.length} proxy servers running`, 'warning');
-      this.log('Missing servers: ' + failedServers.map(s => `${s.alias} (${s.port})`).join(', '), 'warning');
-      return true;
-    } else {
-      this.results.warnings.push('No proxy servers running');
-      this.log('❌ No proxy servers detected!', 'error');
+    if (!health) {
+      this.results.warnings.push('Proxy server not running');
+      this.log(`❌ No proxy server detected on port ${port}!`, 'error');
       this.log('', 'info');
       this.log('Possible causes:', 'warning');
       this.log('  1. k-proxy-server.js not started', 'info');
       this.log('  2. Server crashed during startup', 'info');
-      this.log('  3. Ports already in use (check: lsof -i :3457-3464)', 'info');
+      this.log(`  3. Port already in use (check: lsof -i :${port})`, 'info');
       this.log('  4. Missing OPENROUTER_API_KEY in .env', 'info');
       this.log('', 'info');
       this.log('To start: node k-proxy-server.js', 'warning');
       this.log('To debug: ps aux | grep k-proxy-server', 'info');
       return false;
     }
+
+    this.log(`Proxy server running on port ${port} ✓`, 'success');
+
+    const missing = [];
+    for (const model of models) {
+      const status = health.models?.[model.alias]?.status;
+      if (status === 'ok') {
+        this.log(`  - ${model.alias} (${model.name}) at /${model.alias} ✓`, 'success');
+      } else {
+        missing.push(model.alias);
+        this.log(`  - ${model.alias} (${model.name}) ${status || 'not served'} ✗`, 'warning');
+      }
+    }
+
+    if (missing.length === 0) {
+      this.results.passed.push(`Proxy serving all ${models.length} models`);
+      this.log(`All ${models.length} models available ✓`, 'success');
+    } else {
+      this.results.warnings.push(`Proxy serving ${models.length - missing.length}/${models.length} models`);
+      this.log('Unavailable models: ' + missing.join(', '), 'warning');
+      this.log('Restart the proxy after editing config/models.json', 'info');
+    }
+    return true;
   }
 
-  async checkPort(port) {
+  /**
+   * The proxy's aggregate /health response, or null when it doesn't answer
+   */
+  async fetchHealth(port) {
     return new Promise((resolve) => {
       const req = http.request({
         hostname: 'localhost',
@@ -208,13 +206,22 @@ class HealthCheck {
         method: 'GET',
         timeout: 1000
       }, (res) => {
-        resolve(res.statusCode === 200);
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => {
+          if (res.statusCode !== 200) return resolve(null);
+          try {
+            resolve(JSON.parse(body));
+          } catch {
+            resolve(null);
+          }
+        });
       });
       
-      req.on('error', () => resolve(false));
+      req.on('error', () => resolve(null));
       req.on('timeout', () => {
         req.destroy();
-        resolve(false);
+        resolve(null);
       });
       
       req.end();
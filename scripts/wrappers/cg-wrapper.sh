@@ -6,15 +6,19 @@
 # Get script directory
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 
-# Configuration
-PROXY_PORT=3460  # Same as k4 (Gemini 3 Pro Preview)
+# Configuration: same model as k4 (Gemini 3 Pro Preview)
 MODEL_NAME="Gemini 3 Pro Preview"
+if [ "$PROXY_LEGACY_PORTS" = "true" ]; then
+    PROXY_URL="http://localhost:3460"
+else
+    PROXY_URL="http://localhost:${PROXY_PORT:-3456}/k4"
+fi
 
 echo "🤖 cg ($MODEL_NAME) - Starting..." >&2
 
 # Check if proxy is running
-if ! curl -s "http://localhost:$PROXY_PORT/health" > /dev/null 2>&1; then
-    echo "Error: Proxy server not running on port $PROXY_PORT." >&2
+if ! curl -s "$PROXY_URL/health" > /dev/null 2>&1; then
+    echo "Error: Proxy server not reachable at $PROXY_URL." >&2
     echo "Start with: node $SCRIPT_DIR/k-proxy-server.js &" >&2
     exit 1
 fi
@@ -27,7 +31,7 @@ fi
 
 # Set environment for proxy
 export CLAUDE_CONFIG_DIR="$HOME/.claude-cg"
-export ANTHROPIC_BASE_URL="http://localhost:$PROXY_PORT"
+export ANTHROPIC_BASE_URL="$PROXY_URL"
 export ANTHROPIC_AUTH_TOKEN="${OPENROUTER_API_KEY}"
 # Unset API_KEY to avoid conflict with AUTH_TOKEN
 unset ANTHROPIC_API_KEY
@@ -35,10 +39,10 @@ unset ANTHROPIC_API_KEY
 # Use Claude CLI with proxy
 CLAUDE_CLI_PATH="$HOME/.claude/local/claude"
 if [ -f "$CLAUDE_CLI_PATH" ]; then
-    echo "  📡 Using Claude CLI + Gemini proxy on port $PROXY_PORT" >&2
+    echo "  📡 Using Claude CLI + Gemini proxy at $PROXY_URL" >&2
     exec "$CLAUDE_CLI_PATH" --dangerously-skip-permissions "$@"
 elif command -v claude >/dev/null 2>&1; then
-    echo "  📡 Using Claude CLI + Gemini proxy on port $PROXY_PORT" >&2
+    echo "  📡 Using Claude CLI + Gemini proxy at $PROXY_URL" >&2
     exec claude --dangerously-skip-permissions "$@"
 else
     echo "Error: Claude CLI not found. Install it first." >&2
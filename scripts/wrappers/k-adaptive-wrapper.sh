@@ -2,23 +2,28 @@
 
 # Adaptive K-wrapper: Automatically chooses native CLI or proxy based on availability
 # Usage: ./k-adaptive-wrapper.sh <k-alias> [arguments]
-# Supports: k1-k9 models with intelligent fallback to proxy when native CLI unavailable
+# Supports: any alias in config/models.json, with intelligent fallback to proxy when native CLI unavailable
 
 set -e
 
-# Get the k-alias (k1-k9)
+# Get the k-alias (k1, k2, ...)
 K_ALIAS="$1"
 shift # Remove first argument, pass rest to CLI
 
 # Validate k-alias
-if [[ ! "$K_ALIAS" =~ ^k[1-9]$ ]]; then
-    echo "Error: Invalid k-alias '$K_ALIAS'. Expected k1-k9" >&2
+if [[ ! "$K_ALIAS" =~ ^k[0-9]+$ ]]; then
+    echo "Error: Invalid k-alias '$K_ALIAS'. Expected k<number>" >&2
     exit 1
 fi
 
 # Base directory
 BASE_DIR="$(dirname "$0")"
 CONFIG_FILE="$BASE_DIR/cli-config.json"
+REGISTRY_FILE="${MODEL_REGISTRY_PATH:-$BASE_DIR/config/models.json}"
+
+# The k-proxy serves every model from one port under /<alias>; with
+# PROXY_LEGACY_PORTS=true each model is also reachable on its own port
+MUX_PORT="${PROXY_PORT:-3456}"
 
 # Check if config exists
 if [ ! -f "$CONFIG_FILE" ]; then
@@ -32,18 +37,36 @@ if command -v jq >/dev/null 2>&1; then
     NATIVE_CLI=$(jq -r ".cli_preferences.$K_ALIAS.native_cli" "$CONFIG_FILE")
     NATIVE_AVAILABLE=$(jq -r ".cli_preferences.$K_ALIAS.native_available" "$CONFIG_FILE")
     FALLBACK_TO_PROXY=$(jq -r ".cli_preferences.$K_ALIAS.fallback_to_proxy" "$CONFIG_FILE")
-    PROXY_PORT=$(jq -r ".global_settings.proxy_ports.$K_ALIAS" "$CONFIG_FILE")
+    MODEL_PORT=$(jq -r ".global_settings.proxy_ports.$K_ALIAS" "$CONFIG_FILE")
     MODEL_NAME=$(jq -r ".cli_preferences.$K_ALIAS.name" "$CONFIG_FILE")
     USE_DEFAULT_MODEL=$(jq -r ".cli_preferences.$K_ALIAS.native_use_default_model // false" "$CONFIG_FILE")
 else
-    # Fallback to Python for JSON parsing
-    PREFER_NATIVE=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['prefer_native'])")
-    NATIVE_CLI=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['native_cli'])")
-    NATIVE_AVAILABLE=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS'].get('native_available', 'false'))")
-    FALLBACK_TO_PROXY=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['fallback_to_proxy'])")
-    PROXY_PORT=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['global_settings']['proxy_ports']['$K_ALIAS'])")
-    MODEL_NAME=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['name'])")
-    USE_DEFAULT_MODEL=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS'].get('native_use_default_model', False))")
+    # Fallback to Python for JSON parsing (skipped for aliases only defined in the model registry)
+    if python3 -c "import json, sys; sys.exit(0 if '$K_ALIAS' in json.load(open('$CONFIG_FILE'))['cli_preferences'] else 1)"; then
+        PREFER_NATIVE=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['prefer_native'])")
+        NATIVE_CLI=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['native_cli'])")
+        NATIVE_AVAILABLE=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS'].get('native_available', 'false'))")
+        FALLBACK_TO_PROXY=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['fallback_to_proxy'])")
+        MODEL_PORT=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['global_settings']['proxy_ports']['$K_ALIAS'])")
+        MODEL_NAME=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS']['name'])")
+        USE_DEFAULT_MODEL=$(python3 -c "import json; print(json.load(open('$CONFIG_FILE'))['cli_preferences']['$K_ALIAS'].get('native_use_default_model', False))")
+    fi
+fi
+
+# Aliases without a cli-config.json entry (e.g. newly added to the model registry) use the proxy
+if [ -z "$MODEL_PORT" ] || [ "$MODEL_PORT" = "null" ] || [ "$MODEL_PORT" = "None" ]; then
+    if [ ! -f "$REGISTRY_FILE" ]; then
+        echo "Error: $K_ALIAS not found in $CONFIG_FILE and model registry $REGISTRY_FILE is missing" >&2
+        exit 1
+    fi
+    MODEL_PORT=$(python3 -c "import json; print(next((m.get('port', '') for m in json.load(open('$REGISTRY_FILE'))['models'] if m['alias'] == '$K_ALIAS'), ''))")
+    MODEL_NAME=$(python3 -c "import json; print(next((m['name'] for m in json.load(open('$REGISTRY_FILE'))['models'] if m['alias'] == '$K_ALIAS'), '$K_ALIAS'))")
+    PREFER_NATIVE="false"
+    FALLBACK_TO_PROXY="true"
+    if [ -z "$MODEL_PORT" ] && [ "$PROXY_LEGACY_PORTS" = "true" ]; then
+        echo "Error: $K_ALIAS has no proxy port in $REGISTRY_FILE" >&2
+        exit 1
+    fi
 fi
 
 echo "🤖 $K_ALIAS ($MODEL_NAME) - Checking available options..." >&2
@@ -102,17 +125,23 @@ check_native_cli() {
 
 # Function to run via proxy
 run_via_proxy() {
-    echo "  📡 Using Claude CLI + proxy on port $PROXY_PORT" >&2
+    if [ "$PROXY_LEGACY_PORTS" = "true" ]; then
+        PROXY_URL="http://localhost:$MODEL_PORT"
+    else
+        PROXY_URL="http://localhost:$MUX_PORT/$K_ALIAS"
+    fi
+
+    echo "  📡 Using Claude CLI + proxy at $PROXY_URL" >&2
 
     # Check if proxy is running
-    if ! curl -s "http://localhost:$PROXY_PORT/health" > /dev/null 2>&1; then
-        echo "Error: Proxy server not running on port $PROXY_PORT. Start with: node $BASE_DIR/k-proxy-server.js" >&2
+    if ! curl -s "$PROXY_URL/health" > /dev/null 2>&1; then
+        echo "Error: Proxy server not reachable at $PROXY_URL. Start with: node $BASE_DIR/k-proxy-server.js" >&2
         exit 1
     fi
 
     # Set environment for proxy
     export CLAUDE_CONFIG_DIR="$HOME/.claude-$K_ALIAS"
-    export ANTHROPIC_BASE_URL="http://localhost:$PROXY_PORT"
+    export ANTHROPIC_BASE_URL="$PROXY_URL"
     export ANTHROPIC_API_KEY="$K_ALIAS-debate-key"
 
     # Use Claude CLI with proxy
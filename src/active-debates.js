@@ -0,0 +1,109 @@
+/**
+ * Active Debate Registry
+ *
+ * Every running debate registers an AbortController under its debate ID.
+ * Cancelling a debate aborts that controller: wrapper processes are killed,
+ * retry loops and verifier calls stop, and the debate rejects with a
+ * DebateCancelledError carrying whatever it had produced so far.
+ */
+
+import logger from './utils/logger.js';
+
+/**
+ * Thrown by a debate that was cancelled. `partial` holds the results
+ * collected before cancellation (e.g. proposals).
+ */
+export class DebateCancelledError extends Error {
+  constructor(debateId, partial = {}) {
+    super(`Debate ${debateId} was cancelled`);
+    this.name = 'DebateCancelledError';
+    this.debateId = debateId;
+    this.partial = partial;
+  }
+}
+
+export class ActiveDebates {
+  constructor() {
+    this.debates = new Map();
+  }
+
+  /**
+   * Register a debate and return the AbortController its calls should observe
+   *
+   * @param {string} debateId - Debate ID
+   * @param {Object} info - Shown in list(): { type, question, projectPath }
+   */
+  start(debateId, info = {}) {
+    if (this.debates.has(debateId)) {
+      throw new Error(`Debate ${debateId} is already running`);
+    }
+
+    const controller = new AbortController();
+    this.debates.set(debateId, {
+      ...info,
+      controller,
+      startedAt: new Date().toISOString()
+    });
+    return controller;
+  }
+
+  /**
+   * Remove a finished (or failed, or cancelled) debate
+   */
+  finish(debateId) {
+    this.debates.delete(debateId);
+  }
+
+  has(debateId) {
+    return this.debates.has(debateId);
+  }
+
+  /**
+   * Running debates, oldest first
+   */
+  list() {
+    return Array.from(this.debates.entries()).map(([debateId, entry]) => ({
+      debateId,
+      type: entry.type,
+      question: entry.question,
+      projectPath: entry.projectPath,
+      startedAt: entry.startedAt,
+      cancelling: entry.controller.signal.aborted
+    }));
+  }
+
+  /**
+   * Cancel a running debate. Returns false when no debate has that ID.
+   */
+  cancel(debateId) {
+    const entry = this.debates.get(debateId);
+    if (!entry) {
+      return false;
+    }
+
+    if (!entry.controller.signal.aborted) {
+      logger.info('Cancelling debate', { debateId });
+      entry.controller.abort(new DebateCancelledError(debateId));
+    }
+    return true;
+  }
+
+  /**
+   * Cancel every running debate (used on shutdown)
+   */
+  cancelAll() {
+    for (const debateId of this.debates.keys()) {
+      this.cancel(debateId);
+    }
+  }
+}
+
+// Shared by every orchestrator in the process
+let activeDebates = null;
+
+export function getActiveDebates() {
+  if (!activeDebates) {
+    activeDebates = new ActiveDebates();
+  }
+  return activeDebates;
+}
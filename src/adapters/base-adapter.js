@@ -7,6 +7,7 @@ import { EventEmitter } from 'events';
 import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { killOnAbort } from '../utils/process-tree.js';
 
 class BaseAdapter extends EventEmitter {
   constructor(config = {}) {
@@ -69,6 +70,7 @@ class BaseAdapter extends EventEmitter {
 
   /**
    * Execute a prompt and get response
+   * options.signal kills the CLI process and stops the retries when aborted
    */
   async execute(prompt, options = {}) {
     const startTime = Date.now();
@@ -76,6 +78,7 @@ class BaseAdapter extends EventEmitter {
     let lastError = null;
 
     while (attempt < this.maxRetries) {
+      options.signal?.throwIfAborted();
       attempt++;
 
       try {
@@ -100,6 +103,7 @@ class BaseAdapter extends EventEmitter {
         });
 
         // Retry with exponential backoff
+        options.signal?.throwIfAborted();
         if (attempt < this.maxRetries) {
           await this.delay(Math.pow(2, attempt) * 1000);
         }
@@ -121,6 +125,7 @@ class BaseAdapter extends EventEmitter {
         env: { ...(typeof process !== 'undefined' ? process.env : {}), ...env },
         timeout: this.timeout
       });
+      killOnAbort(childProcess, options.signal, reject);
 
       let stdout = '';
       let stderr = '';
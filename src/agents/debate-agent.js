@@ -75,7 +75,8 @@ class DebateAgent extends EventEmitter {
         temperature: this.getTemperature(),
         maxTokens: context.maxTokens || 8192,
         enableMCP: this.role === 'architect' || this.role === 'tester',
-        files: context.files || []
+        files: context.files || [],
+        signal: context.signal
       });
 
       // Process response and extract actions
@@ -138,7 +139,8 @@ class DebateAgent extends EventEmitter {
       const result = await this.adapter.execute(prompt, {
         systemPrompt: this.getReviewSystemPrompt(),
         temperature: 0.3, // Lower temperature for more focused review
-        maxTokens: 4096
+        maxTokens: 4096,
+        signal: context.signal
       });
 
       const review = this.parseReview(result.response);
@@ -183,7 +185,8 @@ class DebateAgent extends EventEmitter {
         systemPrompt: this.getImprovementSystemPrompt(),
         projectDir: this.worktree.path,
         temperature: 0.5,
-        maxTokens: 8192
+        maxTokens: 8192,
+        signal: context.signal
       });
 
       const actions = this.parseResponse(result.response);
@@ -249,6 +252,12 @@ Provide your solution with clear code blocks and explanations.
    * Build prompt for review
    */
   buildReviewPrompt(solution, diff, context) {
+    // Results of running the project's tests on the solution, when they ran
+    const testResults = context.testResults ? `
+# Project Test Results
+${context.testResults}
+` : '';
+
     return `
 # Solution to Review
 ${solution}
@@ -257,7 +266,7 @@ ${solution}
 \`\`\`diff
 ${diff}
 \`\`\`
-
+${testResults}
 # Review Focus
 As a ${this.role} with ${this.specialization} expertise, review this solution for:
 1. Correctness and completeness
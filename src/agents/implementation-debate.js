@@ -0,0 +1,743 @@
+/**
+ * Implementation Debates
+ *
+ * Runs the agent/worktree flow behind the implement_debate tool. Each model
+ * gets a DebateAgent working in its own git worktree, branched from the
+ * project's HEAD, and implements the task there. The agents then review each
+ * other's diffs. Where the project has tests, they run in each worktree
+ * first: reviewers see the results, and a candidate's score weighs the share of
+ * passing tests equally with its peer reviews. The best-scored implementation
+ * is improved with the feedback and failing tests it received (an improvement
+ * that fails more tests is rolled back) and, on request, merged with the other
+ * patches that still apply on top of it.
+ *
+ * The result stays pending with its worktrees until apply() copies the offered
+ * patch (or another candidate's) into the project's working tree, or discard()
+ * drops it. Nothing touches the project's own files before that. Pending
+ * implementations live in memory, so removeOrphans() drops the worktrees and
+ * branches of those a stopped server left behind.
+ *
+ * A run is registered with the active debates, so cancel_debate stops it. The
+ * agents call their CLIs directly rather than through the k-proxy, so its spend
+ * can't be metered: the estimated cost is checked against the budget up front
+ * and recorded as the run's spend.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { exec, execFile } from 'child_process';
+import { promisify } from 'util';
+import DebateAgent from './debate-agent.js';
+import WorktreeManager from '../git/worktree-manager.js';
+import { passRate, describeTests } from '../git/project-tests.js';
+import { AdapterFactory } from '../adapters/adapter-factory.js';
+import { ConfidenceScorer } from '../confidence-scorer.js';
+import { getModelRegistry } from '../models/model-registry.js';
+import { BudgetManager } from '../budget/budget-manager.js';
+import { getActiveDebates, DebateCancelledError } from '../active-debates.js';
+import logger from '../utils/logger.js';
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Models implementing when none are named: the first ones in the registry
+const DEFAULT_MODEL_COUNT = 3;
+
+// Peer review needs a second model
+const MIN_MODELS = 2;
+
+// Most diff characters shown to a reviewer
+const MAX_REVIEW_DIFF_CHARS = 30000;
+
+// Share of a candidate's score that comes from its passing tests, when they ran
+const TEST_WEIGHT = 0.5;
+
+// Most characters of a failing test run's output shown to reviewers and the winner
+const MAX_TEST_REPORT_CHARS = 3000;
+
+export const DEFAULT_CALL_TIMEOUT_MINUTES = 10;
+export const DEFAULT_TEST_TIMEOUT_MINUTES = 10;
+
+// Written into each implementation's directory: the process that may still apply it
+const OWNER_FILE = 'owner.json';
+
+/**
+ * DebateAgent role for a registry model role ("Architecture", "Testing & Coding", ...)
+ */
+export function agentRole(registryRole = '') {
+  if (/architect/i.test(registryRole)) return 'architect';
+  if (/test/i.test(registryRole)) return 'tester';
+  if (/secur|review/i.test(registryRole)) return 'reviewer';
+  if (/perform|optimi/i.test(registryRole)) return 'optimizer';
+  return 'implementer';
+}
+
+/**
+ * Mean of the numeric peer review scores (1-10), null without any
+ */
+function meanScore(reviews) {
+  const scores = reviews.map(r => Number(r.score)).filter(Number.isFinite);
+  return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+/**
+ * A test run that can be scored: one in a worktree that changed the test
+ * configuration measures that configuration as much as the code, and one that
+ * deleted or skipped tests passes without them, so neither is
+ */
+function scoredTests(tests) {
+  return tests?.configChanges?.length > 0 || tests?.testFileChanges?.length > 0 ? null : tests;
+}
+
+/**
+ * A candidate's 1-10 score: its mean peer review, weighed with the share of
+ * project tests that pass when the tests ran and can be scored
+ */
+export function combinedScore(reviewScore, tests) {
+  const rate = passRate(scoredTests(tests));
+  if (rate === null) return reviewScore;
+  if (reviewScore === null) return 10 * rate;
+  return TEST_WEIGHT * 10 * rate + (1 - TEST_WEIGHT) * reviewScore;
+}
+
+/**
+ * Whether a later test run passes a smaller share of tests than an earlier one
+ */
+function testsRegressed(before, after) {
+  const was = passRate(scoredTests(before));
+  return was !== null && (passRate(scoredTests(after)) ?? 0) < was;
+}
+
+/**
+ * What reviewers and the improving winner are told about a test run, with the
+ * end of the output when it did not pass. Null when no tests ran.
+ */
+function reportTests(tests) {
+  if (!tests || tests.status === 'not-run') return null;
+  let report = `\`${tests.command}\`: ${describeTests(tests)}`;
+  if (tests.configChanges?.length > 0) {
+    report += `\n\nThe implementation changes the test configuration (${tests.configChanges.join(', ')}), ` +
+      'so these results are not scored; check that change.';
+  }
+  if (tests.testFileChanges?.length > 0) {
+    report += `\n\nThe implementation removes or skips tests (${tests.testFileChanges.join(', ')}), ` +
+      'so these results are not scored; check that change.';
+  }
+  if (tests.status === 'passed') return report;
+  return `${report}\n\n\`\`\`\n${tests.output.slice(-MAX_TEST_REPORT_CHARS)}\n\`\`\``;
+}
+
+/**
+ * The model calls of an implementation debate, one alias per call, for the
+ * budget estimate: every model implements and reviews the others, and any of
+ * them may win and improve its implementation
+ */
+export function implementationCalls(aliases) {
+  return aliases.flatMap(alias => Array(aliases.length + 1).fill(alias));
+}
+
+/**
+ * Whether the process that created an implementation directory is still running
+ */
+async function ownerRunning(dir) {
+  let owner;
+  try {
+    owner = JSON.parse(await fs.readFile(path.join(dir, OWNER_FILE), 'utf8'));
+  } catch {
+    return false;
+  }
+  if (owner.pid === process.pid) return true;
+  try {
+    process.kill(owner.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Remove a worktree whose session is gone, and its debate-v2/* branch, from
+ * the repository its .git file points to
+ */
+async function removeOrphanWorktree(worktreePath) {
+  let gitFile;
+  try {
+    gitFile = await fs.readFile(path.join(worktreePath, '.git'), 'utf8');
+  } catch {
+    return;
+  }
+  const gitDir = gitFile.match(/^gitdir:\s*(.+)$/m);
+  if (!gitDir) return;
+
+  // gitdir is <repository>/.git/worktrees/<name>
+  const repoPath = path.dirname(path.resolve(worktreePath, gitDir[1].trim(), '..', '..'));
+  const { stdout: branch } = await execAsync('git symbolic-ref --short HEAD', { cwd: worktreePath })
+    .catch(() => ({ stdout: '' }));
+
+  await fs.rm(worktreePath, { recursive: true, force: true });
+  await execAsync('git worktree prune', { cwd: repoPath }).catch(() => {});
+  if (branch.trim().startsWith('debate-v2/')) {
+    // The branch name is read from a worktree the agents could edit: no shell
+    await execFileAsync('git', ['branch', '-D', branch.trim()], { cwd: repoPath }).catch(() => {});
+  }
+}
+
+/**
+ * A test run without its output, for summaries and the history
+ */
+function summarizeTests(tests) {
+  if (!tests) return null;
+  const { output, ...summary } = tests;
+  return summary;
+}
+
+export class ImplementationDebate {
+  /**
+   * @param {Object} [options]
+   * @param {ModelRegistry} [options.registry] - Models that can implement
+   * @param {Function} [options.createAdapterFactory] - config => AdapterFactory building the agents' adapters
+   * @param {string} [options.worktreeDir] - Where implementation worktrees are created
+   * @param {ConfidenceScorer} [options.confidenceScorer] - Scores confidence in the offered implementation
+   * @param {BudgetManager} [options.budgetManager] - Checks and records the estimated cost
+   * @param {ActiveDebates} [options.activeDebates] - Where runs are registered for cancellation
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || getModelRegistry();
+    this.budgetManager = options.budgetManager || new BudgetManager({ registry: this.registry });
+    this.activeDebates = options.activeDebates || getActiveDebates();
+    this.createAdapterFactory = options.createAdapterFactory || (config => new AdapterFactory(config));
+    this.worktreeDir = options.worktreeDir || path.join(os.tmpdir(), 'debate-worktrees');
+    this.confidenceScorer = options.confidenceScorer || new ConfidenceScorer();
+    // Pending implementations by ID
+    this.sessions = new Map();
+  }
+
+  /**
+   * Registry entries of the requested aliases, or of the first models
+   */
+  resolveModels(aliases = null) {
+    const requested = aliases && aliases.length > 0 ?
+      Array.from(new Set(aliases)) :
+      this.registry.aliases().slice(0, DEFAULT_MODEL_COUNT);
+
+    const unknown = requested.filter(alias => !this.registry.has(alias));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown model ${unknown.join(', ')} (available: ${this.registry.aliases().join(', ')})`);
+    }
+    if (requested.length < MIN_MODELS) {
+      throw new Error(`An implementation debate needs at least ${MIN_MODELS} models to review each other`);
+    }
+
+    return requested.map(alias => this.registry.get(alias));
+  }
+
+  /**
+   * Implement a task with competing agents and keep the result pending
+   *
+   * @param {string} task - The change to implement
+   * @param {string} projectPath - Git repository to branch the worktrees from
+   * @param {Object} [options]
+   * @param {Array<string>} [options.models] - Aliases of the implementing models
+   * @param {boolean} [options.merge=false] - Offer the winner merged with the other patches that apply on top
+   * @param {number} [options.timeoutMinutes] - Limit per model call
+   * @param {boolean} [options.runTests=true] - Run the project's tests in each worktree to score the candidates
+   * @param {string} [options.testCommand] - Test command instead of the detected one
+   * @param {number} [options.testTimeoutMinutes] - Limit per test run (default: DEBATE_TEST_TIMEOUT_MINUTES or 10)
+   * @param {number} [options.testMaxMemoryMB] - Memory cap per test process (default: DEBATE_TEST_MAX_MEMORY_MB, else none)
+   * @param {number} [options.maxCost] - Spend cap in USD for this run
+   * @returns {Object} The pending implementation (see summarize)
+   * @throws {BudgetExceededError} when the estimated cost exceeds the budget
+   * @throws {DebateCancelledError} when cancelled with cancel_debate
+   */
+  async run(task, projectPath, options = {}) {
+    const models = this.resolveModels(options.models);
+    const budgetPlan = this.budgetManager.planCalls({
+      projectPath,
+      calls: implementationCalls(models.map(model => model.alias)),
+      maxCost: options.maxCost ?? null,
+      label: 'Implementation debate'
+    });
+
+    const id = `impl-${crypto.randomBytes(4).toString('hex')}`;
+    if (budgetPlan.cap !== null && budgetPlan.estimate > 0) {
+      // Held against the daily budgets while running; recordSpend settles it
+      this.budgetManager.reserve(id, projectPath, budgetPlan.estimate);
+    }
+    const { signal } = this.activeDebates.start(id, { type: 'implementation', question: task, projectPath });
+    let status = 'failed';
+
+    try {
+      const result = await this.runRegistered(id, task, projectPath, models, signal, options);
+      status = 'completed';
+      return result;
+    } catch (error) {
+      if (signal.reason instanceof DebateCancelledError) {
+        status = 'cancelled';
+        throw signal.reason;
+      }
+      throw error;
+    } finally {
+      this.activeDebates.finish(id);
+      if (budgetPlan.estimate > 0) {
+        await this.budgetManager.recordSpend({ debateId: id, projectPath, cost: budgetPlan.estimate, status });
+      }
+    }
+  }
+
+  async runRegistered(id, task, projectPath, models, signal, options) {
+    const baseDir = path.join(this.worktreeDir, id);
+    await fs.mkdir(baseDir, { recursive: true });
+    await fs.writeFile(path.join(baseDir, OWNER_FILE), JSON.stringify({ pid: process.pid }));
+
+    const manager = new WorktreeManager({
+      baseDir,
+      repoPath: projectPath,
+      maxWorktrees: models.length + 1
+    });
+
+    const session = {
+      id,
+      task,
+      projectPath,
+      baseCommit: null,
+      uncommittedChanges: false,
+      manager,
+      signal,
+      testOptions: options.runTests === false ? null : {
+        command: options.testCommand,
+        timeout: (options.testTimeoutMinutes ||
+          parseFloat(process.env.DEBATE_TEST_TIMEOUT_MINUTES) || DEFAULT_TEST_TIMEOUT_MINUTES) * 60 * 1000,
+        maxMemoryMB: options.testMaxMemoryMB || parseInt(process.env.DEBATE_TEST_MAX_MEMORY_MB) || undefined
+      },
+      candidates: [],
+      failed: [],
+      winner: null,
+      merged: null,
+      offered: null,
+      confidence: null,
+      createdAt: new Date().toISOString()
+    };
+
+    const factory = this.createAdapterFactory({
+      timeout: (options.timeoutMinutes || DEFAULT_CALL_TIMEOUT_MINUTES) * 60 * 1000
+    });
+    const agents = [];
+
+    try {
+      await manager.initialize();
+
+      // Worktrees branch from the last commit; diffs are taken against it
+      const { stdout: head } = await execAsync('git rev-parse HEAD', { cwd: projectPath });
+      const { stdout: status } = await execAsync('git status --porcelain', { cwd: projectPath });
+      manager.baseBranch = head.trim();
+      session.baseCommit = manager.baseBranch;
+      session.uncommittedChanges = status.trim() !== '';
+
+      const team = await factory.createTeam(models.map(model => ({
+        type: 'auto',
+        modelId: model.model,
+        model: model.model,
+        role: agentRole(model.role),
+        specialization: model.expertise
+      })));
+
+      // One at a time: git serializes worktree creation anyway
+      for (const [index, member] of team.entries()) {
+        const agent = new DebateAgent({
+          id: `${models[index].alias}-${id.slice('impl-'.length)}`,
+          adapter: member.adapter,
+          role: member.role,
+          specialization: member.specialization
+        });
+        await agent.initialize(manager);
+        agents.push({ model: models[index], agent });
+      }
+
+      logger.info('Implementation debate started', { id, models: models.map(m => m.alias), baseCommit: session.baseCommit });
+
+      const implemented = await this.implement(session, agents);
+      signal.throwIfAborted();
+      await this.test(session);
+      await this.review(session, implemented);
+      signal.throwIfAborted();
+      await this.improveWinner(session);
+      signal.throwIfAborted();
+
+      session.offered = {
+        source: session.winner.alias,
+        workspaceId: session.winner.workspaceId,
+        tests: session.winner.tests
+      };
+      if (options.merge && session.candidates.length > 1) {
+        session.merged = await this.merge(session);
+        if (session.merged.included.length > 1) {
+          if (testsRegressed(session.winner.tests, session.merged.tests)) {
+            session.merged.rejected = `the merged patch passes fewer tests than ${session.winner.alias}'s`;
+          } else {
+            session.offered = { source: 'merged', workspaceId: session.merged.workspaceId, tests: session.merged.tests };
+          }
+        }
+      }
+      const offered = await manager.getDiff(session.offered.workspaceId);
+      session.offered.diff = offered.diff;
+      session.offered.files = offered.files;
+      session.confidence = await this.assessConfidence(session);
+
+      signal.throwIfAborted();
+
+      this.sessions.set(id, session);
+      logger.info('Implementation debate finished', { id, winner: session.winner.alias, offered: session.offered.source });
+      return this.summarize(session);
+    } catch (error) {
+      await this.removeWorktrees(session);
+      if (signal.reason instanceof DebateCancelledError) {
+        signal.reason.partial = { responses: Object.fromEntries(session.candidates.map(c => [c.alias, c.response])) };
+        logger.info('Implementation debate cancelled', { id, candidates: session.candidates.length });
+      }
+      throw error;
+    } finally {
+      for (const { agent } of agents) {
+        await agent.cleanup();
+      }
+      await factory.cleanup();
+    }
+  }
+
+  /**
+   * Every agent implements the task in its worktree; the changes are committed
+   * there. Returns the agents that completed, with or without changes.
+   */
+  async implement(session, agents) {
+    const results = await Promise.allSettled(agents.map(async ({ model, agent }) => {
+      const result = await agent.executeTask(session.task, {
+        constraints: 'Change only files inside the project directory. Do not commit; your changes are committed for you.',
+        signal: session.signal
+      });
+      await session.manager.commitChanges(agent.worktree.id, 'Implement the requested change');
+      const { diff, files } = await session.manager.getDiff(agent.worktree.id);
+      return { model, agent, response: result.response, diff, files };
+    }));
+
+    const implemented = [];
+    results.forEach((result, index) => {
+      const { model } = agents[index];
+      if (result.status === 'rejected') {
+        logger.warn('Model failed to implement the task', { model: model.alias, error: result.reason.message });
+        session.failed.push({ alias: model.alias, error: result.reason.message });
+        return;
+      }
+
+      implemented.push(result.value);
+      if (!result.value.diff) {
+        session.failed.push({ alias: model.alias, error: 'No changes made' });
+        return;
+      }
+
+      session.candidates.push({
+        alias: model.alias,
+        name: model.name,
+        agent: result.value.agent,
+        workspaceId: result.value.agent.worktree.id,
+        response: result.value.response,
+        diff: result.value.diff,
+        files: result.value.files,
+        tests: null,
+        reviews: [],
+        reviewScore: null,
+        score: null,
+        improved: false,
+        improvementReverted: false
+      });
+    });
+
+    if (session.candidates.length === 0) {
+      throw new Error(`No model produced an implementation (${session.failed.map(f => `${f.alias}: ${f.error}`).join('; ')})`);
+    }
+    return implemented;
+  }
+
+  /**
+   * Run the project's tests in each candidate's worktree, one run at a time
+   */
+  async test(session) {
+    if (!session.testOptions) return;
+
+    for (const candidate of session.candidates) {
+      session.signal.throwIfAborted();
+      candidate.tests = await this.runTests(session, candidate.workspaceId);
+      logger.info('Candidate tested', { model: candidate.alias, tests: describeTests(candidate.tests) });
+    }
+  }
+
+  async runTests(session, workspaceId) {
+    const tests = await session.manager.runTests(workspaceId, { ...session.testOptions, signal: session.signal });
+    // Drop what the run left behind (coverage reports, caches) so later commits hold only the changes
+    await session.manager.executeInWorktree(workspaceId, 'git clean -fdq');
+    return tests;
+  }
+
+  /**
+   * Every agent that completed reviews the other candidates' diffs and test
+   * results; the candidate with the best combined score wins, ties going to
+   * the higher coverage
+   */
+  async review(session, reviewers) {
+    await Promise.all(reviewers.map(async ({ model, agent }) => {
+      // One review at a time per agent: reviewSolution tracks the agent's state
+      for (const candidate of session.candidates) {
+        if (candidate.agent === agent) continue;
+        try {
+          const { review } = await agent.reviewSolution(
+            candidate.response,
+            candidate.diff.substring(0, MAX_REVIEW_DIFF_CHARS),
+            { task: session.task, testResults: reportTests(candidate.tests), signal: session.signal }
+          );
+          candidate.reviews.push({ agentId: agent.id, reviewer: model.alias, role: agent.role, review });
+        } catch (error) {
+          logger.warn('Peer review failed', { reviewer: model.alias, candidate: candidate.alias, error: error.message });
+        }
+      }
+    }));
+
+    for (const candidate of session.candidates) {
+      candidate.reviewScore = meanScore(candidate.reviews.map(r => r.review));
+      candidate.score = combinedScore(candidate.reviewScore, candidate.tests);
+    }
+    session.candidates.sort((a, b) =>
+      (b.score ?? -1) - (a.score ?? -1) ||
+      (scoredTests(b.tests)?.coverage ?? -1) - (scoredTests(a.tests)?.coverage ?? -1));
+    session.winner = session.candidates[0];
+  }
+
+  /**
+   * The winner addresses the issues its reviewers raised and its failing
+   * tests. A failed improvement, or one that passes fewer tests, leaves the
+   * reviewed implementation in place.
+   */
+  async improveWinner(session) {
+    const winner = session.winner;
+    const feedback = [...winner.reviews];
+    if (winner.tests && !['passed', 'not-run'].includes(winner.tests.status)) {
+      feedback.push({
+        agentId: 'project tests',
+        role: 'tests',
+        review: {
+          score: Math.round(10 * passRate(winner.tests)),
+          issues: [reportTests(winner.tests)],
+          suggestions: ['Make the failing tests pass']
+        }
+      });
+    }
+    const raised = feedback.some(r => (r.review.issues?.length || 0) + (r.review.mustFix?.length || 0) > 0);
+    if (!raised) return;
+
+    try {
+      await winner.agent.improveSolution(feedback, { task: session.task, signal: session.signal });
+      const commit = await session.manager.commitChanges(winner.workspaceId, 'Address peer review');
+      if (!commit.committed) return;
+
+      if (session.testOptions) {
+        const tests = await this.runTests(session, winner.workspaceId);
+        if (testsRegressed(winner.tests, tests)) {
+          await session.manager.executeInWorktree(winner.workspaceId, 'git reset --hard -q HEAD~1');
+          winner.improvementReverted = true;
+          logger.warn('Improvement rolled back: it fails more tests', { model: winner.alias, tests: describeTests(tests) });
+          return;
+        }
+        winner.tests = tests;
+        winner.score = combinedScore(winner.reviewScore, tests);
+      }
+
+      const { diff, files } = await session.manager.getDiff(winner.workspaceId);
+      Object.assign(winner, { diff, files, improved: true });
+    } catch (error) {
+      logger.warn('Winner could not improve its implementation', { model: winner.alias, error: error.message });
+    }
+  }
+
+  /**
+   * The winner's patch plus, best-reviewed first, every other candidate's
+   * patch that still applies on top of it, in a worktree of its own
+   */
+  async merge(session) {
+    const { manager } = session;
+    const suffix = session.id.slice('impl-'.length);
+    const worktree = await manager.createWorktree(`merged-${suffix}`, {
+      branchName: `debate-v2/merged-${suffix}`
+    });
+
+    const included = [];
+    const skipped = [];
+    for (const candidate of session.candidates) {
+      try {
+        await manager.applyPatch(worktree.id, candidate.workspaceId, { check: true });
+        await manager.applyPatch(worktree.id, candidate.workspaceId);
+        included.push(candidate.alias);
+      } catch {
+        skipped.push(candidate.alias);
+      }
+    }
+    await manager.commitChanges(worktree.id, 'Merge peer-reviewed implementations');
+
+    // Only a real merge needs testing: a lone patch is the winner's, already tested
+    const tests = session.testOptions && included.length > 1 ?
+      await this.runTests(session, worktree.id) :
+      null;
+
+    return { workspaceId: worktree.id, included, skipped, tests, rejected: null };
+  }
+
+  /**
+   * ConfidenceScorer assessment of the offered implementation: agreement of the
+   * candidates, its test results as verification, and history. Null on failure.
+   */
+  async assessConfidence(session) {
+    try {
+      const confidence = await this.confidenceScorer.calculateConfidence({
+        question: session.task,
+        responses: Object.fromEntries(session.candidates.map(c => [c.alias, c.response])),
+        testResults: scoredTests(session.offered.tests),
+        score: (session.winner.score ?? 0) / 10
+      });
+      return { score: confidence.score, level: confidence.level, factors: confidence.factors };
+    } catch (error) {
+      logger.warn('Could not score confidence in the implementation', { id: session.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * A pending implementation
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      const pending = Array.from(this.sessions.keys());
+      throw new Error(`Unknown implementation: ${id}${pending.length > 0 ? ` (pending: ${pending.join(', ')})` : ''}`);
+    }
+    return session;
+  }
+
+  /**
+   * Apply the offered patch, or the named candidate's, to the project's working
+   * tree (uncommitted) and drop the worktrees. A patch that no longer applies
+   * leaves both the project and the pending implementation as they were.
+   */
+  async apply(id, options = {}) {
+    const session = this.get(id);
+
+    let source = session.offered;
+    if (options.candidate) {
+      source = session.candidates.find(c => c.alias === options.candidate);
+      if (!source) {
+        throw new Error(`No implementation by ${options.candidate} (candidates: ${session.candidates.map(c => c.alias).join(', ')})`);
+      }
+    }
+
+    try {
+      await session.manager.applyToRepository(source.workspaceId, { check: true });
+    } catch (error) {
+      throw new Error(`The patch no longer applies to ${session.projectPath}: ${error.message.trim()}`);
+    }
+    const result = await session.manager.applyToRepository(source.workspaceId);
+
+    await this.discard(id);
+    logger.info('Implementation applied', { id, source: source.alias || source.source, files: result.files });
+    return { id, source: source.alias || source.source, files: result.files };
+  }
+
+  /**
+   * Drop a pending implementation and its worktrees and branches
+   */
+  async discard(id) {
+    const session = this.get(id);
+    await this.removeWorktrees(session);
+    this.sessions.delete(id);
+    return { id, discarded: true };
+  }
+
+  async removeWorktrees(session) {
+    await session.manager.cleanup({ deleteBranches: true });
+    await fs.rm(session.manager.baseDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Remove the worktrees and debate-v2/* branches of implementations whose
+   * server stopped before they were applied or discarded. Returns their IDs.
+   */
+  async removeOrphans() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.worktreeDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const removed = [];
+    for (const id of entries) {
+      const dir = path.join(this.worktreeDir, id);
+      if (!id.startsWith('impl-') || this.sessions.has(id) || await ownerRunning(dir)) continue;
+
+      const worktrees = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of worktrees.filter(e => e.isDirectory())) {
+        await removeOrphanWorktree(path.join(dir, entry.name));
+      }
+      await fs.rm(dir, { recursive: true, force: true });
+      removed.push(id);
+    }
+
+    if (removed.length > 0) {
+      logger.info('Removed implementations left pending by a stopped server', { ids: removed });
+    }
+    return removed;
+  }
+
+  /**
+   * What the implement_debate tool reports about an implementation
+   */
+  summarize(session) {
+    return {
+      id: session.id,
+      task: session.task,
+      projectPath: session.projectPath,
+      baseCommit: session.baseCommit,
+      uncommittedChanges: session.uncommittedChanges,
+      candidates: session.candidates.map(c => ({
+        alias: c.alias,
+        name: c.name,
+        files: c.files,
+        tests: summarizeTests(c.tests),
+        reviewScore: c.reviewScore,
+        score: c.score,
+        improved: c.improved,
+        improvementReverted: c.improvementReverted,
+        reviews: c.reviews.map(r => ({
+          reviewer: r.reviewer,
+          score: r.review.score ?? null,
+          issues: r.review.issues || [],
+          mustFix: r.review.mustFix || []
+        }))
+      })),
+      failed: session.failed,
+      winner: session.winner.alias,
+      merged: session.merged && {
+        included: session.merged.included,
+        skipped: session.merged.skipped,
+        tests: summarizeTests(session.merged.tests),
+        rejected: session.merged.rejected
+      },
+      offered: {
+        source: session.offered.source,
+        files: session.offered.files,
+        diff: session.offered.diff,
+        tests: summarizeTests(session.offered.tests)
+      },
+      confidence: session.confidence
+    };
+  }
+}
+
+export default ImplementationDebate;
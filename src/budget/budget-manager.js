@@ -0,0 +1,645 @@
+/**
+ * Debate Budgets
+ *
+ * Caps what debates may spend per debate, per project path and per calendar day.
+ * Limits come from config/budgets.json, the BUDGET_* environment variables and a
+ * per-call `maxCost`. Before model selection a debate is priced with the registry
+ * `pricing`; an over-budget debate is degraded to a cheaper preset or refused.
+ * While it runs, a BudgetGuard polls the k-proxy's usage report for the debate
+ * and aborts it once the real spend reaches the cap. A running debate reserves
+ * its estimate (or its spend so far, when higher) until its spend is recorded,
+ * so debates running side by side share the daily budgets instead of each
+ * being given all that is left.
+ *
+ * Spend is taken from the provider-reported usage (see src/proxy/usage.js) and
+ * kept per day in data/budget-spend.json. MCP server processes share that file:
+ * spend is added under a lock to the file's current content, and reads pick the
+ * file up again whenever it has changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import { getModelRegistry } from '../models/model-registry.js';
+import { QualityPresets } from '../presets/quality-presets.js';
+import { DEFAULT_CALL_ESTIMATE } from '../presets/preset-estimator.js';
+import { fetchDebateUsage } from '../proxy/usage.js';
+import { withFileLock, writeFileAtomic } from '../utils/file-lock.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+export const DEFAULT_BUDGET_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'budgets.json');
+export const DEFAULT_SPEND_PATH = path.join(ROOT_DIR, 'data', 'budget-spend.json');
+
+// A debate needs proposals from at least two models
+const MIN_DEBATE_MODELS = 2;
+
+// Days of spend history kept in the spend file
+const SPEND_HISTORY_DAYS = 31;
+
+const DEFAULT_CONFIG = {
+  limits: { perDebate: null, perDay: null },
+  projects: {},
+  degradePreset: 'cost-optimized',
+  estimate: { ...DEFAULT_CALL_ESTIMATE },
+  pollIntervalMs: 5000
+};
+
+/**
+ * Thrown when a debate is refused or aborted because of a budget limit
+ */
+export class BudgetExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.limit = details.limit ?? null;
+    this.spent = details.spent ?? null;
+    this.estimate = details.estimate ?? null;
+  }
+}
+
+function isLimit(value) {
+  return value === null || (typeof value === 'number' && value >= 0);
+}
+
+/**
+ * Validate budget config data and merge it over the defaults.
+ * Throws a single Error listing every problem found.
+ */
+export function validateBudgetConfig(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Budget config validation failed: config must be a JSON object');
+  }
+
+  const limits = { ...DEFAULT_CONFIG.limits, ...data.limits };
+  for (const [key, value] of Object.entries(limits)) {
+    if (!isLimit(value)) {
+      errors.push(`limits.${key} must be a non-negative number of USD or null`);
+    }
+  }
+
+  const projects = data.projects || {};
+  for (const [projectPath, projectLimits] of Object.entries(projects)) {
+    if (!path.isAbsolute(projectPath)) {
+      errors.push(`projects["${projectPath}"]: project paths must be absolute`);
+    }
+    for (const [key, value] of Object.entries(projectLimits || {})) {
+      if (!['perDebate', 'perDay'].includes(key)) {
+        errors.push(`projects["${projectPath}"].${key} is not a known limit (perDebate, perDay)`);
+      } else if (!isLimit(value)) {
+        errors.push(`projects["${projectPath}"].${key} must be a non-negative number of USD or null`);
+      }
+    }
+  }
+
+  // null turns degrading off
+  const degradePreset = 'degradePreset' in data ? data.degradePreset : DEFAULT_CONFIG.degradePreset;
+  if (degradePreset !== null && !QualityPresets[degradePreset]) {
+    errors.push(`degradePreset "${degradePreset}" is not a known preset (${Object.keys(QualityPresets).join(', ')})`);
+  }
+
+  const estimate = { ...DEFAULT_CONFIG.estimate, ...data.estimate };
+  for (const [key, value] of Object.entries(estimate)) {
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`estimate.${key} must be a non-negative integer`);
+    }
+  }
+
+  const pollIntervalMs = data.pollIntervalMs ?? DEFAULT_CONFIG.pollIntervalMs;
+  if (!Number.isInteger(pollIntervalMs) || pollIntervalMs < 100) {
+    errors.push('pollIntervalMs must be an integer of at least 100');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Budget config validation failed: ${errors.join('; ')}`);
+  }
+
+  return { limits, projects, degradePreset, estimate, pollIntervalMs };
+}
+
+/**
+ * Smallest of the given limits, ignoring unset (null/undefined) ones
+ */
+function tightest(...limits) {
+  const set = limits.filter(limit => typeof limit === 'number');
+  return set.length > 0 ? Math.min(...set) : null;
+}
+
+function today(now = new Date()) {
+  return now.toISOString().split('T')[0];
+}
+
+/**
+ * Aborts a running debate once its provider-reported spend reaches the cap.
+ * The proxy's usage for a resumed debate includes its earlier attempts;
+ * spentBefore (already recorded) is not counted against this attempt's cap.
+ * `currentCap()`, when given, lowers the cap as other debates spend or reserve
+ * the daily budgets; `onSpend(spent)` reports each reading.
+ */
+export class BudgetGuard {
+  constructor({ debateId, cap, controller, fetchUsage, intervalMs, spentBefore = 0, currentCap = null, onSpend = null }) {
+    this.debateId = debateId;
+    this.cap = cap;
+    this.spentBefore = spentBefore;
+    this.controller = controller;
+    this.fetchUsage = fetchUsage;
+    this.intervalMs = intervalMs;
+    this.currentCap = currentCap;
+    this.onSpend = onSpend;
+    this.timer = null;
+    this.lastUsage = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.check(), this.intervalMs);
+    // Never keep the process alive just to poll
+    this.timer.unref?.();
+    return this;
+  }
+
+  async check() {
+    if (this.controller.signal.aborted) {
+      return;
+    }
+
+    const usage = await this.fetchUsage(this.debateId);
+    if (!usage) {
+      return;
+    }
+    this.lastUsage = usage;
+
+    const spent = usage.cost - this.spentBefore;
+    this.onSpend?.(spent);
+    const cap = this.currentCap ? Math.min(this.cap, this.currentCap()) : this.cap;
+    if (spent >= cap) {
+      logger.warn('Debate budget reached, aborting model calls', {
+        debateId: this.debateId,
+        spent: spent.toFixed(4),
+        cap: cap.toFixed(4)
+      });
+      this.controller.abort(new BudgetExceededError(
+        `Debate stopped: spent $${spent.toFixed(4)} of its $${cap.toFixed(4)} budget`,
+        { limit: cap, spent }
+      ));
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Loads budget limits, prices debates before they start and tracks daily spend
+ */
+export class BudgetManager {
+  constructor(options = {}) {
+    this.configPath = options.configPath || process.env.BUDGET_CONFIG_PATH || DEFAULT_BUDGET_CONFIG_PATH;
+    this.spendPath = options.spendPath || DEFAULT_SPEND_PATH;
+    this.registry = options.registry || getModelRegistry();
+    this.fetchUsage = options.fetchUsage || fetchDebateUsage;
+    this.now = options.now || (() => new Date());
+
+    this.config = this.loadConfig();
+    this.spend = { days: {}, recent: [] };
+    // mtime and size of the spend file as last read, to notice other processes' writes
+    this.spendVersion = null;
+    this.loadSpend();
+
+    // debateId -> { projectPath, amount } of the debates running in this process
+    this.reservations = new Map();
+  }
+
+  /**
+   * Read config/budgets.json (optional) and apply BUDGET_PER_DEBATE_USD / BUDGET_PER_DAY_USD
+   */
+  loadConfig() {
+    let data = {};
+    if (fs.existsSync(this.configPath)) {
+      try {
+        data = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Budget config ${this.configPath} is not valid JSON: ${error.message}`);
+      }
+    }
+
+    const config = validateBudgetConfig(data);
+
+    const envLimits = {
+      perDebate: process.env.BUDGET_PER_DEBATE_USD,
+      perDay: process.env.BUDGET_PER_DAY_USD
+    };
+    for (const [key, value] of Object.entries(envLimits)) {
+      if (value !== undefined && value !== '') {
+        const amount = parseFloat(value);
+        if (Number.isNaN(amount) || amount < 0) {
+          throw new Error(`Budget config validation failed: BUDGET_${key === 'perDay' ? 'PER_DAY' : 'PER_DEBATE'}_USD must be a non-negative number`);
+        }
+        config.limits[key] = amount;
+      }
+    }
+
+    return config;
+  }
+
+  spendFileVersion() {
+    try {
+      const stat = fs.statSync(this.spendPath);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Read the spend file unless it is unchanged since the last read.
+   * An unreadable file keeps the spend last read rather than counting as none.
+   */
+  loadSpend({ force = false } = {}) {
+    const version = this.spendFileVersion();
+    if (!force && version === this.spendVersion) {
+      return this.spend;
+    }
+
+    if (version === null) {
+      this.spend = { days: {}, recent: [] };
+    } else {
+      try {
+        this.spend = JSON.parse(fs.readFileSync(this.spendPath, 'utf8'));
+      } catch (error) {
+        logger.error('Budget spend file is unreadable, keeping the spend last read', {
+          path: this.spendPath,
+          error: error.message
+        });
+      }
+    }
+    this.spendVersion = version;
+    return this.spend;
+  }
+
+  async saveSpend() {
+    await writeFileAtomic(this.spendPath, JSON.stringify(this.spend, null, 2));
+    this.spendVersion = this.spendFileVersion();
+  }
+
+  /**
+   * Limits of the most specific project entry containing projectPath
+   */
+  projectLimits(projectPath) {
+    let match = null;
+    for (const configuredPath of Object.keys(this.config.projects)) {
+      const inside = projectPath === configuredPath ||
+        projectPath.startsWith(configuredPath.endsWith(path.sep) ? configuredPath : configuredPath + path.sep);
+      if (inside && (!match || configuredPath.length > match.length)) {
+        match = configuredPath;
+      }
+    }
+    return match ? { project: match, ...this.config.projects[match] } : { project: null };
+  }
+
+  /**
+   * Spend recorded today, in total and for the project entry covering projectPath
+   */
+  spentToday(projectPath) {
+    const day = this.loadSpend().days[today(this.now())] || { total: 0, projects: {} };
+    const { project } = this.projectLimits(projectPath);
+    return {
+      total: day.total,
+      project: project ? (day.projects[project] || 0) : 0
+    };
+  }
+
+  /**
+   * Hold `amount` of today's budgets for a running debate until its spend is
+   * recorded (see recordSpend) or it is released
+   */
+  reserve(debateId, projectPath, amount) {
+    this.reservations.set(debateId, { projectPath, amount });
+  }
+
+  release(debateId) {
+    this.reservations.delete(debateId);
+  }
+
+  /**
+   * Budget held by running debates, in total and for the project entry covering
+   * projectPath, leaving out the debate `except`
+   */
+  reservedToday(projectPath, except = null) {
+    const { project } = projectPath ? this.projectLimits(projectPath) : { project: null };
+    const reserved = { total: 0, project: 0 };
+    for (const [debateId, reservation] of this.reservations) {
+      if (debateId === except) continue;
+      reserved.total += reservation.amount;
+      if (project && this.projectLimits(reservation.projectPath).project === project) {
+        reserved.project += reservation.amount;
+      }
+    }
+    return reserved;
+  }
+
+  /**
+   * What one debate in projectPath may spend right now (null when unlimited):
+   * the daily budgets less today's spend and the running debates' reservations.
+   * spentByDebate, what earlier attempts of a resumed debate spent, counts
+   * against the per-debate limits; it is already in today's spend. `except` is
+   * a running debate whose own reservation is not counted.
+   */
+  debateCap(projectPath, maxCost = null, spentByDebate = 0, except = null) {
+    const projectLimits = this.projectLimits(projectPath);
+    const spent = this.spentToday(projectPath);
+    const reserved = this.reservedToday(projectPath, except);
+    const { perDebate, perDay } = this.config.limits;
+    const left = limit => (typeof limit === 'number' ? limit - spentByDebate : null);
+
+    return tightest(
+      left(maxCost),
+      left(perDebate),
+      left(projectLimits.perDebate),
+      perDay === null ? null : perDay - spent.total - reserved.total,
+      typeof projectLimits.perDay === 'number' ? projectLimits.perDay - spent.project - reserved.project : null
+    );
+  }
+
+  /**
+   * Price a lineup with registry pricing. Every model instance makes a proposal
+   * and an improvement call per improvement round; k1 adds the synthesis call.
+   * @param {Array<string>} aliases - One alias per model instance
+   * @param {number} [improvementRounds=1]
+   * @returns {Object} { cost, unpriced }
+   */
+  estimateCost(aliases, improvementRounds = 1) {
+    const calls = aliases.flatMap(alias => Array(1 + improvementRounds).fill(alias));
+    calls.push('k1');
+    return this.priceCalls(calls);
+  }
+
+  /**
+   * Price model calls with registry pricing, one alias per call
+   * @returns {Object} { cost, unpriced }
+   */
+  priceCalls(calls) {
+    const { inputTokensPerCall, outputTokensPerCall } = this.config.estimate;
+
+    let cost = 0;
+    const unpriced = new Set();
+    for (const alias of calls) {
+      const pricing = this.registry.get(alias)?.pricing;
+      if (!pricing) {
+        unpriced.add(alias);
+        continue;
+      }
+      cost += (inputTokensPerCall * pricing.input + outputTokensPerCall * pricing.output) / 1_000_000;
+    }
+
+    return { cost, unpriced: Array.from(unpriced) };
+  }
+
+  /**
+   * Aliases (one per instance) of a "k1:2,k3" style model config
+   */
+  expandModelConfig(modelConfig) {
+    return modelConfig.split(',').flatMap(spec => {
+      const [alias, count = '1'] = spec.trim().split(':');
+      return Array(parseInt(count) || 1).fill(alias.trim());
+    });
+  }
+
+  /**
+   * Cheaper lineup from the degrade preset, topped up with the cheapest priced
+   * models when the preset names fewer models than a debate needs
+   */
+  degradedModelConfig() {
+    const preset = QualityPresets[this.config.degradePreset];
+    const aliases = this.expandModelConfig(preset.models.join(','))
+      .filter(alias => this.registry.get(alias));
+    const distinct = new Set(aliases);
+
+    const cheapest = this.registry.list()
+      .filter(entry => entry.pricing && !distinct.has(entry.alias))
+      .sort((a, b) => (a.pricing.input + a.pricing.output) - (b.pricing.input + b.pricing.output));
+
+    while (distinct.size < MIN_DEBATE_MODELS && cheapest.length > 0) {
+      const entry = cheapest.shift();
+      distinct.add(entry.alias);
+    }
+
+    return Array.from(distinct).join(',');
+  }
+
+  /**
+   * Check a debate against its budget before model selection
+   *
+   * @param {Object} request - { projectPath, modelConfig, maxCost, improvementRounds }
+   * @returns {Object} { cap, estimate, modelConfig, degraded }
+   * @throws {BudgetExceededError} when even the degraded lineup does not fit
+   */
+  plan({ projectPath, modelConfig = null, maxCost = null, improvementRounds = 1 }) {
+    const cap = this.debateCap(projectPath, maxCost);
+    const requested = modelConfig ?
+      this.expandModelConfig(modelConfig) :
+      this.registry.getDebateModels().map(model => model.alias);
+    const estimate = this.estimateCost(requested, improvementRounds);
+
+    if (cap === null) {
+      return { cap, estimate: estimate.cost, modelConfig, degraded: false };
+    }
+
+    if (cap <= 0) {
+      throw new BudgetExceededError(
+        `Budget exhausted: no spend left for ${projectPath} today`,
+        { limit: cap, estimate: estimate.cost }
+      );
+    }
+
+    if (estimate.cost <= cap) {
+      return { cap, estimate: estimate.cost, modelConfig, degraded: false };
+    }
+
+    if (this.config.degradePreset) {
+      const degradedConfig = this.degradedModelConfig();
+      const degradedEstimate = this.estimateCost(this.expandModelConfig(degradedConfig), improvementRounds);
+
+      if (degradedEstimate.cost <= cap) {
+        logger.warn('Debate estimate over budget, degrading model lineup', {
+          estimate: estimate.cost.toFixed(4),
+          cap: cap.toFixed(4),
+          preset: this.config.degradePreset,
+          models: degradedConfig
+        });
+        return { cap, estimate: degradedEstimate.cost, modelConfig: degradedConfig, degraded: true };
+      }
+    }
+
+    throw new BudgetExceededError(
+      `Debate refused: estimated cost $${estimate.cost.toFixed(4)} exceeds the $${cap.toFixed(4)} budget`,
+      { limit: cap, estimate: estimate.cost }
+    );
+  }
+
+  /**
+   * Budget check for a run whose model calls are known up front (workflows,
+   * implementation debates). The calls are fixed by the caller, so an over-budget
+   * run is refused, not degraded. `label` names the run in the refusal.
+   * @returns {Object} { cap, estimate }
+   */
+  planCalls({ projectPath, calls, maxCost = null, label = 'Workflow' }) {
+    const cap = this.debateCap(projectPath, maxCost);
+    const estimate = this.priceCalls(calls).cost;
+
+    if (cap !== null && (cap <= 0 || estimate > cap)) {
+      throw new BudgetExceededError(
+        cap <= 0 ?
+          `Budget exhausted: no spend left for ${projectPath} today` :
+          `${label} refused: estimated cost $${estimate.toFixed(4)} exceeds the $${cap.toFixed(4)} budget`,
+        { limit: cap, estimate }
+      );
+    }
+
+    return { cap, estimate };
+  }
+
+  /**
+   * Budget plan for a debate resumed from a checkpoint. Its model lineup is fixed
+   * by the phases already run, so it is never degraded; it only needs budget left.
+   *
+   * @param {Object} previous - { estimatedCost, degraded, spent } of the checkpoint;
+   *   spent is what the debate's earlier attempts cost
+   */
+  planResume({ projectPath, modelConfig = null, maxCost = null, previous = {} }) {
+    const cap = this.debateCap(projectPath, maxCost, previous.spent ?? 0);
+
+    if (cap !== null && cap <= 0) {
+      throw new BudgetExceededError(
+        `Budget exhausted: no spend left to resume this debate in ${projectPath}`,
+        { limit: cap, estimate: previous.estimatedCost ?? null }
+      );
+    }
+
+    return {
+      cap,
+      estimate: previous.estimatedCost ?? 0,
+      modelConfig,
+      degraded: previous.degraded ?? false
+    };
+  }
+
+  /**
+   * Start polling the debate's real spend; aborts `controller` at the cap, or
+   * earlier once other debates leave less of the daily budgets. The debate
+   * reserves its estimate (up to the cap) in projectPath until recordSpend.
+   * spentBefore is a resumed debate's recorded spend (see BudgetGuard).
+   */
+  startGuard(debateId, cap, controller, { spentBefore = 0, projectPath = null, estimate = 0 } = {}) {
+    let track = {};
+    if (projectPath !== null) {
+      const reserved = Math.min(estimate, cap);
+      this.reserve(debateId, projectPath, reserved);
+      track = {
+        currentCap: () => this.debateCap(projectPath, null, 0, debateId) ?? cap,
+        onSpend: spent => {
+          if (this.reservations.has(debateId)) {
+            this.reserve(debateId, projectPath, Math.max(reserved, spent));
+          }
+        }
+      };
+    }
+
+    return new BudgetGuard({
+      debateId,
+      cap,
+      controller,
+      spentBefore,
+      fetchUsage: this.fetchUsage,
+      intervalMs: this.config.pollIntervalMs,
+      ...track
+    }).start();
+  }
+
+  /**
+   * Add a finished (or aborted) debate's spend to today's totals, on top of
+   * what other processes recorded in the spend file, in place of its reservation
+   */
+  async recordSpend({ debateId, projectPath, cost, status = 'completed' }) {
+    const add = () => {
+      const day = today(this.now());
+      const totals = this.spend.days[day] || (this.spend.days[day] = { total: 0, projects: {} });
+      const { project } = this.projectLimits(projectPath);
+
+      totals.total += cost;
+      if (project) {
+        totals.projects[project] = (totals.projects[project] || 0) + cost;
+      }
+
+      this.spend.recent.unshift({ debateId, projectPath, cost, status, timestamp: this.now().toISOString() });
+      this.spend.recent = this.spend.recent.slice(0, 20);
+
+      for (const oldDay of Object.keys(this.spend.days).sort().slice(0, -SPEND_HISTORY_DAYS)) {
+        delete this.spend.days[oldDay];
+      }
+    };
+
+    let added = false;
+    try {
+      await withFileLock(`${this.spendPath}.lock`, async () => {
+        this.loadSpend({ force: true });
+        add();
+        added = true;
+        await this.saveSpend();
+      });
+    } catch (error) {
+      logger.warn('Failed to save budget spend', { error: error.message });
+      // Still count it in this process
+      if (!added) add();
+    } finally {
+      this.release(debateId);
+    }
+  }
+
+  /**
+   * Limits, today's spend and recent debates, for the budget_status tool
+   */
+  getStatus(projectPath = null) {
+    const spend = this.loadSpend();
+    const day = spend.days[today(this.now())] || { total: 0, projects: {} };
+    const { limits } = this.config;
+
+    const reserved = this.reservedToday(projectPath);
+    const status = {
+      date: today(this.now()),
+      limits: { ...limits },
+      today: {
+        spent: day.total,
+        reserved: reserved.total,
+        remaining: limits.perDay === null ? null : Math.max(0, limits.perDay - day.total - reserved.total)
+      },
+      lastDays: Object.entries(spend.days)
+        .sort(([a], [b]) => b.localeCompare(a))
+        .slice(0, 7)
+        .map(([date, totals]) => ({ date, spent: totals.total })),
+      recent: spend.recent.slice(0, 10)
+    };
+
+    if (projectPath) {
+      const projectLimits = this.projectLimits(projectPath);
+      const spent = this.spentToday(projectPath);
+      status.project = {
+        path: projectPath,
+        configuredPath: projectLimits.project,
+        limits: { perDebate: projectLimits.perDebate ?? null, perDay: projectLimits.perDay ?? null },
+        spentToday: spent.project,
+        nextDebateCap: this.debateCap(projectPath)
+      };
+    }
+
+    return status;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Answer Diff for Refreshed Debates
+ *
+ * Summarizes how a refreshed answer differs from the stale one it replaced:
+ * the lines added and removed (compared after trimming and collapsing
+ * whitespace, ignoring order) and an overall similarity of their wording.
+ */
+
+import { questionVector, cosineSimilarity } from './question-similarity.js';
+
+// Lines listed per side; the counts cover all of them
+const DEFAULT_MAX_LINES = 10;
+
+function normalizedLines(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+}
+
+function countLines(lines) {
+  const counts = new Map();
+  for (const line of lines) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+  return counts;
+}
+
+// Lines of `lines` not matched by a line in `others`, in their original order
+function unmatched(lines, others) {
+  const remaining = countLines(others);
+  return lines.filter(line => {
+    const count = remaining.get(line) || 0;
+    if (count > 0) {
+      remaining.set(line, count - 1);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Compare a previous and a current answer.
+ * Returns { similarity, unchanged, addedCount, removedCount, added, removed }
+ * where `added` and `removed` hold up to options.maxLines lines each.
+ */
+export function diffAnswers(previous, current, options = {}) {
+  const maxLines = options.maxLines || DEFAULT_MAX_LINES;
+  const before = normalizedLines(previous);
+  const after = normalizedLines(current);
+
+  const added = unmatched(after, before);
+  const removed = unmatched(before, after);
+
+  // Word and trigram overlap as for questions, without the negation rule:
+  // answers mention "not" too often for it to mean anything
+  const a = questionVector(previous);
+  const b = questionVector(current);
+
+  return {
+    similarity: (cosineSimilarity(a.words, b.words) + cosineSimilarity(a.trigrams, b.trigrams)) / 2,
+    unchanged: after.length - added.length,
+    addedCount: added.length,
+    removedCount: removed.length,
+    added: added.slice(0, maxLines),
+    removed: removed.slice(0, maxLines)
+  };
+}
@@ -3,28 +3,90 @@
  *
  * Implements intelligent caching of debate results to reduce costs on repeated questions.
  * Features smart cache key generation, time-based and context-based invalidation,
- * and comprehensive cache statistics.
+ * near-duplicate question lookup and comprehensive cache statistics.
  */
 
 import crypto from 'crypto';
-import fs from 'fs/promises';
-import path from 'path';
 import logger from '../utils/logger.js';
+import { questionVector, questionSimilarity } from './question-similarity.js';
+import { getProjectFingerprinter } from './project-fingerprint.js';
+import { resolveProjectFiles, hashDependencies, changedDependencies } from './file-dependencies.js';
+import { createCacheStorage, StoredEntries } from './storage/index.js';
+
+// Lowest question similarity (0-1) accepted as a near-duplicate cache hit
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+
+// How long past maxAge, or past a change to its files, a stale entry can still be
+// served in stale-while-revalidate mode
+export const DEFAULT_MAX_STALE = 7 * 24 * 60 * 60 * 1000;
+
+// Format version of exportEntries() output
+export const CACHE_EXPORT_VERSION = 1;
+
+// Project path stored in exports of a single project, replaced by the importing project's path
+const EXPORT_PROJECT_PLACEHOLDER = '.';
+
+// Debate options that change the result (custom presets set them)
+const RESULT_OPTIONS = ['promptAddendum', 'iterations', 'consensusThreshold', 'forceVerification', 'skipVerification'];
+
+/**
+ * The result-changing options that are set, in a fixed order
+ */
+function resultSettings(options) {
+  const settings = {};
+  for (const name of RESULT_OPTIONS) {
+    const value = options[name];
+    if (value !== undefined && value !== null && value !== false && value !== '') {
+      settings[name] = value;
+    }
+  }
+  return settings;
+}
 
 export class DebateCache {
   constructor(options = {}) {
-    this.cache = new Map();
     this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // 24 hours default
     this.maxEntries = options.maxEntries || 1000; // Prevent memory overflow
     this.enablePersistence = options.enablePersistence || false;
     this.persistencePath = options.persistencePath || './cache/debate-cache.json';
 
+    // Entries are kept in memory and written through to the storage backend:
+    // options.storage is a backend instance or one of CACHE_STORAGE_TYPES
+    this.storage = null;
+    this.storageType = 'memory';
+    if (this.enablePersistence && typeof options.storage === 'object' && options.storage !== null) {
+      this.storage = options.storage;
+      this.storageType = 'custom';
+    } else if (this.enablePersistence) {
+      this.storageType = options.storage || 'json';
+      this.storage = createCacheStorage(this.storageType, {
+        jsonPath: this.persistencePath,
+        path: options.storagePath,
+        url: options.redisUrl
+      });
+    }
+    this.cache = this.storage ? new StoredEntries(this.storage) : new Map();
+
+    // Near-duplicate lookup (opt-in): reuse the result of a reworded question
+    this.semanticLookup = options.semanticLookup === true;
+    this.similarityThreshold = options.similarityThreshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+
+    // Stale-while-revalidate: outdated entries are kept for maxStale and returned,
+    // labeled as stale, while the caller refreshes them
+    this.staleWhileRevalidate = options.staleWhileRevalidate || false;
+    this.maxStale = options.maxStale ?? (this.staleWhileRevalidate ? DEFAULT_MAX_STALE : 0);
+
+    // Content fingerprint of the project, shared with the invalidator
+    this.fingerprinter = options.fingerprinter || getProjectFingerprinter();
+
     // Track metadata for keys
     this.keyMetadata = new Map();
 
     // Statistics tracking
     this.stats = {
       hits: 0,
+      similarHits: 0,
+      staleHits: 0,
       misses: 0,
       stores: 0,
       invalidations: 0,
@@ -41,9 +103,7 @@ export class DebateCache {
     };
 
     // Load persisted cache if enabled
-    if (this.enablePersistence) {
-      this.loadFromPersistence();
-    }
+    this.loading = this.enablePersistence ? this.loadFromPersistence() : Promise.resolve();
   }
 
   /**
@@ -61,6 +121,17 @@ export class DebateCache {
       fileHash: options.fileHash || ''
     };
 
+    // Structured answers are cached apart from markdown ones (markdown keys predate the option)
+    if (options.responseFormat === 'structured') {
+      keyData.responseFormat = 'structured';
+    }
+
+    // Likewise debates run with a prompt addendum, extra rounds or other verification settings
+    const settings = resultSettings(options);
+    if (Object.keys(settings).length > 0) {
+      keyData.settings = settings;
+    }
+
     const keyString = JSON.stringify(keyData);
     const key = crypto.createHash('sha256').update(keyString).digest('hex');
 
@@ -126,23 +197,13 @@ export class DebateCache {
   }
 
   /**
-   * Generate file context hash for cache invalidation
+   * Generate file context hash for cache invalidation.
+   * Content-based, so touching files keeps cached debates while any real edit drops them.
    */
   async generateFileContextHash(projectPath) {
     try {
-      const files = await this.getRelevantFiles(projectPath);
-      const fileStats = await Promise.all(
-        files.map(async (file) => {
-          try {
-            const stat = await fs.stat(file);
-            return `${file}:${stat.mtime.getTime()}:${stat.size}`;
-          } catch (error) {
-            return `${file}:missing`;
-          }
-        })
-      );
-
-      return crypto.createHash('md5').update(fileStats.join('|')).digest('hex');
+      const { hash } = await this.fingerprinter.fingerprint(projectPath);
+      return hash;
     } catch (error) {
       logger.warn('Failed to generate file context hash', { error: error.message });
       return 'unknown';
@@ -150,93 +211,237 @@ export class DebateCache {
   }
 
   /**
-   * Get relevant files for cache invalidation context
+   * Get cached result if available and valid.
+   * With options.allowStale (default: the staleWhileRevalidate setting) an outdated
+   * entry for the same question is returned when nothing valid matches; its result
+   * carries `stale: { ageMs, reasons }`.
    */
-  async getRelevantFiles(projectPath) {
-    const relevantExtensions = ['.js', '.ts', '.json', '.md', '.yml', '.yaml', '.env'];
-    const maxFiles = 50; // Limit to prevent performance issues
+  async getCached(question, options = {}) {
+    const startTime = Date.now();
+    const allowStale = (options.allowStale ?? this.staleWhileRevalidate) && !options.fresh && !options.bypassCache;
 
-    try {
-      const files = [];
-      await this.scanDirectory(projectPath, files, relevantExtensions, maxFiles);
-      return files.slice(0, maxFiles);
-    } catch (error) {
-      logger.warn('Failed to scan directory for relevant files', { error: error.message, projectPath });
-      return [];
+    // Generate file context hash for invalidation checking
+    if (options.projectPath) {
+      options.fileHash = await this.generateFileContextHash(options.projectPath);
     }
-  }
 
-  async scanDirectory(dir, files, extensions, maxFiles) {
-    if (files.length >= maxFiles) return;
+    let key = this.generateKey(question, options);
+    let cached = this.cache.get(key) || await this.loadEntry(key);
 
-    try {
-      const entries = await fs.readdir(dir, { withFileTypes: true });
-
-      for (const entry of entries) {
-        if (files.length >= maxFiles) break;
-
-        const fullPath = path.join(dir, entry.name);
-
-        if (entry.isDirectory()) {
-          // Skip common directories that don't affect logic
-          if (!['node_modules', '.git', 'coverage', 'dist', 'build'].includes(entry.name)) {
-            await this.scanDirectory(fullPath, files, extensions, maxFiles);
-          }
-        } else if (entry.isFile()) {
-          const ext = path.extname(entry.name);
-          if (extensions.includes(ext)) {
-            files.push(fullPath);
-          }
+    // Entries scoped to the files their debate read outlive changes elsewhere in
+    // the project, so they may be stored under an older project fingerprint
+    if (!cached) {
+      const scoped = this.findScoped(question, options);
+      if (scoped) {
+        key = scoped.key;
+        cached = scoped.entry;
+      }
+    }
+
+    if (cached) {
+      // Check if cache entry is still valid
+      if (this.isCacheEntryValid(cached, options) && await this.dependenciesUnchanged(cached)) {
+        return this.cacheHit(key, cached, startTime, { type: 'exact', similarity: 1 });
+      }
+
+      // Cache entry is invalid, remove it (unless it can still be served stale)
+      if (!allowStale) {
+        this.cache.delete(key);
+        this.stats.invalidations++;
+      }
+    }
+
+    // No exact match: look for the same question asked in other words
+    const outdated = new Set();
+    let similar;
+    while ((similar = this.findSimilar(question, options, outdated))) {
+      if (!await this.dependenciesUnchanged(similar.entry)) {
+        if (allowStale) {
+          outdated.add(similar.key);
+        } else {
+          this.cache.delete(similar.key);
+          this.stats.invalidations++;
         }
+        continue;
+      }
+
+      this.stats.similarHits++;
+      logger.info('Cache near match', {
+        similarity: similar.similarity.toFixed(3),
+        cachedQuestion: similar.entry.question.substring(0, 100)
+      });
+      return this.cacheHit(similar.key, similar.entry, startTime, {
+        type: 'similar',
+        similarity: similar.similarity,
+        cachedQuestion: similar.entry.question
+      });
+    }
+
+    if (allowStale) {
+      const stale = this.findStale(question, options);
+      if (stale) {
+        const reasons = await this.staleReasons(stale.entry, options);
+        const hit = this.cacheHit(stale.key, stale.entry, startTime, { type: 'exact', similarity: 1 });
+        if (reasons.length === 0) {
+          return hit;
+        }
+
+        this.stats.staleHits++;
+        logger.info('Cache stale hit', { ageMs: Date.now() - stale.entry.timestamp, reasons });
+        return { ...hit, stale: { ageMs: Date.now() - stale.entry.timestamp, reasons } };
       }
-    } catch (error) {
-      // Skip directories we can't read
     }
+
+    this.stats.misses++;
+    return null;
   }
 
   /**
-   * Get cached result if available and valid
+   * Newest entry for the same question and context that is still within the stale
+   * window (maxAge + maxStale). Returns { key, entry } or null.
    */
-  async getCached(question, options = {}) {
-    const startTime = Date.now();
+  findStale(question, options = {}) {
+    const normalized = question.trim().toLowerCase();
+    const now = Date.now();
+    let newest = null;
 
-    // Generate file context hash for invalidation checking
-    if (options.projectPath) {
-      options.fileHash = await this.generateFileContextHash(options.projectPath);
+    for (const [key, entry] of this.cache.entries()) {
+      if (entry.question?.trim().toLowerCase() !== normalized ||
+          !this.sameContext(entry.options || {}, options) ||
+          now - entry.timestamp > this.maxAge + this.maxStale ||
+          (entry.confidence !== undefined && entry.confidence < 0.7)) {
+        continue;
+      }
+
+      if (!newest || entry.timestamp > newest.entry.timestamp) {
+        newest = { key, entry };
+      }
     }
 
-    const key = this.generateKey(question, options);
-    const cached = this.cache.get(key);
+    return newest;
+  }
 
-    if (!cached) {
-      this.stats.misses++;
-      return null;
+  /**
+   * Why an entry is outdated, using the invalidator's reason names:
+   * 'time_expired', 'files_changed' (the files its debate read) or
+   * 'project_changed' (the project fingerprint). Empty when it is still valid.
+   */
+  async staleReasons(entry, options = {}) {
+    const reasons = [];
+
+    if (Date.now() - entry.timestamp > this.maxAge) {
+      reasons.push('time_expired');
     }
 
-    // Check if cache entry is still valid
-    if (this.isCacheEntryValid(cached, options)) {
-      this.stats.hits++;
-      this.stats.tokensSaved += cached.tokenCount || 0;
-      this.stats.costSaved += cached.estimatedCost || 0;
+    if (entry.dependencies) {
+      if (!await this.dependenciesUnchanged(entry)) {
+        reasons.push('files_changed');
+      }
+    } else if (options.fileHash && entry.fileHash && options.fileHash !== entry.fileHash) {
+      reasons.push('project_changed');
+    }
 
-      const responseTime = Date.now() - startTime;
-      this.stats.totalResponseTime.cached += responseTime;
-      this.stats.responseCount.cached++;
+    return reasons;
+  }
 
-      return {
-        ...cached.result,
-        fromCache: true,
-        cachedAt: cached.timestamp,
-        cacheKey: key,
-        responseTime: `${responseTime}ms`
-      };
-    } else {
-      // Cache entry is invalid, remove it
-      this.cache.delete(key);
-      this.stats.invalidations++;
-      this.stats.misses++;
+  /**
+   * Count a hit and return the cached result. `cacheMatch` says how the
+   * question matched: { type: 'exact' | 'similar', similarity, cachedQuestion }
+   */
+  cacheHit(key, cached, startTime, cacheMatch) {
+    this.stats.hits++;
+    this.stats.tokensSaved += cached.tokenCount || 0;
+    // Entries persisted by older versions only carry an estimate
+    this.stats.costSaved += cached.cost ?? cached.estimatedCost ?? 0;
+
+    const responseTime = Date.now() - startTime;
+    this.stats.totalResponseTime.cached += responseTime;
+    this.stats.responseCount.cached++;
+
+    return {
+      ...cached.result,
+      fromCache: true,
+      cachedAt: cached.timestamp,
+      cacheKey: key,
+      cacheMatch,
+      responseTime: `${responseTime}ms`
+    };
+  }
+
+  /**
+   * Most similar valid entry at or above the similarity threshold, asked with the
+   * same project and model settings. Returns { key, entry, similarity } or null.
+   * Off unless the cache was created with semanticLookup; options.similarityThreshold
+   * overrides the threshold and options.semanticLookup = false disables it per lookup.
+   */
+  findSimilar(question, options = {}, exclude = null) {
+    if (!this.semanticLookup || options.semanticLookup === false) {
       return null;
     }
+
+    const threshold = options.similarityThreshold ?? this.similarityThreshold;
+    const vector = questionVector(question);
+    let best = null;
+
+    for (const [key, entry] of this.cache.entries()) {
+      // Entries added through set() carry no question
+      if (!entry.question || exclude?.has(key) || !this.sameContext(entry.options || {}, options) ||
+          !this.isCacheEntryValid(entry, options)) {
+        continue;
+      }
+
+      const similarity = questionSimilarity(vector, questionVector(entry.question));
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { key, entry, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Entry for the same question and context that tracks the files its debate read,
+   * whatever project fingerprint it was stored under. Returns { key, entry } or null.
+   */
+  findScoped(question, options = {}) {
+    const normalized = question.trim().toLowerCase();
+
+    for (const [key, entry] of this.cache.entries()) {
+      if (entry.dependencies && entry.question?.trim().toLowerCase() === normalized &&
+          this.sameContext(entry.options || {}, options)) {
+        return { key, entry };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether none of the files a cached debate read have changed since it was stored.
+   * Entries without recorded files are covered by the project fingerprint instead.
+   */
+  async dependenciesUnchanged(entry) {
+    if (!entry.dependencies || !entry.projectPath) {
+      return true;
+    }
+
+    const changed = await changedDependencies(entry.projectPath, entry.dependencies, this.fingerprinter);
+    if (changed.length > 0) {
+      logger.debug('Files read by a cached debate changed', { files: changed.slice(0, 10) });
+    }
+    return changed.length === 0;
+  }
+
+  /**
+   * Whether a cached entry was produced for the same project, model settings, response format
+   * and result-changing debate options
+   */
+  sameContext(entryOptions, options) {
+    return (entryOptions.projectPath || '') === (options.projectPath || '') &&
+      (entryOptions.modelConfig || null) === (options.modelConfig || null) &&
+      Boolean(entryOptions.useIntelligentSelection) === Boolean(options.useIntelligentSelection) &&
+      (entryOptions.responseFormat || 'markdown') === (options.responseFormat || 'markdown') &&
+      JSON.stringify(resultSettings(entryOptions)) === JSON.stringify(resultSettings(options));
   }
 
   /**
@@ -255,8 +460,8 @@ export class DebateCache {
       return false;
     }
 
-    // Check file context changes
-    if (options.fileHash && cached.fileHash && options.fileHash !== cached.fileHash) {
+    // Check file context changes (entries with recorded files are checked by dependenciesUnchanged)
+    if (!cached.dependencies && options.fileHash && cached.fileHash && options.fileHash !== cached.fileHash) {
       return false;
     }
 
@@ -285,19 +490,27 @@ export class DebateCache {
     const key = this.generateKey(question, options);
     const now = Date.now();
 
-    // Estimate token count and cost
-    const tokenCount = this.estimateTokenCount(result);
-    const estimatedCost = this.estimateCost(tokenCount);
+    // options.files lists the paths the debate's models read; only changes to them invalidate the entry.
+    // options.metadata (such as the category) describes the entry without being part of its key.
+    // options.replaces is the key of a stale entry this result refreshes.
+    const { files, metadata, replaces, ...entryOptions } = options;
+    const dependencies = await this.fileDependencies(options.projectPath, files);
+
+    // What a hit saves: the provider-reported usage of the debate, or an estimate
+    const { tokenCount, cost, costSource } = this.resultCost(result);
 
     const cacheEntry = {
       result,
       timestamp: now,
       question,
-      options,
+      options: entryOptions,
+      metadata: { category: options.category, ...metadata },
       fileHash: options.fileHash,
       projectPath: options.projectPath,
+      dependencies,
       tokenCount,
-      estimatedCost,
+      cost,
+      costSource,
       confidence: result.confidence || 0.8 // Default confidence
     };
 
@@ -309,6 +522,10 @@ export class DebateCache {
     this.cache.set(key, cacheEntry);
     this.stats.stores++;
 
+    if (replaces && replaces !== key) {
+      this.cache.delete(replaces);
+    }
+
     // Persist to disk if enabled
     if (this.enablePersistence) {
       await this.saveToPersistence();
@@ -316,11 +533,33 @@ export class DebateCache {
 
     logger.debug('Cached debate result', {
       keyPrefix: key.substring(0, 8),
+      dependencies: dependencies ? Object.keys(dependencies).length : 'project',
       tokens: tokenCount,
-      cost: `$${estimatedCost.toFixed(4)}`
+      cost: `$${cost.toFixed(4)}`,
+      costSource
     });
   }
 
+  /**
+   * Token count and cost of producing a result. Debates run through the
+   * k-proxy carry real usage; anything else falls back to estimates.
+   */
+  resultCost(result) {
+    const usage = result.usage;
+    if (usage && usage.totalTokens > 0) {
+      // Token counts are real even when no model in the debate has registry pricing
+      const priced = usage.unpricedRequests < usage.requests;
+      return {
+        tokenCount: usage.totalTokens,
+        cost: priced ? usage.cost : this.estimateCost(usage.totalTokens),
+        costSource: priced ? 'provider' : 'estimated'
+      };
+    }
+
+    const tokenCount = this.estimateTokenCount(result);
+    return { tokenCount, cost: this.estimateCost(tokenCount), costSource: 'estimated' };
+  }
+
   /**
    * Estimate token count from result
    */
@@ -387,7 +626,10 @@ export class DebateCache {
     return {
       entries: this.cache.size,
       maxEntries: this.maxEntries,
+      storage: this.storageType,
       hits: this.stats.hits,
+      similarHits: this.stats.similarHits,
+      staleHits: this.stats.staleHits,
       misses: this.stats.misses,
       stores: this.stats.stores,
       invalidations: this.stats.invalidations,
@@ -417,52 +659,90 @@ export class DebateCache {
   }
 
   /**
-   * Load cache from persistence file
+   * Load cache entries and statistics from the storage backend
    */
   async loadFromPersistence() {
+    if (!this.storage) return;
+
     try {
-      const data = await fs.readFile(this.persistencePath, 'utf8');
-      const persistedData = JSON.parse(data);
-
-      // Restore cache entries
-      for (const [key, entry] of Object.entries(persistedData.cache || {})) {
-        // Check if entry is still valid
-        if (Date.now() - entry.timestamp < this.maxAge) {
-          this.cache.set(key, entry);
+      for (const [key, entry] of await this.storage.load()) {
+        // Check if entry is still valid (or can still be served stale)
+        if (Date.now() - entry.timestamp < this.maxAge + this.maxStale) {
+          this.cache.restore(key, entry);
+        } else {
+          this.cache.persist(() => this.storage.delete(key));
         }
       }
 
       // Restore stats (but reset runtime counters)
       this.stats = {
         ...this.stats,
-        ...persistedData.stats
+        ...await this.storage.loadStats()
       };
 
       logger.info('Loaded cache from persistence', { entries: this.cache.size });
     } catch (error) {
-      // File doesn't exist or is corrupted, start fresh
-      logger.info('Starting with fresh cache', { reason: 'no persistence file found' });
+      // Storage is empty, unreachable or corrupted, start fresh
+      logger.info('Starting with fresh cache', { reason: error.message });
     }
   }
 
   /**
-   * Save cache to persistence file
+   * Entry stored by another process sharing the storage backend, or null
    */
-  async saveToPersistence() {
+  async loadEntry(key) {
+    if (!this.storage) return null;
+
     try {
-      // Ensure directory exists
-      const dir = path.dirname(this.persistencePath);
-      await fs.mkdir(dir, { recursive: true });
-
-      const persistData = {
-        cache: Object.fromEntries(this.cache.entries()),
-        stats: this.stats,
-        timestamp: Date.now()
-      };
+      const entry = await this.storage.get(key);
+      if (entry) {
+        this.cache.restore(key, entry);
+      }
+      return entry;
+    } catch (error) {
+      logger.warn('Failed to read cache entry from storage', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Wait for pending entry writes and save the statistics
+   */
+  async saveToPersistence() {
+    if (!this.storage) return;
+
+    this.cache.persist(() => this.storage.saveStats(this.stats));
+    await this.cache.flush();
+  }
+
+  /**
+   * Finish pending writes and release the storage backend
+   */
+  async close() {
+    if (!this.storage) return;
+
+    await this.loading;
+    await this.cache.flush();
+    await this.storage.close();
+  }
 
-      await fs.writeFile(this.persistencePath, JSON.stringify(persistData, null, 2));
+  /**
+   * Content hashes of the referenced paths that are files in the project, or
+   * undefined when none are (the entry then depends on the whole project)
+   */
+  async fileDependencies(projectPath, files) {
+    if (!projectPath || !files?.length) {
+      return undefined;
+    }
+
+    try {
+      const projectFiles = await resolveProjectFiles(projectPath, files);
+      return projectFiles.length > 0 ?
+        await hashDependencies(projectPath, projectFiles, this.fingerprinter) :
+        undefined;
     } catch (error) {
-      logger.warn('Failed to save cache to persistence', { error: error.message });
+      logger.warn('Failed to record debate file dependencies', { error: error.message });
+      return undefined;
     }
   }
 
@@ -474,7 +754,15 @@ export class DebateCache {
     let invalidatedCount = 0;
 
     for (const [key, entry] of this.cache.entries()) {
-      if (entry.projectPath === projectPath && entry.fileHash !== currentHash) {
+      if (entry.projectPath !== projectPath) {
+        continue;
+      }
+
+      const changed = entry.dependencies ?
+        !await this.dependenciesUnchanged(entry) :
+        entry.fileHash !== currentHash;
+
+      if (changed) {
         this.cache.delete(key);
         invalidatedCount++;
       }
@@ -514,13 +802,125 @@ export class DebateCache {
   }
 
   /**
-   * Invalidate cache entries by pattern
+   * Invalidate the entry whose key starts with `keyPrefix` (as shown by listEntries)
+   */
+  invalidateByKey(keyPrefix) {
+    const keys = Array.from(this.cache.keys()).filter(key => key.startsWith(keyPrefix));
+    if (keys.length > 1) {
+      throw new Error(`Key prefix "${keyPrefix}" matches ${keys.length} entries`);
+    }
+
+    if (keys.length === 1) {
+      this.cache.delete(keys[0]);
+      this.keyMetadata.delete(keys[0]);
+      this.stats.invalidations++;
+      logger.info('Invalidated cache entry by key', { keyPrefix });
+    }
+
+    return keys.length;
+  }
+
+  /**
+   * Summaries of cached entries, newest first, optionally for one project
+   */
+  listEntries({ projectPath = null, limit = 20 } = {}) {
+    const now = Date.now();
+
+    return Array.from(this.cache.entries())
+      .filter(([, entry]) => !projectPath || entry.projectPath === projectPath)
+      .sort(([, a], [, b]) => b.timestamp - a.timestamp)
+      .slice(0, limit)
+      .map(([key, entry]) => ({
+        key,
+        question: entry.question || null,
+        projectPath: entry.projectPath || null,
+        category: entry.metadata?.category || this.keyMetadata.get(key)?.category || null,
+        ageMs: now - entry.timestamp,
+        expired: now - entry.timestamp > this.maxAge,
+        confidence: entry.confidence ?? null,
+        dependencies: entry.dependencies ? Object.keys(entry.dependencies).length : null
+      }));
+  }
+
+  /**
+   * Serializable copy of the cached debates, for sharing a warmed cache.
+   * With a projectPath only that project's entries are exported, with the path
+   * made relative so they can be imported into another checkout of the project.
+   */
+  exportEntries(projectPath = null) {
+    const relocate = (entry) => projectPath ? {
+      ...entry,
+      projectPath: EXPORT_PROJECT_PLACEHOLDER,
+      options: { ...entry.options, projectPath: EXPORT_PROJECT_PLACEHOLDER }
+    } : entry;
+
+    const entries = Array.from(this.cache.values())
+      .filter(entry => entry.question && (!projectPath || entry.projectPath === projectPath))
+      .map(relocate);
+
+    return {
+      version: CACHE_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      projectRelative: Boolean(projectPath),
+      entries
+    };
+  }
+
+  /**
+   * Add the entries of an exportEntries() file. Project-relative exports are
+   * imported into `projectPath`. Expired entries and entries older than the
+   * cached copy are skipped. Returns { imported, skipped }.
+   */
+  importEntries(data, projectPath = null) {
+    if (!data || data.version !== CACHE_EXPORT_VERSION || !Array.isArray(data.entries)) {
+      throw new Error(`Unsupported cache export (expected version ${CACHE_EXPORT_VERSION})`);
+    }
+    if (data.projectRelative && !projectPath) {
+      throw new Error('This export is relative to a project: a project path is required');
+    }
+
+    let imported = 0;
+    let skipped = 0;
+
+    for (const exported of data.entries) {
+      if (!exported?.question || !exported.timestamp || Date.now() - exported.timestamp > this.maxAge) {
+        skipped++;
+        continue;
+      }
+
+      const entry = data.projectRelative ? {
+        ...exported,
+        projectPath,
+        options: { ...exported.options, projectPath }
+      } : exported;
+
+      const key = this.generateKey(entry.question, entry.options || {});
+      const existing = this.cache.get(key);
+      if (existing && existing.timestamp >= entry.timestamp) {
+        skipped++;
+        continue;
+      }
+
+      if (!existing && this.cache.size >= this.maxEntries) {
+        this.evictOldestEntry();
+      }
+
+      this.cache.set(key, entry);
+      imported++;
+    }
+
+    logger.info('Imported cache entries', { imported, skipped });
+    return { imported, skipped };
+  }
+
+  /**
+   * Invalidate cache entries by pattern (matched against keys and questions)
    */
   invalidateByPattern(pattern) {
     let invalidatedCount = 0;
 
     for (const [key, entry] of this.cache.entries()) {
-      if (pattern.test(key)) {
+      if (pattern.test(key) || (entry.question && pattern.test(entry.question))) {
         this.cache.delete(key);
         invalidatedCount++;
       }
@@ -0,0 +1,92 @@
+/**
+ * File Dependencies of Cached Debates
+ *
+ * Records which project files a debate read, so a cached result is only
+ * invalidated when one of those files changes instead of on any change in the
+ * project. Models report what they read in their answers: `MCP: Read -> path`
+ * tool lines (see ClaudeAdapter.extractMCPUsage) and the paths they cite.
+ * Candidates that do not resolve to a file inside the project are dropped.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Path-like tokens: at least one "/" or a file extension
+const PATH_TOKEN = /[\w@~.+-]*(?:\/[\w@~.+-]+)+\/?|[\w@~+-][\w@~.+-]*\.[A-Za-z][\w]{0,9}/g;
+const MCP_LINE = /MCP:\s*\w+\s*->\s*(\S+)/g;
+
+// Upper bound on candidates checked per debate
+const MAX_CANDIDATES = 500;
+
+/**
+ * Candidate file paths mentioned in model output (not yet checked against the project)
+ */
+export function extractFileReferences(texts) {
+  const candidates = new Set();
+
+  for (const text of [].concat(texts)) {
+    if (typeof text !== 'string') continue;
+
+    for (const match of text.matchAll(MCP_LINE)) {
+      candidates.add(match[1]);
+    }
+    for (const match of text.matchAll(PATH_TOKEN)) {
+      candidates.add(match[0]);
+    }
+  }
+
+  return Array.from(candidates)
+    .map(candidate => candidate.replace(/[.,;:)]+$/, '').replace(/:\d+(?::\d+)?$/, ''))
+    .filter(candidate => candidate && !candidate.includes('://'))
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Project-relative paths of the candidates that are files inside projectPath
+ */
+export async function resolveProjectFiles(projectPath, candidates) {
+  const root = path.resolve(projectPath);
+  const files = new Set();
+
+  for (const candidate of candidates) {
+    const fullPath = path.resolve(root, candidate);
+    const relativePath = path.relative(root, fullPath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      continue;
+    }
+
+    try {
+      if ((await fs.stat(fullPath)).isFile()) {
+        files.add(relativePath.split(path.sep).join('/'));
+      }
+    } catch (error) {
+      // Not a file in this project
+    }
+  }
+
+  return Array.from(files).sort();
+}
+
+/**
+ * Content hashes of the files a debate read: { relativePath: hash }
+ */
+export async function hashDependencies(projectPath, files, fingerprinter) {
+  const dependencies = {};
+  for (const file of files) {
+    dependencies[file] = await fingerprinter.fileHash(path.join(projectPath, file));
+  }
+  return dependencies;
+}
+
+/**
+ * Dependency files whose content changed (or that were removed) since they were hashed
+ */
+export async function changedDependencies(projectPath, dependencies, fingerprinter) {
+  const changed = [];
+  for (const [file, hash] of Object.entries(dependencies)) {
+    if (await fingerprinter.fileHash(path.join(projectPath, file)) !== hash) {
+      changed.push(file);
+    }
+  }
+  return changed;
+}
@@ -6,11 +6,13 @@
  * - Context changes (file modifications)
  * - Confidence thresholds
  * - User preferences
- * - Project state changes
+ * - Project state changes, or changes to the files a debate read when they are known
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getProjectFingerprinter } from './project-fingerprint.js';
+import { changedDependencies } from './file-dependencies.js';
 
 export class CacheInvalidator {
   constructor(options = {}) {
@@ -18,6 +20,9 @@ export class CacheInvalidator {
     this.minConfidence = options.minConfidence || 0.7; // Minimum confidence to keep cached
     this.checkInterval = options.checkInterval || 5 * 60 * 1000; // Check every 5 minutes
     this.projectStateTracking = options.projectStateTracking || true;
+    // Stale-while-revalidate window: outdated entries are kept this long for stale answers
+    this.maxStale = options.maxStale || 0;
+    this.fingerprinter = options.fingerprinter || getProjectFingerprinter();
 
     // Track project states for change detection
     this.projectStates = new Map();
@@ -29,6 +34,7 @@ export class CacheInvalidator {
       lowConfidence: 0,
       userRequested: 0,
       projectChanged: 0,
+      filesChanged: 0,
       dependency: 0
     };
   }
@@ -36,7 +42,7 @@ export class CacheInvalidator {
   /**
    * Check if a cache entry should be invalidated
    */
-  shouldInvalidate(cached, context = {}) {
+  async shouldInvalidate(cached, context = {}) {
     const reasons = [];
 
     // Time-based invalidation
@@ -63,14 +69,20 @@ export class CacheInvalidator {
       this.invalidationReasons.userRequested++;
     }
 
-    // Project state changes
-    if (this.hasProjectChanged(cached, context)) {
+    // Project state changes: entries that recorded the files their debate read
+    // only care about those files
+    if (cached.dependencies) {
+      if (await this.haveFilesChanged(cached)) {
+        reasons.push('files_changed');
+        this.invalidationReasons.filesChanged++;
+      }
+    } else if (await this.hasProjectChanged(cached, context)) {
       reasons.push('project_changed');
       this.invalidationReasons.projectChanged++;
     }
 
     // Dependency invalidation
-    if (this.hasDependencyChanged(cached, context)) {
+    if (await this.hasDependencyChanged(cached, context)) {
       reasons.push('dependency_changed');
       this.invalidationReasons.dependency++;
     }
@@ -94,8 +106,8 @@ export class CacheInvalidator {
    * Check if project context has changed
    */
   hasContextChanged(cached, context) {
-    // File hash comparison (most reliable)
-    if (context.fileHash && cached.fileHash) {
+    // File hash comparison (most reliable), unless the entry tracks the files it read
+    if (!cached.dependencies && context.fileHash && cached.fileHash) {
       return context.fileHash !== cached.fileHash;
     }
 
@@ -114,6 +126,16 @@ export class CacheInvalidator {
     return false;
   }
 
+  /**
+   * Check if an entry can still be served stale: younger than maxAge + maxStale
+   * and confident enough. Outdated files or fingerprints do not matter here.
+   */
+  isWithinStaleWindow(cached) {
+    return this.maxStale > 0 &&
+      Date.now() - cached.timestamp <= this.maxAge + this.maxStale &&
+      !this.isLowConfidence(cached);
+  }
+
   /**
    * Check if cached result has low confidence
    */
@@ -143,6 +165,18 @@ export class CacheInvalidator {
     return this.detectProjectChanges(projectPath, lastKnownState);
   }
 
+  /**
+   * Check if any of the files the cached debate read changed or were removed
+   */
+  async haveFilesChanged(cached) {
+    if (!cached.projectPath) {
+      return false;
+    }
+
+    const changed = await changedDependencies(cached.projectPath, cached.dependencies, this.fingerprinter);
+    return changed.length > 0;
+  }
+
   /**
    * Check if dependencies have changed
    */
@@ -167,60 +201,16 @@ export class CacheInvalidator {
   }
 
   /**
-   * Capture current project state
+   * Capture current project state: the same content fingerprint the cache keys on
    */
   async captureProjectState(projectPath) {
-    const state = {
+    const { hash, method } = await this.fingerprinter.fingerprint(projectPath);
+
+    return {
       timestamp: Date.now(),
-      files: {},
-      packageJson: null,
-      gitCommit: null
+      fingerprint: hash,
+      method
     };
-
-    try {
-      // Capture key file modifications
-      const keyFiles = ['package.json', 'package-lock.json', '.env', 'tsconfig.json', 'jest.config.js'];
-
-      for (const file of keyFiles) {
-        const filePath = path.join(projectPath, file);
-        try {
-          const stat = await fs.stat(filePath);
-          state.files[file] = {
-            mtime: stat.mtime.getTime(),
-            size: stat.size
-          };
-        } catch {
-          // File doesn't exist, skip
-        }
-      }
-
-      // Capture package.json content hash
-      try {
-        const packageJsonPath = path.join(projectPath, 'package.json');
-        const packageContent = await fs.readFile(packageJsonPath, 'utf8');
-        const packageData = JSON.parse(packageContent);
-        state.packageJson = {
-          dependencies: packageData.dependencies || {},
-          devDependencies: packageData.devDependencies || {},
-          scripts: packageData.scripts || {}
-        };
-      } catch {
-        // No package.json or invalid JSON
-      }
-
-      // Capture git commit if available
-      try {
-        const gitHeadPath = path.join(projectPath, '.git', 'HEAD');
-        state.gitCommit = await fs.readFile(gitHeadPath, 'utf8');
-      } catch {
-        // Not a git repo or no .git folder
-      }
-
-    } catch (error) {
-      console.warn(`Error capturing project state: ${error.message}`);
-    }
-
-    return state;
   }
 
   /**
@@ -229,32 +219,7 @@ export class CacheInvalidator {
   async detectProjectChanges(projectPath, lastState) {
     const currentState = await this.captureProjectState(projectPath);
 
-    // Check file modifications
-    for (const [file, lastInfo] of Object.entries(lastState.files)) {
-      const currentInfo = currentState.files[file];
-      if (!currentInfo || currentInfo.mtime !== lastInfo.mtime) {
-        return true;
-      }
-    }
-
-    // Check new files
-    for (const file of Object.keys(currentState.files)) {
-      if (!lastState.files[file]) {
-        return true;
-      }
-    }
-
-    // Check package.json dependencies
-    if (lastState.packageJson && currentState.packageJson) {
-      const lastDeps = JSON.stringify(lastState.packageJson.dependencies);
-      const currentDeps = JSON.stringify(currentState.packageJson.dependencies);
-      if (lastDeps !== currentDeps) {
-        return true;
-      }
-    }
-
-    // Check git commit
-    if (lastState.gitCommit !== currentState.gitCommit) {
+    if (currentState.fingerprint !== lastState.fingerprint) {
       return true;
     }
 
@@ -292,13 +257,18 @@ export class CacheInvalidator {
     const invalidated = [];
 
     for (const [key, entry] of cache.entries()) {
+      // Periodic cleanup keeps outdated entries that stale-while-revalidate can still serve
+      if (criteria.keepStale && this.isWithinStaleWindow(entry)) {
+        continue;
+      }
+
       const context = {
         projectPath: criteria.projectPath,
         fileHash: criteria.fileHash,
         fresh: criteria.fresh
       };
 
-      const result = this.shouldInvalidate(entry, context);
+      const result = await this.shouldInvalidate(entry, context);
 
       if (result.shouldInvalidate) {
         cache.delete(key);
@@ -352,6 +322,9 @@ export class CacheInvalidator {
     if (options.projectStateTracking !== undefined) {
       this.projectStateTracking = options.projectStateTracking;
     }
+    if (options.maxStale !== undefined) {
+      this.maxStale = options.maxStale;
+    }
 
     console.log('🔧 Cache invalidation rules updated:', {
       maxAge: this.maxAge,
@@ -370,7 +343,7 @@ export class CacheInvalidator {
         const beforeSize = cache.size;
 
         // Run cleanup
-        await this.invalidateMatching(cache, {});
+        await this.invalidateMatching(cache, { keepStale: true });
 
         const afterSize = cache.size;
         const cleaned = beforeSize - afterSize;
@@ -0,0 +1,326 @@
+/**
+ * Project Fingerprinting for Cache Invalidation
+ *
+ * A fingerprint changes when the content of a project changes, whatever language
+ * it is written in, and stays the same when files are only touched.
+ *
+ * - In a git work tree it combines the tree hash of HEAD (for the project
+ *   directory) with the content of every modified, staged or untracked file
+ *   `git status` reports, so .gitignore'd files never count.
+ * - Elsewhere it hashes the content of every file, skipping paths matched by
+ *   .gitignore files.
+ *
+ * File content hashes are cached by path, mtime and size, so repeated
+ * fingerprints only read files that changed on disk.
+ */
+
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+// Directories never hashed, with or without a .gitignore
+const ALWAYS_IGNORED = ['.git', 'node_modules'];
+
+const GIT_TIMEOUT_MS = 10000;
+
+// Upper bounds for the content walk outside git
+const DEFAULT_MAX_FILES = 20000;
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// Files modified this recently may change again within the same mtime tick, so their hash is not reused
+const RACY_WINDOW_MS = 2000;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches any number of directories, a trailing "**" everything below
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += glob.slice(i, end + 1).replace(/^\[!/, '[^');
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Parse a .gitignore file into rules relative to `baseDir` (a project-relative path)
+ */
+export function parseGitignore(content, baseDir = '') {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+
+    const pattern = globToRegExp(line.replace(/^\\/, ''));
+    rules.push({
+      regex: new RegExp(anchored ? `^${pattern}$` : `^(?:.*/)?${pattern}$`),
+      negate,
+      dirOnly,
+      baseDir
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Whether `relativePath` (project-relative, "/"-separated) is ignored. The last matching rule wins.
+ */
+export function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+
+    let candidate = relativePath;
+    if (rule.baseDir) {
+      if (!relativePath.startsWith(`${rule.baseDir}/`)) continue;
+      candidate = relativePath.slice(rule.baseDir.length + 1);
+    }
+
+    if (rule.regex.test(candidate)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
+
+export class ProjectFingerprinter {
+  constructor(options = {}) {
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.maxFileBytes = options.maxFileBytes || DEFAULT_MAX_FILE_BYTES;
+    this.useGit = options.useGit !== false;
+
+    // Absolute path -> { mtimeMs, size, hash }
+    this.contentHashes = new Map();
+  }
+
+  /**
+   * Fingerprint a project directory
+   *
+   * @returns {Promise<{hash: string, method: 'git'|'content', files: number}>}
+   */
+  async fingerprint(projectPath) {
+    const root = path.resolve(projectPath);
+
+    if (this.useGit) {
+      try {
+        return await this.gitFingerprint(root);
+      } catch (error) {
+        logger.debug('No git fingerprint, hashing file contents', { projectPath: root, reason: error.message });
+      }
+    }
+
+    return this.contentFingerprint(root);
+  }
+
+  async gitFingerprint(root) {
+    const [topLevel, prefix = ''] = (await this.git(root, ['rev-parse', '--show-toplevel', '--show-prefix']))
+      .split('\n');
+
+    let tree = 'no-commits';
+    try {
+      tree = (await this.git(root, ['rev-parse', `HEAD:${prefix}`])).trim();
+    } catch (error) {
+      // No commit yet, or the directory is not committed: everything shows up as untracked
+    }
+
+    // NUL-separated "XY path" records; renames carry the original path as an extra record
+    const records = (await this.git(root, ['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', '.']))
+      .split('\0')
+      .filter(Boolean);
+
+    const changes = [];
+    for (let i = 0; i < records.length; i++) {
+      const status = records[i].slice(0, 2);
+      const file = records[i].slice(3);
+      if (status.includes('R') || status.includes('C')) {
+        i++;
+      }
+
+      const fullPath = path.join(topLevel, file);
+      const contentHash = status.includes('D') ? 'deleted' : await this.fileHash(fullPath);
+      changes.push(`${file}:${contentHash}`);
+    }
+
+    changes.sort();
+    return {
+      hash: sha256(`git:${tree}\n${changes.join('\n')}`),
+      method: 'git',
+      files: changes.length
+    };
+  }
+
+  async contentFingerprint(root) {
+    const files = [];
+    await this.walk(root, '', [], files);
+    files.sort();
+
+    const entries = [];
+    for (const file of files) {
+      entries.push(`${file}:${await this.fileHash(path.join(root, file))}`);
+    }
+
+    return {
+      hash: sha256(`content\n${entries.join('\n')}`),
+      method: 'content',
+      files: files.length
+    };
+  }
+
+  async walk(root, relativeDir, inheritedRules, files) {
+    if (files.length >= this.maxFiles) return;
+
+    const dir = path.join(root, relativeDir);
+    let rules = inheritedRules;
+    try {
+      const gitignore = await fs.readFile(path.join(dir, '.gitignore'), 'utf8');
+      rules = [...inheritedRules, ...parseGitignore(gitignore, relativeDir)];
+    } catch (error) {
+      // No .gitignore in this directory
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      logger.debug('Skipping unreadable directory', { dir, error: error.message });
+      return;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (files.length >= this.maxFiles) {
+        logger.warn('Project fingerprint file limit reached, remaining files are not hashed', {
+          projectPath: root,
+          maxFiles: this.maxFiles
+        });
+        return;
+      }
+
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+
+      if (ALWAYS_IGNORED.includes(entry.name) || isIgnored(rules, relativePath, isDirectory)) {
+        continue;
+      }
+
+      if (isDirectory) {
+        await this.walk(root, relativePath, rules, files);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  /**
+   * Content hash of a file, re-read only when its mtime or size changed
+   */
+  async fileHash(fullPath) {
+    let stat;
+    try {
+      stat = await fs.stat(fullPath);
+    } catch (error) {
+      return 'missing';
+    }
+
+    if (!stat.isFile()) {
+      return stat.isDirectory() ? 'directory' : 'other';
+    }
+
+    const cached = this.contentHashes.get(fullPath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.hash;
+    }
+
+    // Very large files are identified by size and mtime instead of content
+    const hash = stat.size > this.maxFileBytes ?
+      `large:${stat.size}:${stat.mtimeMs}` :
+      crypto.createHash('sha256').update(await fs.readFile(fullPath)).digest('hex');
+
+    if (Date.now() - stat.mtimeMs > RACY_WINDOW_MS) {
+      this.contentHashes.set(fullPath, { mtimeMs: stat.mtimeMs, size: stat.size, hash });
+    }
+    return hash;
+  }
+
+  git(cwd, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+      const stdout = [];
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`git ${args[0]} timed out`));
+      }, GIT_TIMEOUT_MS);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => {
+        stderr += chunk.toString();
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(Buffer.concat(stdout).toString('utf8'));
+        } else {
+          reject(new Error(stderr.trim() || `git ${args[0]} exited with code ${code}`));
+        }
+      });
+    });
+  }
+}
+
+// Shared so the cache and the invalidator reuse one content-hash cache
+let projectFingerprinter = null;
+
+export function getProjectFingerprinter() {
+  if (!projectFingerprinter) {
+    projectFingerprinter = new ProjectFingerprinter();
+  }
+  return projectFingerprinter;
+}
@@ -0,0 +1,177 @@
+/**
+ * Question Similarity for Near-Duplicate Cache Lookups
+ *
+ * Builds a local, dependency-free embedding of a question: weighted content
+ * words (stop words dropped, light stemming) plus character trigrams of those
+ * words, compared by cosine similarity. Rewordings such as "How do I rate-limit
+ * Express?" and "How should I rate limit an Express API?" score high, while the
+ * same question about a different technology does not.
+ *
+ * Word order and numbers are checked separately, since they change a question
+ * without changing its words: "PostgreSQL or MongoDB" vs "MongoDB or PostgreSQL",
+ * "JWT more secure than sessions" vs the reverse, or "Python 2 to 3" vs "3 to 2"
+ * never match.
+ */
+
+// Filler words that do not change what a question asks. Negations are kept on purpose.
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'is', 'are', 'was', 'be', 'been', 'am', 'do', 'does', 'did', 'can', 'could', 'should', 'would',
+  'will', 'shall', 'may', 'might', 'must', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its',
+  'this', 'that', 'these', 'those', 'what', 'which', 'how', 'best', 'way', 'ways', 'please',
+  'some', 'any', 'there', 'here', 'about', 'into', 'up', 'so', 'just', 'using', 'use'
+]);
+
+// "t" is what is left of "don't", "isn't", ... once punctuation is stripped
+const NEGATIONS = new Set(['not', 'no', 'never', 'without', 'cannot', 't']);
+
+// Character trigrams carry half the weight, content words the other half
+const WORD_WEIGHT = 0.5;
+
+// Below this share of their common words in the same order, two questions ask
+// about opposite directions ("A more secure than B" and "B more secure than A")
+const MIN_ORDER_AGREEMENT = 0.5;
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  for (const suffix of ['ing', 'ed']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  // Plurals, but not "express", "status" or "redis"
+  if (/[^siu]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Content words of a question, lower-cased and stemmed
+ */
+export function questionTerms(question) {
+  return String(question || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+function countInto(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Numbers and versions of a question in the order they appear ("3.11", "2")
+ */
+export function questionNumbers(question) {
+  return String(question || '').match(/\d+(?:\.\d+)*/g) || [];
+}
+
+/**
+ * Local embedding of a question: { words, trigrams } term-frequency maps, plus
+ * its content words in order, their adjacent pairs (bigrams) and its numbers
+ */
+export function questionVector(question) {
+  const terms = questionTerms(question);
+  const words = new Map();
+  const trigrams = new Map();
+  const bigrams = new Set();
+
+  terms.forEach((term, index) => {
+    countInto(words, term);
+    const padded = ` ${term} `;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      countInto(trigrams, padded.slice(i, i + 3));
+    }
+    if (index > 0 && terms[index - 1] !== term) {
+      bigrams.add(`${terms[index - 1]} ${term}`);
+    }
+  });
+
+  return {
+    words,
+    trigrams,
+    terms,
+    bigrams,
+    numbers: questionNumbers(question),
+    negated: terms.some(term => NEGATIONS.has(term))
+  };
+}
+
+/**
+ * Share (0-1) of the pairs of words both questions contain that appear in the
+ * same order in both; 1 when they share fewer than two words
+ */
+export function orderAgreement(termsA, termsB) {
+  const shared = Array.from(new Set(termsA)).filter(term => termsB.includes(term));
+  let pairs = 0;
+  let agreeing = 0;
+
+  for (let i = 0; i < shared.length; i++) {
+    for (let j = i + 1; j < shared.length; j++) {
+      pairs++;
+      const beforeInA = termsA.indexOf(shared[i]) < termsA.indexOf(shared[j]);
+      const beforeInB = termsB.indexOf(shared[i]) < termsB.indexOf(shared[j]);
+      if (beforeInA === beforeInB) agreeing++;
+    }
+  }
+
+  return pairs === 0 ? 1 : agreeing / pairs;
+}
+
+/**
+ * Whether the questions put the same words in opposite order: one has the
+ * bigram "postgresql mongodb" and the other "mongodb postgresql", or most of
+ * their common words appear in a different order
+ */
+function reversesOrder(vectorA, vectorB) {
+  for (const bigram of vectorA.bigrams) {
+    const [first, second] = bigram.split(' ');
+    if (vectorB.bigrams.has(`${second} ${first}`) && !vectorB.bigrams.has(bigram)) {
+      return true;
+    }
+  }
+  return orderAgreement(vectorA.terms, vectorB.terms) < MIN_ORDER_AGREEMENT;
+}
+
+/**
+ * Cosine similarity of two term-frequency maps (0 when either is empty)
+ */
+export function cosineSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let dot = 0;
+  for (const [term, count] of a) {
+    dot += count * (b.get(term) || 0);
+  }
+
+  const norm = (map) => Math.sqrt(Array.from(map.values()).reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+/**
+ * Similarity of two questions (or question vectors) between 0 and 1.
+ * A question and its negation share almost every word but never match, nor do
+ * questions with different numbers or versions or with their words reversed.
+ */
+export function questionSimilarity(a, b) {
+  const vectorA = typeof a === 'string' ? questionVector(a) : a;
+  const vectorB = typeof b === 'string' ? questionVector(b) : b;
+
+  if (vectorA.negated !== vectorB.negated) {
+    return 0;
+  }
+
+  if (vectorA.numbers.join(' ') !== vectorB.numbers.join(' ')) {
+    return 0;
+  }
+
+  if (reversesOrder(vectorA, vectorB)) {
+    return 0;
+  }
+
+  return WORD_WEIGHT * cosineSimilarity(vectorA.words, vectorB.words) +
+    (1 - WORD_WEIGHT) * cosineSimilarity(vectorA.trigrams, vectorB.trigrams);
+}
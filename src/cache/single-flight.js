@@ -0,0 +1,283 @@
+/**
+ * Single-Flight Debates
+ *
+ * Identical debates requested at the same time share one run. Callers in the
+ * same process wait on the running debate's promise. Across processes the
+ * running debate holds `<dir>/<key>.lock` (created exclusively), touching it as a
+ * heartbeat, and writes `<dir>/<key>.result` when it finishes; the other
+ * processes poll for that result.
+ *
+ * A lock whose owner died (same host, process gone) or whose heartbeat stopped
+ * is broken, and the waiting caller runs the debate itself. So does a caller
+ * whose flight was abandoned: it failed for its leader only (see run()).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_HEARTBEAT_MS = 10000;
+// A lock not touched for this long belongs to a debate that is no longer running
+const DEFAULT_STALE_LOCK_MS = 60000;
+// Results are only read by callers waiting at the time; older ones are deleted
+const RESULT_TTL_MS = 60 * 60 * 1000;
+
+export class FlightFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FlightFailedError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+export class SingleFlight {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for lock and result files shared by processes (omit for in-process only)
+   * @param {number} options.maxWaitMs - Longest wait for another process's debate
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+    this.heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_MS;
+    this.staleLockMs = options.staleLockMs || DEFAULT_STALE_LOCK_MS;
+    this.maxWaitMs = options.maxWaitMs || Infinity;
+
+    // Running flights of this process: key -> promise of the value
+    this.inflight = new Map();
+  }
+
+  /**
+   * Run `fn` unless an identical flight is running, in which case wait for its value.
+   * Returns { value, joined } where `joined` says the value came from another caller.
+   * options.isAbandoned(error) marks failures that concern the leader only, such as
+   * its cancellation: callers that joined it run the flight again instead of failing.
+   */
+  async run(key, fn, options = {}) {
+    const isAbandoned = options.isAbandoned || (() => false);
+
+    const running = this.inflight.get(key);
+    if (running) {
+      try {
+        return { value: await running, joined: true };
+      } catch (error) {
+        if (!isAbandoned(error)) throw error;
+        if (this.inflight.get(key) === running) {
+          this.inflight.delete(key);
+        }
+        return this.run(key, fn, options);
+      }
+    }
+
+    const flight = this.dir ?
+      this.runShared(key, fn, isAbandoned) :
+      fn().then(value => ({ value, joined: false }));
+    const value = flight.then(result => result.value);
+    // Joiners handle a failure themselves; nobody may be waiting
+    value.catch(() => {});
+    this.inflight.set(key, value);
+
+    try {
+      return await flight;
+    } finally {
+      this.inflight.delete(key);
+    }
+  }
+
+  async runShared(key, fn, isAbandoned) {
+    const deadline = Date.now() + this.maxWaitMs;
+
+    for (;;) {
+      const lock = await this.tryLock(key);
+      if (lock) {
+        return { value: await this.lead(key, lock, fn, isAbandoned), joined: false };
+      }
+
+      const outcome = await this.waitFor(key, deadline);
+      if (outcome) {
+        return { value: outcome.value, joined: true };
+      }
+      // The lock was released without a result for us, or broken: try to take it
+    }
+  }
+
+  fileName(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  lockPath(key) {
+    return path.join(this.dir, `${this.fileName(key)}.lock`);
+  }
+
+  resultPath(key) {
+    return path.join(this.dir, `${this.fileName(key)}.result`);
+  }
+
+  async tryLock(key) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const lock = { id: crypto.randomUUID(), pid: process.pid, hostname: os.hostname(), startedAt: Date.now() };
+    try {
+      await fs.writeFile(this.lockPath(key), JSON.stringify(lock), { flag: 'wx' });
+      return lock;
+    } catch (error) {
+      if (error.code === 'EEXIST') return null;
+      throw error;
+    }
+  }
+
+  async lead(key, lock, fn, isAbandoned = () => false) {
+    await this.prune();
+
+    const lockPath = this.lockPath(key);
+    const heartbeat = setInterval(() => {
+      const now = new Date();
+      fs.utimes(lockPath, now, now).catch(() => {});
+    }, this.heartbeatInterval);
+    heartbeat.unref();
+
+    try {
+      const value = await fn();
+      await this.writeResult(key, { id: lock.id, value });
+      return value;
+    } catch (error) {
+      // Without a result, waiting processes see the lock go away and run the flight themselves
+      if (!isAbandoned(error)) {
+        await this.writeResult(key, { id: lock.id, error: { name: error.name, message: error.message } });
+      }
+      throw error;
+    } finally {
+      clearInterval(heartbeat);
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Wait for the flight holding the lock. Returns { value } once it finished, or
+   * null when the lock went away without a result or had to be broken.
+   */
+  async waitFor(key, deadline) {
+    let attachedTo = null;
+
+    for (;;) {
+      const lock = await this.readLock(key);
+      attachedTo = attachedTo || lock?.info?.id || null;
+
+      const result = attachedTo ? await this.readResult(key) : null;
+      if (result?.id === attachedTo) {
+        if (result.error) {
+          throw new FlightFailedError(`The identical debate running in another process failed: ${result.error.message}`);
+        }
+        return { value: result.value };
+      }
+
+      if (!lock) {
+        return null;
+      }
+
+      if (this.isStale(lock)) {
+        logger.warn('Breaking stale debate lock', { pid: lock.info?.pid, hostname: lock.info?.hostname });
+        await this.breakLock(key, lock);
+        return null;
+      }
+
+      if (Date.now() > deadline) {
+        throw new FlightFailedError('Timed out waiting for the identical debate running in another process');
+      }
+      await sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * The lock's owner ({ id, pid, hostname, startedAt }, null while it is being
+   * written) and modification time, or null when nobody holds the lock
+   */
+  async readLock(key) {
+    try {
+      const [content, stat] = await Promise.all([
+        fs.readFile(this.lockPath(key), 'utf8'),
+        fs.stat(this.lockPath(key))
+      ]);
+
+      let info = null;
+      try {
+        info = JSON.parse(content);
+      } catch (error) {
+        // Created but not written yet
+      }
+      return { info, mtimeMs: stat.mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  isStale(lock) {
+    if (lock.info?.hostname === os.hostname() && !processAlive(lock.info.pid)) {
+      return true;
+    }
+    return Date.now() - lock.mtimeMs > this.staleLockMs;
+  }
+
+  async breakLock(key, lock) {
+    // Only remove the lock that was found stale, not one taken over since
+    const current = await this.readLock(key);
+    if (current && current.info?.id === lock.info?.id && current.mtimeMs === lock.mtimeMs) {
+      await fs.rm(this.lockPath(key), { force: true });
+    }
+  }
+
+  async readResult(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.resultPath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeResult(key, result) {
+    const resultPath = this.resultPath(key);
+    const tmpPath = `${resultPath}.${process.pid}.tmp`;
+
+    try {
+      await fs.writeFile(tmpPath, JSON.stringify(result));
+      await fs.rename(tmpPath, resultPath);
+    } catch (error) {
+      // Waiting processes see the lock go away and run the debate themselves
+      logger.warn('Failed to share debate result', { error: error.message });
+    }
+  }
+
+  /**
+   * Delete results nobody is waiting for anymore
+   */
+  async prune() {
+    try {
+      const now = Date.now();
+      for (const file of await fs.readdir(this.dir)) {
+        if (!file.endsWith('.result')) continue;
+
+        const filePath = path.join(this.dir, file);
+        const stat = await fs.stat(filePath);
+        if (now - stat.mtimeMs > RESULT_TTL_MS) {
+          await fs.rm(filePath, { force: true });
+        }
+      }
+    } catch (error) {
+      logger.debug('Failed to prune debate results', { error: error.message });
+    }
+  }
+}
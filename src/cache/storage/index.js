@@ -0,0 +1,102 @@
+/**
+ * Debate Cache Storage Backends
+ *
+ * `DebateCache` keeps its working set in memory and writes every change through
+ * to a storage backend. All backends implement:
+ *
+ *   load()           -> [[key, entry], ...] for every stored entry
+ *   get(key)         -> entry, or null
+ *   set(key, entry)  -> atomically replaces one entry
+ *   delete(key)
+ *   clear()
+ *   loadStats()      -> persisted statistics, or null
+ *   saveStats(stats)
+ *   close()
+ *
+ * Backends (CACHE_STORAGE):
+ * - json:   one JSON file, rewritten atomically on every change (the original format)
+ * - shards: one JSON file per entry in hashed subdirectories
+ * - sqlite: a WAL-mode SQLite database
+ * - redis:  any server speaking the Redis protocol (CACHE_REDIS_URL)
+ */
+
+import logger from '../../utils/logger.js';
+import { JsonFileStorage } from './json-file-storage.js';
+import { ShardedFileStorage } from './sharded-file-storage.js';
+import { SqliteStorage } from './sqlite-storage.js';
+import { RedisStorage } from './redis-storage.js';
+
+export { JsonFileStorage, ShardedFileStorage, SqliteStorage, RedisStorage };
+
+export const CACHE_STORAGE_TYPES = ['json', 'shards', 'sqlite', 'redis'];
+
+/**
+ * Create a storage backend by type. `jsonPath` is the JSON file of the default
+ * backend; the file-based backends derive their location from it unless `path` is given.
+ */
+export function createCacheStorage(type = 'json', options = {}) {
+  const basePath = (options.jsonPath || './cache/debate-cache.json').replace(/\.json$/, '');
+
+  switch (type) {
+    case 'json':
+      return new JsonFileStorage({ path: options.path || options.jsonPath || `${basePath}.json` });
+    case 'shards':
+      return new ShardedFileStorage({ dir: options.path || basePath });
+    case 'sqlite':
+      return new SqliteStorage({ path: options.path || `${basePath}.db` });
+    case 'redis':
+      return new RedisStorage({ url: options.url, prefix: options.prefix });
+    default:
+      throw new Error(`Unknown cache storage "${type}" (expected one of: ${CACHE_STORAGE_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Map of cache entries that writes every change through to a storage backend.
+ * Writes are applied in order; `flush()` resolves once all of them have finished.
+ * Code that works on the plain Map (such as CacheInvalidator's periodic cleanup)
+ * keeps the storage in sync without knowing about it.
+ */
+export class StoredEntries extends Map {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+    this.writes = Promise.resolve();
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.persist(() => this.storage.set(key, entry));
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this.persist(() => this.storage.delete(key));
+    }
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this.persist(() => this.storage.clear());
+  }
+
+  /**
+   * Add an entry read from storage without writing it back
+   */
+  restore(key, entry) {
+    super.set(key, entry);
+  }
+
+  persist(write) {
+    this.writes = this.writes.then(write).catch(error => {
+      logger.warn('Cache storage write failed', { error: error.message });
+    });
+  }
+
+  flush() {
+    return this.writes;
+  }
+}
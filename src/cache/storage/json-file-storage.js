@@ -0,0 +1,115 @@
+/**
+ * JSON File Cache Storage
+ *
+ * The original persistence format: every entry and the statistics in one file,
+ * `{ cache: { key: entry }, stats, timestamp }`. Each change rewrites the file
+ * through a temporary file and a rename, so readers never see a partial write.
+ *
+ * Several processes can share the file: a change takes a lock file, re-reads
+ * the file and applies itself to what is there, so entries written by other
+ * processes are kept. Reads pick up the file again whenever it has changed.
+ */
+
+import fs from 'fs/promises';
+import { withFileLock, writeFileAtomic } from '../../utils/file-lock.js';
+
+export class JsonFileStorage {
+  constructor(options = {}) {
+    this.path = options.path || './cache/debate-cache.json';
+    this.lockPath = `${this.path}.lock`;
+    this.entries = null;
+    this.stats = null;
+    // mtime and size of the file as last read, to notice other processes' writes
+    this.version = null;
+  }
+
+  async fileVersion() {
+    try {
+      const stat = await fs.stat(this.path);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async read({ force = false } = {}) {
+    const version = await this.fileVersion();
+    if (this.entries && !force && version === this.version) return;
+
+    this.entries = new Map();
+    this.stats = null;
+    try {
+      const data = JSON.parse(await fs.readFile(this.path, 'utf8'));
+      for (const [key, entry] of Object.entries(data.cache || {})) {
+        this.entries.set(key, entry);
+      }
+      this.stats = data.stats || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.version = version;
+  }
+
+  async write() {
+    const data = {
+      cache: Object.fromEntries(this.entries),
+      stats: this.stats,
+      timestamp: Date.now()
+    };
+
+    await writeFileAtomic(this.path, JSON.stringify(data, null, 2));
+    this.version = await this.fileVersion();
+  }
+
+  /**
+   * Apply a change to the file's current content under the lock
+   */
+  async update(change) {
+    await withFileLock(this.lockPath, async () => {
+      await this.read({ force: true });
+      if (change() !== false) {
+        await this.write();
+      }
+    });
+  }
+
+  async load() {
+    await this.read();
+    return Array.from(this.entries.entries());
+  }
+
+  async get(key) {
+    await this.read();
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    await this.update(() => {
+      this.entries.set(key, entry);
+    });
+  }
+
+  async delete(key) {
+    await this.update(() => this.entries.delete(key));
+  }
+
+  async clear() {
+    await this.update(() => {
+      this.entries.clear();
+    });
+  }
+
+  async loadStats() {
+    await this.read();
+    return this.stats;
+  }
+
+  async saveStats(stats) {
+    await this.update(() => {
+      this.stats = stats;
+    });
+  }
+
+  async close() {}
+}
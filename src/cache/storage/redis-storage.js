@@ -0,0 +1,221 @@
+/**
+ * Redis Cache Storage
+ *
+ * Stores entries in one hash, `<prefix>:entries`, and the statistics under
+ * `<prefix>:stats`, on any server that speaks the Redis protocol (Redis, Valkey,
+ * KeyDB, Dragonfly). HSET and HDEL are atomic, and every MCP server process
+ * sharing the server reads the same entries.
+ *
+ * Talks RESP over a plain socket, so no client library is needed.
+ */
+
+import net from 'net';
+
+const DEFAULT_URL = 'redis://127.0.0.1:6379';
+const CONNECT_TIMEOUT_MS = 5000;
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = Buffer.from(String(arg));
+    command += `$${value.length}\r\n${value.toString()}\r\n`;
+  }
+  return command;
+}
+
+/**
+ * Parse one RESP reply from `buffer` at `offset`.
+ * Returns { value, offset } or null when the reply is not complete yet.
+ */
+export function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+export class RedisStorage {
+  constructor(options = {}) {
+    const url = new URL(options.url || DEFAULT_URL);
+    this.host = url.hostname || '127.0.0.1';
+    this.port = parseInt(url.port, 10) || 6379;
+    this.password = url.password ? decodeURIComponent(url.password) : null;
+    this.username = url.username ? decodeURIComponent(url.username) : null;
+    this.database = parseInt(url.pathname.slice(1), 10) || 0;
+
+    this.prefix = options.prefix || 'debate-cache';
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: this.host, port: this.port });
+        socket.setTimeout(CONNECT_TIMEOUT_MS);
+
+        socket.once('connect', () => {
+          socket.setTimeout(0);
+          // An idle cache connection should not keep the process alive
+          socket.unref();
+          this.socket = socket;
+          resolve();
+        });
+        socket.once('timeout', () => socket.destroy(new RedisError(`Connection to ${this.host}:${this.port} timed out`)));
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => {
+          reject(error);
+          this.failPending(error);
+        });
+        socket.on('close', () => {
+          this.socket = null;
+          this.connecting = null;
+          this.failPending(new RedisError('Connection closed'));
+        });
+      }).then(async () => {
+        if (this.password) {
+          await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+        }
+        if (this.database) {
+          await this.send(['SELECT', this.database]);
+        }
+      });
+
+      this.connecting.catch(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.pending.length > 0 && (reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      const { resolve, reject } = this.pending.shift();
+      if (reply.value instanceof RedisError) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    pending.forEach(({ reject }) => reject(error));
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  get entriesKey() {
+    return `${this.prefix}:entries`;
+  }
+
+  get statsKey() {
+    return `${this.prefix}:stats`;
+  }
+
+  async load() {
+    const fields = await this.command('HGETALL', this.entriesKey) || [];
+    const entries = [];
+    for (let i = 0; i < fields.length; i += 2) {
+      entries.push([fields[i], JSON.parse(fields[i + 1])]);
+    }
+    return entries;
+  }
+
+  async get(key) {
+    const value = await this.command('HGET', this.entriesKey, key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, entry) {
+    await this.command('HSET', this.entriesKey, key, JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    await this.command('HDEL', this.entriesKey, key);
+  }
+
+  async clear() {
+    await this.command('DEL', this.entriesKey);
+  }
+
+  async loadStats() {
+    const value = await this.command('GET', this.statsKey);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async saveStats(stats) {
+    await this.command('SET', this.statsKey, JSON.stringify(stats));
+  }
+
+  async close() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    try {
+      await this.send(['QUIT']);
+    } catch (error) {
+      // The server may close the connection before replying
+    }
+    socket.destroy();
+  }
+}
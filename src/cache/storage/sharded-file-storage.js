@@ -0,0 +1,104 @@
+/**
+ * Sharded File Cache Storage
+ *
+ * One JSON file per entry, `<dir>/<ab>/<sha256(key)>.json`, so a change writes
+ * a single small file. Files are written to a temporary name and renamed into
+ * place: concurrent readers, including other processes, see either the old or
+ * the new entry, never a partial one.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const STATS_FILE = 'stats.json';
+
+export class ShardedFileStorage {
+  constructor(options = {}) {
+    this.dir = options.dir || './cache/debate-cache';
+  }
+
+  entryPath(key) {
+    const name = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, name.slice(0, 2), `${name}.json`);
+  }
+
+  async writeAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async load() {
+    const entries = [];
+
+    let shards;
+    try {
+      shards = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return entries;
+      throw error;
+    }
+
+    for (const shard of shards.filter(entry => entry.isDirectory())) {
+      const shardDir = path.join(this.dir, shard.name);
+      for (const file of await fs.readdir(shardDir)) {
+        if (!file.endsWith('.json')) continue;
+
+        const stored = await this.readJson(path.join(shardDir, file));
+        if (stored) {
+          entries.push([stored.key, stored.entry]);
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  async get(key) {
+    const stored = await this.readJson(this.entryPath(key));
+    return stored?.entry ?? null;
+  }
+
+  async set(key, entry) {
+    await this.writeAtomic(this.entryPath(key), { key, entry });
+  }
+
+  async delete(key) {
+    await fs.rm(this.entryPath(key), { force: true });
+  }
+
+  async clear() {
+    let shards;
+    try {
+      shards = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const shard of shards.filter(entry => entry.isDirectory())) {
+      await fs.rm(path.join(this.dir, shard.name), { recursive: true, force: true });
+    }
+  }
+
+  async loadStats() {
+    return this.readJson(path.join(this.dir, STATS_FILE));
+  }
+
+  async saveStats(stats) {
+    await this.writeAtomic(path.join(this.dir, STATS_FILE), stats);
+  }
+
+  async close() {}
+}
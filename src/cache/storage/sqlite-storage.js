@@ -0,0 +1,117 @@
+/**
+ * SQLite Cache Storage
+ *
+ * Entries live in one table keyed by cache key. The database runs in WAL mode,
+ * so any number of readers (in this or other processes) proceed while a writer
+ * commits, and every write is a single atomic statement.
+ */
+
+import sqlite3 from 'sqlite3';
+import fs from 'fs/promises';
+import path from 'path';
+
+// How long a writer waits for another process's lock before failing
+const BUSY_TIMEOUT_MS = 5000;
+
+export class SqliteStorage {
+  constructor(options = {}) {
+    this.path = options.path || './cache/debate-cache.db';
+    this.db = null;
+    this.opening = null;
+  }
+
+  open() {
+    if (!this.opening) {
+      this.opening = (async () => {
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+        this.db = await new Promise((resolve, reject) => {
+          const db = new sqlite3.Database(this.path, error => (error ? reject(error) : resolve(db)));
+        });
+        this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+        await this.run('PRAGMA journal_mode = WAL');
+        await this.run(`CREATE TABLE IF NOT EXISTS cache_entries (
+          key TEXT PRIMARY KEY,
+          entry TEXT NOT NULL,
+          timestamp INTEGER NOT NULL
+        )`);
+        await this.run(`CREATE TABLE IF NOT EXISTS cache_meta (
+          name TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        )`);
+      })();
+
+      // Let a later call retry a failed open
+      this.opening.catch(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  query(method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db[method](sql, params, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  }
+
+  async load() {
+    await this.open();
+    const rows = await this.query('all', 'SELECT key, entry FROM cache_entries');
+    return rows.map(row => [row.key, JSON.parse(row.entry)]);
+  }
+
+  async get(key) {
+    await this.open();
+    const row = await this.query('get', 'SELECT entry FROM cache_entries WHERE key = ?', [key]);
+    return row ? JSON.parse(row.entry) : null;
+  }
+
+  async set(key, entry) {
+    await this.open();
+    await this.run(
+      'INSERT OR REPLACE INTO cache_entries (key, entry, timestamp) VALUES (?, ?, ?)',
+      [key, JSON.stringify(entry), entry.timestamp || Date.now()]
+    );
+  }
+
+  async delete(key) {
+    await this.open();
+    await this.run('DELETE FROM cache_entries WHERE key = ?', [key]);
+  }
+
+  async clear() {
+    await this.open();
+    await this.run('DELETE FROM cache_entries');
+  }
+
+  async loadStats() {
+    await this.open();
+    const row = await this.query('get', "SELECT value FROM cache_meta WHERE name = 'stats'");
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async saveStats(stats) {
+    await this.open();
+    await this.run("INSERT OR REPLACE INTO cache_meta (name, value) VALUES ('stats', ?)", [JSON.stringify(stats)]);
+  }
+
+  async close() {
+    if (!this.opening) return;
+
+    await this.opening.catch(() => {});
+    const db = this.db;
+    this.db = null;
+    this.opening = null;
+    if (db) {
+      await new Promise((resolve, reject) => db.close(error => (error ? reject(error) : resolve())));
+    }
+  }
+}
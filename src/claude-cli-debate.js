@@ -9,6 +9,7 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
 
 // Import the LLM-based semantic evaluator
 import { LLMSemanticEvaluator } from './llm-semantic-evaluator.js';
@@ -22,9 +23,20 @@ import { GeminiCoordinator } from './gemini-coordinator.js';
 // Import Confidence Scorer for confidence analysis
 import { ConfidenceScorer } from './confidence-scorer.js';
 
+// Import structured answer format
+import {
+  validateResponseFormat,
+  buildStructuredAnswerPrompt,
+  requestStructuredAnswer,
+  renderStructuredAnswer,
+  StructuredAnswerError
+} from './structured-answer.js';
+
 // Import caching system
 import { DebateCache } from './cache/debate-cache.js';
 import { CacheInvalidator } from './cache/invalidator.js';
+import { extractFileReferences } from './cache/file-dependencies.js';
+import { SingleFlight } from './cache/single-flight.js';
 
 // Import performance tracking system
 import { PerformanceTracker } from './performance-tracker.js';
@@ -44,8 +56,90 @@ import { RetryHandler, ErrorClassifier } from './utils/retry-handler.js';
 // Import structured logger
 import logger from './utils/logger.js';
 
+// Import model registry
+import { getModelRegistry } from './models/model-registry.js';
+
+// Import proxy usage accounting (real token counts per debate)
+import { debateHeaderEnv, fetchDebateUsage } from './proxy/usage.js';
+
+// Import budget limits
+import { BudgetManager, BudgetExceededError } from './budget/budget-manager.js';
+
+// Import debate cancellation
+import { getActiveDebates, DebateCancelledError } from './active-debates.js';
+import { processGroupOptions, killOnAbort } from './utils/process-tree.js';
+
+// Import phase checkpoints (resume_debate)
+import { DebateCheckpoints, completedPhases } from './debate-checkpoints.js';
+
+// Import declarative debate workflows (debate_workflow)
+import { validateWorkflow, workflowCalls } from './workflows/workflow-definition.js';
+import { WorkflowRunner } from './workflows/workflow-runner.js';
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+/**
+ * Thrown by a debate that ran past its options.timeoutMinutes
+ */
+export class DebateTimeoutError extends Error {
+  constructor(debateId, minutes) {
+    super(`Debate ${debateId} timed out after ${minutes} minutes`);
+    this.name = 'DebateTimeoutError';
+    this.debateId = debateId;
+  }
+}
+
+/**
+ * Abort a debate's controller once it has run for `minutes`
+ */
+function startDeadline(debateId, minutes, controller) {
+  const timer = setTimeout(() => {
+    logger.warn('Debate timed out, aborting model calls', { debateId, minutes });
+    controller.abort(new DebateTimeoutError(debateId, minutes));
+  }, minutes * 60 * 1000);
+  timer.unref?.();
+  return timer;
+}
+
+/**
+ * Key shared by concurrent debates that produce the same result: the cache key
+ * of the question and project state plus every option that changes the debate.
+ * Unlike the key a result is stored under, it has the requested model config
+ * instead of the selected models, which are only known once the debate runs.
+ */
+function debateFlightKey(cacheKey, modelConfig, options) {
+  return JSON.stringify({
+    cacheKey,
+    modelConfig: modelConfig || null,
+    mode: options.mode ?? null,
+    ultrathink: options.ultrathink ?? false,
+    iterations: options.iterations ?? null,
+    consensusThreshold: options.consensusThreshold ?? null,
+    forceVerification: options.forceVerification ?? false,
+    skipVerification: options.skipVerification ?? false,
+    timeoutMinutes: options.timeoutMinutes ?? null,
+    promptAddendum: options.promptAddendum ?? null,
+    maxCost: options.maxCost ?? null
+  });
+}
+
+/**
+ * The other models' improvements from the previous round, for a model revising its own
+ */
+function formatPreviousRound(previous, modelName) {
+  const others = Object.entries(previous)
+    .filter(([name]) => name !== modelName)
+    .map(([name, text]) => `### ${name}\n${text.substring(0, 2000)}`)
+    .join('\n\n');
+  const own = previous[modelName];
+
+  return `PREVIOUS ROUND:${own ? `\nYour improvements:\n${own.substring(0, 2000)}\n` : ''}
+Improvements from the other models:
+${others}
+
+Revise your improvements: adopt the points you agree with, argue against the ones you do not, and converge on one set of changes.`;
+}
+
 class ClaudeCliDebate {
   constructor() {
     // Initialize progress reporter
@@ -55,73 +149,10 @@ class ClaudeCliDebate {
       verbose: process.env.DEBATE_PROGRESS_VERBOSE === 'true'
     });
 
-    // Define models with k1-k8 wrapper scripts
-    this.models = [
-      {
-        alias: 'k1',
-        name: 'Claude Sonnet 4.5 Thinking',
-        role: 'Architecture',
-        expertise: 'System architecture and design patterns with extended reasoning (64K tokens, thinking mode)',
-        wrapper: path.join(__dirname, '..', 'k1-wrapper.sh')
-      },
-      {
-        alias: 'k2',
-        name: 'GPT-5.1-Codex',
-        role: 'Testing & Coding',
-        expertise: 'Advanced coding workflows, testing strategies, debugging, and quality assurance (128K tokens, optimized for software engineering)',
-        wrapper: path.join(__dirname, '..', 'k2-wrapper.sh')
-      },
-      {
-        alias: 'k3',
-        name: 'Qwen 3 Max',
-        role: 'Algorithms',
-        expertise: 'Algorithm optimization and data structures (32K tokens)',
-        wrapper: path.join(__dirname, '..', 'k3-wrapper.sh')
-      },
-      {
-        alias: 'k4',
-        name: 'Gemini 2.5 Pro',
-        role: 'Integration',
-        expertise: 'System integration and completeness verification (65K tokens)',
-        wrapper: path.join(__dirname, '..', 'k4-wrapper.sh')
-      },
-      {
-        alias: 'k5',
-        name: 'Grok 4 Fast',
-        role: 'Fast Reasoning',
-        expertise: 'Rapid reasoning, coding optimization, and cost-efficient analysis (30K tokens)',
-        wrapper: path.join(__dirname, '..', 'k5-wrapper.sh')
-      },
-      {
-        alias: 'k6',
-        name: 'GPT-5 Max Thinking',
-        role: 'Maximum Reasoning',
-        expertise: 'Maximum thinking capability with extended reasoning (128K tokens)',
-        wrapper: path.join(__dirname, '..', 'k6-wrapper.sh')
-      },
-      {
-        alias: 'k7',
-        name: 'Kimi K2 Thinking',
-        role: 'Autonomous Tool Master',
-        expertise: 'Deep reasoning with autonomous tool orchestration (200-300 sequential tool calls, 256K tokens, MoE architecture)',
-        wrapper: path.join(__dirname, '..', 'k7-wrapper.sh')
-      },
-      {
-        alias: 'k8',
-        name: 'GLM-4.6 Exacto',
-        role: 'Massive Context',
-        expertise: 'Massive context window with high tool-use accuracy (200K tokens, exacto provider, MIT licensed)',
-        wrapper: path.join(__dirname, '..', 'k8-wrapper.sh')
-      },
-      {
-        alias: 'k9',
-        name: 'Claude Opus 4.1',
-        role: 'Ultra Reasoning',
-        expertise: 'Ultra-high reasoning capability with massive context (200K tokens, production-ready, Anthropic flagship)',
-        wrapper: path.join(__dirname, '..', 'k9-wrapper.sh')
-      }
-    ];
-    
+    // Model lineup comes from the shared registry (config/models.json)
+    this.modelRegistry = getModelRegistry();
+    this.models = this.modelRegistry.getDebateModels();
+
     this.logsDir = path.join(__dirname, '..', 'logs');
     this.semanticEvaluator = new LLMSemanticEvaluator();
 
@@ -137,19 +168,32 @@ class ClaudeCliDebate {
       maxAge: parseInt(process.env.CACHE_MAX_AGE) || 24 * 60 * 60 * 1000, // 24 hours
       maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
       enablePersistence: process.env.CACHE_PERSISTENCE !== 'false',
-      persistencePath: path.join(__dirname, '..', 'cache', 'debate-cache.json')
+      persistencePath: path.join(__dirname, '..', 'cache', 'debate-cache.json'),
+      storage: process.env.CACHE_STORAGE || 'json',
+      storagePath: process.env.CACHE_STORAGE_PATH,
+      redisUrl: process.env.CACHE_REDIS_URL,
+      semanticLookup: process.env.CACHE_SEMANTIC_LOOKUP === 'true',
+      similarityThreshold: parseFloat(process.env.CACHE_SIMILARITY_THRESHOLD) || undefined,
+      staleWhileRevalidate: process.env.CACHE_STALE_WHILE_REVALIDATE === 'true',
+      maxStale: process.env.CACHE_MAX_STALE_HOURS ?
+        parseFloat(process.env.CACHE_MAX_STALE_HOURS) * 60 * 60 * 1000 :
+        undefined
     });
 
     this.cacheInvalidator = new CacheInvalidator({
       maxAge: this.debateCache.maxAge,
       minConfidence: parseFloat(process.env.CACHE_MIN_CONFIDENCE) || 0.7,
       checkInterval: parseInt(process.env.CACHE_CHECK_INTERVAL) || 5 * 60 * 1000,
-      projectStateTracking: process.env.CACHE_PROJECT_TRACKING !== 'false'
+      projectStateTracking: process.env.CACHE_PROJECT_TRACKING !== 'false',
+      maxStale: this.debateCache.maxStale
     });
 
     // Enable/disable caching based on environment
     this.cachingEnabled = process.env.DISABLE_CACHE !== 'true';
 
+    // Identical debates running at the same time share one run
+    this.coalescingEnabled = process.env.DISABLE_DEBATE_COALESCING !== 'true';
+
     // Initialize performance tracking system
     this.performanceTracker = new PerformanceTracker({
       dbPath: path.join(__dirname, '..', 'data', 'performance.db')
@@ -169,21 +213,22 @@ class ClaudeCliDebate {
     const DEBATE_TIMEOUT_MINUTES = parseInt(process.env.DEBATE_TIMEOUT_MINUTES) || 60;
     this.timeout = DEBATE_TIMEOUT_MINUTES * 60 * 1000; // Convert to milliseconds
 
+    // Lock and result files through which MCP server processes share running debates
+    this.debateFlights = new SingleFlight({
+      dir: process.env.DEBATE_FLIGHTS_DIR || path.join(__dirname, '..', 'cache', 'flights'),
+      maxWaitMs: this.timeout
+    });
+
     logger.info('Claude CLI timeout configured', {
       minutes: DEBATE_TIMEOUT_MINUTES,
       milliseconds: this.timeout
     });
 
-    // Store selected models for current debate
-    this.selectedModels = null;
-    this.selectionAnalysis = null;
+    // Per-debate, per-project and per-day spend limits
+    this.budgetManager = new BudgetManager();
 
-    // Track model timing and performance during debate
-    this.debateMetrics = {
-      startTime: null,
-      modelTimes: {},
-      failedModels: []
-    };
+    // Results of completed phases, so a failed debate can be resumed
+    this.checkpoints = new DebateCheckpoints({ dir: path.join(this.logsDir, 'checkpoints') });
 
     // Initialize retry handler for robust error handling
     this.retryHandler = new RetryHandler({
@@ -204,6 +249,9 @@ class ClaudeCliDebate {
   async initialize() {
     await fs.mkdir(this.logsDir, { recursive: true });
 
+    // Pick up registry edits made since the last debate
+    this.refreshModels();
+
     // Initialize caching system
     if (this.cachingEnabled) {
       logger.info('Cache system enabled', {
@@ -257,6 +305,15 @@ class ClaudeCliDebate {
     }
   }
 
+  /**
+   * Reload the model lineup from the registry.
+   * Updates the array in place so components sharing it (e.g. CrossVerifier) see the change.
+   */
+  refreshModels() {
+    this.models.splice(0, this.models.length, ...this.modelRegistry.getDebateModels());
+    return this.models;
+  }
+
   /**
    * Parse direct model configuration (e.g., "k1:2,k2,k3:3") into selected models
    */
@@ -291,8 +348,19 @@ class ClaudeCliDebate {
   /**
    * Run multi-model debate using Claude CLI spawning with intelligent caching
    * Supports both intelligent selection and direct model configuration
+   * options.debateId sets the ID the debate is registered (and can be cancelled) under
+   * options.checkpoint continues a debate from its checkpoint (see resumeDebate)
+   * options.allowStale returns an outdated cached result (marked `stale`) instead of debating
+   * options.replaceCacheKey is the cache key of the stale result this debate refreshes
+   * options.responseFormat 'structured' adds a validated JSON answer (`structured`) and renders the solution from it
+   * options.iterations runs up to that many improvement rounds, stopping early once the
+   *   improvements agree by options.consensusThreshold percent
+   * options.timeoutMinutes fails the debate (resumably) when it runs longer
+   * options.promptAddendum is added to the proposal and improvement prompts (custom presets)
    */
   async runDebate(question, projectPath = process.cwd(), modelConfig = null, options = {}) {
+    // A copy: the mode, ultrathink and format settled below must not leak into the caller's options
+    options = { ...options, responseFormat: validateResponseFormat(options.responseFormat) };
     await this.initialize();
 
     const startTime = Date.now();
@@ -336,8 +404,8 @@ class ClaudeCliDebate {
       logger.info('Using FULL mode with all 7 models (default)');
     }
 
-    // Store original mode in options
-    this.currentMode = options.mode;
+    // Key shared by identical debates running at the same time (set on a cache miss)
+    let flightKey = null;
 
     // Check cache first if caching is enabled and not bypassed
     if (this.cachingEnabled && !options.bypassCache && !options.fresh) {
@@ -349,7 +417,16 @@ class ClaudeCliDebate {
         modelConfig,
         useIntelligentSelection: this.useIntelligentSelection,
         bypassCache: options.bypassCache,
-        fresh: options.fresh
+        fresh: options.fresh,
+        // Stale-while-revalidate: the caller refreshes a stale result in the background
+        allowStale: options.allowStale,
+        responseFormat: options.responseFormat,
+        // Results of other prompt addenda, round counts or verification settings don't match
+        promptAddendum: options.promptAddendum,
+        iterations: options.iterations,
+        consensusThreshold: options.consensusThreshold,
+        forceVerification: options.forceVerification,
+        skipVerification: options.skipVerification
       };
 
       try {
@@ -357,9 +434,15 @@ class ClaudeCliDebate {
 
         if (cachedResult) {
           const responseTime = Date.now() - startTime;
-          logger.info('Cache HIT - using cached result', { cachedAt: cachedResult.cachedAt, responseTimeMs: responseTime, tokensSaved: this.debateCache.stats.tokensSaved, costSaved: this.debateCache.stats.costSaved.toFixed(4) });
+          logger.info('Cache HIT - using cached result', { cachedAt: cachedResult.cachedAt, match: cachedResult.cacheMatch?.type, similarity: cachedResult.cacheMatch?.similarity, stale: cachedResult.stale?.reasons, responseTimeMs: responseTime, tokensSaved: this.debateCache.stats.tokensSaved, costSaved: this.debateCache.stats.costSaved.toFixed(4) });
 
-          this.progressReporter.complete('Used cached result');
+          let completion = 'Used cached result';
+          if (cachedResult.stale) {
+            completion = 'Used stale cached result';
+          } else if (cachedResult.cacheMatch?.type === 'similar') {
+            completion = 'Used cached result of a similar question';
+          }
+          this.progressReporter.complete(completion);
 
           return {
             ...cachedResult,
@@ -369,6 +452,10 @@ class ClaudeCliDebate {
         }
 
         logger.debug('Cache MISS - proceeding with fresh debate');
+        // getCached filled in the project fingerprint, so the key covers the project state
+        flightKey = this.coalescingEnabled ?
+          debateFlightKey(this.debateCache.generateKey(question, cacheOptions), modelConfig, options) :
+          null;
       } catch (error) {
         logger.warn('Cache check failed', { error: error.message });
       }
@@ -378,14 +465,86 @@ class ClaudeCliDebate {
       logger.debug('Cache DISABLED - proceeding with fresh debate');
     }
 
+    if (!flightKey) {
+      return this.runUncachedDebate(question, projectPath, modelConfig, options, startTime);
+    }
+
+    // The same question asked again while its debate runs, here or in another
+    // process, waits for that debate instead of starting a second one. When that
+    // debate is cancelled, the callers waiting for it run the debate themselves.
+    const { value: result, joined } = await this.debateFlights.run(flightKey, () =>
+      this.runUncachedDebate(question, projectPath, modelConfig, options, startTime), {
+      isAbandoned: error => error instanceof DebateCancelledError
+    });
+
+    if (joined) {
+      logger.info('Joined an identical debate already running', { question: question.substring(0, 100) });
+      this.progressReporter.complete('Used the result of an identical debate already running');
+      return { ...result, coalesced: true, responseTimeMs: Date.now() - startTime };
+    }
+    return result;
+  }
+
+  /**
+   * The debate itself once the cache had no answer: budget check, model selection
+   * and the debate phases. Takes runDebate's arguments and its start time.
+   */
+  async runUncachedDebate(question, projectPath, modelConfig, options, startTime) {
+    const checkpoint = options.checkpoint || null;
+
+    // Budget check: price the debate before model selection and fall back to a
+    // cheaper lineup when the estimate does not fit the remaining budget
+    let budgetPlan;
+    try {
+      budgetPlan = checkpoint ?
+        this.budgetManager.planResume({
+          projectPath,
+          modelConfig,
+          maxCost: options.maxCost ?? null,
+          previous: checkpoint.budget
+        }) :
+        this.budgetManager.plan({
+          projectPath,
+          modelConfig,
+          maxCost: options.maxCost ?? null,
+          improvementRounds: options.iterations || 1
+        });
+    } catch (error) {
+      this.progressReporter.error(error.message, error);
+      throw error;
+    }
+
+    if (budgetPlan.degraded && !checkpoint) {
+      logger.warn('Debate degraded to fit budget', {
+        requested: modelConfig || 'auto',
+        models: budgetPlan.modelConfig,
+        estimatedCost: budgetPlan.estimate.toFixed(4),
+        cap: budgetPlan.cap.toFixed(4)
+      });
+      modelConfig = budgetPlan.modelConfig;
+    }
+
     // Phase 0: Model Selection (Intelligent, Direct, or All)
-    if (modelConfig) {
+    let selectedModels;
+    let selectionAnalysis = null;
+    if (checkpoint) {
+      // Resumed debate: keep the lineup the checkpointed phases were run with
+      this.progressReporter.setPhase('Resuming debate from checkpoint');
+      logger.info('Resuming debate from checkpoint', {
+        debateId: checkpoint.debateId,
+        completedPhases: completedPhases(checkpoint)
+      });
+
+      selectedModels = checkpoint.selection.selectedModels;
+      selectionAnalysis = checkpoint.selection.analysis;
+
+    } else if (modelConfig) {
       // Direct model configuration provided (e.g., "k1:2,k2,k3:3")
       this.progressReporter.setPhase('Parsing direct model configuration');
       logger.info('PHASE 0: Direct Model Configuration');
 
-      this.selectedModels = this.parseDirectModelConfig(modelConfig);
-      this.selectionAnalysis = {
+      selectedModels = this.parseDirectModelConfig(modelConfig);
+      selectionAnalysis = {
         category: 'Direct Configuration',
         complexityLevel: 'user-defined',
         criticalityLevel: 'user-defined',
@@ -394,11 +553,11 @@ class ClaudeCliDebate {
       };
 
       logger.info('Model configuration', { config: modelConfig });
-      logger.info('Models selected', { models: this.selectedModels.map(m => m.name), count: this.selectedModels.length });
+      logger.info('Models selected', { models: selectedModels.map(m => m.name), count: selectedModels.length });
 
       // Count parallel instances
-      const totalInstances = this.selectedModels.length;
-      const uniqueModels = new Set(this.selectedModels.map(m => m.alias)).size;
+      const totalInstances = selectedModels.length;
+      const uniqueModels = new Set(selectedModels.map(m => m.alias)).size;
       const parallelInstances = totalInstances - uniqueModels;
 
       if (parallelInstances > 0) {
@@ -406,10 +565,10 @@ class ClaudeCliDebate {
         logger.debug('Instance variety: Different seeds and temperatures for diverse perspectives');
       }
 
-    } else if (this.currentMode === 'budget') {
+    } else if (options.mode === 'budget') {
       // Budget mode: NOW USES ALL 7 MODELS (k1-k5, k7-k8)
       logger.info('BUDGET MODE (UPGRADED): Using ALL 7 models');
-      this.selectedModels = this.models
+      selectedModels = this.models
         .filter(m => ['k1', 'k2', 'k3', 'k4', 'k5', 'k7', 'k8'].includes(m.alias))
         .map(m => ({
           ...m,
@@ -417,7 +576,7 @@ class ClaudeCliDebate {
           totalInstances: 1,
           instanceConfig: null
         }));
-      logger.info('All models selected', { models: this.selectedModels.map(m => `${m.alias}=${m.name}`) });
+      logger.info('All models selected', { models: selectedModels.map(m => `${m.alias}=${m.name}`) });
 
     } else if (this.useIntelligentSelection) {
       // Intelligent model selection using Gemini Coordinator
@@ -425,34 +584,34 @@ class ClaudeCliDebate {
       logger.info('PHASE 0: Intelligent Model Selection');
 
       try {
-        this.selectionAnalysis = await this.geminiCoordinator.analyzeQuestion(question, {
+        selectionAnalysis = await this.geminiCoordinator.analyzeQuestion(question, {
           projectPath,
           urgency: 0.5 // Default urgency, could be parameter
         });
 
-        this.selectedModels = this.getSelectedModelsFromAnalysis(this.selectionAnalysis);
+        selectedModels = this.getSelectedModelsFromAnalysis(selectionAnalysis);
 
-        logger.info('Model selection analysis', { category: this.selectionAnalysis.category, complexity: this.selectionAnalysis.complexityLevel, criticality: this.selectionAnalysis.criticalityLevel });
-        logger.info('Models selected', { models: this.selectedModels.map(m => m.name), count: this.selectedModels.length });
-        logger.info('Cost optimization', { reduction: this.selectionAnalysis.costReduction });
-        logger.info('Speed optimization', { gain: this.selectionAnalysis.estimatedSpeedGain });
-        logger.debug('Analysis source', { source: this.selectionAnalysis.analysisSource });
-        logger.debug('Selection reasoning', { reasoning: this.selectionAnalysis.reasoning });
+        logger.info('Model selection analysis', { category: selectionAnalysis.category, complexity: selectionAnalysis.complexityLevel, criticality: selectionAnalysis.criticalityLevel });
+        logger.info('Models selected', { models: selectedModels.map(m => m.name), count: selectedModels.length });
+        logger.info('Cost optimization', { reduction: selectionAnalysis.costReduction });
+        logger.info('Speed optimization', { gain: selectionAnalysis.estimatedSpeedGain });
+        logger.debug('Analysis source', { source: selectionAnalysis.analysisSource });
+        logger.debug('Selection reasoning', { reasoning: selectionAnalysis.reasoning });
 
       } catch (error) {
         logger.warn('Intelligent selection failed, using all models', { error: error.message });
-        this.selectedModels = this.models.map(m => ({
+        selectedModels = this.models.map(m => ({
           ...m,
           instanceId: 1,
           totalInstances: 1,
           instanceConfig: null
         }));
-        this.selectionAnalysis = null;
+        selectionAnalysis = null;
       }
     } else {
       // Use all available models (fallback)
       logger.info('Using all available models (intelligent selection disabled)');
-      this.selectedModels = this.models.map(m => ({
+      selectedModels = this.models.map(m => ({
         ...m,
         instanceId: 1,
         totalInstances: 1,
@@ -463,20 +622,99 @@ class ClaudeCliDebate {
 
     logger.debug('='.repeat(70));
 
+    const debateId = options.debateId || checkpoint?.debateId || uuidv4();
+    // The proxy's usage for the debate ID includes earlier attempts, whose spend is already recorded
+    const spentBefore = checkpoint?.budget?.spent ?? 0;
+
+    // Aborts this debate's model calls (cancel_debate, its budget or its deadline running out)
+    const abortController = getActiveDebates().start(debateId, { type: 'debate', question, projectPath });
+    const { signal } = abortController;
+    const budgetGuard = budgetPlan.cap !== null ?
+      this.budgetManager.startGuard(debateId, budgetPlan.cap, abortController, {
+        spentBefore,
+        projectPath,
+        estimate: budgetPlan.estimate
+      }) :
+      null;
+    const deadline = options.timeoutMinutes ?
+      startDeadline(debateId, options.timeoutMinutes, abortController) :
+      null;
+    // Other debates can run on this instance at the same time, so every phase
+    // gets this debate's lineup and metrics, and every model call its id (for
+    // the k-proxy's usage) and signal, through its options
+    const run = {
+      selectedModels,
+      selectionAnalysis,
+      // Model timings and failures for the learning system and performance tracking
+      metrics: { modelTimes: {}, modelCalls: {}, failedModels: [] }
+    };
+    const callOptions = { ...options, debateId, signal, run };
+    let usage = null;
+    let completed = false;
+
+    // Results kept when the debate is cancelled part-way
+    const partial = {};
+
+    // Phase results written after each phase; a resumed debate continues its own checkpoint
+    const state = checkpoint || {
+      version: 1,
+      debateId,
+      question,
+      projectPath,
+      modelConfig,
+      options: {
+        mode: options.mode,
+        ultrathink: options.ultrathink,
+        maxCost: options.maxCost,
+        forceVerification: options.forceVerification,
+        skipVerification: options.skipVerification,
+        replaceCacheKey: options.replaceCacheKey,
+        responseFormat: options.responseFormat,
+        iterations: options.iterations,
+        consensusThreshold: options.consensusThreshold,
+        timeoutMinutes: options.timeoutMinutes,
+        promptAddendum: options.promptAddendum
+      },
+      budget: { estimatedCost: budgetPlan.estimate, degraded: budgetPlan.degraded, spent: 0 },
+      selection: { selectedModels: selectedModels, analysis: selectionAnalysis },
+      phases: {},
+      createdAt: new Date().toISOString()
+    };
+    state.status = 'in_progress';
+    state.error = null;
+
     try {
+      await this.saveCheckpoint(state);
+
       // Round 1: Get proposals
-      this.progressReporter.setPhase('Round 1: Independent Analysis with Tool Access');
-      logger.info('ROUND 1: Independent Analysis with Tool Access');
-      const proposals = await this.getProposals(question, projectPath, options);
-    
+      let proposals = state.phases.proposals;
+      if (proposals) {
+        logger.info('ROUND 1: Using checkpointed proposals', { models: Object.keys(proposals) });
+      } else {
+        this.progressReporter.setPhase('Round 1: Independent Analysis with Tool Access');
+        logger.info('ROUND 1: Independent Analysis with Tool Access');
+        proposals = await this.getProposals(question, projectPath, callOptions);
+      }
+      partial.proposals = proposals;
+      signal.throwIfAborted();
+
       if (Object.keys(proposals).length < 2) {
         const failedModels = this.models.filter(m => !proposals[m.name]).map(m => m.name);
         throw new Error(`Not enough models responded. Got ${Object.keys(proposals).length}, need at least 2.\nFailed models: ${failedModels.join(', ')}\n\nCheck that:\n1. k-proxy-server.js is running\n2. Claude CLI is installed\n3. All wrapper scripts are executable`);
       }
+      await this.completePhase(state, 'proposals', proposals);
 
       // Select best using semantic scoring
-      this.progressReporter.setPhase('Evaluating proposals');
-      const best = await this.selectBestSemantic(proposals, question);
+      let best = state.phases.evaluation;
+      if (best) {
+        logger.info('Using checkpointed proposal evaluation', { model: best.model });
+      } else {
+        this.progressReporter.setPhase('Evaluating proposals');
+        best = await this.selectBestSemantic(proposals, question, signal, debateId);
+        signal.throwIfAborted();
+        await this.completePhase(state, 'evaluation', best);
+      }
+      partial.winner = best.model;
       logger.info('Best proposal selected', { model: best.model, score: best.score.total.toFixed(2) });
       // Score details logged in previous statement
 
@@ -487,8 +725,8 @@ class ClaudeCliDebate {
       });
 
       // NEW: Cross-Verification Round (optional)
-      let verificationResults = null;
-      if (this.verificationEnabled) {
+      let verificationResults = state.phases.verification ?? null;
+      if (this.verificationEnabled && !('verification' in state.phases)) {
         this.progressReporter.setPhase('Cross-Verification: Multi-Model Validation');
 
         try {
@@ -498,9 +736,10 @@ class ClaudeCliDebate {
             question,
             projectPath,
             {
-              category: this.selectionAnalysis?.category,
+              category: selectionAnalysis?.category,
               forceVerification: options.forceVerification,
-              skipVerification: options.skipVerification
+              skipVerification: options.skipVerification,
+              signal
             }
           );
 
@@ -529,22 +768,75 @@ class ClaudeCliDebate {
             error: error.message
           };
         }
+        signal.throwIfAborted();
+        // Verification adjusted best's score above, so it is saved again with it
+        state.phases.evaluation = best;
+        await this.completePhase(state, 'verification', verificationResults);
       }
 
       // Round 2: Improvements
-      this.progressReporter.setPhase('Round 2: Collaborative Improvements with Tools');
-      logger.info('ROUND 2: Collaborative Improvements with Tools');
-      const improvements = await this.getImprovements(best, question, projectPath, options);
+      let improvements = state.phases.improvements;
+      if (improvements) {
+        logger.info('ROUND 2: Using checkpointed improvements', { models: Object.keys(improvements) });
+      } else {
+        this.progressReporter.setPhase('Round 2: Collaborative Improvements with Tools');
+        logger.info('ROUND 2: Collaborative Improvements with Tools');
+        const refined = await this.getImprovementRounds(best, question, projectPath, callOptions, signal);
+        improvements = refined.improvements;
+        state.improvementRounds = refined.rounds;
+      }
+      partial.improvements = improvements;
+      signal.throwIfAborted();
+      await this.completePhase(state, 'improvements', improvements);
 
       this.progressReporter.progress('Improvements collected', {
         percentage: 70,
         details: `${Object.keys(improvements).length} models contributed`
       });
 
+      // Minority report: proposals opposing the winner's, as the confidence scorer's contradiction check sees them
+      const dissent = this.confidenceScorer.findDissent(proposals, best.model);
+      if (dissent.length > 0) {
+        logger.info('Minority positions found', { models: dissent.map(d => `${d.model} (${d.strength})`) });
+      }
+
       // Round 3: Final synthesis
-      this.progressReporter.setPhase('Round 3: Final Synthesis');
-      logger.info('ROUND 3: Final Synthesis');
-      const final = await this.synthesize(best, improvements, question, verificationResults);
+      let final = state.phases.synthesis;
+      if (final) {
+        logger.info('ROUND 3: Using checkpointed synthesis');
+      } else {
+        this.progressReporter.setPhase('Round 3: Final Synthesis');
+        logger.info('ROUND 3: Final Synthesis');
+        final = await this.synthesize(best, improvements, question, verificationResults, dissent);
+        signal.throwIfAborted();
+        await this.completePhase(state, 'synthesis', final);
+      }
+
+      // Structured answer: the winning model restates the synthesis in the JSON schema
+      let structured = null;
+      const warnings = [];
+      if (options.responseFormat === 'structured') {
+        structured = state.phases.structured;
+        if (structured) {
+          logger.info('Using checkpointed structured answer');
+        } else {
+          this.progressReporter.setPhase('Structuring the answer');
+          try {
+            structured = await this.structureAnswer(question, projectPath, best, proposals, improvements, final, dissent, callOptions);
+            signal.throwIfAborted();
+            await this.completePhase(state, 'structured', structured);
+          } catch (error) {
+            if (!(error instanceof StructuredAnswerError)) throw error;
+            // The debate itself succeeded: keep the markdown synthesis rather than fail it
+            logger.warn('Structured answer failed validation, returning the markdown synthesis', { errors: error.errors });
+            structured = null;
+            warnings.push(`Structured answer unavailable (${error.message}); returning the markdown synthesis instead.`);
+          }
+        }
+        final = structured
+          ? renderStructuredAnswer(structured)
+          : `> ⚠️ ${warnings[0]}\n\n${final}`;
+      }
 
       // Calculate confidence score
       this.progressReporter.setPhase('Calculating Confidence Score');
@@ -558,6 +850,7 @@ class ClaudeCliDebate {
         score: best.score.total,
         improvements,
         solution: final,
+        structured,
         toolsUsed: true,
         verificationScore: best.evaluation ? best.evaluation.best_response.score / 100 : undefined
       };
@@ -569,18 +862,32 @@ class ClaudeCliDebate {
       logger.info('Recommendation', { recommendation: confidence.recommendation });
       logger.debug('Analysis summary', { summary: confidence.analysis.summary });
 
+      // Real token usage as reported by the providers (null if the proxy is unreachable)
+      usage = await fetchDebateUsage(debateId);
+      if (usage) {
+        logger.info('Debate token usage', {
+          requests: usage.requests,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          cost: usage.cost.toFixed(4)
+        });
+      } else {
+        logger.debug('No usage reported by the k-proxy, cost figures will be estimated');
+      }
+
       // Process debate for learning
       if (this.learningEnabled) {
         try {
           const debateResult = {
             question,
-            category: this.selectionAnalysis?.category || 'general',
-            participants: this.selectedModels?.map(m => m.alias) || Object.keys(proposals),
-            selectedModels: this.selectedModels?.map(m => m.alias) || [],
+            category: selectionAnalysis?.category || 'general',
+            participants: selectedModels?.map(m => m.alias) || Object.keys(proposals),
+            selectedModels: selectedModels?.map(m => m.alias) || [],
             winner: best.model,
             scores: proposals,
-            timings: this.debateMetrics.modelTimes,
-            costReduction: this.selectionAnalysis?.costReduction || 0
+            timings: run.metrics.modelTimes,
+            costReduction: selectionAnalysis?.costReduction || 0,
+            usage
           };
 
           await this.learningSystem.processDebate(debateResult);
@@ -604,16 +911,19 @@ class ClaudeCliDebate {
           };
 
           const metadata = {
+            debateId,
+            usage,
             question,
             projectPath,
-            modelsUsed: this.selectedModels?.map(m => m.name) || Object.keys(proposals),
+            modelsUsed: selectedModels?.map(m => m.name) || Object.keys(proposals),
             proposals,
             improvements,
-            failedModels: this.debateMetrics.failedModels,
-            modelTimes: this.debateMetrics.modelTimes,
+            failedModels: run.metrics.failedModels,
+            modelTimes: run.metrics.modelTimes,
+            modelCalls: run.metrics.modelCalls,
             totalTimeSeconds,
-            category: this.selectionAnalysis?.category,
-            complexity: this.selectionAnalysis?.complexityLevel
+            category: selectionAnalysis?.category,
+            complexity: selectionAnalysis?.complexityLevel
           };
 
           await this.performanceTracker.recordDebate(debateResult, metadata);
@@ -624,33 +934,56 @@ class ClaudeCliDebate {
       }
 
       // Save log
-      await this.saveLog(question, projectPath, proposals, best, improvements, final, confidence);
+      await this.saveLog(question, projectPath, proposals, best, improvements, final, confidence, run);
 
       // Prepare final result
       const responseTime = Date.now() - startTime;
       const result = {
         solution: final,
+        responseFormat: options.responseFormat,
+        structured,
+        warnings,
+        dissent,
         winner: best.model,
         score: best.score.total,
         contributors: Object.keys(improvements),
+        improvementRounds: state.improvementRounds ?? 1,
         toolsUsed: true,
-        parallelInstances: this.selectedModels.filter(m => m.totalInstances > 1).length > 0,
+        parallelInstances: selectedModels.filter(m => m.totalInstances > 1).length > 0,
         selectionMethod: modelConfig ? 'direct' : (this.useIntelligentSelection ? 'intelligent' : 'all'),
         modelConfiguration: modelConfig || 'auto',
         confidence: confidence,
         verification: verificationResults,
+        usage,
+        budget: {
+          cap: budgetPlan.cap,
+          estimatedCost: budgetPlan.estimate,
+          degraded: budgetPlan.degraded
+        },
         responseTimeMs: responseTime,
-        fromCache: false
+        fromCache: false,
+        resumed: Boolean(checkpoint)
       };
 
-      // Store in cache if caching is enabled
-      if (this.cachingEnabled) {
+      // Store in cache if caching is enabled (not a structured request that fell back to markdown)
+      if (this.cachingEnabled && warnings.length === 0) {
         try {
           const cacheOptions = {
             projectPath,
             modelConfig,
             useIntelligentSelection: this.useIntelligentSelection,
-            models: this.selectedModels
+            models: selectedModels,
+            // Files the models cite: the cached result is only invalidated when they change
+            files: extractFileReferences([...Object.values(proposals), ...Object.values(improvements), final]),
+            metadata: { category: selectionAnalysis?.category },
+            responseFormat: options.responseFormat,
+            promptAddendum: options.promptAddendum,
+            iterations: options.iterations,
+            consensusThreshold: options.consensusThreshold,
+            forceVerification: options.forceVerification,
+            skipVerification: options.skipVerification,
+            // A refresh of a stale answer replaces the outdated entry
+            replaces: options.replaceCacheKey
           };
 
           // Add confidence to result for cache storage
@@ -666,19 +999,197 @@ class ClaudeCliDebate {
         }
       }
 
+      // The result is complete, nothing is left to resume
+      await this.removeCheckpoint(debateId);
+
       // Report completion
       this.progressReporter.complete('Debate completed successfully');
 
+      completed = true;
       return result;
     } catch (error) {
+      // Keep the phases that finished so the debate can be resumed
+      state.status = error instanceof DebateCancelledError ? 'cancelled' : 'failed';
+      state.error = error.message;
+      await this.saveCheckpoint(state);
+      error.resumeDebateId = debateId;
+
+      if (error instanceof DebateCancelledError) {
+        error.partial = partial;
+        logger.info('Debate cancelled', { debateId, proposalsKept: Object.keys(partial.proposals || {}).length });
+        this.progressReporter.error('Debate cancelled', error);
+        throw error;
+      }
+
       this.progressReporter.error(`Debate failed: ${error.message}`, error);
       throw error;
+    } finally {
+      budgetGuard?.stop();
+      clearTimeout(deadline);
+      getActiveDebates().finish(debateId);
+
+      let status = completed ? 'completed' : 'failed';
+      if (signal.reason instanceof BudgetExceededError) {
+        status = 'aborted';
+      } else if (signal.reason instanceof DebateCancelledError) {
+        status = 'cancelled';
+      }
+      const spent = await this.recordBudgetSpend(debateId, projectPath, usage, status, spentBefore);
+      if (!completed && typeof spent === 'number') {
+        // A resume records only what it spends on top of this
+        state.budget = { ...state.budget, spent };
+        await this.saveCheckpoint(state);
+      }
+    }
+  }
+
+  /**
+   * Continue a failed, cancelled or interrupted debate from its checkpoint.
+   * Phases the checkpoint holds results for are not run again.
+   */
+  async resumeDebate(debateId, options = {}) {
+    const checkpoint = await this.checkpoints.load(debateId);
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for debate ${debateId}`);
     }
+
+    return this.runDebate(checkpoint.question, checkpoint.projectPath, checkpoint.modelConfig, {
+      ...checkpoint.options,
+      ...options,
+      debateId,
+      checkpoint,
+      fresh: true
+    });
+  }
+
+  /**
+   * Run a declarative workflow (see workflows/workflow-definition.js) instead of
+   * the built-in debate phases. Workflows are neither cached nor checkpointed;
+   * their model calls are known up front, so one over budget is refused.
+   */
+  async runWorkflow(definition, question, projectPath = process.cwd(), options = {}) {
+    await this.initialize();
+
+    const workflow = validateWorkflow(definition, this.modelRegistry.aliases());
+    const budgetPlan = this.budgetManager.planCalls({
+      projectPath,
+      calls: workflowCalls(workflow),
+      maxCost: options.maxCost ?? null
+    });
+
+    const models = new Map(this.modelRegistry.getDebateModels().map(m => [m.alias, m]));
+    const debateId = options.debateId || uuidv4();
+    const abortController = getActiveDebates().start(debateId, { type: 'workflow', question, projectPath });
+    const { signal } = abortController;
+    const budgetGuard = budgetPlan.cap !== null ?
+      this.budgetManager.startGuard(debateId, budgetPlan.cap, abortController, { projectPath, estimate: budgetPlan.estimate }) :
+      null;
+    let usage = null;
+    let completed = false;
+
+    const runner = new WorkflowRunner({
+      ask: (alias, prompt) => this.callModel(models.get(alias), prompt, projectPath, null, { debateId, signal }),
+      signal,
+      onPhase: (phase, index, total) => {
+        this.progressReporter.setPhase(`Phase ${index + 1}/${total}: ${phase.id} (${phase.type})`);
+      }
+    });
+
+    this.progressReporter.startHeartbeat();
+    logger.info('Running workflow', { workflow: workflow.name, debateId, phases: workflow.phases.map(p => p.id) });
+
+    try {
+      const result = await runner.run(workflow, question);
+
+      usage = await fetchDebateUsage(debateId);
+      this.progressReporter.complete(`Workflow ${workflow.name} completed`);
+
+      completed = true;
+      return { ...result, debateId, projectPath, estimatedCost: budgetPlan.estimate, usage };
+    } catch (error) {
+      if (error instanceof DebateCancelledError) {
+        error.partial = { responses: runner.partialResponses() };
+        logger.info('Workflow cancelled', { debateId, responsesKept: Object.keys(error.partial.responses).length });
+        this.progressReporter.error('Workflow cancelled', error);
+        throw error;
+      }
+
+      this.progressReporter.error(`Workflow failed: ${error.message}`, error);
+      throw error;
+    } finally {
+      budgetGuard?.stop();
+      getActiveDebates().finish(debateId);
+
+      let status = completed ? 'completed' : 'failed';
+      if (signal.reason instanceof BudgetExceededError) {
+        status = 'aborted';
+      } else if (signal.reason instanceof DebateCancelledError) {
+        status = 'cancelled';
+      }
+      await this.recordBudgetSpend(debateId, projectPath, usage, status);
+    }
+  }
+
+  /**
+   * Store a phase result and write the checkpoint
+   */
+  async completePhase(state, phase, result) {
+    if (state.phases[phase] === result) {
+      // Read back from the checkpoint, nothing new to save
+      return;
+    }
+    state.phases[phase] = result;
+    await this.saveCheckpoint(state);
+  }
+
+  /**
+   * Checkpoint failures are logged; they must not fail the debate itself
+   */
+  async saveCheckpoint(state) {
+    try {
+      await this.checkpoints.save(state);
+    } catch (error) {
+      logger.warn('Failed to save debate checkpoint', { debateId: state.debateId, error: error.message });
+    }
+  }
+
+  async removeCheckpoint(debateId) {
+    try {
+      await this.checkpoints.remove(debateId);
+    } catch (error) {
+      logger.warn('Failed to remove debate checkpoint', { debateId, error: error.message });
+    }
+  }
+
+  /**
+   * Add a debate's provider-reported cost to the budget spend, less spentBefore
+   * (recorded by earlier attempts of a resumed debate). Returns the debate's
+   * total cost so far, or null when the k-proxy reported no usage for it.
+   */
+  async recordBudgetSpend(debateId, projectPath, usage, status, spentBefore = 0) {
+    try {
+      const measured = usage || await fetchDebateUsage(debateId);
+      if (measured) {
+        await this.budgetManager.recordSpend({
+          debateId,
+          projectPath,
+          cost: Math.max(0, measured.cost - spentBefore),
+          status
+        });
+        return measured.cost;
+      }
+    } catch (error) {
+      logger.warn('Failed to record budget spend', { error: error.message });
+    }
+    // Nothing measured to settle the debate's reservation with
+    this.budgetManager.release(debateId);
+    return null;
   }
 
   /**
    * Call model using Claude CLI with full tool access and robust retry logic
    * Supports parallel instances with different seeds/temperatures
+   * options.debateId attributes the call's token usage, options.signal aborts it
    */
   async callModel(model, prompt, projectPath = process.cwd(), instanceConfig = null, options = {}) {
     // Update model status to waiting initially
@@ -702,6 +1213,10 @@ class ClaudeCliDebate {
             fullPrompt = `ultrathink\n\n${fullPrompt}`;
           }
 
+          if (options.promptAddendum) {
+            fullPrompt += `\n\n${options.promptAddendum}`;
+          }
+
           // Add instance-specific context if this is a parallel instance
           if (instanceConfig) {
             fullPrompt += `\n\nINSTANCE CONTEXT:
@@ -741,7 +1256,11 @@ INSTRUCTIONS:
           // Update status to running
           this.progressReporter.updateModelStatus(model.name, 'running');
 
-          const result = await this.spawnClaude(model, fullPrompt, projectPath, instanceConfig);
+          const result = await this.spawnClaude(model, fullPrompt, projectPath, instanceConfig, {
+            onOutput: options.onOutput,
+            debateId: options.debateId,
+            signal: options.signal
+          });
           const duration = Math.round((Date.now() - startTime) / 1000);
 
           if (!result) {
@@ -753,15 +1272,18 @@ INSTRUCTIONS:
           logger.info('Model completed', { model: model.name, duration, responseLength: result.length });
 
           // Track model timing for performance analysis
-          if (this.trackingEnabled && this.debateMetrics) {
-            this.debateMetrics.modelTimes[model.name] = duration;
+          if (this.trackingEnabled && options.run) {
+            const { metrics } = options.run;
+            metrics.modelTimes[model.name] = duration;
+            metrics.modelCalls[model.name] = (metrics.modelCalls[model.name] || 0) + 1;
           }
 
           return result;
         },
         {
           name: `callModel(${model.name})`,
-          context: { model, prompt, projectPath, instanceConfig, options }
+          context: { model, prompt, projectPath, instanceConfig, options },
+          signal: options.signal
         }
       );
 
@@ -772,8 +1294,8 @@ INSTRUCTIONS:
       this.progressReporter.updateModelStatus(model.name, 'failed');
 
       // Track failed models for performance analysis
-      if (this.trackingEnabled && this.debateMetrics) {
-        this.debateMetrics.failedModels.push(model.name);
+      if (this.trackingEnabled && options.run) {
+        options.run.metrics.failedModels.push(model.name);
       }
 
       // If it's a RetryError, log additional details
@@ -796,9 +1318,19 @@ INSTRUCTIONS:
   /**
    * Spawn Claude CLI process and capture output
    * Supports instance-specific environment variables for seeds/temperatures
+   * options.onOutput receives stdout chunks as they arrive (the k-proxy streams tokens)
+   * options.signal kills the process tree when aborted; the call rejects with the abort reason
+   * options.debateId is sent to the k-proxy so it can attribute the call's token usage
    */
-  async spawnClaude(model, prompt, projectPath, instanceConfig = null) {
+  async spawnClaude(model, prompt, projectPath, instanceConfig = null, options = {}) {
+    const { signal } = options;
+
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       let output = '';
       let errorOutput = '';
 
@@ -813,13 +1345,20 @@ INSTRUCTIONS:
         env.CLAUDE_TOTAL_INSTANCES = instanceConfig.totalInstances.toString();
       }
 
+      if (options.debateId) {
+        // The Claude CLI adds these headers to its proxy requests
+        env.ANTHROPIC_CUSTOM_HEADERS = debateHeaderEnv(options.debateId, env.ANTHROPIC_CUSTOM_HEADERS);
+      }
+
       // Spawn Claude CLI using the wrapper script
-      const child = spawn(model.wrapper, ['--print'], {
+      const child = spawn(model.wrapper, [...(model.wrapperArgs || []), '--print'], processGroupOptions({
         cwd: projectPath,
         stdio: ['pipe', 'pipe', 'pipe'],
         timeout: this.timeout,
         env
-      });
+      }));
+
+      killOnAbort(child, signal, reject);
 
       // Send prompt to stdin
       child.stdin.write(prompt);
@@ -827,7 +1366,16 @@ INSTRUCTIONS:
 
       // Capture stdout
       child.stdout.on('data', (data) => {
-        output += data.toString();
+        const text = data.toString();
+        output += text;
+
+        if (options.onOutput) {
+          try {
+            options.onOutput(text);
+          } catch (error) {
+            logger.debug('Output listener failed', { model: model.name, error: error.message });
+          }
+        }
       });
 
       // Capture stderr
@@ -1012,13 +1560,13 @@ Instance focus: ${instanceConfig.focus}`;
 
     // Synthesize multiple instance results
     logger.debug('Synthesizing instances', { successful: successfulResults.length, total: instanceConfigs.length, model: baseModel.name });
-    return await this.synthesizeInstanceResults(baseModel, successfulResults, question);
+    return await this.synthesizeInstanceResults(baseModel, successfulResults, question, options);
   }
 
   /**
    * Synthesize results from multiple instances of the same model
    */
-  async synthesizeInstanceResults(baseModel, instanceResults, question) {
+  async synthesizeInstanceResults(baseModel, instanceResults, question, options = {}) {
     // If only one result, return it directly
     if (instanceResults.length === 1) {
       return instanceResults[0].result;
@@ -1065,7 +1613,8 @@ Provide the final synthesized solution:`;
           temperature: 0.5,
           focus: 'Instance synthesis',
           instructions: 'Synthesize all instance results into a coherent solution'
-        }
+        },
+        { debateId: options.debateId, signal: options.signal }
       );
 
       if (synthesisResult) {
@@ -1105,8 +1654,8 @@ This is the best result from ${instanceResults.length} parallel instances of ${b
     const proposals = {};
     const startTime = Date.now();
 
-    // Use selected models instead of all models
-    const modelsToUse = this.selectedModels || this.models;
+    // Use the debate's selected models (options.run) instead of all models
+    const modelsToUse = options.run?.selectedModels || this.models;
 
     // Group models by base model (same alias) to handle parallel instances
     const modelGroups = {};
@@ -1118,7 +1667,8 @@ This is the best result from ${instanceResults.length} parallel instances of ${b
             name: model.name.replace(/ \(Instance \d+\)$/, ''), // Remove instance suffix
             role: model.role,
             expertise: model.expertise,
-            wrapper: model.wrapper
+            wrapper: model.wrapper,
+            wrapperArgs: model.wrapperArgs
           },
           instances: []
         };
@@ -1197,9 +1747,9 @@ Your expertise: ${baseModel.expertise}`;
   /**
    * Select best using semantic scoring
    */
-  async selectBestSemantic(proposals, question) {
+  async selectBestSemantic(proposals, question, signal = null, debateId = null) {
     // Use LLM to evaluate all proposals semantically
-    const evaluation = await this.semanticEvaluator.evaluateResponses(question, proposals);
+    const evaluation = await this.semanticEvaluator.evaluateResponses(question, proposals, '', { signal, debateId });
     
     // Print evaluation summary
     logger.info('Evaluation summary', { summary: this.semanticEvaluator.formatEvaluationSummary(evaluation) });
@@ -1231,11 +1781,11 @@ Your expertise: ${baseModel.expertise}`;
   /**
    * Get improvements from other models
    */
-  async getImprovements(best, question, projectPath, options = {}) {
+  async getImprovements(best, question, projectPath, options = {}, previous = null) {
     const improvements = {};
 
-    // Use selected models instead of all models
-    const modelsToUse = this.selectedModels || this.models;
+    // Use the debate's selected models (options.run) instead of all models
+    const modelsToUse = options.run?.selectedModels || this.models;
 
     const improvementPromises = modelsToUse
       .filter(model => model.name !== best.model)
@@ -1249,7 +1799,7 @@ ORIGINAL TASK: ${question}
 CURRENT BEST SOLUTION from ${best.model}:
 ${best.proposal.substring(0, 3000)}...
 
-Your expertise: ${model.expertise}
+${previous ? `${formatPreviousRound(previous, model.name)}\n\n` : ''}Your expertise: ${model.expertise}
 
 Instructions:
 1. Use your tools to analyze the solution
@@ -1276,10 +1826,40 @@ Provide specific improvements and enhancements.`;
     return improvements;
   }
 
+  /**
+   * Round 2, repeated up to options.iterations times: each further round shows the
+   * models the previous round's improvements, until those agree by
+   * options.consensusThreshold percent. A model failing a later round keeps its
+   * earlier improvement. Returns { improvements, rounds }.
+   */
+  async getImprovementRounds(best, question, projectPath, options = {}, signal = null) {
+    const maxRounds = Math.max(1, options.iterations || 1);
+    let improvements = await this.getImprovements(best, question, projectPath, options);
+    let rounds = 1;
+
+    while (rounds < maxRounds && Object.keys(improvements).length > 1) {
+      const agreement = Math.round(await this.confidenceScorer.calculateConsensus(improvements) * 100);
+      if (options.consensusThreshold && agreement >= options.consensusThreshold) {
+        logger.info('Improvements reached consensus', { rounds, agreement, threshold: options.consensusThreshold });
+        break;
+      }
+      signal?.throwIfAborted();
+
+      rounds++;
+      this.progressReporter.setPhase(`Round 2: Improvements (iteration ${rounds}/${maxRounds}, ${agreement}% agreement)`);
+      logger.info('Improvement round', { round: rounds, agreement });
+      const revised = await this.getImprovements(best, question, projectPath, options, improvements);
+      improvements = { ...improvements, ...revised };
+    }
+
+    return { improvements, rounds };
+  }
+
   /**
    * Synthesize final solution including verification results
+   * and the minority report (dissent as returned by ConfidenceScorer.findDissent)
    */
-  async synthesize(best, improvements, question, verificationResults = null) {
+  async synthesize(best, improvements, question, verificationResults = null, dissent = []) {
     let synthesis = `# Consensus Solution (LLM-Evaluated)\n\n`;
     synthesis += `Base: ${best.model} (score: ${best.score.total})\n`;
     synthesis += `Contributors: ${Object.keys(improvements).join(', ')}\n`;
@@ -1352,6 +1932,19 @@ Provide specific improvements and enhancements.`;
 
     synthesis += `## Core Solution\n\n${best.proposal}\n\n`;
 
+    // Positions the winning proposal overrode, kept with who held them and why
+    synthesis += `## Minority Report\n\n`;
+    if (dissent.length === 0) {
+      synthesis += `No model took a position opposed to ${best.model}.\n\n`;
+    }
+    for (const opinion of dissent) {
+      synthesis += `### ${opinion.model} (${opinion.strength} dissent, ${Math.round(opinion.agreement * 100)}% agreement with ${best.model})\n\n`;
+      synthesis += `**Position:** ${opinion.position}\n\n`;
+      if (opinion.reasons.length > 0) {
+        synthesis += `**Reasons:**\n${opinion.reasons.map(reason => `- ${reason}`).join('\n')}\n\n`;
+      }
+    }
+
     if (Object.keys(improvements).length > 0) {
       synthesis += `## Enhancements from Other Models\n\n`;
       for (const [model, improvement] of Object.entries(improvements)) {
@@ -1378,9 +1971,32 @@ Provide specific improvements and enhancements.`;
   }
 
   /**
-   * Save debate log
+   * Ask the winning model for the structured answer to a finished debate.
+   * The reply is validated (and sent back once with the errors) before it is used.
+   */
+  async structureAnswer(question, projectPath, best, proposals, improvements, synthesis, dissent = [], options = {}) {
+    const { selectedModels } = options.run;
+    const model = selectedModels.find(m => m.name === best.model) || selectedModels[0];
+    const contributions = { ...proposals, ...improvements };
+    delete contributions[best.model];
+
+    const prompt = buildStructuredAnswerPrompt(question, {
+      solution: synthesis,
+      contributions,
+      models: Object.keys(proposals),
+      dissent
+    });
+
+    return requestStructuredAnswer(request => this.callModel(model, request, projectPath, null, {
+      debateId: options.debateId,
+      signal: options.signal
+    }), prompt);
+  }
+
+  /**
+   * Save debate log, with the model selection of the debate's run (see runUncachedDebate)
    */
-  async saveLog(question, projectPath, proposals, best, improvements, final, confidence = null) {
+  async saveLog(question, projectPath, proposals, best, improvements, final, confidence = null, run = null) {
     const logData = {
       timestamp: Date.now(),
       type: 'claude-cli-debate',
@@ -1394,9 +2010,9 @@ Provide specific improvements and enhancements.`;
       toolsEnabled: true,
       confidence: confidence || null,
       modelSelection: {
-        method: this.selectionAnalysis ? 'intelligent' : 'all',
-        analysis: this.selectionAnalysis,
-        selectedModels: this.selectedModels ? this.selectedModels.map(m => ({
+        method: run?.selectionAnalysis ? 'intelligent' : 'all',
+        analysis: run?.selectionAnalysis ?? null,
+        selectedModels: run?.selectedModels ? run.selectedModels.map(m => ({
           alias: m.alias,
           name: m.name,
           instanceId: m.instanceId,
@@ -1447,6 +2063,57 @@ Provide specific improvements and enhancements.`;
     return invalidatedCount;
   }
 
+  /**
+   * Invalidate cache entries by project, category, question pattern or key prefix.
+   * Exactly one criterion is applied; returns the number of entries removed.
+   */
+  async invalidateCache({ projectPath, category, pattern, key } = {}) {
+    if (!this.cachingEnabled) {
+      throw new Error('Caching is disabled');
+    }
+
+    if (projectPath) return this.invalidateCacheByProject(projectPath);
+    if (category) return this.debateCache.invalidateByCategory(category);
+    if (pattern) return this.debateCache.invalidateByPattern(pattern);
+    if (key) return this.debateCache.invalidateByKey(key);
+
+    throw new Error('Specify a projectPath, category, pattern or key to invalidate');
+  }
+
+  /**
+   * List cached debates, newest first
+   */
+  listCacheEntries(options = {}) {
+    if (!this.cachingEnabled) {
+      throw new Error('Caching is disabled');
+    }
+    return this.debateCache.listEntries(options);
+  }
+
+  /**
+   * Export cached debates (of one project, made relative to it, or all)
+   */
+  exportCache(projectPath = null) {
+    if (!this.cachingEnabled) {
+      throw new Error('Caching is disabled');
+    }
+    return this.debateCache.exportEntries(projectPath);
+  }
+
+  /**
+   * Import cached debates from exportCache() output
+   */
+  async importCache(data, projectPath = null) {
+    if (!this.cachingEnabled) {
+      throw new Error('Caching is disabled');
+    }
+
+    const result = this.debateCache.importEntries(data, projectPath);
+    await this.debateCache.saveToPersistence();
+    logger.info('Cache import completed', result);
+    return result;
+  }
+
   /**
    * Warm cache with common questions
    */
@@ -1504,6 +2171,10 @@ Provide specific improvements and enhancements.`;
       this.cacheInvalidator.minConfidence = options.minConfidence;
     }
 
+    if (options.maxStale !== undefined) {
+      this.debateCache.maxStale = options.maxStale;
+    }
+
     this.cacheInvalidator.configure(options);
 
     logger.info('Cache configuration updated', {
@@ -10,6 +10,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from './utils/logger.js';
+import { passRate } from './git/project-tests.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -51,7 +52,9 @@ class ConfidenceScorer {
       historical: await this.getHistoricalAccuracy(debate.question),
 
       // Response consistency and quality (10% weight)
-      consistency: this.checkConsistency(debate.responses || debate.proposals)
+      consistency: debate.structured ?
+        this.structuredConsistency(debate.structured, debate.responses || debate.proposals) :
+        this.checkConsistency(debate.responses || debate.proposals)
     };
 
     const weights = {
@@ -264,6 +267,12 @@ class ConfidenceScorer {
       return debate.verificationScore;
     }
 
+    // The project's tests, run on the solution, outweigh textual evidence
+    const testScore = this.calculateTestScore(debate.testResults);
+    if (testScore !== null) {
+      return testScore;
+    }
+
     // Look for verification indicators in the debate
     let score = 0.5; // Default neutral score
 
@@ -286,6 +295,26 @@ class ConfidenceScorer {
     return Math.min(score, 1.0);
   }
 
+  /**
+   * Verification score from a project test run (WorktreeManager.runTests):
+   * 0.9 plus up to 0.1 for coverage when every test passed, less the more
+   * tests failed. Null when the tests did not run.
+   */
+  calculateTestScore(testResults) {
+    if (!testResults || testResults.status === 'error') {
+      return null;
+    }
+
+    const rate = passRate(testResults);
+    if (rate === null) {
+      return null;
+    }
+    if (rate === 1) {
+      return 0.9 + (testResults.coverage ?? 0) / 1000;
+    }
+    return 0.6 * rate;
+  }
+
   /**
    * Check for testing evidence in debate
    */
@@ -404,31 +433,157 @@ class ConfidenceScorer {
   }
 
   /**
-   * Detect contradictions between responses
+   * Consistency of a structured answer: the dissenting opinions and per-claim
+   * confidence it reports replace the text heuristics of checkConsistency
+   */
+  structuredConsistency(structured, responses) {
+    const participants = Math.max(Object.keys(responses || {}).length, 1);
+    const dissenters = new Set(structured.dissenting_opinions.map(d => d.model)).size;
+    // Same scale as detectContradictions: at most 50% penalty
+    const contradictionPenalty = Math.min(dissenters / participants, 1) * 0.5;
+
+    const claims = structured.claims;
+    const claimConfidence = claims.length > 0 ?
+      claims.reduce((sum, claim) => sum + claim.confidence, 0) / claims.length :
+      0.5;
+
+    return Math.max(0, Math.min(1, ((1 - contradictionPenalty) + claimConfidence) / 2));
+  }
+
+  /**
+   * Detect contradictions between responses: the share of responses whose position
+   * opposes the one most of the others agree with (see opposes)
    */
   detectContradictions(responses) {
-    const negationPatterns = [
-      /not recommended/i, /should not/i, /avoid/i, /don't use/i,
-      /incorrect/i, /wrong/i, /bad practice/i, /anti-pattern/i
+    const total = responses.length;
+    if (total < 2) return 0;
+
+    const positions = responses.map(response => ({
+      concepts: this.extractPosition(response),
+      stance: this.classifyStance(response).stance
+    }));
+    const opposed = positions.map((position, i) => positions.map((other, j) =>
+      i !== j && this.opposes(this.positionAgreement(position.concepts, other.concepts), position.stance !== other.stance)
+    ));
+
+    // The reference is the response fewest others oppose
+    const oppositions = opposed.map(row => row.filter(Boolean).length);
+    const reference = oppositions.indexOf(Math.min(...oppositions));
+    const dissenters = opposed[reference].filter(Boolean).length;
+
+    // Higher penalty for mixed recommendations
+    const mixedRatio = Math.min(dissenters, total - dissenters) / total;
+    return mixedRatio * 0.5; // Max 50% penalty for full contradiction
+  }
+
+  /**
+   * Whether a response argues against an approach ('negative') or not ('positive'),
+   * with the sentences that do. Only a secondary signal next to positionAgreement:
+   * the wording is only an objection where it leads the sentence or states a verdict,
+   * so "use a mutex to avoid races" is not one.
+   */
+  classifyStance(response) {
+    const objectionPatterns = [
+      /^(?:avoid|never|don't|do not)\b/i,
+      /[:;,]\s*(?:avoid|never|don't|do not)\b/i,
+      /\b(?:should not|shouldn't|not recommended|bad practice|anti-pattern)\b/i,
+      /\b(?:is|are|would be|seems)\s+(?:the\s+)?(?:wrong|incorrect)\b/i
     ];
 
-    const recommendations = [];
+    const objections = this.splitSentences(response)
+      .filter(sentence => objectionPatterns.some(pattern => pattern.test(sentence)));
 
-    responses.forEach(response => {
-      const hasNegation = negationPatterns.some(pattern => pattern.test(response));
-      recommendations.push(hasNegation ? 'negative' : 'positive');
-    });
+    return { stance: objections.length > 0 ? 'negative' : 'positive', objections };
+  }
+
+  /**
+   * The key concepts of what a response recommends: its conclusion and the sentences
+   * naming what to use or do, cut to a common prefix so "column" and "columns" match
+   */
+  extractPosition(response) {
+    const recommendations = response.match(/\b(?:use|implement|create|configure|choose|keep|extract|store|add|switch)\b[^.]*\./gi) || [];
+    const text = this.normalizeText(`${this.extractConclusion(response)} ${recommendations.join(' ')}`);
+    const indicators = new Set(['conclusion', 'summarize', 'summary', 'therefore', 'final', 'recommendation', 'solution']);
 
-    // Calculate contradiction ratio
-    const positiveCount = recommendations.filter(r => r === 'positive').length;
-    const negativeCount = recommendations.filter(r => r === 'negative').length;
-    const total = recommendations.length;
+    return new Set(this.extractKeyConcepts(text)
+      .filter(concept => !indicators.has(concept))
+      .map(concept => concept.slice(0, 5)));
+  }
 
-    if (total === 0) return 0;
+  /**
+   * Overlap (0-1) of two positions from extractPosition
+   */
+  positionAgreement(position, other) {
+    if (position.size === 0 || other.size === 0) return 1;
 
-    // Higher penalty for mixed recommendations
-    const mixedRatio = Math.min(positiveCount, negativeCount) / total;
-    return mixedRatio * 0.5; // Max 50% penalty for full contradiction
+    const shared = [...position].filter(concept => other.has(concept)).length;
+    return shared / new Set([...position, ...other]).size;
+  }
+
+  /**
+   * Whether two positions disagree: their conclusions and approaches share little,
+   * or they share some and one of them objects where the other does not
+   */
+  opposes(agreement, stancesDiffer) {
+    // Paraphrases of one recommendation overlap by about 0.4 or more, different recommendations by 0.15 or less
+    return agreement < 0.3 || (stancesDiffer && agreement < 0.5);
+  }
+
+  /**
+   * Minority report: models whose proposal opposes the winner's, with their conclusion,
+   * the sentences giving their reasons and how far their position is from the winner's.
+   * Strong dissent shares almost nothing with the winner's position; the strongest comes first.
+   */
+  findDissent(responses, winner) {
+    if (!responses || !responses[winner]) {
+      return [];
+    }
+
+    const winnerStance = this.classifyStance(responses[winner]);
+    const winnerPosition = this.extractPosition(responses[winner]);
+    const dissent = [];
+
+    for (const [model, response] of Object.entries(responses)) {
+      if (model === winner || !response) continue;
+
+      const stance = this.classifyStance(response);
+      const agreement = this.positionAgreement(this.extractPosition(response), winnerPosition);
+      if (!this.opposes(agreement, stance.stance !== winnerStance.stance)) continue;
+
+      const conclusion = this.extractConclusion(response);
+      // The dissenter's objections, or otherwise why they chose differently
+      const reasons = stance.objections.length > 0 ?
+        stance.objections :
+        this.splitSentences(response).filter(sentence => /\b(because|since|due to|instead|better|simpler)\b/i.test(sentence));
+
+      dissent.push({
+        model,
+        stance: stance.stance,
+        position: this.truncate(conclusion.trim(), 400),
+        reasons: reasons.slice(0, 3).map(reason => this.truncate(reason, 300)),
+        agreement: Math.round(agreement * 100) / 100,
+        strength: agreement < 0.2 ? 'strong' : 'moderate'
+      });
+    }
+
+    return dissent.sort((a, b) => a.agreement - b.agreement);
+  }
+
+  /**
+   * Split text into sentences, dropping markdown list and heading markers
+   */
+  splitSentences(text) {
+    return String(text || '')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.replace(/^[\s#>*-]+/, '').trim())
+      .filter(sentence => sentence.length > 0);
+  }
+
+  /**
+   * Shorten text to at most `length` characters
+   */
+  truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 3)}...` : text;
   }
 
   /**
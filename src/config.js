@@ -2,6 +2,8 @@ import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { ModelRegistry } from './models/model-registry.js';
+import { resolveProvider } from './proxy/providers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -43,6 +45,9 @@ class ConfigManager {
 
       // Override with environment variables
       this.applyEnvironmentOverrides();
+
+      // Model lineup always comes from the model registry
+      this.config.models = this.loadModels();
       
       console.log(`Configuration loaded for environment: ${this.environment}`);
     } catch (error) {
@@ -99,19 +104,6 @@ class ConfigManager {
       this.config.api.anthropic.defaultMaxTokens = tokens;
     }
 
-    // Model overrides
-    if (process.env.KIMI_MODEL) {
-      this.config.models.kimi.id = process.env.KIMI_MODEL;
-    }
-    
-    if (process.env.QWEN_MODEL) {
-      this.config.models.qwen.id = process.env.QWEN_MODEL;
-    }
-    
-    if (process.env.GEMINI_MODEL) {
-      this.config.models.gemini.id = process.env.GEMINI_MODEL;
-    }
-
     // Feature flags
     if (process.env.ENABLE_HISTORY !== undefined) {
       this.config.features.history = process.env.ENABLE_HISTORY === 'true';
@@ -126,6 +118,26 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Load model definitions from the model registry, keyed by alias
+   */
+  loadModels() {
+    const registry = new ModelRegistry();
+    const models = {};
+    this.modelEntries = registry.list();
+    for (const model of this.modelEntries) {
+      models[model.alias] = {
+        id: model.model,
+        name: model.name,
+        provider: model.provider,
+        role: model.role,
+        maxTokens: model.maxTokens,
+        port: model.port
+      };
+    }
+    return models;
+  }
+
   /**
    * Deep merge two objects
    */
@@ -166,11 +178,6 @@ class ConfigManager {
           timeout: 30000
         }
       },
-      models: {
-        kimi: { id: 'moonshot/kimi-k2-latest', provider: 'openrouter' },
-        qwen: { id: 'qwen/qwen-2.5-coder-32b-instruct', provider: 'openrouter' },
-        gemini: { id: 'google/gemini-3-pro-preview', provider: 'openrouter' }
-      },
       logging: { level: 'info' },
       features: { history: true, logging: true, validation: true }
     };
@@ -225,9 +232,16 @@ class ConfigManager {
   validate() {
     const errors = [];
 
-    // Check required API keys
-    if (!this.get('apiKeys.openrouter') && !process.env.OPENROUTER_API_KEY) {
-      errors.push('OPENROUTER_API_KEY is required but not configured');
+    // Check the API keys required by the providers the models are routed to
+    const missingKeys = new Set();
+    for (const entry of this.modelEntries || []) {
+      const provider = resolveProvider(entry);
+      if (provider.missingApiKey) {
+        missingKeys.add(provider.apiKeyEnv);
+      }
+    }
+    for (const key of missingKeys) {
+      errors.push(`${key} is required but not configured`);
     }
 
     // Check server configuration
@@ -108,10 +108,13 @@ export class CrossVerifier {
     const verificationResults = {};
 
     for (const [modelName, proposal] of Object.entries(proposals)) {
+      // Stop verifying once the debate is cancelled
+      options.signal?.throwIfAborted();
+
       console.log(`\n🔍 Verifying proposal from ${modelName}...`);
 
       try {
-        const result = await this.verifyProposal(proposal, modelName, question, projectPath);
+        const result = await this.verifyProposal(proposal, modelName, question, projectPath, options.signal);
         verificationResults[modelName] = result;
 
         console.log(`✅ ${modelName}: Confidence ${(result.confidence * 100).toFixed(1)}%`);
@@ -119,6 +122,7 @@ export class CrossVerifier {
           console.log(`⚠️  ${result.warnings.length} warnings found`);
         }
       } catch (error) {
+        options.signal?.throwIfAborted();
         console.error(`❌ Verification failed for ${modelName}:`, error.message);
         verificationResults[modelName] = {
           confidence: 0.5, // Default confidence when verification fails
@@ -153,7 +157,7 @@ export class CrossVerifier {
   /**
    * Verify a single proposal through multiple verification layers
    */
-  async verifyProposal(proposal, modelName, question, projectPath) {
+  async verifyProposal(proposal, modelName, question, projectPath, signal = null) {
     const verification = {
       factual_accuracy: 0,
       code_correctness: 0,
@@ -167,7 +171,8 @@ export class CrossVerifier {
     console.log(`  🔍 Layer 1: Fact checking...`);
     const factCheck = await this.factChecker.checkFacts(proposal, question, {
       excludeModel: modelName,
-      projectPath
+      projectPath,
+      signal
     });
 
     verification.factual_accuracy = factCheck.accuracy;
@@ -187,7 +192,8 @@ export class CrossVerifier {
     console.log(`  🔍 Layer 3: Adversarial testing...`);
     const adversarialResults = await this.adversarialTester.testProposal(proposal, question, {
       excludeModel: modelName,
-      projectPath
+      projectPath,
+      signal
     });
 
     verification.challenges_passed = adversarialResults.challengesPassed;
@@ -43,12 +43,12 @@ export class DatabaseQueries {
     // Store SQL queries as strings instead of prepared statements
     this.queries = {
       insertDebate: `
-        INSERT INTO debates (id, timestamp, category, question, complexity, models_used, winner, consensus_score, user_feedback, project_path, total_time_seconds)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO debates (id, timestamp, category, question, complexity, models_used, winner, consensus_score, user_feedback, project_path, total_time_seconds, total_tokens, total_cost, cost_source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       insertModelPerformance: `
-        INSERT INTO model_performance (debate_id, model, score, response_time_seconds, tokens_used, cost, error_occurred, error_message, proposal_length, improvements_provided)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO model_performance (debate_id, model, score, response_time_seconds, tokens_used, calls, cost, error_occurred, error_message, proposal_length, improvements_provided)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       upsertCategoryProfile: `
         INSERT INTO category_profiles (category, model, win_rate, avg_score, avg_time_seconds, avg_cost, total_debates, total_wins, total_errors, last_updated)
@@ -102,6 +102,14 @@ export class DatabaseQueries {
         WHERE d.timestamp > ?
         GROUP BY mp.model
         ORDER BY avg_score DESC
+      `,
+      getUsageSamples: `
+        SELECT mp.model, mp.response_time_seconds, mp.tokens_used, mp.calls, d.category, d.cost_source
+        FROM model_performance mp
+        JOIN debates d ON mp.debate_id = d.id
+        WHERE mp.error_occurred = 0
+        ORDER BY d.timestamp DESC
+        LIMIT ?
       `
     };
   }
@@ -125,7 +133,10 @@ export class DatabaseQueries {
         debateData.consensusScore,
         debateData.userFeedback,
         debateData.projectPath,
-        debateData.totalTimeSeconds
+        debateData.totalTimeSeconds,
+        debateData.totalTokens ?? null,
+        debateData.totalCost ?? null,
+        debateData.costSource || null
       ]);
 
       // Insert model performance records
@@ -136,6 +147,7 @@ export class DatabaseQueries {
           perf.score || null,
           perf.responseTimeSeconds || null,
           perf.tokensUsed || null,
+          perf.calls || null,
           perf.cost || null,
           perf.errorOccurred || false,
           perf.errorMessage || null,
@@ -314,6 +326,15 @@ export class DatabaseQueries {
     return await this.allAsync(this.queries.getDebateHistory, [category, limit]);
   }
 
+  /**
+   * Per-model response times and token usage of recent debates, newest first
+   * @param {number} limit - Number of model performance records to return
+   * @returns {Array} Records with the debate's category and cost source
+   */
+  async getUsageSamples(limit = 2000) {
+    return await this.allAsync(this.queries.getUsageSamples, [limit]);
+  }
+
   /**
    * Get performance trends over time
    * @param {string} model - Model name
@@ -218,6 +218,9 @@ export class DatabaseSchema {
         user_feedback INTEGER CHECK(user_feedback BETWEEN 1 AND 5),
         project_path TEXT,
         total_time_seconds INTEGER,
+        total_tokens INTEGER,
+        total_cost REAL,
+        cost_source TEXT CHECK(cost_source IN ('provider', 'estimated')),
         created_at INTEGER DEFAULT (strftime('%s', 'now'))
       )
     `);
@@ -231,6 +234,7 @@ export class DatabaseSchema {
         score REAL,
         response_time_seconds REAL,
         tokens_used INTEGER,
+        calls INTEGER,
         cost REAL,
         error_occurred BOOLEAN DEFAULT FALSE,
         error_message TEXT,
@@ -285,10 +289,37 @@ export class DatabaseSchema {
       )
     `);
 
+    // Bring databases created by older versions up to date
+    await this.migrateTables();
+
     // Create indexes for better query performance
     await this.createIndexes();
   }
 
+  /**
+   * Add columns introduced after a table was first created
+   */
+  async migrateTables() {
+    const debateColumns = {
+      total_tokens: 'INTEGER',
+      total_cost: 'REAL',
+      cost_source: "TEXT CHECK(cost_source IN ('provider', 'estimated'))"
+    };
+
+    const modelPerformanceColumns = {
+      calls: 'INTEGER'
+    };
+
+    for (const [table, columns] of [['debates', debateColumns], ['model_performance', modelPerformanceColumns]]) {
+      const existing = new Set((await this.allAsync(`PRAGMA table_info(${table})`)).map(column => column.name));
+      for (const [column, type] of Object.entries(columns)) {
+        if (!existing.has(column)) {
+          await this.runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+      }
+    }
+  }
+
   /**
    * Create database indexes for optimal query performance
    */
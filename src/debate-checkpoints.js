@@ -0,0 +1,106 @@
+/**
+ * Debate Checkpoints
+ *
+ * ClaudeCliDebate writes a checkpoint after each completed phase (model selection,
+ * proposals, evaluation, verification, improvements, synthesis). A debate that
+ * fails, is cancelled or dies with the server can be resumed from its checkpoint:
+ * finished phases are read back instead of calling the models again.
+ *
+ * Checkpoints live in logs/checkpoints/<debateId>.json and are deleted once the
+ * debate completes.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, '..', 'logs', 'checkpoints');
+
+// Phases in the order runDebate completes them
+export const CHECKPOINT_PHASES = ['proposals', 'evaluation', 'verification', 'improvements', 'synthesis', 'structured'];
+
+export class DebateCheckpoints {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_CHECKPOINT_DIR;
+  }
+
+  file(debateId) {
+    // Debate IDs become file names
+    if (typeof debateId !== 'string' || !/^[\w-]+$/.test(debateId)) {
+      throw new Error(`Invalid debate ID: ${debateId}`);
+    }
+    return path.join(this.dir, `${debateId}.json`);
+  }
+
+  async save(checkpoint) {
+    const file = this.file(checkpoint.debateId);
+    checkpoint.updatedAt = new Date().toISOString();
+
+    await fs.mkdir(this.dir, { recursive: true });
+    // Write then rename so a crash mid-write keeps the previous checkpoint
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(checkpoint, null, 2), 'utf8');
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * The checkpoint of a debate, or null when there is none
+   */
+  async load(debateId) {
+    try {
+      return JSON.parse(await fs.readFile(this.file(debateId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(debateId) {
+    await fs.rm(this.file(debateId), { force: true });
+  }
+
+  /**
+   * Summaries of the saved checkpoints, most recently updated first
+   */
+  async list() {
+    let files;
+    try {
+      files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const summaries = [];
+    for (const file of files) {
+      try {
+        const checkpoint = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        summaries.push({
+          debateId: checkpoint.debateId,
+          question: checkpoint.question,
+          status: checkpoint.status,
+          error: checkpoint.error || null,
+          completedPhases: completedPhases(checkpoint),
+          updatedAt: checkpoint.updatedAt
+        });
+      } catch (error) {
+        logger.warn('Skipping unreadable debate checkpoint', { file, error: error.message });
+      }
+    }
+
+    return summaries.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+}
+
+/**
+ * Phases a checkpoint holds results for, in run order
+ */
+export function completedPhases(checkpoint) {
+  return CHECKPOINT_PHASES.filter(phase => phase in (checkpoint.phases || {}));
+}
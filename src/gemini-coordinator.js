@@ -12,6 +12,7 @@
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getModelRegistry } from './models/model-registry.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -114,6 +115,22 @@ const MODEL_CONFIGS = {
   }
 };
 
+/**
+ * Overlay display names and wrapper paths from the model registry,
+ * keeping the selection metadata (cost, speed, specialties) defined above
+ */
+function withRegistryDetails(configs) {
+  const registry = getModelRegistry();
+  const merged = {};
+
+  for (const [alias, config] of Object.entries(configs)) {
+    const entry = registry.get(alias);
+    merged[alias] = entry ? { ...config, name: entry.name, wrapper: entry.wrapper } : { ...config };
+  }
+
+  return merged;
+}
+
 /**
  * Complexity levels and their characteristics
  */
@@ -187,9 +204,9 @@ const CRITICALITY_LEVELS = {
  */
 class GeminiCoordinator {
   constructor() {
-    this.coordinatorModel = MODEL_CONFIGS.k4;
+    this.models = withRegistryDetails(MODEL_CONFIGS);
+    this.coordinatorModel = this.models.k4;
     this.timeout = 2 * 60 * 1000; // 2 minutes for analysis
-    this.models = MODEL_CONFIGS;
     this.categories = QUESTION_CATEGORIES;
     this.initialized = false;
   }
@@ -361,11 +378,11 @@ Analyze the question and provide a JSON response with the following assessments:
 5. **Context Clues**: Identify any specific technical domains, frameworks, or expertise areas mentioned
 
 ## Available Models:
-- k1 (Claude Opus 4.1): Architecture, Security, Strategy (Cost: High, Speed: Medium)
-- k2 (GPT-5): Testing, Debugging, Writing (Cost: Medium-High, Speed: High)
-- k3 (Qwen 3 Max): Algorithms, Math, Data (Cost: Medium, Speed: High)
-- k4 (Gemini 2.5 Pro): Integration, Cloud, Coordination (Cost: Medium, Speed: High)
-- k5 (Grok): Speed, Simple tasks, Quick analysis (Cost: Low, Speed: Highest)
+- k1 (${this.models.k1.name}): Architecture, Security, Strategy (Cost: High, Speed: Medium)
+- k2 (${this.models.k2.name}): Testing, Debugging, Writing (Cost: Medium-High, Speed: High)
+- k3 (${this.models.k3.name}): Algorithms, Math, Data (Cost: Medium, Speed: High)
+- k4 (${this.models.k4.name}): Integration, Cloud, Coordination (Cost: Medium, Speed: High)
+- k5 (${this.models.k5.name}): Speed, Simple tasks, Quick analysis (Cost: Low, Speed: Highest)
 
 Return your analysis as JSON:
 \`\`\`json
@@ -0,0 +1,306 @@
+/**
+ * Project Test Commands
+ *
+ * Finds how a project runs its tests (package.json, pytest, go.mod, Cargo,
+ * Maven, Gradle or a Makefile test target) and reads pass/fail counts and
+ * coverage from what the runner prints, for scoring agent implementations.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// What `npm init` writes when a project has no tests
+const NPM_PLACEHOLDER_TEST = /no test specified/;
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function exists(file) {
+  return (await readText(file)) !== null;
+}
+
+/**
+ * The test command of the project in dir, or null when none is found.
+ * A configured command wins over detection.
+ *
+ * @param {string} dir - Project (or worktree) directory
+ * @param {string} [configured] - Command to use instead of detecting one
+ * @returns {Promise<{command: string, source: string}|null>}
+ */
+export async function detectTestCommand(dir, configured = null) {
+  if (configured) {
+    return { command: configured, source: 'configured' };
+  }
+
+  const packageJson = await readText(path.join(dir, 'package.json'));
+  if (packageJson) {
+    let scripts = {};
+    try {
+      scripts = JSON.parse(packageJson).scripts || {};
+    } catch {
+      // Unreadable package.json: look for other test setups
+    }
+    if (scripts.test && !NPM_PLACEHOLDER_TEST.test(scripts.test)) {
+      if (await exists(path.join(dir, 'pnpm-lock.yaml'))) return { command: 'pnpm test', source: 'package.json' };
+      if (await exists(path.join(dir, 'yarn.lock'))) return { command: 'yarn test', source: 'package.json' };
+      return { command: 'npm test', source: 'package.json' };
+    }
+  }
+
+  const pytestConfigs = [
+    ['pytest.ini', /./],
+    ['pyproject.toml', /^\[tool\.pytest/m],
+    ['setup.cfg', /^\[tool:pytest\]/m],
+    ['tox.ini', /^\[pytest\]/m],
+    ['conftest.py', /./]
+  ];
+  for (const [file, marker] of pytestConfigs) {
+    const content = await readText(path.join(dir, file));
+    if (content !== null && (marker.test(content) || file === 'conftest.py')) {
+      return { command: 'python -m pytest', source: file };
+    }
+  }
+
+  if (await exists(path.join(dir, 'go.mod'))) return { command: 'go test ./...', source: 'go.mod' };
+  if (await exists(path.join(dir, 'Cargo.toml'))) return { command: 'cargo test', source: 'Cargo.toml' };
+  if (await exists(path.join(dir, 'pom.xml'))) return { command: 'mvn -q test', source: 'pom.xml' };
+
+  for (const file of ['build.gradle', 'build.gradle.kts']) {
+    if (await exists(path.join(dir, file))) {
+      const wrapper = await exists(path.join(dir, 'gradlew'));
+      return { command: wrapper ? './gradlew test' : 'gradle test', source: file };
+    }
+  }
+
+  const makefile = await readText(path.join(dir, 'Makefile'));
+  if (makefile && /^test:/m.test(makefile)) {
+    return { command: 'make test', source: 'Makefile' };
+  }
+
+  return null;
+}
+
+// The part of a config file that configures the tests: a whole file, package.json's
+// scripts and test runner settings, or the pytest section of a shared config file
+const wholeFile = text => text;
+const packageTestSettings = text => {
+  try {
+    const data = JSON.parse(text);
+    return JSON.stringify(['scripts', 'jest', 'mocha', 'ava', 'c8', 'nyc', 'vitest'].map(field => data[field] ?? null));
+  } catch {
+    return text;
+  }
+};
+const section = header => text => {
+  const start = text.search(header);
+  if (start === -1) return null;
+  const rest = text.slice(start + 1);
+  const next = rest.search(/^\[/m);
+  return next === -1 ? text.slice(start) : text.slice(start, start + 1 + next);
+};
+
+// Test configuration files at the project root
+const TEST_CONFIG = [
+  [/^package\.json$/, packageTestSettings],
+  [/^(jest|vitest|vite|karma|playwright|cypress|ava)\.config\.[cm]?[jt]s$/, wholeFile],
+  [/^\.(mocharc|c8rc|nycrc)(\.[a-z]+)?$/, wholeFile],
+  [/^(pytest\.ini|conftest\.py|Makefile)$/, wholeFile],
+  [/^pyproject\.toml$/, section(/^\[tool\.pytest/m)],
+  [/^setup\.cfg$/, section(/^\[tool:pytest\]/m)],
+  [/^tox\.ini$/, section(/^\[pytest\]/m)]
+];
+
+/**
+ * The changed files (relative to the project root) whose change alters how the
+ * project's tests run or report, so the results no longer measure the code alone
+ *
+ * @param {Array<string>} files - Changed files
+ * @param {Function} before - file => content before the change, or null
+ * @param {Function} after - file => content after the change, or null
+ * @returns {Promise<Array<string>>}
+ */
+export async function testConfigChanges(files, before, after) {
+  const changed = [];
+  for (const file of files) {
+    const config = TEST_CONFIG.find(([pattern]) => pattern.test(file));
+    if (!config) continue;
+
+    const [was, is] = await Promise.all([before(file), after(file)]);
+    const settings = text => (text === null ? null : config[1](text));
+    if (settings(was) !== settings(is)) {
+      changed.push(file);
+    }
+  }
+  return changed;
+}
+
+const count = (output, pattern) => {
+  const match = output.match(pattern);
+  return match ? parseInt(match[1]) : 0;
+};
+
+/**
+ * Passed, failed and skipped test counts from a runner's output: Jest, Vitest,
+ * Mocha, node --test (TAP), pytest, go test, cargo test and Maven. Null when
+ * the output has no summary this recognizes.
+ *
+ * @returns {{passed: number, failed: number, skipped: number, total: number}|null}
+ */
+export function parseTestCounts(output) {
+  const counts = (passed, failed, skipped = 0) => ({ passed, failed, skipped, total: passed + failed + skipped });
+
+  // Jest: "Tests:       1 failed, 2 skipped, 10 passed, 13 total"
+  const jest = output.match(/^Tests:\s+(.*\d+ total)$/m);
+  if (jest) {
+    return counts(count(jest[1], /(\d+) passed/), count(jest[1], /(\d+) failed/),
+      count(jest[1], /(\d+) skipped/) + count(jest[1], /(\d+) todo/));
+  }
+
+  // Vitest: "Tests  1 failed | 10 passed (11)"
+  const vitest = output.match(/^\s*Tests\s+(.*\(\d+\))\s*$/m);
+  if (vitest) {
+    return counts(count(vitest[1], /(\d+) passed/), count(vitest[1], /(\d+) failed/), count(vitest[1], /(\d+) skipped/));
+  }
+
+  // Mocha: "10 passing", "2 failing", "1 pending"
+  if (/^\s*\d+ passing/m.test(output)) {
+    return counts(count(output, /^\s*(\d+) passing/m), count(output, /^\s*(\d+) failing/m), count(output, /^\s*(\d+) pending/m));
+  }
+
+  // node --test and other TAP reporters: "# pass 10", "# fail 0"
+  if (/^# pass \d+/m.test(output)) {
+    return counts(count(output, /^# pass (\d+)/m), count(output, /^# fail (\d+)/m), count(output, /^# skipped (\d+)/m));
+  }
+
+  // pytest: "==== 2 failed, 10 passed, 1 skipped in 0.12s ===="
+  const pytest = output.match(/^=+ (.*\d+ (?:passed|failed|error|errors).*) in [\d.]+s.*=+$/m);
+  if (pytest) {
+    return counts(count(pytest[1], /(\d+) passed/),
+      count(pytest[1], /(\d+) failed/) + count(pytest[1], /(\d+) errors?/), count(pytest[1], /(\d+) skipped/));
+  }
+
+  // cargo test: one "test result: ok. 10 passed; 0 failed; 1 ignored" per test binary
+  const cargo = [...output.matchAll(/^test result: \w+\. (\d+) passed; (\d+) failed; (\d+) ignored/gm)];
+  if (cargo.length > 0) {
+    return counts(...[1, 2, 3].map(i => cargo.reduce((sum, match) => sum + parseInt(match[i]), 0)));
+  }
+
+  // Maven Surefire: the last "Tests run: 10, Failures: 1, Errors: 0, Skipped: 0" is the total
+  const maven = [...output.matchAll(/Tests run: (\d+), Failures: (\d+), Errors: (\d+), Skipped: (\d+)/g)].at(-1);
+  if (maven) {
+    const [run, failures, errors, skipped] = maven.slice(1).map(Number);
+    return counts(run - failures - errors - skipped, failures + errors, skipped);
+  }
+
+  // go test: "--- PASS: TestX" per test with -v, else "ok"/"FAIL" per package
+  if (/^--- (PASS|FAIL)/m.test(output)) {
+    return counts((output.match(/^\s*--- PASS/gm) || []).length, (output.match(/^\s*--- FAIL/gm) || []).length,
+      (output.match(/^\s*--- SKIP/gm) || []).length);
+  }
+  if (/^(ok|FAIL)[ \t]+\S+/m.test(output)) {
+    return counts((output.match(/^ok[ \t]+\S+/gm) || []).length, (output.match(/^FAIL[ \t]+\S+/gm) || []).length);
+  }
+
+  return null;
+}
+
+/**
+ * Line or statement coverage percentage when the runner printed one:
+ * Istanbul (Jest, nyc, c8) tables and summaries, pytest-cov and go test.
+ * Go reports it per package; the lowest is taken.
+ */
+export function parseCoverage(output) {
+  // Istanbul table: "All files |   85.5 |   70 |   90 |   86.1 |"; the Lines column
+  const table = output.match(/^\s*All files\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)\s*\|\s*([\d.]+)/m);
+  if (table) return parseFloat(table[4]);
+
+  // Istanbul text-summary: "Lines        : 86.1% ( 310/360 )"
+  const summary = output.match(/^Lines\s*:\s*([\d.]+)%/m);
+  if (summary) return parseFloat(summary[1]);
+
+  // pytest-cov: "TOTAL     360     50    86%"
+  const pytest = output.match(/^TOTAL\s+.*?(\d+(?:\.\d+)?)%\s*$/m);
+  if (pytest) return parseFloat(pytest[1]);
+
+  const go = [...output.matchAll(/coverage: ([\d.]+)% of statements/g)].map(match => parseFloat(match[1]));
+  if (go.length > 0) return Math.min(...go);
+
+  return null;
+}
+
+// Test files: in a test directory or named like one (JS/TS, Python, Go, Rust, JVM)
+const TEST_FILE = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)test_[^/]*\.py$|_test\.(py|go)$|(Test|Tests|IT)\.(java|kt)$/;
+// Test declarations, and markers that skip tests or (.only, fit) run only some
+const TEST_DECLARATION = /\b(?:it|test)\s*\(|\bdef\s+test_|\bfunc\s+Test|@Test\b|#\[test\]/g;
+const SKIP_MARKER = new RegExp([
+  /\b(?:describe|context|suite|it|test)\.(?:skip|todo|only)\b/,
+  /\b[xf](?:describe|context|it|test)\s*\(/,
+  /@pytest\.mark\.(?:skip|skipif|xfail)\b|\bpytest\.skip\s*\(|@unittest\.skip|\.skipTest\s*\(/,
+  /\bt\.Skip(?:f|Now)?\s*\(|#\[ignore\]|@(?:Disabled|Ignore)\b/
+].map(pattern => pattern.source).join('|'), 'g');
+
+const occurrences = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * The changed test files (relative to the project root) that now run fewer of
+ * the project's tests: deleted (a renamed file shows as its old name deleted),
+ * declaring fewer tests, or skipping more (including .only). A run without them
+ * passes more easily without the code getting any better.
+ *
+ * @param {Array<string>} files - Changed files
+ * @param {Function} before - file => content before the change, or null
+ * @param {Function} after - file => content after the change, or null
+ * @returns {Promise<Array<string>>} "file (deleted|tests skipped|fewer tests)" entries
+ */
+export async function testFileChanges(files, before, after) {
+  const changed = [];
+  for (const file of files) {
+    if (!TEST_FILE.test(file)) continue;
+
+    const [was, is] = await Promise.all([before(file), after(file)]);
+    if (was === null) continue;
+    if (is === null) {
+      changed.push(`${file} (deleted)`);
+    } else if (occurrences(is, SKIP_MARKER) > occurrences(was, SKIP_MARKER)) {
+      changed.push(`${file} (tests skipped)`);
+    } else if (occurrences(is, TEST_DECLARATION) < occurrences(was, TEST_DECLARATION)) {
+      changed.push(`${file} (fewer tests)`);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Fraction (0-1) of a test run's tests that passed, or of its exit status
+ * without counts. Null when no tests ran.
+ */
+export function passRate(tests) {
+  if (!tests || tests.status === 'not-run') return null;
+  if (tests.status === 'timeout' || tests.status === 'error') return 0;
+  if (tests.counts && tests.counts.passed + tests.counts.failed > 0) {
+    return tests.counts.passed / (tests.counts.passed + tests.counts.failed);
+  }
+  return tests.status === 'passed' ? 1 : 0;
+}
+
+/**
+ * "12 passed, 1 failed, 86.1% coverage" style summary of a test run
+ */
+export function describeTests(tests) {
+  if (!tests) return 'not run';
+  if (tests.status === 'not-run') return `not run (${tests.reason})`;
+  if (tests.status === 'timeout') return `timed out after ${Math.round(tests.durationMs / 1000)}s`;
+  if (tests.status === 'error') return `could not run (${tests.error})`;
+
+  const parts = tests.counts ?
+    [`${tests.counts.passed} passed`, `${tests.counts.failed} failed`] :
+    [tests.status === 'passed' ? 'passed' : `failed (exit code ${tests.exitCode})`];
+  if (tests.counts?.skipped) parts.push(`${tests.counts.skipped} skipped`);
+  if (tests.coverage !== null) parts.push(`${tests.coverage}% coverage`);
+  return parts.join(', ');
+}
@@ -4,13 +4,88 @@
  */
 
 import { EventEmitter } from 'events';
-import { exec, execSync } from 'child_process';
+import { exec, execFile, execSync, spawn } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { processGroupOptions, killProcessTree, killOnAbort } from '../utils/process-tree.js';
+import { detectTestCommand, testConfigChanges, testFileChanges, parseTestCounts, parseCoverage } from './project-tests.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Test runs: wall-clock limit, output kept in memory, and output kept in the result
+const DEFAULT_TEST_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_TEST_OUTPUT_BYTES = 20 * 1024 * 1024;
+const KEPT_TEST_OUTPUT_CHARS = 4000;
+
+// Exit status of a shell that could not find the command
+const COMMAND_NOT_FOUND = 127;
+
+/**
+ * exec() for commands with a time limit or an abort signal. The shell leads
+ * its own process group, so running over or aborting kills the whole process
+ * tree; exec() would only kill the shell and wait on whatever it started.
+ * An abort rejects with the signal's reason.
+ */
+function execWithTimeout(command, { timeout, signal, maxBuffer = 1024 * 1024, ...options }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const child = spawn(command, processGroupOptions({ ...options, shell: true }));
+    killOnAbort(child, signal, reject);
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let overflowed = false;
+
+    const collect = append => data => {
+      if (overflowed) return;
+      if (stdout.length + stderr.length + data.length > maxBuffer) {
+        overflowed = true;
+        killProcessTree(child);
+        return;
+      }
+      append(data.toString());
+    };
+    child.stdout.on('data', collect(text => { stdout += text; }));
+    child.stderr.on('data', collect(text => { stderr += text; }));
+
+    const timer = timeout ?
+      setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child);
+      }, timeout) :
+      null;
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(Object.assign(error, { stdout, stderr }));
+    });
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      if (code === 0 && !timedOut && !overflowed) {
+        resolve({ stdout, stderr });
+        return;
+      }
+
+      const error = new Error(overflowed ?
+        `Output exceeded ${maxBuffer} bytes: ${command}` :
+        `Command failed: ${command}\n${stderr}`);
+      reject(Object.assign(error, {
+        code: overflowed ? 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER' : code,
+        signal: exitSignal,
+        stdout,
+        stderr,
+        timedOut
+      }));
+    });
+  });
+}
 
 class WorktreeManager extends EventEmitter {
   constructor(config = {}) {
@@ -36,12 +111,16 @@ class WorktreeManager extends EventEmitter {
       throw new Error(`Not a git repository: ${this.repoPath}`);
     }
 
-    // Get current branch info
-    const { stdout: currentBranch } = await execAsync(
-      'git symbolic-ref --short HEAD',
-      { cwd: this.repoPath }
-    );
-    this.currentBranch = currentBranch.trim();
+    // Get current branch info (none on a detached HEAD)
+    try {
+      const { stdout: currentBranch } = await execAsync(
+        'git symbolic-ref --short HEAD',
+        { cwd: this.repoPath }
+      );
+      this.currentBranch = currentBranch.trim();
+    } catch {
+      this.currentBranch = null;
+    }
 
     this.emit('initialized', {
       baseDir: this.baseDir,
@@ -86,12 +165,14 @@ class WorktreeManager extends EventEmitter {
         `git worktree add -b ${branchName} "${worktreePath}" ${baseBranch}`,
         { cwd: this.repoPath }
       );
+      const { stdout: baseCommit } = await execAsync('git rev-parse HEAD', { cwd: worktreePath });
 
       const worktree = {
         id: workspaceId,
         agentId,
         path: worktreePath,
         branch: branchName,
+        baseCommit: baseCommit.trim(),
         created: new Date(),
         status: 'active'
       };
@@ -111,7 +192,10 @@ class WorktreeManager extends EventEmitter {
   }
 
   /**
-   * Execute git command in a worktree
+   * Execute a command in a worktree. With options.timeout (ms) the command's
+   * whole process tree is killed when it runs over, and when options.signal
+   * aborts (rejecting with its reason). options.maxMemoryMB caps the virtual
+   * memory of each of its processes (ulimit -v, not on Windows).
    */
   async executeInWorktree(workspaceId, command, options = {}) {
     const worktree = this.worktrees.get(workspaceId);
@@ -119,11 +203,15 @@ class WorktreeManager extends EventEmitter {
       throw new Error(`Worktree not found: ${workspaceId}`);
     }
 
+    const { timeout, signal, maxMemoryMB, ...execOptions } = options;
+    const limitedCommand = maxMemoryMB && process.platform !== 'win32' ?
+      `ulimit -v ${Math.round(maxMemoryMB * 1024)} && ${command}` :
+      command;
+
     try {
-      const result = await execAsync(command, {
-        cwd: worktree.path,
-        ...options
-      });
+      const result = timeout || signal ?
+        await execWithTimeout(limitedCommand, { cwd: worktree.path, timeout, signal, ...execOptions }) :
+        await execAsync(limitedCommand, { cwd: worktree.path, ...execOptions });
 
       this.emit('command:executed', {
         workspaceId,
@@ -133,6 +221,9 @@ class WorktreeManager extends EventEmitter {
 
       return result;
     } catch (error) {
+      if (error.timedOut) {
+        error.message = `Command timed out after ${Math.round(timeout / 1000)}s: ${command}`;
+      }
       this.emit('command:error', {
         workspaceId,
         command,
@@ -142,6 +233,142 @@ class WorktreeManager extends EventEmitter {
     }
   }
 
+  /**
+   * Run the project's tests in a worktree, with the configured command or the
+   * one detected from the main repository's files: an agent editing the
+   * worktree can't pick what runs. It can still change what that command does,
+   * so `configChanges` lists the test configuration files the worktree changed
+   * (see testConfigChanges), and `testFileChanges` the test files it deleted,
+   * renamed, emptied of tests or skipped tests in (see testFileChanges). The main
+   * repository's installed node_modules is linked in for the run, as worktrees
+   * hold tracked files only.
+   *
+   * @param {string} workspaceId
+   * @param {Object} [options]
+   * @param {string} [options.command] - Test command instead of the detected one
+   * @param {number} [options.timeout] - Milliseconds before the run is killed (default: 10 minutes)
+   * @param {number} [options.maxMemoryMB] - Virtual memory cap per process (default: none)
+   * @param {AbortSignal} [options.signal] - Kills the run's process tree; the run then rejects with the abort reason
+   * @returns {Object} { status: passed|failed|timeout|error|not-run, command, source, exitCode,
+   *   counts: { passed, failed, skipped, total } or null, coverage, durationMs, output, configChanges,
+   *   testFileChanges }
+   */
+  async runTests(workspaceId, options = {}) {
+    const worktree = this.worktrees.get(workspaceId);
+    if (!worktree) {
+      throw new Error(`Worktree not found: ${workspaceId}`);
+    }
+
+    const detected = await detectTestCommand(this.repoPath, options.command);
+    if (!detected) {
+      return { status: 'not-run', reason: 'no test command found', command: null, counts: null, coverage: null };
+    }
+
+    const { configChanges, testFileChanges } = await this.testChanges(worktree);
+
+    const linked = await this.linkDependencies(worktree);
+    const timeout = options.timeout || DEFAULT_TEST_TIMEOUT_MS;
+    const started = Date.now();
+    let status = 'passed';
+    let exitCode = 0;
+    let failure = null;
+    let output;
+
+    try {
+      const { stdout, stderr } = await this.executeInWorktree(workspaceId, detected.command, {
+        timeout,
+        maxMemoryMB: options.maxMemoryMB,
+        signal: options.signal,
+        maxBuffer: MAX_TEST_OUTPUT_BYTES,
+        env: { ...process.env, CI: 'true' }
+      });
+      output = `${stdout}\n${stderr}`;
+    } catch (error) {
+      if (options.signal?.aborted) {
+        // Cancelled or over budget: no result to score
+        throw error;
+      }
+      output = `${error.stdout || ''}\n${error.stderr || ''}`;
+      exitCode = typeof error.code === 'number' ? error.code : null;
+      if (error.timedOut) {
+        status = 'timeout';
+      } else if (exitCode === null || exitCode === COMMAND_NOT_FOUND) {
+        status = 'error';
+        failure = exitCode === COMMAND_NOT_FOUND ? `command not found: ${detected.command}` : error.message;
+      } else {
+        status = 'failed';
+      }
+    } finally {
+      if (linked) {
+        await fs.unlink(linked).catch(() => {});
+      }
+    }
+
+    const tests = {
+      status,
+      command: detected.command,
+      source: detected.source,
+      exitCode,
+      counts: parseTestCounts(output),
+      coverage: parseCoverage(output),
+      durationMs: Date.now() - started,
+      output: output.trim().slice(-KEPT_TEST_OUTPUT_CHARS),
+      configChanges,
+      testFileChanges,
+      ...(failure && { error: failure })
+    };
+
+    this.emit('tests:completed', {
+      workspaceId,
+      status,
+      counts: tests.counts
+    });
+
+    return tests;
+  }
+
+  /**
+   * Test configuration and test files changed in a worktree since it was
+   * created, committed or not: { configChanges, testFileChanges }
+   */
+  async testChanges(worktree) {
+    // File names come from the agents' edits, so git runs without a shell
+    const git = args => execFileAsync('git', args, { cwd: worktree.path, maxBuffer: MAX_TEST_OUTPUT_BYTES });
+    // Without rename detection a renamed file is listed under its old name too
+    const { stdout: changed } = await git(['diff', '--name-only', '-z', '--no-renames', worktree.baseCommit]);
+    const { stdout: untracked } = await git(['ls-files', '-z', '--others', '--exclude-standard']);
+    const files = `${changed}\0${untracked}`.split('\0').filter(f => f);
+
+    const before = file => git(['show', `${worktree.baseCommit}:${file}`]).then(({ stdout }) => stdout, () => null);
+    const after = file => fs.readFile(path.join(worktree.path, file), 'utf8').catch(() => null);
+    return {
+      configChanges: await testConfigChanges(files, before, after),
+      testFileChanges: await testFileChanges(files, before, after)
+    };
+  }
+
+  /**
+   * Symlink the main repository's node_modules into a worktree that has none.
+   * Returns the link's path, or null when nothing was linked.
+   */
+  async linkDependencies(worktree) {
+    const installed = path.join(this.repoPath, 'node_modules');
+    const link = path.join(worktree.path, 'node_modules');
+
+    try {
+      await fs.access(installed);
+    } catch {
+      return null;
+    }
+    try {
+      await fs.lstat(link);
+      return null;
+    } catch {
+      await fs.symlink(installed, link, 'dir');
+      return link;
+    }
+  }
+
   /**
    * Stage and commit changes in a worktree
    */
@@ -300,6 +527,47 @@ class WorktreeManager extends EventEmitter {
     }
   }
 
+  /**
+   * Apply a worktree's changes to the main repository's working tree,
+   * uncommitted. With options.check only tests that the patch applies.
+   */
+  async applyToRepository(workspaceId, options = {}) {
+    const sourceDiff = await this.getDiff(workspaceId);
+
+    if (!sourceDiff.diff) {
+      return { applied: false, message: 'No changes to apply' };
+    }
+
+    const patchFile = path.join(this.baseDir, `patch-${Date.now()}.diff`);
+    await fs.writeFile(patchFile, sourceDiff.diff);
+
+    try {
+      await execAsync(`git apply ${options.check ? '--check' : ''} "${patchFile}"`, {
+        cwd: this.repoPath
+      });
+
+      if (!options.check) {
+        this.emit('repository:patched', {
+          workspaceId,
+          files: sourceDiff.files
+        });
+      }
+
+      return {
+        applied: true,
+        files: sourceDiff.files
+      };
+    } catch (error) {
+      this.emit('patch:error', {
+        workspaceId,
+        error: error.message
+      });
+      throw error;
+    } finally {
+      await fs.unlink(patchFile).catch(() => {});
+    }
+  }
+
   /**
    * Merge worktree branch back to base
    */
@@ -69,7 +69,8 @@ class DebateHistory {
           timestamp: data.timestamp,
           question: data.question,
           winner: data.winner || data.initialWinner,
-          score: data.score
+          score: data.score,
+          status: data.status || 'completed'
         });
       } catch (error) {
         // Skip corrupted files
@@ -9,10 +9,23 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
 import { LLMSemanticEvaluator } from './llm-semantic-evaluator.js';
 import { ProgressReporter } from './progress-reporter.js';
 import { GeminiCoordinator } from './gemini-coordinator.js';
 import logger from './utils/logger.js';
+import { getModelRegistry } from './models/model-registry.js';
+import { getActiveDebates, DebateCancelledError } from './active-debates.js';
+import { processGroupOptions, killOnAbort } from './utils/process-tree.js';
+import { BudgetManager, BudgetExceededError } from './budget/budget-manager.js';
+import { debateEnv } from './proxy/usage.js';
+import {
+  validateResponseFormat,
+  buildStructuredAnswerPrompt,
+  requestStructuredAnswer,
+  renderStructuredAnswer,
+  StructuredAnswerError
+} from './structured-answer.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -81,12 +94,13 @@ class ConsensusAnalyzer {
 
   /**
    * Evaluate consensus level between responses
+   * debateId counts the coordinator's proxy usage toward that debate
    */
-  async evaluateConsensus(question, responses, debateHistory = null) {
+  async evaluateConsensus(question, responses, debateHistory = null, signal = null, debateId = null) {
     const prompt = this.buildConsensusPrompt(question, responses, debateHistory);
     
     try {
-      const result = await this.callCoordinator(prompt);
+      const result = await this.callCoordinator(prompt, signal, debateId);
       return this.parseConsensusResult(result);
     } catch (error) {
       logger.error('Consensus evaluation failed', { error: error.message, stack: error.stack });
@@ -138,14 +152,21 @@ Return your evaluation as JSON:
 \`\`\``;
   }
 
-  async callCoordinator(prompt) {
+  async callCoordinator(prompt, signal = null, debateId = null) {
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       let output = '';
       
-      const child = spawn(this.coordinatorModel.wrapper, ['--print'], {
+      const child = spawn(this.coordinatorModel.wrapper, ['--print'], processGroupOptions({
         stdio: ['pipe', 'pipe', 'pipe'],
-        timeout: this.timeout
-      });
+        timeout: this.timeout,
+        env: debateEnv(debateId)
+      }));
+      killOnAbort(child, signal, reject);
       
       child.stdin.write(prompt);
       child.stdin.end();
@@ -207,7 +228,11 @@ Return your evaluation as JSON:
  * Main orchestrator for iterative debate
  */
 class IterativeDebateOrchestrator {
-  constructor() {
+  /**
+   * options.budgetManager shares budget limits, spend and reservations with the
+   * other debate runners (a new BudgetManager by default)
+   */
+  constructor(options = {}) {
     // Initialize progress reporter for iterative debates
     this.progressReporter = new ProgressReporter({
       interval: parseInt(process.env.DEBATE_PROGRESS_INTERVAL) || 30000,
@@ -219,38 +244,8 @@ class IterativeDebateOrchestrator {
     this.geminiCoordinator = new GeminiCoordinator();
     this.useIntelligentSelection = process.env.DISABLE_INTELLIGENT_SELECTION !== 'true';
 
-    this.models = [
-      {
-        alias: 'k1',
-        name: 'Claude Opus 4.1',
-        role: 'Architecture',
-        wrapper: path.join(__dirname, '..', 'k1-wrapper.sh')
-      },
-      {
-        alias: 'k2',
-        name: 'GPT-5',
-        role: 'Testing',
-        wrapper: path.join(__dirname, '..', 'k2-wrapper.sh')
-      },
-      {
-        alias: 'k3',
-        name: 'Qwen 3 Max',
-        role: 'Algorithms',
-        wrapper: path.join(__dirname, '..', 'k3-wrapper.sh')
-      },
-      {
-        alias: 'k4',
-        name: 'Gemini 2.5 Pro',
-        role: 'Integration',
-        wrapper: path.join(__dirname, '..', 'k4-wrapper.sh')
-      },
-      {
-        alias: 'k5',
-        name: 'Grok',
-        role: 'Speed & Efficiency',
-        wrapper: path.join(__dirname, '..', 'k5-wrapper.sh')
-      }
-    ];
+    // Iterative debates use the core k1-k5 lineup from the model registry
+    this.models = getModelRegistry().getDebateModels(['k1', 'k2', 'k3', 'k4', 'k5']);
 
     this.consensusAnalyzer = new ConsensusAnalyzer();
     this.semanticEvaluator = new LLMSemanticEvaluator();
@@ -261,6 +256,7 @@ class IterativeDebateOrchestrator {
     this.timeout = 60 * 60 * 1000; // 60 minutes
 
     this.logsDir = path.join(__dirname, '..', 'logs');
+    this.budgetManager = options.budgetManager || new BudgetManager();
 
     // Store selected models for current debate
     this.selectedModels = null;
@@ -278,8 +274,12 @@ class IterativeDebateOrchestrator {
 
   /**
    * Run iterative debate process
+   * options.debateId sets the ID the debate is registered (and can be cancelled) under
+   * options.responseFormat 'structured' adds a validated JSON answer (`structured`) and renders the solution from it
+   * options.maxCost caps this debate's spend in USD (on top of the configured budget limits)
    */
-  async runIterativeDebate(question, projectPath = process.cwd()) {
+  async runIterativeDebate(question, projectPath = process.cwd(), options = {}) {
+    const responseFormat = validateResponseFormat(options.responseFormat);
     await this.initialize();
 
     // Start progress reporting
@@ -328,12 +328,40 @@ class IterativeDebateOrchestrator {
       this.selectedModels = this.models;
     }
 
+    // Refused before any debate model runs when its estimate exceeds the budget
+    let budgetPlan;
+    try {
+      budgetPlan = this.budgetManager.planCalls({
+        projectPath,
+        calls: this.estimateCalls(this.selectedModels || this.models, responseFormat),
+        maxCost: options.maxCost ?? null,
+        label: 'Iterative debate'
+      });
+    } catch (error) {
+      this.progressReporter.error(error.message, error);
+      throw error;
+    }
+
+    const debateId = options.debateId || uuidv4();
+    const abortController = getActiveDebates().start(debateId, { type: 'iterative', question, projectPath });
+    const { signal } = abortController;
+    const budgetGuard = budgetPlan.cap !== null ?
+      this.budgetManager.startGuard(debateId, budgetPlan.cap, abortController, { projectPath, estimate: budgetPlan.estimate }) :
+      null;
+    let completed = false;
+    // Other debates can run on this instance at the same time, so the phases get
+    // this debate's signal (cancel_debate) and keep its latest responses, which
+    // are returned when it is cancelled, in per-run state
+    const run = { debateId, signal, responses: {} };
+
     try {
       // Round 1: Initial proposals
       this.progressReporter.setPhase('Round 1: Initial Independent Analysis');
       logger.info('ROUND 1: Initial Independent Analysis starting');
-      const initialResponses = await this.getInitialProposals(question, projectPath);
-    
+      const initialResponses = await this.getInitialProposals(question, projectPath, run);
+      run.responses = initialResponses;
+      signal.throwIfAborted();
+
       if (Object.keys(initialResponses).length < 2) {
         throw new Error('Not enough models responded for debate');
       }
@@ -342,8 +370,12 @@ class IterativeDebateOrchestrator {
       this.progressReporter.setPhase('Evaluating initial consensus');
       const initialConsensus = await this.consensusAnalyzer.evaluateConsensus(
         question,
-        initialResponses
+        initialResponses,
+        null,
+        signal,
+        debateId
       );
+      signal.throwIfAborted();
 
       logger.info('Initial consensus evaluated', {
         consensusScore: initialConsensus.consensus_score,
@@ -369,9 +401,10 @@ class IterativeDebateOrchestrator {
           percentage: 100,
           details: `Consensus: ${initialConsensus.consensus_score}%`
         });
-        const result = await this.synthesizeFinal(question, initialResponses, this.debateMemory.getDebateState());
+        const result = await this.synthesizeFinal(question, initialResponses, this.debateMemory.getDebateState(), projectPath, responseFormat, run);
         this.progressReporter.complete('Iterative debate completed with early consensus');
-        return result;
+        completed = true;
+        return { ...result, debateId, estimatedCost: budgetPlan.estimate };
       }
 
       // Round 2: Iterative debate
@@ -380,21 +413,81 @@ class IterativeDebateOrchestrator {
       const finalResponses = await this.runIterativeRounds(
         question,
         initialResponses,
-        projectPath
+        projectPath,
+        run
       );
 
       // Final synthesis
       this.progressReporter.setPhase('Final Synthesis');
       logger.info('FINAL SYNTHESIS starting');
-      const result = await this.synthesizeFinal(question, finalResponses, this.debateMemory.getDebateState());
+      const result = await this.synthesizeFinal(question, finalResponses, this.debateMemory.getDebateState(), projectPath, responseFormat, run);
+      signal.throwIfAborted();
 
       this.progressReporter.complete('Iterative debate completed successfully');
-      return result;
+      completed = true;
+      return { ...result, debateId, estimatedCost: budgetPlan.estimate };
 
     } catch (error) {
+      if (error instanceof DebateCancelledError) {
+        error.partial = {
+          responses: run.responses,
+          iterations: this.debateMemory.getDebateState().consensusTrend.length
+        };
+        logger.info('Iterative debate cancelled', { debateId, responsesKept: Object.keys(run.responses).length });
+        this.progressReporter.error('Iterative debate cancelled', error);
+        throw error;
+      }
+
       this.progressReporter.error(`Iterative debate failed: ${error.message}`, error);
       throw error;
+    } finally {
+      budgetGuard?.stop();
+      getActiveDebates().finish(debateId);
+
+      let status = completed ? 'completed' : 'failed';
+      if (signal.reason instanceof BudgetExceededError) {
+        status = 'aborted';
+      } else if (signal.reason instanceof DebateCancelledError) {
+        status = 'cancelled';
+      }
+      await this.recordBudgetSpend(debateId, projectPath, status);
+    }
+  }
+
+  /**
+   * Upper bound of the model calls of a debate with these models: a proposal
+   * and maxIterations updated positions from each, a coordinator consensus
+   * check per round, the semantic evaluation and, for a structured answer, the
+   * structuring call (the coordinator and the evaluator run on k1)
+   */
+  estimateCalls(models, responseFormat = 'markdown') {
+    const rounds = 1 + this.maxIterations;
+    const calls = [];
+    for (let round = 0; round < rounds; round++) {
+      calls.push(...models.map(m => m.alias), 'k1');
+    }
+    calls.push('k1');
+    if (responseFormat === 'structured') {
+      calls.push(models[0]?.alias || 'k1');
+    }
+    return calls;
+  }
+
+  /**
+   * Add the debate's provider-reported cost to the budget spend, or release its
+   * reservation when the k-proxy reported no usage for it
+   */
+  async recordBudgetSpend(debateId, projectPath, status) {
+    try {
+      const usage = await this.budgetManager.fetchUsage(debateId);
+      if (usage) {
+        await this.budgetManager.recordSpend({ debateId, projectPath, cost: usage.cost, status });
+        return;
+      }
+    } catch (error) {
+      logger.warn('Failed to record budget spend', { error: error.message });
     }
+    this.budgetManager.release(debateId);
   }
 
   /**
@@ -449,8 +542,9 @@ class IterativeDebateOrchestrator {
 
   /**
    * Get initial proposals from selected models
+   * run is the debate's per-run state ({ debateId, signal, responses }, see runIterativeDebate)
    */
-  async getInitialProposals(question, projectPath) {
+  async getInitialProposals(question, projectPath, run = {}) {
     const proposals = {};
 
     // Use selected models instead of all models
@@ -463,7 +557,7 @@ ${question}
 
 Provide a comprehensive response based on your specialization.`;
       
-      const result = await this.callModel(model, prompt, projectPath);
+      const result = await this.callModel(model, prompt, projectPath, run);
       return { model: model.name, result };
     });
     
@@ -480,9 +574,9 @@ Provide a comprehensive response based on your specialization.`;
   }
 
   /**
-   * Run iterative debate rounds
+   * Run iterative debate rounds, keeping the latest responses in run.responses
    */
-  async runIterativeRounds(question, initialResponses, projectPath) {
+  async runIterativeRounds(question, initialResponses, projectPath, run = {}) {
     let currentResponses = { ...initialResponses };
     let iteration = 0;
 
@@ -504,8 +598,11 @@ Provide a comprehensive response based on your specialization.`;
         question,
         currentResponses,
         this.debateMemory.getDebateState(),
-        projectPath
+        projectPath,
+        run
       );
+      run.responses = { ...currentResponses, ...updatedResponses };
+      run.signal?.throwIfAborted();
 
       // Evaluate new consensus
       this.progressReporter.progress('Evaluating consensus for iteration', {
@@ -514,8 +611,11 @@ Provide a comprehensive response based on your specialization.`;
       const consensus = await this.consensusAnalyzer.evaluateConsensus(
         question,
         updatedResponses,
-        this.debateMemory.getDebateState()
+        this.debateMemory.getDebateState(),
+        run.signal,
+        run.debateId
       );
+      run.signal?.throwIfAborted();
       
       logger.info('Iteration consensus evaluated', {
         iteration,
@@ -573,7 +673,7 @@ Provide a comprehensive response based on your specialization.`;
   /**
    * Get updated positions from all models
    */
-  async getUpdatedPositions(question, currentResponses, debateState, projectPath) {
+  async getUpdatedPositions(question, currentResponses, debateState, projectPath, run = {}) {
     const updatedResponses = {};
 
     // Use selected models instead of all models
@@ -614,7 +714,7 @@ ${debateState.consensusTrend.length > 0 ?
 
 Provide your updated response:`;
       
-      const result = await this.callModel(model, prompt, projectPath);
+      const result = await this.callModel(model, prompt, projectPath, run);
       return { model: model.name, result };
     });
     
@@ -661,11 +761,13 @@ Provide your updated response:`;
   /**
    * Synthesize final answer
    */
-  async synthesizeFinal(question, finalResponses, debateState) {
+  async synthesizeFinal(question, finalResponses, debateState, projectPath = process.cwd(), responseFormat = 'markdown', run = {}) {
     // Use semantic evaluator to find best elements
     const evaluation = await this.semanticEvaluator.evaluateResponses(
       question, 
-      finalResponses
+      finalResponses,
+      '',
+      { signal: run.signal, debateId: run.debateId }
     );
     
     let synthesis = `# Iterative Consensus Solution v2.0\n\n`;
@@ -716,11 +818,42 @@ Provide your updated response:`;
       });
     }
     
+    // Structured answer: the best model restates the synthesis in the JSON schema
+    let structured = null;
+    const warnings = [];
+    if (responseFormat === 'structured') {
+      this.progressReporter.setPhase('Structuring the answer');
+      const models = this.selectedModels || this.models;
+      const model = models.find(m => m.name === bestModel) || models[0];
+      const contributions = { ...finalResponses };
+      delete contributions[bestModel];
+
+      try {
+        structured = await requestStructuredAnswer(
+          (prompt) => this.callModel(model, prompt, projectPath, run),
+          buildStructuredAnswerPrompt(question, {
+            solution: synthesis,
+            contributions,
+            models: Object.keys(finalResponses)
+          })
+        );
+        synthesis = renderStructuredAnswer(structured);
+      } catch (error) {
+        if (!(error instanceof StructuredAnswerError)) throw error;
+        logger.warn('Structured answer failed validation, returning the markdown synthesis', { errors: error.errors });
+        warnings.push(`Structured answer unavailable (${error.message}); returning the markdown synthesis instead.`);
+        synthesis = `> ⚠️ ${warnings[0]}\n\n${synthesis}`;
+      }
+    }
+
     // Save debate log
     await this.saveDebateLog(question, projectPath, debateState, synthesis);
     
     return {
       solution: synthesis,
+      responseFormat,
+      structured,
+      warnings,
       iterations: debateState.currentRound,
       finalConsensus: debateState.consensusTrend[debateState.consensusTrend.length - 1],
       debateHistory: debateState
@@ -728,17 +861,27 @@ Provide your updated response:`;
   }
 
   /**
-   * Call model with prompt
+   * Call model with prompt; run.signal (see runIterativeDebate) kills its process tree when aborted
+   * and run.debateId tags its proxy requests, so the k-proxy counts their usage toward the debate
    */
-  async callModel(model, prompt, projectPath) {
+  async callModel(model, prompt, projectPath, run = {}) {
+    const { signal, debateId } = run;
+
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       let output = '';
       
-      const child = spawn(model.wrapper, ['--print'], {
+      const child = spawn(model.wrapper, [...(model.wrapperArgs || []), '--print'], processGroupOptions({
         cwd: projectPath,
         stdio: ['pipe', 'pipe', 'pipe'],
-        timeout: this.timeout
-      });
+        timeout: this.timeout,
+        env: debateEnv(debateId)
+      }));
+      killOnAbort(child, signal, reject);
       
       child.stdin.write(prompt);
       child.stdin.end();
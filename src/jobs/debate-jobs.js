@@ -0,0 +1,252 @@
+/**
+ * Asynchronous Debate Jobs
+ *
+ * `start_debate` queues a job and returns its ID straight away; the debate runs
+ * in the background and `debate_status` / `debate_result` read the job record.
+ * Jobs run one at a time to bound the model calls and spend of debates nobody
+ * is waiting on. They share the orchestrator with the synchronous debate tools,
+ * which can run at the same time: each debate's calls carry its own ID and abort
+ * signal, but a job's progress may include theirs. The job ID is also the debate
+ * ID, so `cancel_debate` stops a running job.
+ *
+ * Every job is persisted to data/jobs/<id>.json. A job that was queued or running
+ * when the server stopped is reported as interrupted on the next start, or queued
+ * again when DEBATE_JOBS_ON_RESTART=resume.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_JOBS_DIR = path.join(__dirname, '..', '..', 'data', 'jobs');
+
+// Finished jobs kept on disk; older ones are deleted
+const MAX_FINISHED_JOBS = 100;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+export function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+export class DebateJobQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.run - async (job, { onProgress }) => { text, historyId, status? }
+   * @param {string} options.jobsDir - Directory holding one JSON file per job
+   * @param {string} options.onRestart - 'interrupt' (default) or 'resume' for jobs left unfinished by a restart
+   */
+  constructor(options = {}) {
+    this.run = options.run;
+    this.jobsDir = options.jobsDir || DEFAULT_JOBS_DIR;
+    this.onRestart = options.onRestart || process.env.DEBATE_JOBS_ON_RESTART || 'interrupt';
+    this.maxFinishedJobs = options.maxFinishedJobs || MAX_FINISHED_JOBS;
+    this.now = options.now || (() => new Date());
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = null;
+    this.draining = null;
+  }
+
+  /**
+   * Read persisted jobs and deal with those a previous server left unfinished
+   */
+  load() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.jobsDir).filter(f => f.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read debate jobs', { error: error.message });
+      }
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(this.jobsDir, file), 'utf8'));
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        logger.warn('Skipping unreadable debate job', { file, error: error.message });
+      }
+    }
+
+    const unfinished = Array.from(this.jobs.values())
+      .filter(job => !isFinished(job))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of unfinished) {
+      if (this.onRestart === 'resume') {
+        // runDebateJob continues from the debate's checkpoint, so finished phases are not run again
+        job.status = 'queued';
+        job.restarts = (job.restarts || 0) + 1;
+        job.progress = null;
+        this.queue.push(job.id);
+      } else {
+        job.status = 'interrupted';
+        job.finishedAt = this.now().toISOString();
+        job.error = 'The server stopped before this debate finished';
+      }
+      this.save(job);
+    }
+
+    if (unfinished.length > 0) {
+      logger.info('Recovered unfinished debate jobs', { count: unfinished.length, onRestart: this.onRestart });
+    }
+
+    this.prune();
+    this.drain();
+  }
+
+  /**
+   * Queue a debate and return its job record
+   *
+   * @param {Object} params - { question, projectPath, modelConfig, maxCost, ... } passed to run()
+   */
+  submit(params) {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      params,
+      createdAt: this.now().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.save(job);
+    this.prune();
+    this.drain();
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Jobs, newest first
+   */
+  list(limit = 10) {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * 1-based position of a queued job, counting the running job; null when not queued
+   */
+  queuePosition(jobId) {
+    const index = this.queue.indexOf(jobId);
+    if (index === -1) {
+      return null;
+    }
+    return index + 1 + (this.running ? 1 : 0);
+  }
+
+  /**
+   * Remove a job from the queue before it starts. Returns false when it is not queued.
+   * Running jobs are cancelled through the active debate registry instead.
+   */
+  cancelQueued(jobId) {
+    const index = this.queue.indexOf(jobId);
+    if (index === -1) {
+      return false;
+    }
+
+    this.queue.splice(index, 1);
+    const job = this.jobs.get(jobId);
+    job.status = 'cancelled';
+    job.finishedAt = this.now().toISOString();
+    job.error = 'Cancelled before it started';
+    this.save(job);
+    return true;
+  }
+
+  /**
+   * Run queued jobs one after another. Resolves when the queue is empty.
+   */
+  drain() {
+    if (!this.draining) {
+      this.draining = this.runQueued().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async runQueued() {
+    while (this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      this.running = job;
+      try {
+        await this.execute(job);
+      } finally {
+        this.running = null;
+      }
+    }
+  }
+
+  async execute(job) {
+    job.status = 'running';
+    job.startedAt = this.now().toISOString();
+    this.save(job);
+
+    const onProgress = (progress) => {
+      job.progress = progress;
+      this.save(job);
+    };
+
+    try {
+      const output = await this.run(job, { onProgress });
+      job.status = output.status || 'completed';
+      job.result = { text: output.text, historyId: output.historyId || null };
+    } catch (error) {
+      job.status = error.name === 'DebateCancelledError' ? 'cancelled' : 'failed';
+      job.error = error.message;
+      logger.warn('Debate job did not complete', { jobId: job.id, status: job.status, error: error.message });
+    }
+
+    job.finishedAt = this.now().toISOString();
+    this.save(job);
+  }
+
+  save(job) {
+    try {
+      fs.mkdirSync(this.jobsDir, { recursive: true });
+      // Write then rename so a crash never leaves a half-written job file
+      const file = path.join(this.jobsDir, `${job.id}.json`);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2), 'utf8');
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      logger.warn('Failed to save debate job', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Delete the oldest finished jobs beyond maxFinishedJobs
+   */
+  prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(isFinished)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    for (const job of finished.slice(this.maxFinishedJobs)) {
+      this.jobs.delete(job.id);
+      try {
+        fs.unlinkSync(path.join(this.jobsDir, `${job.id}.json`));
+      } catch (error) {
+        logger.debug('Failed to delete debate job', { jobId: job.id, error: error.message });
+      }
+    }
+  }
+}
@@ -12,9 +12,14 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from '../utils/logger.js';
+import { getModelRegistry } from '../models/model-registry.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+function emptyUsageStats() {
+  return { debates: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, byModel: {} };
+}
+
 export class LearningSystem {
   constructor() {
     // Initialize core components
@@ -46,7 +51,8 @@ export class LearningSystem {
       costSavingsAchieved: 0,
       performanceImprovements: 0,
       lastAnalysis: null,
-      lastOptimization: null
+      lastOptimization: null,
+      usage: emptyUsageStats()
     };
   }
 
@@ -114,6 +120,11 @@ export class LearningSystem {
         this.stats.costSavingsAchieved += debateResult.costReduction;
       }
 
+      // Accumulate provider-reported token usage for cost analysis
+      if (debateResult.usage) {
+        this.recordUsage(debateResult.usage);
+      }
+
       // Generate comprehensive reports periodically
       if (this.stats.totalDebatesAnalyzed % this.config.reportGenerationInterval === 0) {
         logger.info('Generating comprehensive learning report');
@@ -437,9 +448,37 @@ export class LearningSystem {
   }
 
   /**
-   * Get cost analysis
+   * Add one debate's k-proxy usage report to the running totals
+   * @param {Object} usage - { inputTokens, outputTokens, totalTokens, cost, byModel }
+   */
+  recordUsage(usage) {
+    const totals = this.stats.usage || (this.stats.usage = emptyUsageStats());
+    totals.debates++;
+    totals.inputTokens += usage.inputTokens;
+    totals.outputTokens += usage.outputTokens;
+    totals.totalTokens += usage.totalTokens;
+    totals.cost += usage.cost;
+
+    for (const [alias, modelUsage] of Object.entries(usage.byModel || {})) {
+      const model = totals.byModel[alias] ||
+        (totals.byModel[alias] = { debates: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 });
+      model.debates++;
+      model.inputTokens += modelUsage.inputTokens;
+      model.outputTokens += modelUsage.outputTokens;
+      model.totalTokens += modelUsage.totalTokens;
+      model.cost += modelUsage.cost;
+    }
+  }
+
+  /**
+   * Get cost analysis. Uses real provider-reported costs (USD) once debates
+   * with usage data have been processed, relative model cost weights otherwise.
    */
   async getCostAnalysis() {
+    if (this.stats.usage?.debates > 0) {
+      return this.getMeasuredCostAnalysis();
+    }
+
     const profiles = this.modelProfiler.getAllProfiles();
     const totalDebates = Object.values(profiles).reduce((sum, p) => sum + p.totalDebates, 0);
 
@@ -456,6 +495,7 @@ export class LearningSystem {
     const savings = baselineCost > 0 ? ((baselineCost - actualCost) / baselineCost) * 100 : 0;
 
     return {
+      source: 'estimated',
       totalDebates,
       baselineCost,
       actualCost,
@@ -472,6 +512,39 @@ export class LearningSystem {
     };
   }
 
+  /**
+   * Cost analysis from recorded usage. The baseline prices the same tokens
+   * at k1's registry pricing, i.e. what the debates would have cost on k1 alone.
+   */
+  getMeasuredCostAnalysis() {
+    const usage = this.stats.usage;
+    const baselinePricing = getModelRegistry().get('k1')?.pricing;
+    const baselineCost = baselinePricing ?
+      (usage.inputTokens * baselinePricing.input + usage.outputTokens * baselinePricing.output) / 1_000_000 :
+      usage.cost;
+    const savings = baselineCost > 0 ? ((baselineCost - usage.cost) / baselineCost) * 100 : 0;
+
+    return {
+      source: 'provider',
+      totalDebates: usage.debates,
+      baselineCost,
+      actualCost: usage.cost,
+      totalSavings: savings,
+      averageCostPerDebate: usage.cost / usage.debates,
+      totalTokens: usage.totalTokens,
+      costBreakdown: Object.entries(usage.byModel).reduce((breakdown, [modelId, model]) => {
+        breakdown[modelId] = {
+          debates: model.debates,
+          inputTokens: model.inputTokens,
+          outputTokens: model.outputTokens,
+          unitCost: model.cost / model.debates,
+          totalCost: model.cost
+        };
+        return breakdown;
+      }, {})
+    };
+  }
+
   /**
    * Get learning progress
    */
@@ -614,7 +687,8 @@ ${report.recommendations.map(rec => `- **${rec.type.toUpperCase()}** (${rec.prio
       costSavingsAchieved: 0,
       performanceImprovements: 0,
       lastAnalysis: null,
-      lastOptimization: null
+      lastOptimization: null,
+      usage: emptyUsageStats()
     };
 
     // Clear data files
@@ -9,6 +9,8 @@
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { processGroupOptions, killOnAbort } from './utils/process-tree.js';
+import { debateEnv } from './proxy/usage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,8 +31,10 @@ class LLMSemanticEvaluator {
 
   /**
    * Evaluate multiple responses using LLM semantic understanding
+   * options.signal kills the evaluator process when aborted; options.debateId
+   * counts its proxy usage toward that debate
    */
-  async evaluateResponses(question, responses, projectContext = '') {
+  async evaluateResponses(question, responses, projectContext = '', options = {}) {
     console.log('\n🔍 LLM Semantic Evaluation Starting...');
     
     // Build the evaluation prompt
@@ -38,7 +42,7 @@ class LLMSemanticEvaluator {
     
     try {
       // Call the evaluator LLM
-      const evaluationResult = await this.callEvaluator(evaluationPrompt);
+      const evaluationResult = await this.callEvaluator(evaluationPrompt, options.signal, options.debateId);
       
       // Parse the JSON response
       const evaluation = this.parseEvaluation(evaluationResult);
@@ -128,17 +132,24 @@ Be objective and thorough. Focus on semantic understanding, not surface-level fe
   /**
    * Call the evaluator LLM
    */
-  async callEvaluator(prompt) {
+  async callEvaluator(prompt, signal = null, debateId = null) {
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       let output = '';
       let errorOutput = '';
       
       console.log('  🤖 Calling evaluator LLM...');
       
-      const child = spawn(this.evaluatorModel.wrapper, ['--print'], {
+      const child = spawn(this.evaluatorModel.wrapper, ['--print'], processGroupOptions({
         stdio: ['pipe', 'pipe', 'pipe'],
-        timeout: this.timeout
-      });
+        timeout: this.timeout,
+        env: debateEnv(debateId)
+      }));
+      killOnAbort(child, signal, reject);
       
       child.stdin.write(prompt);
       child.stdin.end();
@@ -0,0 +1,286 @@
+/**
+ * Model Registry
+ *
+ * Single source of truth for the k-model lineup. Every component that needs to
+ * know about k1..kN (debate orchestration, the k-proxy, MCP tool descriptions,
+ * configuration) reads from config/models.json through this module.
+ *
+ * The registry is re-read whenever the file changes on disk, so swapping the
+ * provider model behind an alias or adding a new alias only needs a config edit.
+ * Each entry also names the upstream `provider` the k-proxy routes it to
+ * (see src/proxy/providers.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import { validateProviderConfig } from '../proxy/providers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+export const DEFAULT_REGISTRY_PATH = path.join(ROOT_DIR, 'config', 'models.json');
+
+const ALIAS_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Validate raw registry data and return normalized model entries.
+ * Throws a single Error listing every problem found.
+ */
+export function validateRegistry(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Model registry validation failed: registry must be a JSON object');
+  }
+
+  if (!Array.isArray(data.models) || data.models.length === 0) {
+    throw new Error('Model registry validation failed: "models" must be a non-empty array');
+  }
+
+  const defaults = data.defaults || {};
+  const seenAliases = new Set();
+  const seenPorts = new Map();
+  const models = [];
+
+  data.models.forEach((entry, index) => {
+    const label = entry && entry.alias ? entry.alias : `models[${index}]`;
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: entry must be an object`);
+      return;
+    }
+
+    const model = { ...defaults, ...entry };
+
+    if (typeof model.alias !== 'string' || !ALIAS_PATTERN.test(model.alias)) {
+      errors.push(`${label}: "alias" must match ${ALIAS_PATTERN}`);
+    } else if (seenAliases.has(model.alias)) {
+      errors.push(`${label}: duplicate alias`);
+    } else {
+      seenAliases.add(model.alias);
+    }
+
+    for (const field of ['name', 'role', 'expertise', 'model', 'provider']) {
+      if (typeof model[field] !== 'string' || model[field].trim() === '') {
+        errors.push(`${label}: "${field}" is required and must be a non-empty string`);
+      }
+    }
+
+    for (const problem of validateProviderConfig(model)) {
+      errors.push(`${label}: ${problem}`);
+    }
+
+    if (!Number.isInteger(model.maxTokens) || model.maxTokens <= 0) {
+      errors.push(`${label}: "maxTokens" must be a positive integer`);
+    }
+
+    if (model.port !== undefined) {
+      if (!Number.isInteger(model.port) || model.port < 1 || model.port > 65535) {
+        errors.push(`${label}: "port" must be an integer between 1 and 65535`);
+      } else if (seenPorts.has(model.port)) {
+        errors.push(`${label}: port ${model.port} is already used by ${seenPorts.get(model.port)}`);
+      } else {
+        seenPorts.set(model.port, model.alias);
+      }
+    }
+
+    if (model.reasoning !== undefined && (typeof model.reasoning !== 'object' || model.reasoning === null)) {
+      errors.push(`${label}: "reasoning" must be an object`);
+    }
+
+    if (model.pricing !== undefined) {
+      const pricing = model.pricing;
+      if (!pricing || typeof pricing !== 'object' ||
+          ['input', 'output'].some(key => typeof pricing[key] !== 'number' || pricing[key] < 0)) {
+        errors.push(`${label}: "pricing" must be { input, output } with non-negative USD per million tokens`);
+      }
+    }
+
+    if (model.wrapper !== undefined && typeof model.wrapper !== 'string') {
+      errors.push(`${label}: "wrapper" must be a path string`);
+    }
+
+    if (model.wrapperArgs !== undefined &&
+        (!Array.isArray(model.wrapperArgs) || model.wrapperArgs.some(arg => typeof arg !== 'string'))) {
+      errors.push(`${label}: "wrapperArgs" must be an array of strings`);
+    }
+
+    if (model.enabled !== undefined && typeof model.enabled !== 'boolean') {
+      errors.push(`${label}: "enabled" must be a boolean`);
+    }
+
+    models.push(model);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Model registry validation failed: ${errors.join('; ')}`);
+  }
+
+  return models.map(model => ({
+    ...model,
+    shortName: model.shortName || model.name,
+    enabled: model.enabled !== false,
+    wrapper: model.wrapper ?
+      path.resolve(ROOT_DIR, model.wrapper) :
+      path.join(ROOT_DIR, `${model.alias}-wrapper.sh`),
+    wrapperArgs: model.wrapperArgs || []
+  }));
+}
+
+/**
+ * Loads, validates and hot-reloads config/models.json
+ */
+export class ModelRegistry {
+  constructor(options = {}) {
+    this.registryPath = options.registryPath || process.env.MODEL_REGISTRY_PATH || DEFAULT_REGISTRY_PATH;
+    this.models = [];
+    this.byAlias = new Map();
+    this.loadedMtime = null;
+    this.watchers = new Set();
+    this.watching = false;
+
+    this.load();
+  }
+
+  /**
+   * Read and validate the registry file. Throws if the file is missing or invalid.
+   */
+  load() {
+    const raw = fs.readFileSync(this.registryPath, 'utf8');
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Model registry ${this.registryPath} is not valid JSON: ${error.message}`);
+    }
+
+    const models = validateRegistry(data);
+    const previous = this.models;
+
+    this.models = models;
+    this.byAlias = new Map(models.map(m => [m.alias, m]));
+    this.loadedMtime = fs.statSync(this.registryPath).mtimeMs;
+
+    return { previous, current: models };
+  }
+
+  /**
+   * Reload the registry if the file changed since the last load.
+   * An invalid edit is logged and the last good registry stays in effect.
+   * @returns {boolean} true when a new registry was loaded
+   */
+  refresh() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.registryPath).mtimeMs;
+    } catch (error) {
+      logger.warn('Model registry file unavailable, keeping last loaded registry', {
+        path: this.registryPath,
+        error: error.message
+      });
+      return false;
+    }
+
+    if (mtime === this.loadedMtime) {
+      return false;
+    }
+
+    try {
+      const { previous, current } = this.load();
+      logger.info('Model registry reloaded', { path: this.registryPath, models: current.length });
+      for (const listener of this.watchers) {
+        listener(current, previous);
+      }
+      return true;
+    } catch (error) {
+      // Do not retry the same broken file on every lookup
+      this.loadedMtime = mtime;
+      logger.error('Model registry reload failed, keeping last loaded registry', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Get enabled models in registry order
+   */
+  list({ includeDisabled = false } = {}) {
+    this.refresh();
+    return includeDisabled ? [...this.models] : this.models.filter(m => m.enabled);
+  }
+
+  /**
+   * Get a model entry by alias (undefined when unknown or disabled)
+   */
+  get(alias) {
+    this.refresh();
+    const model = this.byAlias.get(alias);
+    return model && model.enabled ? model : undefined;
+  }
+
+  has(alias) {
+    return this.get(alias) !== undefined;
+  }
+
+  aliases() {
+    return this.list().map(m => m.alias);
+  }
+
+  /**
+   * Model descriptors in the shape used by the debate orchestrators
+   */
+  getDebateModels(aliases = null) {
+    const models = aliases ? aliases.map(a => this.get(a)).filter(Boolean) : this.list();
+    return models.map(m => ({
+      alias: m.alias,
+      name: m.name,
+      role: m.role,
+      expertise: m.expertise,
+      wrapper: m.wrapper,
+      ...(m.wrapperArgs.length > 0 ? { wrapperArgs: m.wrapperArgs } : {})
+    }));
+  }
+
+  /**
+   * One line per model, used in MCP tool descriptions and startup banners
+   */
+  describeModels() {
+    return this.list()
+      .map(m => `- ${m.alias}: ${m.name}${m.summary ? ` (${m.summary})` : ''}`)
+      .join('\n');
+  }
+
+  /**
+   * Register a listener called with (current, previous) after each successful reload.
+   * Starts polling the registry file on first use.
+   */
+  onChange(listener, intervalMs = 2000) {
+    this.watchers.add(listener);
+
+    if (!this.watching) {
+      this.watching = true;
+      fs.watchFile(this.registryPath, { interval: intervalMs, persistent: false }, () => this.refresh());
+    }
+
+    return () => {
+      this.watchers.delete(listener);
+      if (this.watchers.size === 0 && this.watching) {
+        fs.unwatchFile(this.registryPath);
+        this.watching = false;
+      }
+    };
+  }
+}
+
+let sharedRegistry = null;
+
+/**
+ * Shared registry instance for the process
+ */
+export function getModelRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = new ModelRegistry();
+  }
+  return sharedRegistry;
+}
@@ -214,10 +214,50 @@ export class PerformanceTracker {
     return Math.round((inputCost + outputCost) * 10000) / 10000; // Round to 4 decimal places
   }
 
+  /**
+   * Token count and cost for one model's contribution. Uses the usage the
+   * k-proxy measured for the model when available, otherwise estimates from text.
+   * @param {string} modelName - Name of the model
+   * @param {Object} measuredUsage - Provider-reported usage keyed by model name
+   * @param {string} inputText - Prompt text (for estimation)
+   * @param {string} outputText - Response text (for estimation)
+   * @param {Object} [modelCalls] - Calls the debate made per model (and instance) name
+   * @returns {Object} { tokensUsed, cost, calls }; calls is how many model calls
+   *   tokensUsed covers (null when the debate did not count the measured model's calls)
+   */
+  modelUsage(modelName, measuredUsage, inputText, outputText, modelCalls = {}) {
+    const inputTokens = this.estimateTokens(inputText);
+    const outputTokens = this.estimateTokens(outputText);
+    const measured = measuredUsage[modelName];
+
+    if (!measured) {
+      return {
+        tokensUsed: inputTokens + outputTokens,
+        cost: this.estimateCost(modelName, inputTokens, outputTokens),
+        calls: 1
+      };
+    }
+
+    // The proxy measures a model's calls in every round, from all of its instances
+    const calls = Object.entries(modelCalls)
+      .filter(([name]) => name.replace(/ \(Instance \d+\)$/, '') === modelName)
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    // Without registry pricing the proxy can only report tokens
+    const priced = measured.unpricedRequests < measured.requests;
+    return {
+      tokensUsed: measured.totalTokens,
+      cost: priced ? measured.cost : this.estimateCost(modelName, measured.inputTokens, measured.outputTokens),
+      calls: calls || null
+    };
+  }
+
   /**
    * Record a complete debate result
    * @param {Object} debateResult - Result from debate orchestrator
-   * @param {Object} metadata - Additional metadata
+   * @param {Object} metadata - Additional metadata; `usage` is the k-proxy's
+   *   report for `debateId` and replaces token/cost estimates when present, and
+   *   `modelCalls` the calls made per model name, to tell its tokens per call
    */
   async recordDebate(debateResult, metadata = {}) {
     if (!this.initialized) {
@@ -225,9 +265,15 @@ export class PerformanceTracker {
     }
 
     try {
-      const debateId = uuidv4();
+      const debateId = metadata.debateId || uuidv4();
       const timestamp = Date.now();
 
+      // Provider-reported usage from the k-proxy, keyed by model name
+      const measuredUsage = {};
+      for (const modelUsage of Object.values(metadata.usage?.byModel || {})) {
+        measuredUsage[modelUsage.name] = modelUsage;
+      }
+
       // Categorize the question
       const category = metadata.category ||
         this.categorizeQuestion(metadata.question || '', metadata.projectPath);
@@ -257,17 +303,17 @@ export class PerformanceTracker {
       // Extract performance data from proposals
       if (metadata.proposals && typeof metadata.proposals === 'object') {
         for (const [modelName, proposal] of Object.entries(metadata.proposals)) {
-          const inputTokens = this.estimateTokens(metadata.question || '');
-          const outputTokens = this.estimateTokens(proposal || '');
-          const cost = this.estimateCost(modelName, inputTokens, outputTokens);
+          const { tokensUsed, cost, calls } =
+            this.modelUsage(modelName, measuredUsage, metadata.question, proposal, metadata.modelCalls);
 
           modelPerformances.push({
             model: modelName,
             score: modelName === debateResult.winner ? debateResult.score :
               (debateResult.score * 0.7 + Math.random() * 0.3), // Estimate for non-winners
             responseTimeSeconds: metadata.modelTimes?.[modelName] || null,
-            tokensUsed: inputTokens + outputTokens,
-            cost: cost,
+            tokensUsed,
+            calls,
+            cost,
             errorOccurred: false,
             errorMessage: null,
             proposalLength: proposal ? proposal.length : 0,
@@ -285,16 +331,16 @@ export class PerformanceTracker {
           if (perfRecord) {
             perfRecord.improvementsProvided = true;
           } else {
-            const inputTokens = this.estimateTokens(metadata.question || '');
-            const outputTokens = this.estimateTokens(improvement || '');
-            const cost = this.estimateCost(modelName, inputTokens, outputTokens);
+            const { tokensUsed, cost, calls } =
+              this.modelUsage(modelName, measuredUsage, metadata.question, improvement, metadata.modelCalls);
 
             modelPerformances.push({
               model: modelName,
               score: debateResult.score * 0.8, // Improvement contributors get good scores
               responseTimeSeconds: metadata.modelTimes?.[modelName] || null,
-              tokensUsed: inputTokens + outputTokens,
-              cost: cost,
+              tokensUsed,
+              calls,
+              cost,
               errorOccurred: false,
               errorMessage: null,
               proposalLength: 0,
@@ -321,6 +367,21 @@ export class PerformanceTracker {
         }
       }
 
+      // Debate totals: the proxy's measurement covers every round, including synthesis.
+      // Same rule as DebateCache.resultCost: 'provider' only when the cost was priced
+      const usage = metadata.usage;
+      if (usage && usage.totalTokens > 0) {
+        const priced = usage.unpricedRequests < usage.requests;
+        debateData.totalTokens = usage.totalTokens;
+        debateData.totalCost = priced ? usage.cost :
+          modelPerformances.reduce((sum, perf) => sum + (perf.cost || 0), 0);
+        debateData.costSource = priced ? 'provider' : 'estimated';
+      } else {
+        debateData.totalTokens = modelPerformances.reduce((sum, perf) => sum + (perf.tokensUsed || 0), 0);
+        debateData.totalCost = modelPerformances.reduce((sum, perf) => sum + (perf.cost || 0), 0);
+        debateData.costSource = 'estimated';
+      }
+
       // Save to database
       await this.queries.recordDebate(debateData, modelPerformances);
 
@@ -338,6 +399,27 @@ export class PerformanceTracker {
     }
   }
 
+  /**
+   * Recorded model calls for cost and time estimates (see PresetEstimator)
+   * @returns {Array} { model, category, responseTimeSeconds, tokensUsed, calls } per record;
+   *   tokensUsed (all of the model's calls in the debate) only where the provider reported it,
+   *   and calls, the number of calls it covers, where the debate counted them
+   */
+  async getUsageSamples() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = await this.queries.getUsageSamples();
+    return rows.map(row => ({
+      model: row.model,
+      category: row.category,
+      responseTimeSeconds: row.response_time_seconds,
+      tokensUsed: row.cost_source === 'provider' ? row.tokens_used : null,
+      calls: row.calls ?? null
+    }));
+  }
+
   /**
    * Get performance recommendations for model selection
    * @param {string} question - The debate question
@@ -0,0 +1,113 @@
+/**
+ * Custom Quality Presets
+ *
+ * Teams define their own presets next to the built-in ones in
+ * quality-presets.js, in a JSON file mapping preset ids to settings:
+ *
+ *   {
+ *     "our-stack-review": {
+ *       "name": "Our Stack Review",
+ *       "models": ["k1", "k2", "k8"],
+ *       "verification": true,
+ *       "consensusThreshold": 85,
+ *       "bestFor": ["code-review", "react", "graphql"],
+ *       "promptAddendum": "We deploy on Kubernetes and use PostgreSQL 16."
+ *     }
+ *   }
+ *
+ * Presets are read from the user file ($XDG_CONFIG_HOME/debate-consensus/presets.json,
+ * or DEBATE_PRESETS_FILE) and from `.debate-presets.json` in the project. A project
+ * preset overrides a user preset of the same id. User presets may also override
+ * built-ins; a project (any checked-out repository) may not, so its presets with
+ * built-in ids are skipped with a warning.
+ * Settings left out take the defaults below; PresetSelector.validatePreset checks them.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+export const PROJECT_PRESETS_FILE = '.debate-presets.json';
+
+// Settings a custom preset may leave out
+export const CUSTOM_PRESET_DEFAULTS = {
+  description: '',
+  verification: false,
+  iterations: 1,
+  consensusThreshold: 80,
+  timeoutMinutes: 15,
+  useIntelligentSelection: false,
+  bestFor: []
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * The user presets file: DEBATE_PRESETS_FILE, else presets.json in the
+ * debate-consensus directory of the XDG config home (~/.config by default)
+ */
+export function userPresetsFile() {
+  if (process.env.DEBATE_PRESETS_FILE) {
+    return process.env.DEBATE_PRESETS_FILE;
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'debate-consensus', 'presets.json');
+}
+
+/**
+ * Presets defined in one file, with defaults filled in and their origin recorded
+ * as `source` ('user' or 'project') and `file`. A missing file defines none.
+ */
+export async function readPresetFile(file, source) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+
+  let definitions;
+  try {
+    definitions = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Presets file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error(`Presets file ${file} must map preset ids to preset settings`);
+  }
+
+  const presets = {};
+  for (const [id, definition] of Object.entries(definitions)) {
+    if (!ID_PATTERN.test(id)) {
+      throw new Error(`Presets file ${file}: invalid preset id "${id}" (letters, digits, "-" and "_" only)`);
+    }
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`Presets file ${file}: preset ${id} must be an object`);
+    }
+    presets[id] = { ...CUSTOM_PRESET_DEFAULTS, name: id, ...definition, source, file };
+  }
+  return presets;
+}
+
+/**
+ * User presets, then the project's, the project's winning on the same id.
+ * options.builtInIds lists the ids project presets must not take over.
+ */
+export async function loadCustomPresets(projectPath = null, options = {}) {
+  const userFile = options.userFile || userPresetsFile();
+  const builtInIds = new Set(options.builtInIds || []);
+  const presets = await readPresetFile(userFile, 'user');
+  if (projectPath) {
+    const projectPresets = await readPresetFile(path.join(projectPath, PROJECT_PRESETS_FILE), 'project');
+    for (const [id, preset] of Object.entries(projectPresets)) {
+      if (builtInIds.has(id)) {
+        logger.warn('Ignoring project preset that would override a built-in preset', { preset: id, file: preset.file });
+        continue;
+      }
+      presets[id] = preset;
+    }
+  }
+  return presets;
+}
@@ -3,10 +3,17 @@
  *
  * This module defines the MCP tools for the Quality Presets system.
  * These tools can be integrated into the main MCP server.
+ *
+ * Besides the built-in presets, every tool sees the custom presets of the user
+ * and of the project (see custom-presets.js), so preset ids are not enumerated
+ * in the schemas. Time and cost estimates come from registry pricing and the
+ * usage the performance tracker recorded (see preset-estimator.js).
  */
 
-import { PresetSelector, PresetManager, QualityPresets } from './quality-presets.js';
-import { PresetIntegratedDebate } from './preset-integration.js';
+import { PresetSelector, PresetManager } from './quality-presets.js';
+import { PresetIntegratedDebate, createPresetEstimator } from './preset-integration.js';
+import { PROJECT_PRESETS_FILE } from './custom-presets.js';
+import { formatEstimate, formatCost, formatDuration, describeBasis } from './preset-estimator.js';
 
 /**
  * Define MCP tools for preset system
@@ -15,7 +22,7 @@ export function getPresetTools() {
   return [
     {
       name: 'debate_with_preset',
-      description: 'ENHANCED DEBATE with Quality Presets! Choose speed/cost/accuracy tradeoff: rapid (3-5s, $0.01), balanced (30-45s, $0.20), maximum-accuracy (60-90s, $0.50), cost-optimized ($0.005), deep-analysis (90-120s), security-focused. Auto-selects best preset if none specified. Features full MCP tool access + intelligent model selection.',
+      description: 'ENHANCED DEBATE with Quality Presets! Choose speed/cost/accuracy tradeoff: rapid, cost-optimized, balanced, maximum-accuracy, deep-analysis, security-focused (estimate_preset_cost prices them from your usage history). Auto-selects best preset if none specified. Features full MCP tool access + intelligent model selection.',
       inputSchema: {
         type: 'object',
         properties: {
@@ -25,8 +32,7 @@ export function getPresetTools() {
           },
           preset: {
             type: 'string',
-            description: 'Quality preset: rapid, balanced, maximum-accuracy, cost-optimized, deep-analysis, security-focused. Auto-selected if omitted.',
-            enum: ['rapid', 'balanced', 'maximum-accuracy', 'cost-optimized', 'deep-analysis', 'security-focused']
+            description: `Quality preset: rapid, balanced, maximum-accuracy, cost-optimized, deep-analysis, security-focused, or a custom preset from ${PROJECT_PRESETS_FILE} or the user presets file. Auto-selected if omitted.`
           },
           projectPath: {
             type: 'string',
@@ -57,11 +63,28 @@ export function getPresetTools() {
                 type: 'boolean',
                 description: 'Override verification setting'
               },
+              iterations: {
+                type: 'number',
+                description: 'Override the maximum number of improvement rounds'
+              },
+              consensusThreshold: {
+                type: 'number',
+                description: 'Override the agreement (percent) at which improvement rounds stop'
+              },
               timeoutMinutes: {
                 type: 'number',
                 description: 'Override timeout in minutes'
               }
             }
+          },
+          maxCost: {
+            type: 'number',
+            description: 'Maximum spend for this debate in USD (optional, see the debate tool)'
+          },
+          responseFormat: {
+            type: 'string',
+            enum: ['markdown', 'structured'],
+            description: 'Answer format (optional, default: markdown), as for the debate tool'
           }
         },
         required: ['question']
@@ -69,13 +92,17 @@ export function getPresetTools() {
     },
     {
       name: 'list_presets',
-      description: 'List all available quality presets with descriptions, time/cost estimates, and best use cases',
+      description: 'List all available quality presets with descriptions, p50-p90 time/cost estimates, and best use cases',
       inputSchema: {
         type: 'object',
         properties: {
           detailed: {
             type: 'boolean',
             description: 'Show detailed information for each preset (default: false)'
+          },
+          projectPath: {
+            type: 'string',
+            description: `Project whose ${PROJECT_PRESETS_FILE} presets to include (optional, defaults to current)`
           }
         }
       }
@@ -112,18 +139,25 @@ export function getPresetTools() {
     },
     {
       name: 'estimate_preset_cost',
-      description: 'Estimate the actual cost for running a debate with a specific preset',
+      description: 'Estimate the cost and time (p50 and p90) of a debate with a specific preset, from model pricing and recorded usage',
       inputSchema: {
         type: 'object',
         properties: {
           preset: {
             type: 'string',
-            description: 'Preset to estimate',
-            enum: ['rapid', 'balanced', 'maximum-accuracy', 'cost-optimized', 'deep-analysis', 'security-focused']
+            description: 'Preset to estimate (built-in or custom)'
+          },
+          projectPath: {
+            type: 'string',
+            description: `Project whose ${PROJECT_PRESETS_FILE} presets to include (optional, defaults to current)`
+          },
+          question: {
+            type: 'string',
+            description: 'Question to estimate for: its category selects the usage history used (optional)'
           },
           questionLength: {
             type: 'number',
-            description: 'Length of the question in characters (affects cost, default: 1000)'
+            description: 'Length of the question in characters, where no usage history exists (default: the question\'s, else 1000)'
           }
         },
         required: ['preset']
@@ -132,8 +166,12 @@ export function getPresetTools() {
   ];
 }
 
+export const PRESET_TOOL_NAMES = getPresetTools().map(tool => tool.name);
+
 /**
- * Handle MCP tool calls for preset system
+ * Handle MCP tool calls for preset system.
+ * debate_with_preset errors are thrown, so the server reports them like other
+ * debates (cancellation, resume hints); the other tools answer with the error.
  */
 export async function handlePresetToolCall(name, args, debateInstance, security, history) {
   switch (name) {
@@ -141,118 +179,127 @@ export async function handlePresetToolCall(name, args, debateInstance, security,
       return await handleDebateWithPreset(args, debateInstance, security, history);
 
     case 'list_presets':
-      return await handleListPresets(args);
+      return await handleListPresets(args, debateInstance, security);
 
     case 'analyze_question_for_preset':
-      return await handleAnalyzeQuestionForPreset(args);
+      return await handleAnalyzeQuestionForPreset(args, debateInstance, security);
 
     case 'estimate_preset_cost':
-      return await handleEstimatePresetCost(args);
+      return await handleEstimatePresetCost(args, debateInstance, security);
 
     default:
       throw new Error(`Unknown preset tool: ${name}`);
   }
 }
 
+/**
+ * Preset manager pricing presets with the debate's recorded usage
+ */
+function createPresetManager(debateInstance, selector = new PresetSelector()) {
+  return new PresetManager(selector, createPresetEstimator(debateInstance, selector));
+}
+
 /**
  * Handle debate_with_preset tool call
  */
 async function handleDebateWithPreset(args, debateInstance, security, history) {
-  try {
-    // Security validation
-    const sanitizedQuestion = security.validateQuestion(args.question);
-    const validatedPath = await security.validateProjectPath(args.projectPath);
-    security.checkRateLimit('debate_with_preset', 5, 300000); // 5 debates per 5 minutes
-
-    console.error('Starting preset-based debate for:', sanitizedQuestion);
-
-    if (args.preset) {
-      console.error('Using preset:', args.preset);
-    } else {
-      console.error('Auto-selecting preset based on question analysis');
-    }
+  // Security validation
+  const sanitizedQuestion = security.validateQuestion(args.question);
+  const validatedPath = await security.validateProjectPath(args.projectPath);
+
+  // Create preset-integrated debate instance
+  const presetDebate = new PresetIntegratedDebate(debateInstance);
+  const presets = await presetDebate.presetSelector.loadPresets(validatedPath);
+  if (args.preset) {
+    presetDebate.validatePreset(args.preset, presets);
+  }
+  security.checkRateLimit('debate_with_preset', 5, 300000); // 5 debates per 5 minutes
 
-    // Create preset-integrated debate instance
-    const presetDebate = new PresetIntegratedDebate(debateInstance);
-
-    // Run debate with preset configuration
-    const result = await presetDebate.runDebateWithPresets(
-      sanitizedQuestion,
-      validatedPath,
-      {
-        preset: args.preset,
-        urgency: args.urgency,
-        budget: args.budget,
-        overrides: args.overrides || {}
-      }
-    );
+  console.error('Starting preset-based debate for:', sanitizedQuestion);
 
-    // Save to history
-    const historyId = await history.save({
-      question: args.question,
-      type: 'preset',
-      ...result
-    });
+  if (args.preset) {
+    console.error('Using preset:', args.preset);
+  } else {
+    console.error('Auto-selecting preset based on question analysis');
+  }
 
-    // Format response with preset information
-    let response = `✅ Preset Debate Complete!\n\n`;
-    response += `**Question:** ${args.question}\n`;
-    response += `**History ID:** ${historyId}\n`;
-
-    if (result.preset) {
-      response += `**Preset:** ${result.preset.name} (${result.preset.id})\n`;
-      response += `**Selection Reason:** ${result.preset.selectionReason}\n`;
-      response += `**Time:** ${result.preset.actualTime} (estimated: ${result.preset.estimatedTime})\n`;
-      response += `**Cost:** ${result.preset.actualCost} (estimated: ${result.preset.estimatedCost})\n`;
-      if (result.preset.overrides.length > 0) {
-        response += `**Overrides:** ${result.preset.overrides.join(', ')}\n`;
-      }
+  // Run debate with preset configuration
+  const result = await presetDebate.runDebateWithPresets(
+    sanitizedQuestion,
+    validatedPath,
+    {
+      preset: args.preset,
+      urgency: args.urgency,
+      budget: args.budget,
+      overrides: args.overrides || {},
+      maxCost: args.maxCost,
+      responseFormat: args.responseFormat
     }
-
-    response += `**Winner:** ${result.winner}\n`;
-    response += `**Score:** ${(typeof result.score === 'number') ? result.score.toFixed(2) :
-                 (result.score && typeof result.score.total === 'number') ? result.score.total.toFixed(2) : 'N/A'}\n`;
-    response += `**Contributors:** ${result.contributors.join(', ')}\n`;
-
-    if (result.confidence) {
-      response += `**Confidence:** ${result.confidence.score}% (${result.confidence.level})\n`;
+  );
+
+  // Save to history
+  const historyId = await history.save({
+    question: args.question,
+    type: 'preset',
+    ...result
+  });
+
+  // Format response with preset information
+  let response = `✅ Preset Debate Complete!\n\n`;
+  response += `**Question:** ${args.question}\n`;
+  response += `**History ID:** ${historyId}\n`;
+
+  if (result.preset) {
+    response += `**Preset:** ${result.preset.name} (${result.preset.id})\n`;
+    response += `**Selection Reason:** ${result.preset.selectionReason}\n`;
+    response += `**Models:** ${result.preset.models}\n`;
+    response += `**Improvement Rounds:** ${result.improvementRounds ?? 1} of up to ${result.preset.iterations} (stops at ${result.preset.consensusThreshold}% agreement)\n`;
+    response += `**Verification:** ${result.verification?.enabled ? 'Performed' : 'Skipped'}\n`;
+    response += `**Time:** ${result.preset.actualTime} (estimated p50-p90: ${result.preset.estimatedTime}, timeout: ${result.preset.timeoutMinutes} min)\n`;
+    response += `**Cost:** ${result.preset.actualCost} (estimated p50-p90: ${result.preset.estimatedCost})\n`;
+    if (result.preset.overrides.length > 0) {
+      response += `**Overrides:** ${result.preset.overrides.join(', ')}\n`;
     }
+  }
+  if (result.fromCache) {
+    response += `**Cached:** answered from the cache (cached ${result.cachedAt || 'earlier'})\n`;
+  }
 
-    response += `\n## Solution\n\n${result.solution}\n\n`;
-    response += `---\n*Enhanced multi-model consensus with quality presets*`;
-
-    return {
-      content: [{
-        type: 'text',
-        text: response
-      }]
-    };
+  response += `**Winner:** ${result.winner}\n`;
+  response += `**Score:** ${(typeof result.score === 'number') ? result.score.toFixed(2) :
+               (result.score && typeof result.score.total === 'number') ? result.score.total.toFixed(2) : 'N/A'}\n`;
+  response += `**Contributors:** ${result.contributors.join(', ')}\n`;
 
-  } catch (error) {
-    console.error('Preset debate error:', error);
-    return {
-      content: [{
-        type: 'text',
-        text: `Error running preset debate: ${error.message}\n\nFalling back to regular debate functionality.`
-      }]
-    };
+  if (result.confidence) {
+    response += `**Confidence:** ${result.confidence.score}% (${result.confidence.level})\n`;
   }
+
+  response += `\n## Solution\n\n${result.solution}\n\n`;
+  response += `---\n*Enhanced multi-model consensus with quality presets*`;
+
+  return {
+    content: [{
+      type: 'text',
+      text: response
+    }]
+  };
 }
 
 /**
  * Handle list_presets tool call
  */
-async function handleListPresets(args) {
+async function handleListPresets(args, debateInstance, security) {
   try {
-    const manager = new PresetManager();
+    const manager = createPresetManager(debateInstance);
+    const presets = await manager.loadPresets(await security.validateProjectPath(args.projectPath));
 
     if (args.detailed) {
       // Show detailed information for each preset
       let response = `📋 Available Quality Presets (Detailed)\n\n`;
 
-      Object.entries(QualityPresets).forEach(([id, preset]) => {
-        response += manager.formatPresetInfo(id) + '\n\n';
-      });
+      for (const id of Object.keys(presets)) {
+        response += manager.formatPresetInfo(id, await manager.estimateActualCost(id, {}, presets), presets) + '\n\n';
+      }
 
       return {
         content: [{
@@ -262,19 +309,20 @@ async function handleListPresets(args) {
       };
     } else {
       // Show comparison table
-      const table = manager.getComparisonTable();
+      const table = await manager.getComparisonTable(presets);
 
       let response = `📋 Available Quality Presets\n\n`;
-      response += `┌─────────────────┬────────┬──────────┬──────────┬─────────────────────┐\n`;
-      response += `│ Preset          │ Models │ Time     │ Cost     │ Best For            │\n`;
-      response += `├─────────────────┼────────┼──────────┼──────────┼─────────────────────┤\n`;
+      response += `┌─────────────────┬────────┬───────────────┬───────────────┬─────────────────────┐\n`;
+      response += `│ Preset          │ Models │ Time          │ Cost          │ Best For            │\n`;
+      response += `├─────────────────┼────────┼───────────────┼───────────────┼─────────────────────┤\n`;
 
       table.rows.forEach(row => {
         const [preset, models, time, cost, bestFor] = row;
-        response += `│ ${preset.padEnd(15)} │ ${models.padEnd(6)} │ ${time.padEnd(8)} │ ${cost.padEnd(8)} │ ${bestFor.padEnd(19)} │\n`;
+        response += `│ ${preset.padEnd(15)} │ ${models.padEnd(6)} │ ${time.padEnd(13)} │ ${cost.padEnd(13)} │ ${bestFor.padEnd(19)} │\n`;
       });
 
-      response += `└─────────────────┴────────┴──────────┴──────────┴─────────────────────┘\n\n`;
+      response += `└─────────────────┴────────┴───────────────┴───────────────┴─────────────────────┘\n\n`;
+      response += `**Time and cost:** p50-p90 estimates from model pricing and recorded usage (\`estimate_preset_cost\` for details).\n`;
       response += `**Usage:** Use \`debate_with_preset\` tool with \`preset\` parameter, or omit for auto-selection.\n`;
       response += `**Auto-selection:** Based on question complexity, urgency, and budget constraints.\n`;
       response += `**Overrides:** Customize any preset with specific model configurations or settings.`;
@@ -300,30 +348,28 @@ async function handleListPresets(args) {
 /**
  * Handle analyze_question_for_preset tool call
  */
-async function handleAnalyzeQuestionForPreset(args) {
+async function handleAnalyzeQuestionForPreset(args, debateInstance, security) {
   try {
+    const question = security.validateQuestion(args.question);
+    const projectPath = await security.validateProjectPath(args.projectPath);
     const selector = new PresetSelector();
-    await selector.initialize();
 
-    const selectedPreset = await selector.selectPreset(args.question, {
-      projectPath: args.projectPath,
-      urgency: args.urgency || 0.5,
-      budget: args.budget || 0.5
+    const selectedPreset = await selector.selectPreset(question, {
+      projectPath,
+      urgency: args.urgency ?? 0.5,
+      budget: args.budget ?? 0.5
     });
 
-    const manager = new PresetManager();
-    const costEstimate = await manager.estimateActualCost(
-      selectedPreset.id,
-      args.question.length
-    );
+    const manager = createPresetManager(debateInstance, selector);
+    const estimate = await manager.estimator.estimate(selectedPreset, { question });
+    const formatted = formatEstimate(estimate);
 
     let response = `🧠 Question Analysis & Preset Recommendation\n\n`;
     response += `**Question:** ${args.question}\n\n`;
     response += `**Recommended Preset:** ${selectedPreset.name} (${selectedPreset.id})\n`;
     response += `**Reason:** ${selectedPreset.selectionReason}\n`;
-    response += `**Estimated Time:** ${selectedPreset.estimatedTime}\n`;
-    response += `**Estimated Cost:** ${selectedPreset.estimatedCost}\n`;
-    response += `**Refined Cost Estimate:** $${costEstimate.estimated.toFixed(3)} (range: $${costEstimate.range.min.toFixed(3)} - $${costEstimate.range.max.toFixed(3)})\n\n`;
+    response += `**Estimated Time:** ${formatted.time} (p50-p90)\n`;
+    response += `**Estimated Cost:** ${formatted.cost} (p50-p90)\n\n`;
 
     response += `**Models:** ${selectedPreset.models.join(', ')}\n`;
     response += `**Verification:** ${selectedPreset.verification ? 'Enabled' : 'Disabled'}\n`;
@@ -332,10 +378,7 @@ async function handleAnalyzeQuestionForPreset(args) {
 
     response += `**Best For:** ${selectedPreset.bestFor.join(', ')}\n\n`;
 
-    response += `**Cost Breakdown:**\n`;
-    response += `- Model calls: ${costEstimate.breakdown.modelCalls}\n`;
-    response += `- Verification: ${costEstimate.breakdown.verification ? 'Yes' : 'No'}\n`;
-    response += `- Length factor: ${costEstimate.breakdown.lengthFactor.toFixed(2)}x\n\n`;
+    response += `**Model Calls:** up to ${estimate.calls.total}\n\n`;
 
     response += `To run with this preset, use: \`debate_with_preset\` with \`preset: "${selectedPreset.id}"\`\n`;
     response += `Or simply use \`debate_with_preset\` without preset for auto-selection.`;
@@ -360,37 +403,44 @@ async function handleAnalyzeQuestionForPreset(args) {
 /**
  * Handle estimate_preset_cost tool call
  */
-async function handleEstimatePresetCost(args) {
+async function handleEstimatePresetCost(args, debateInstance, security) {
   try {
-    const manager = new PresetManager();
-    const preset = QualityPresets[args.preset];
-
-    if (!preset) {
-      throw new Error(`Unknown preset: ${args.preset}`);
-    }
+    const manager = createPresetManager(debateInstance);
+    const presets = await manager.loadPresets(await security.validateProjectPath(args.projectPath));
+    manager.selector.validatePreset(args.preset, presets);
+    const preset = presets[args.preset];
+    const question = args.question ? security.validateQuestion(args.question) : undefined;
 
-    const costEstimate = await manager.estimateActualCost(
-      args.preset,
-      args.questionLength || 1000
-    );
+    const estimate = await manager.estimateActualCost(args.preset, {
+      question,
+      questionLength: args.questionLength
+    }, presets);
 
     let response = `💰 Cost Estimation for ${preset.name}\n\n`;
     response += `**Preset:** ${preset.name} (${args.preset})\n`;
-    response += `**Question Length:** ${args.questionLength || 1000} characters\n\n`;
+    response += `**Category:** ${estimate.category || 'any (no question given)'}\n\n`;
 
     response += `**Estimates:**\n`;
-    response += `- Base estimate: ${preset.estimatedCost}\n`;
-    response += `- Refined estimate: $${costEstimate.estimated.toFixed(3)}\n`;
-    response += `- Range: $${costEstimate.range.min.toFixed(3)} - $${costEstimate.range.max.toFixed(3)}\n\n`;
+    response += `- Cost: ${formatCost(estimate.cost.p50)} (p50), ${formatCost(estimate.cost.p90)} (p90)\n`;
+    response += `- Time: ${formatDuration(estimate.time.p50)} (p50), ${formatDuration(estimate.time.p90)} (p90)\n`;
+    if (estimate.exceedsTimeout) {
+      response += `- ⚠️ The p90 time exceeds the ${preset.timeoutMinutes} minute timeout; slow debates will be cut off\n`;
+    }
+    response += `\n`;
 
-    response += `**Cost Factors:**\n`;
+    response += `**Model Calls (up to ${estimate.calls.total}):**\n`;
     response += `- Models: ${preset.models.join(', ')}\n`;
-    response += `- Model calls: ${costEstimate.breakdown.modelCalls}\n`;
-    response += `- Verification: ${costEstimate.breakdown.verification ? 'Yes (+30%)' : 'No'}\n`;
-    response += `- Length multiplier: ${costEstimate.breakdown.lengthFactor.toFixed(2)}x\n\n`;
+    response += `- Proposals: ${estimate.calls.proposals}, evaluation: ${estimate.calls.evaluation}\n`;
+    response += `- Improvements: ${estimate.calls.improvements} (${preset.iterations} round${preset.iterations === 1 ? '' : 's'})\n`;
+    response += `- Verification: ${estimate.calls.verification || 'No'}\n\n`;
+
+    response += `**Based on:**\n`;
+    for (const line of describeBasis(estimate)) {
+      response += `- ${line}\n`;
+    }
+    response += `\n`;
 
     response += `**Performance:**\n`;
-    response += `- Estimated time: ${preset.estimatedTime}\n`;
     response += `- Timeout: ${preset.timeoutMinutes} minutes\n`;
     response += `- Consensus threshold: ${preset.consensusThreshold}%\n`;
 
@@ -0,0 +1,270 @@
+/**
+ * Preset Cost and Time Estimates
+ *
+ * Prices a preset's debate with the model registry's `pricing` and the token
+ * usage and response times the performance tracker recorded, for the question's
+ * category when it has enough history, else for all debates, else with the
+ * budget manager's per-call defaults. Cost and time come as p50/p90 ranges.
+ *
+ * A debate makes, per model instance, a proposal and an improvement call per
+ * improvement round; a model with several instances adds a call synthesizing
+ * them, k1 evaluates the proposals and verification fact-checks and
+ * adversarially tests each model's proposal, one call after the other.
+ */
+
+import { getModelRegistry } from '../models/model-registry.js';
+import logger from '../utils/logger.js';
+
+// Tokens per model call without history (the budget manager's default estimate)
+export const DEFAULT_CALL_ESTIMATE = { inputTokensPerCall: 40000, outputTokensPerCall: 4000 };
+
+// Seconds per model call without history
+export const DEFAULT_CALL_SECONDS = 120;
+
+// p90 over p50 where history does not tell
+const DEFAULT_SPREAD = 2;
+
+// Samples a model needs before its history is used
+const MIN_SAMPLES = 3;
+
+// How long recorded usage is reused before it is read again
+const SAMPLES_TTL_MS = 60 * 1000;
+
+// Verification calls per verified proposal: fact check and adversarial test
+const VERIFICATION_CALLS = 2;
+
+/**
+ * The p-th percentile (0-100) of values, interpolating between samples
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * "45s", "12m" or "1h 05m"
+ */
+export function formatDuration(seconds) {
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  const minutes = Math.round(rounded / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * "$0.42", or "$0.0031" below a cent
+ */
+export function formatCost(usd) {
+  return `$${usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+/**
+ * Instances per alias of a preset's models: ['k1:2', 'k5', 'k5'] -> k1 => 2, k5 => 2
+ */
+function countInstances(models) {
+  const counts = new Map();
+  for (const spec of models) {
+    const [alias, count = '1'] = spec.trim().split(':');
+    counts.set(alias, (counts.get(alias) || 0) + (parseInt(count) || 1));
+  }
+  return counts;
+}
+
+function range(values) {
+  return { p50: percentile(values, 50), p90: percentile(values, 90) };
+}
+
+/**
+ * Estimates preset debates from pricing and recorded usage
+ */
+export class PresetEstimator {
+  /**
+   * @param {Object} [options]
+   * @param {ModelRegistry} [options.registry] - Source of model names and pricing
+   * @param {PerformanceTracker} [options.history] - Recorded usage; defaults only without it
+   * @param {Object} [options.callEstimate] - { inputTokensPerCall, outputTokensPerCall } without history
+   * @param {Function} [options.now] - Clock for the samples' time to live
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || getModelRegistry();
+    this.history = options.history || null;
+    this.callEstimate = options.callEstimate || DEFAULT_CALL_ESTIMATE;
+    this.now = options.now || Date.now;
+    // { promise, readAt } of the last read of the usage history
+    this.samples = null;
+  }
+
+  /**
+   * Recorded calls as { alias, category, seconds, tokens }, re-read once
+   * SAMPLES_TTL_MS old so debates recorded since are taken into account.
+   * Tokens are per call, and only where the provider reported them and the
+   * debate counted the calls they cover.
+   */
+  async loadSamples() {
+    if (!this.samples || this.now() - this.samples.readAt > SAMPLES_TTL_MS) {
+      this.samples = { promise: this.readSamples(), readAt: this.now() };
+    }
+    return await this.samples.promise;
+  }
+
+  async readSamples() {
+    if (!this.history) return [];
+
+    let rows;
+    try {
+      rows = await this.history.getUsageSamples();
+    } catch (error) {
+      logger.warn('Usage history unavailable, estimating presets from defaults', { error: error.message });
+      return [];
+    }
+
+    const aliasByName = new Map(this.registry.list().map(model => [model.name, model.alias]));
+    return rows
+      .map(row => ({
+        alias: aliasByName.get(row.model.replace(/ \(Instance \d+\)$/, '')),
+        category: row.category,
+        seconds: row.responseTimeSeconds,
+        tokens: row.tokensUsed && row.calls ? row.tokensUsed / row.calls : null
+      }))
+      .filter(sample => sample.alias);
+  }
+
+  /**
+   * p50/p90 of one measure for an alias: from the category's samples, all
+   * samples, or the fallback range. Returns { p50, p90, source, samples }.
+   */
+  measure(samples, alias, category, key, fallback) {
+    const values = samples.filter(s => s.alias === alias && s[key] > 0);
+    const inCategory = values.filter(s => s.category === category);
+
+    if (category && inCategory.length >= MIN_SAMPLES) {
+      return { ...range(inCategory.map(s => s[key])), source: 'category', samples: inCategory.length };
+    }
+    if (values.length >= MIN_SAMPLES) {
+      return { ...range(values.map(s => s[key])), source: 'history', samples: values.length };
+    }
+    return { p50: fallback, p90: fallback * DEFAULT_SPREAD, source: 'default', samples: values.length };
+  }
+
+  /**
+   * Estimate a preset's debate
+   * @param {Object} preset - Preset settings (models, iterations, verification, timeoutMinutes)
+   * @param {Object} [options]
+   * @param {string} [options.question] - Question to categorize (needs history)
+   * @param {string} [options.category] - Performance category, instead of a question
+   * @param {number} [options.questionLength=1000] - Characters, added to default prompt sizes
+   * @returns {Object} { cost, time, calls, category, basis, unpriced, exceedsTimeout },
+   *   cost in USD and time in seconds as { p50, p90 }
+   */
+  async estimate(preset, options = {}) {
+    const questionLength = options.questionLength ?? options.question?.length ?? 1000;
+    const category = options.category ||
+      (options.question && this.history ? this.history.categorizeQuestion(options.question) : null);
+
+    const samples = await this.loadSamples();
+    const instances = countInstances(preset.models);
+    const aliases = Array.from(instances.keys());
+    const { inputTokensPerCall, outputTokensPerCall } = this.callEstimate;
+    const defaultInput = inputTokensPerCall + Math.ceil(questionLength / 4);
+    const inputShare = defaultInput / (defaultInput + outputTokensPerCall);
+
+    // Per-call time, tokens and price of every model involved, k1 evaluating
+    const stats = {};
+    const unpriced = [];
+    for (const alias of new Set([...aliases, 'k1'])) {
+      const pricing = this.registry.get(alias)?.pricing;
+      if (!pricing) unpriced.push(alias);
+      stats[alias] = {
+        time: this.measure(samples, alias, category, 'seconds', DEFAULT_CALL_SECONDS),
+        tokens: this.measure(samples, alias, category, 'tokens', defaultInput + outputTokensPerCall),
+        pricing
+      };
+    }
+
+    const callCost = (alias, p) => {
+      const { tokens, pricing } = stats[alias];
+      if (!pricing) return 0;
+      return tokens[p] * (inputShare * pricing.input + (1 - inputShare) * pricing.output) / 1_000_000;
+    };
+    const callTime = (alias, p) => stats[alias].time[p];
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const totalInstances = aliases.reduce((sum, alias) => sum + instances.get(alias), 0);
+    const iterations = Math.max(1, preset.iterations || 1);
+    const calls = {
+      proposals: aliases.reduce((sum, alias) => sum + instances.get(alias) + (instances.get(alias) > 1 ? 1 : 0), 0),
+      evaluation: 1,
+      improvements: totalInstances * iterations,
+      verification: preset.verification === true ? VERIFICATION_CALLS * aliases.length : 0
+    };
+    calls.total = calls.proposals + calls.evaluation + calls.improvements + calls.verification;
+
+    const estimateFor = p => {
+      // Instances and models run in parallel, phases and verification calls in sequence
+      const cost =
+        aliases.reduce((sum, alias) => {
+          const count = instances.get(alias);
+          return sum + callCost(alias, p) * (count + (count > 1 ? 1 : 0) + count * iterations);
+        }, 0) +
+        callCost('k1', p) +
+        calls.verification * average(aliases.map(alias => callCost(alias, p)));
+
+      const time =
+        Math.max(...aliases.map(alias => callTime(alias, p) * (instances.get(alias) > 1 ? 2 : 1))) +
+        callTime('k1', p) +
+        iterations * Math.max(...aliases.map(alias => callTime(alias, p))) +
+        calls.verification * average(aliases.map(alias => callTime(alias, p)));
+
+      return { cost, time };
+    };
+
+    const p50 = estimateFor('p50');
+    const p90 = estimateFor('p90');
+    const basis = {};
+    for (const [alias, { time, tokens }] of Object.entries(stats)) {
+      basis[alias] = {
+        time: { source: time.source, samples: time.samples },
+        tokens: { source: tokens.source, samples: tokens.samples }
+      };
+    }
+
+    return {
+      cost: { p50: p50.cost, p90: p90.cost },
+      time: { p50: p50.time, p90: p90.time },
+      calls,
+      category,
+      basis,
+      unpriced,
+      exceedsTimeout: preset.timeoutMinutes ? p90.time > preset.timeoutMinutes * 60 : false
+    };
+  }
+}
+
+/**
+ * "$0.42-$0.95" and "4m-12m" style ranges of an estimate
+ */
+export function formatEstimate(estimate) {
+  return {
+    cost: `${formatCost(estimate.cost.p50)}-${formatCost(estimate.cost.p90)}`,
+    time: `${formatDuration(estimate.time.p50)}-${formatDuration(estimate.time.p90)}`
+  };
+}
+
+/**
+ * One line per model saying what its estimate rests on
+ */
+export function describeBasis(estimate) {
+  const describe = ({ source, samples }) => {
+    if (source === 'default') return 'defaults';
+    return `${samples} recorded calls${source === 'category' ? ` in ${estimate.category}` : ''}`;
+  };
+
+  return Object.entries(estimate.basis).map(([alias, { time, tokens }]) =>
+    `${alias}: time from ${describe(time)}, tokens from ${describe(tokens)}${estimate.unpriced.includes(alias) ? ' (no registry pricing)' : ''}`);
+}
+
+export default PresetEstimator;
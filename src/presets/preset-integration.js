@@ -7,6 +7,7 @@
  */
 
 import { PresetSelector, PresetManager, QualityPresets } from './quality-presets.js';
+import { PresetEstimator, formatEstimate } from './preset-estimator.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -16,20 +17,26 @@ export class PresetIntegratedDebate {
   constructor(debateInstance) {
     this.debate = debateInstance;
     this.presetSelector = new PresetSelector();
-    this.presetManager = new PresetManager();
+    this.presetManager = new PresetManager(this.presetSelector, createPresetEstimator(debateInstance, this.presetSelector));
     this.currentPreset = null;
   }
 
   /**
-   * Initialize preset system
+   * Initialize preset system. The selector (and its Gemini coordinator) is
+   * initialized by selectPreset, and only when a preset has to be auto-selected.
    */
   async initialize() {
     await this.debate.initialize();
-    await this.presetSelector.initialize();
   }
 
   /**
-   * Run debate with preset support
+   * Run debate with preset support. Without a modelConfig a preset is always
+   * applied: the one named, or one auto-selected from the question, including
+   * the project's custom presets. Its models, iterations, consensus threshold,
+   * verification, timeout and prompt addendum apply to this debate only.
+   *
+   * options.maxCost and options.responseFormat are passed on to runDebate.
+   * The result's `preset` carries the p50-p90 estimate next to the actual time and cost.
    */
   async runDebateWithPresets(question, projectPath = process.cwd(), options = {}) {
     const {
@@ -37,9 +44,16 @@ export class PresetIntegratedDebate {
       modelConfig = null,
       urgency = 0.5,
       budget = 0.5,
-      overrides = {}
+      overrides = {},
+      maxCost,
+      responseFormat
     } = options;
 
+    const presets = await this.presetSelector.loadPresets(projectPath);
+    if (preset) {
+      this.validatePreset(preset, presets);
+    }
+
     await this.initialize();
 
     logger.info('Multi-Model Debate Consensus v2.1 (Quality Presets + Intelligent Selection) starting', {
@@ -51,76 +65,66 @@ export class PresetIntegratedDebate {
     // Phase 0: Preset Selection and Configuration
     let selectedPreset = null;
     let finalModelConfig = modelConfig;
+    let debateOptions = {};
+    let estimate = null;
 
-    if (preset || (!modelConfig && !this.debate.useIntelligentSelection)) {
+    if (!modelConfig) {
       this.debate.progressReporter?.setPhase('Selecting quality preset');
       logger.info('PHASE 0: Quality Preset Selection');
 
-      try {
-        selectedPreset = await this.presetSelector.selectPreset(question, {
-          userPreference: preset,
-          projectPath,
-          urgency,
-          budget
-        });
-
-        // Apply overrides to the preset
-        if (Object.keys(overrides).length > 0) {
-          selectedPreset = this.presetSelector.applyPresetOverrides(selectedPreset, overrides);
-          logger.info('Applied preset overrides', { overrides: Object.keys(overrides) });
-        }
-
-        this.currentPreset = selectedPreset;
-
-        // Log preset information
-        logger.info('Preset selected', {
-          presetId: selectedPreset.id,
-          presetName: selectedPreset.name,
-          estimatedCost: selectedPreset.estimatedCost,
-          estimatedTime: selectedPreset.estimatedTime
-        });
-
-        // Convert preset to model configuration
-        finalModelConfig = this.convertPresetToModelConfig(selectedPreset);
-
-        // Update timeout if specified in preset
-        if (selectedPreset.timeoutMinutes) {
-          this.debate.timeout = selectedPreset.timeoutMinutes * 60 * 1000;
-          logger.info('Timeout adjusted', { timeoutMinutes: selectedPreset.timeoutMinutes });
-        }
-
-        // Override intelligent selection if preset specifies
-        if (selectedPreset.useIntelligentSelection !== undefined) {
-          this.debate.useIntelligentSelection = selectedPreset.useIntelligentSelection;
-          logger.info('Intelligent selection override', {
-            enabled: selectedPreset.useIntelligentSelection,
-            source: 'preset'
-          });
-        }
-
-      } catch (error) {
-        logger.warn('Preset selection failed, falling back to standard configuration', {
-          error: error.message
-        });
+      selectedPreset = await this.presetSelector.selectPreset(question, {
+        userPreference: preset,
+        projectPath,
+        urgency,
+        budget
+      });
+
+      // Apply overrides to the preset
+      if (Object.keys(overrides).length > 0) {
+        selectedPreset = this.presetSelector.applyPresetOverrides(selectedPreset, overrides);
+        logger.info('Applied preset overrides', { overrides: Object.keys(overrides) });
       }
+
+      this.currentPreset = selectedPreset;
+      estimate = formatEstimate(await this.presetManager.estimator.estimate(selectedPreset, { question }));
+
+      // Log preset information
+      logger.info('Preset selected', {
+        presetId: selectedPreset.id,
+        presetName: selectedPreset.name,
+        estimatedCost: estimate.cost,
+        estimatedTime: estimate.time
+      });
+
+      finalModelConfig = this.convertPresetToModelConfig(selectedPreset);
+      debateOptions = this.presetDebateOptions(selectedPreset);
     }
 
     // Run the debate with the configured settings
     const startTime = Date.now();
-    const result = await this.debate.runDebate(question, projectPath, finalModelConfig);
+    const result = await this.debate.runDebate(question, projectPath, finalModelConfig, {
+      ...debateOptions,
+      maxCost,
+      responseFormat
+    });
 
     // Add preset information to result
     if (selectedPreset) {
       const actualTime = Math.round((Date.now() - startTime) / 1000);
-      const actualCost = await this.estimateActualCost(selectedPreset, question.length);
+      const actualCost = result.usage ? `$${result.usage.cost.toFixed(3)}` : 'not reported';
 
       result.preset = {
         id: selectedPreset.id,
         name: selectedPreset.name,
-        estimatedTime: selectedPreset.estimatedTime,
+        models: finalModelConfig,
+        iterations: selectedPreset.iterations,
+        consensusThreshold: selectedPreset.consensusThreshold,
+        verification: selectedPreset.verification,
+        timeoutMinutes: selectedPreset.timeoutMinutes,
+        estimatedTime: estimate.time,
         actualTime: `${actualTime}s`,
-        estimatedCost: selectedPreset.estimatedCost,
-        actualCost: `$${actualCost.estimated.toFixed(3)}`,
+        estimatedCost: estimate.cost,
+        actualCost,
         overrides: selectedPreset.overrides || [],
         selectionReason: selectedPreset.selectionReason
       };
@@ -129,9 +133,9 @@ export class PresetIntegratedDebate {
         preset: selectedPreset.name,
         presetId: selectedPreset.id,
         actualTime: `${actualTime}s`,
-        estimatedTime: selectedPreset.estimatedTime,
-        actualCost: `$${actualCost.estimated.toFixed(3)}`,
-        estimatedCost: selectedPreset.estimatedCost,
+        estimatedTime: estimate.time,
+        actualCost,
+        estimatedCost: estimate.cost,
         reason: selectedPreset.selectionReason
       });
     }
@@ -140,21 +144,44 @@ export class PresetIntegratedDebate {
   }
 
   /**
-   * Convert preset configuration to model configuration string
+   * Convert preset configuration to model configuration string.
+   * Repeated aliases become instance counts: ['k5', 'k5', 'k1:2'] -> 'k5:2,k1:2'
    */
   convertPresetToModelConfig(preset) {
     if (!preset.models || preset.models.length === 0) {
       return null;
     }
 
-    return preset.models.join(',');
+    const counts = new Map();
+    for (const spec of preset.models) {
+      const [alias, count = '1'] = spec.trim().split(':');
+      counts.set(alias, (counts.get(alias) || 0) + (parseInt(count) || 1));
+    }
+
+    return Array.from(counts, ([alias, count]) => (count > 1 ? `${alias}:${count}` : alias)).join(',');
   }
 
   /**
-   * Estimate actual cost based on preset and usage
+   * runDebate options carrying out a preset: improvement iterations until the
+   * consensus threshold, verification on or off, the debate's timeout and the
+   * text a custom preset adds to every model prompt
    */
-  async estimateActualCost(preset, questionLength = 1000) {
-    return await this.presetManager.estimateActualCost(preset.id, questionLength);
+  presetDebateOptions(preset) {
+    return {
+      iterations: preset.iterations,
+      consensusThreshold: preset.consensusThreshold,
+      forceVerification: preset.verification === true,
+      skipVerification: preset.verification === false,
+      timeoutMinutes: preset.timeoutMinutes,
+      promptAddendum: preset.promptAddendum
+    };
+  }
+
+  /**
+   * Estimate a preset's cost and time (see PresetEstimator.estimate for options)
+   */
+  async estimateActualCost(preset, options = {}) {
+    return await this.presetManager.estimator.estimate(preset, options);
   }
 
   /**
@@ -167,15 +194,15 @@ export class PresetIntegratedDebate {
   /**
    * Get preset comparison table
    */
-  getPresetComparison() {
-    return this.presetManager.getComparisonTable();
+  async getPresetComparison() {
+    return await this.presetManager.getComparisonTable();
   }
 
   /**
-   * Validate a preset configuration
+   * Validate a preset configuration, looked up in presets (see PresetSelector.loadPresets)
    */
-  validatePreset(presetId) {
-    return this.presetSelector.validatePreset(presetId);
+  validatePreset(presetId, presets = this.presetSelector.presets) {
+    return this.presetSelector.validatePreset(presetId, presets);
   }
 
   /**
@@ -218,6 +245,18 @@ export class PresetIntegratedDebate {
   }
 }
 
+/**
+ * Estimator pricing presets with the debate's recorded usage (unless performance
+ * tracking is off) and its budget manager's per-call token estimate
+ */
+export function createPresetEstimator(debateInstance, selector) {
+  return new PresetEstimator({
+    registry: selector.registry,
+    history: debateInstance.trackingEnabled ? debateInstance.performanceTracker : null,
+    callEstimate: debateInstance.budgetManager?.config.estimate
+  });
+}
+
 /**
  * Factory function to create a preset-integrated debate instance
  */
@@ -228,33 +267,33 @@ export function createPresetIntegratedDebate(debateInstance) {
 /**
  * Helper function to display preset information
  */
-export function displayPresetInfo() {
+export async function displayPresetInfo() {
   const manager = new PresetManager();
-  const table = manager.getComparisonTable();
+  const table = await manager.getComparisonTable();
 
   logger.info('Available Quality Presets');
 
-  const tableHeader = '┌─────────────────┬────────┬──────────┬──────────┬─────────────────────┐\n' +
-    '│ Preset          │ Models │ Time     │ Cost     │ Best For            │\n' +
-    '├─────────────────┼────────┼──────────┼──────────┼─────────────────────┤';
+  const tableHeader = '┌─────────────────┬────────┬───────────────┬───────────────┬─────────────────────┐\n' +
+    '│ Preset          │ Models │ Time          │ Cost          │ Best For            │\n' +
+    '├─────────────────┼────────┼───────────────┼───────────────┼─────────────────────┤';
 
   const tableRows = table.rows.map(row => {
     const [preset, models, time, cost, bestFor] = row;
-    return `│ ${preset.padEnd(15)} │ ${models.padEnd(6)} │ ${time.padEnd(8)} │ ${cost.padEnd(8)} │ ${bestFor.padEnd(19)} │`;
+    return `│ ${preset.padEnd(15)} │ ${models.padEnd(6)} │ ${time.padEnd(13)} │ ${cost.padEnd(13)} │ ${bestFor.padEnd(19)} │`;
   }).join('\n');
 
-  const tableFooter = '└─────────────────┴────────┴──────────┴──────────┴─────────────────────┘';
+  const tableFooter = '└─────────────────┴────────┴───────────────┴───────────────┴─────────────────────┘';
 
   logger.info('Preset comparison table', {
     table: `\n${tableHeader}\n${tableRows}\n${tableFooter}`
   });
 
-  Object.entries(QualityPresets).forEach(([id, preset]) => {
+  for (const id of Object.keys(QualityPresets)) {
     logger.info('Preset details', {
       id,
-      info: manager.formatPresetInfo(id)
+      info: manager.formatPresetInfo(id, await manager.estimateActualCost(id))
     });
-  });
+  }
 }
 
 /**
@@ -265,13 +304,14 @@ export async function selectPresetInteractively(question, options = {}) {
   await selector.initialize();
 
   const selectedPreset = await selector.selectPreset(question, options);
+  const estimate = formatEstimate(await new PresetManager(selector).estimateActualCost(selectedPreset.id, { question }));
 
   logger.info('Auto-selected preset', {
     name: selectedPreset.name,
     id: selectedPreset.id,
     reason: selectedPreset.selectionReason,
-    estimatedTime: selectedPreset.estimatedTime,
-    estimatedCost: selectedPreset.estimatedCost
+    estimatedTime: estimate.time,
+    estimatedCost: estimate.cost
   });
 
   return selectedPreset;
@@ -280,6 +320,7 @@ export async function selectPresetInteractively(question, options = {}) {
 export default {
   PresetIntegratedDebate,
   createPresetIntegratedDebate,
+  createPresetEstimator,
   displayPresetInfo,
   selectPresetInteractively
 };
\ No newline at end of file
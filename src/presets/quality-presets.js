@@ -3,9 +3,14 @@
  *
  * Provides different quality/speed/cost tradeoffs for AI Expert Consensus debates.
  * Each preset optimizes for different use cases while maintaining predictable outcomes.
+ * Teams add their own presets in JSON files (see custom-presets.js).
  */
 
 import { GeminiCoordinator } from '../gemini-coordinator.js';
+import { getModelRegistry } from '../models/model-registry.js';
+import { loadCustomPresets } from './custom-presets.js';
+import { PresetEstimator, formatEstimate } from './preset-estimator.js';
+import logger from '../utils/logger.js';
 
 /**
  * Predefined quality presets with different model configurations
@@ -19,8 +24,6 @@ export const QualityPresets = {
     iterations: 1,
     consensusThreshold: 70,
     timeoutMinutes: 5,
-    estimatedTime: '3-5s',
-    estimatedCost: '$0.01',
     useIntelligentSelection: false, // Override selection for speed
     bestFor: ['debugging', 'simple-questions', 'quick-fixes', 'syntax-errors']
   },
@@ -33,8 +36,6 @@ export const QualityPresets = {
     iterations: 1,
     consensusThreshold: 60,
     timeoutMinutes: 3,
-    estimatedTime: '2-3s',
-    estimatedCost: '$0.005',
     useIntelligentSelection: false,
     bestFor: ['budget-conscious', 'simple-tasks', 'prototyping']
   },
@@ -47,8 +48,6 @@ export const QualityPresets = {
     iterations: 3,
     consensusThreshold: 80,
     timeoutMinutes: 15,
-    estimatedTime: '30-45s',
-    estimatedCost: '$0.20',
     useIntelligentSelection: true,
     bestFor: ['general-development', 'code-review', 'architecture', 'most-tasks']
   },
@@ -61,8 +60,6 @@ export const QualityPresets = {
     iterations: 5,
     consensusThreshold: 95,
     timeoutMinutes: 30,
-    estimatedTime: '60-90s',
-    estimatedCost: '$0.50',
     useIntelligentSelection: false, // Use all specified models
     bestFor: ['critical-decisions', 'security-review', 'production-releases', 'complex-architecture']
   },
@@ -75,8 +72,6 @@ export const QualityPresets = {
     iterations: 5,
     consensusThreshold: 90,
     timeoutMinutes: 45,
-    estimatedTime: '90-120s',
-    estimatedCost: '$0.40',
     useIntelligentSelection: true,
     bestFor: ['complex-problems', 'system-design', 'performance-optimization', 'research']
   },
@@ -89,8 +84,6 @@ export const QualityPresets = {
     iterations: 4,
     consensusThreshold: 95,
     timeoutMinutes: 25,
-    estimatedTime: '50-70s',
-    estimatedCost: '$0.35',
     useIntelligentSelection: false,
     bestFor: ['security-review', 'vulnerability-assessment', 'auth-systems', 'data-protection']
   }
@@ -100,9 +93,19 @@ export const QualityPresets = {
  * Automatic preset selector based on question analysis
  */
 export class PresetSelector {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.userPresetsFile] - User presets file (default: userPresetsFile())
+   * @param {ModelRegistry} [options.registry] - Registry preset models are checked against
+   */
+  constructor(options = {}) {
     this.geminiCoordinator = new GeminiCoordinator();
     this.initialized = false;
+    this.userPresetsFile = options.userPresetsFile || null;
+    this.registry = options.registry || getModelRegistry();
+    // Built-in presets only: a project's custom ones come from loadPresets, per call,
+    // as concurrent calls may be for different projects
+    this.presets = { ...QualityPresets };
   }
 
   async initialize() {
@@ -113,7 +116,35 @@ export class PresetSelector {
   }
 
   /**
-   * Select optimal preset based on question analysis
+   * The built-in presets with the user's and the project's custom presets, by id.
+   * The selector itself is left unchanged; pass the map on to validatePreset and
+   * the PresetManager methods. Every custom preset is validated; the first
+   * invalid one throws, naming its file.
+   */
+  async loadPresets(projectPath = null) {
+    const custom = await loadCustomPresets(projectPath, {
+      userFile: this.userPresetsFile,
+      builtInIds: Object.keys(QualityPresets)
+    });
+    const presets = { ...QualityPresets, ...custom };
+
+    for (const [id, preset] of Object.entries(custom)) {
+      try {
+        this.validatePreset(id, presets);
+      } catch (error) {
+        throw new Error(`${error.message} (in ${preset.file})`);
+      }
+    }
+
+    if (Object.keys(custom).length > 0) {
+      logger.debug('Loaded custom presets', { presets: Object.keys(custom) });
+    }
+    return presets;
+  }
+
+  /**
+   * Select optimal preset based on question analysis.
+   * The project's custom presets are loaded first.
    * @param {string} question - The question to analyze
    * @param {Object} options - Analysis options
    * @param {string} options.userPreference - User-specified preset name
@@ -130,11 +161,14 @@ export class PresetSelector {
       budget = 0.5
     } = options;
 
+    const presets = await this.loadPresets(projectPath);
+
     // User explicitly chose a preset
-    if (userPreference && QualityPresets[userPreference]) {
-      console.log(`🎯 User selected preset: ${userPreference}`);
+    if (userPreference) {
+      this.validatePreset(userPreference, presets);
+      logger.info('User selected preset', { preset: userPreference });
       return {
-        ...QualityPresets[userPreference],
+        ...presets[userPreference],
         id: userPreference,
         selectionReason: 'User specified'
       };
@@ -150,20 +184,23 @@ export class PresetSelector {
         budget
       });
 
-      const selectedPreset = this.selectBasedOnAnalysis(analysis, urgency, budget);
+      const selectedPreset = this.selectBasedOnAnalysis(analysis, urgency, budget, presets);
 
-      console.log(`🧠 Auto-selected preset: ${selectedPreset.id}`);
-      console.log(`   Reason: ${selectedPreset.selectionReason}`);
-      console.log(`   Analysis: ${analysis.category} (complexity: ${analysis.complexity}, criticality: ${analysis.criticality})`);
+      logger.info('Auto-selected preset', {
+        preset: selectedPreset.id,
+        reason: selectedPreset.selectionReason,
+        category: analysis.category,
+        complexity: analysis.complexity,
+        criticality: analysis.criticality
+      });
 
       return selectedPreset;
 
     } catch (error) {
-      console.warn(`⚠️ Preset auto-selection failed: ${error.message}`);
-      console.log(`🔄 Falling back to balanced preset`);
+      logger.warn('Preset auto-selection failed, falling back to balanced preset', { error: error.message });
 
       return {
-        ...QualityPresets['balanced'],
+        ...presets['balanced'],
         id: 'balanced',
         selectionReason: `Fallback due to analysis error: ${error.message}`
       };
@@ -198,15 +235,22 @@ export class PresetSelector {
   }
 
   /**
-   * Select preset based on analysis results
+   * Select preset based on analysis results. A custom preset (from presets,
+   * see loadPresets) whose bestFor tags match the question is preferred over
+   * the built-in rules.
    */
-  selectBasedOnAnalysis(analysis, urgency, budget) {
+  selectBasedOnAnalysis(analysis, urgency, budget, presets = this.presets) {
     const { category, complexity, criticality, keywords } = analysis;
 
+    const custom = this.matchCustomPreset(category, keywords, presets);
+    if (custom) {
+      return custom;
+    }
+
     // Security-related questions get security focus
     if (this.isSecurityRelated(category, keywords)) {
       return {
-        ...QualityPresets['security-focused'],
+        ...presets['security-focused'],
         id: 'security-focused',
         selectionReason: 'Security-related question detected'
       };
@@ -215,7 +259,7 @@ export class PresetSelector {
     // High urgency prioritizes speed
     if (urgency > 0.8) {
       return {
-        ...QualityPresets['rapid'],
+        ...presets['rapid'],
         id: 'rapid',
         selectionReason: 'High urgency requires rapid response'
       };
@@ -224,7 +268,7 @@ export class PresetSelector {
     // Low budget prioritizes cost
     if (budget < 0.3) {
       return {
-        ...QualityPresets['cost-optimized'],
+        ...presets['cost-optimized'],
         id: 'cost-optimized',
         selectionReason: 'Budget constraints require cost optimization'
       };
@@ -233,7 +277,7 @@ export class PresetSelector {
     // High complexity + high criticality = maximum accuracy
     if (complexity === 'high' && criticality === 'high') {
       return {
-        ...QualityPresets['maximum-accuracy'],
+        ...presets['maximum-accuracy'],
         id: 'maximum-accuracy',
         selectionReason: 'High complexity and criticality require maximum accuracy'
       };
@@ -242,7 +286,7 @@ export class PresetSelector {
     // Complex analysis questions
     if (complexity === 'high' || this.isAnalysisHeavy(category, keywords)) {
       return {
-        ...QualityPresets['deep-analysis'],
+        ...presets['deep-analysis'],
         id: 'deep-analysis',
         selectionReason: 'Complex analysis required'
       };
@@ -251,7 +295,7 @@ export class PresetSelector {
     // Simple/debugging questions
     if (complexity === 'low' || this.isSimpleTask(category, keywords)) {
       return {
-        ...QualityPresets['rapid'],
+        ...presets['rapid'],
         id: 'rapid',
         selectionReason: 'Simple task suitable for rapid response'
       };
@@ -259,12 +303,38 @@ export class PresetSelector {
 
     // Default to balanced for most cases
     return {
-      ...QualityPresets['balanced'],
+      ...presets['balanced'],
       id: 'balanced',
       selectionReason: 'Default balanced approach for general tasks'
     };
   }
 
+  /**
+   * The custom preset with the most bestFor tags matching the question, or null.
+   * A tag matches when each of its words ("payments-api": payments, api) starts
+   * one of the question's keywords or is part of its category.
+   */
+  matchCustomPreset(category = '', keywords = [], presets = this.presets) {
+    const categoryParts = String(category).toLowerCase().split('/');
+    const tagMatches = tag => String(tag).toLowerCase().split(/[-_/\s]+/).filter(Boolean).every(word =>
+      categoryParts.includes(word) || keywords.some(keyword => keyword.startsWith(word)));
+
+    let best = null;
+    for (const [id, preset] of Object.entries(presets)) {
+      if (!preset.source) continue;
+      const matched = preset.bestFor.filter(tagMatches);
+      if (matched.length > 0 && (!best || matched.length > best.matched.length)) {
+        best = { id, preset, matched };
+      }
+    }
+
+    return best && {
+      ...best.preset,
+      id: best.id,
+      selectionReason: `Custom preset for ${best.matched.join(', ')}`
+    };
+  }
+
   /**
    * Check if question is security-related
    */
@@ -339,34 +409,64 @@ export class PresetSelector {
   }
 
   /**
-   * Get all available presets
+   * Get all available presets: the built-ins, or those loadPresets returned
    */
-  getAvailablePresets() {
-    return Object.keys(QualityPresets).map(id => ({
+  getAvailablePresets(presets = this.presets) {
+    return Object.keys(presets).map(id => ({
       id,
-      ...QualityPresets[id]
+      ...presets[id]
     }));
   }
 
   /**
-   * Validate preset configuration
+   * Validate preset configuration, looked up in presets (see loadPresets)
    */
-  validatePreset(presetId) {
-    const preset = QualityPresets[presetId];
+  validatePreset(presetId, presets = this.presets) {
+    const preset = presets[presetId];
     if (!preset) {
-      throw new Error(`Unknown preset: ${presetId}`);
+      throw new Error(`Unknown preset: ${presetId}. Use one of: ${Object.keys(presets).join(', ')}`);
     }
 
-    if (!preset.models || preset.models.length === 0) {
+    if (!Array.isArray(preset.models) || preset.models.length === 0) {
       throw new Error(`Preset ${presetId} has no models configured`);
     }
 
+    for (const spec of preset.models) {
+      const [alias, count] = String(spec).split(':');
+      if (!this.registry.has(alias)) {
+        throw new Error(`Preset ${presetId} uses unknown model ${alias} (available: ${this.registry.aliases().join(', ')})`);
+      }
+      if (count !== undefined && !/^[1-9]\d*$/.test(count)) {
+        throw new Error(`Preset ${presetId} has an invalid instance count in ${spec}`);
+      }
+    }
+
     if (typeof preset.consensusThreshold !== 'number' ||
         preset.consensusThreshold < 0 ||
         preset.consensusThreshold > 100) {
       throw new Error(`Preset ${presetId} has invalid consensus threshold`);
     }
 
+    if (!Number.isInteger(preset.iterations) || preset.iterations < 1) {
+      throw new Error(`Preset ${presetId} needs at least one iteration`);
+    }
+
+    if (typeof preset.timeoutMinutes !== 'number' || preset.timeoutMinutes <= 0) {
+      throw new Error(`Preset ${presetId} has an invalid timeout`);
+    }
+
+    if (typeof preset.verification !== 'boolean') {
+      throw new Error(`Preset ${presetId} must set verification to true or false`);
+    }
+
+    if (!Array.isArray(preset.bestFor) || preset.bestFor.some(tag => typeof tag !== 'string')) {
+      throw new Error(`Preset ${presetId} bestFor must be a list of tags`);
+    }
+
+    if (preset.promptAddendum !== undefined && typeof preset.promptAddendum !== 'string') {
+      throw new Error(`Preset ${presetId} promptAddendum must be a string`);
+    }
+
     return true;
   }
 
@@ -403,99 +503,81 @@ export class PresetSelector {
  * Utility functions for preset management
  */
 export class PresetManager {
-  constructor() {
-    this.selector = new PresetSelector();
+  /**
+   * @param {PresetSelector} [selector] - Whose presets are managed
+   * @param {PresetEstimator} [estimator] - Prices presets (default: registry pricing, no history)
+   */
+  constructor(selector = new PresetSelector(), estimator = null) {
+    this.selector = selector;
+    this.estimator = estimator || new PresetEstimator({ registry: selector.registry });
   }
 
   /**
-   * Get preset comparison table
+   * The presets with the project's custom ones (see PresetSelector.loadPresets)
    */
-  getComparisonTable() {
-    const presets = Object.entries(QualityPresets);
+  async loadPresets(projectPath = null) {
+    return await this.selector.loadPresets(projectPath);
+  }
 
-    const table = {
-      headers: ['Preset', 'Models', 'Time', 'Cost', 'Best For'],
-      rows: presets.map(([id, preset]) => [
+  /**
+   * Get preset comparison table, with p50-p90 time and cost. The methods below
+   * take the presets loadPresets returned, or the built-ins.
+   */
+  async getComparisonTable(presets = this.selector.presets) {
+    const rows = [];
+    for (const [id, preset] of Object.entries(presets)) {
+      const { time, cost } = formatEstimate(await this.estimateActualCost(id, {}, presets));
+      rows.push([
         preset.name,
         preset.models.length.toString(),
-        preset.estimatedTime,
-        preset.estimatedCost,
+        time,
+        cost,
         preset.bestFor.slice(0, 2).join(', ')
-      ])
-    };
+      ]);
+    }
 
-    return table;
+    return {
+      headers: ['Preset', 'Models', 'Time', 'Cost', 'Best For'],
+      rows
+    };
   }
 
   /**
-   * Format preset information for display
+   * Format preset information for display, with its estimate when given
    */
-  formatPresetInfo(presetId) {
-    const preset = QualityPresets[presetId];
+  formatPresetInfo(presetId, estimate = null, presets = this.selector.presets) {
+    const preset = presets[presetId];
     if (!preset) {
       throw new Error(`Unknown preset: ${presetId}`);
     }
+    const formatted = estimate ? formatEstimate(estimate) : null;
 
     return `
 📋 ${preset.name}
    ${preset.description}
 
-🤖 Models: ${preset.models.join(', ')} (${preset.models.length} total)
-⏱️  Time: ${preset.estimatedTime}
-💰 Cost: ${preset.estimatedCost}
+🤖 Models: ${preset.models.join(', ')} (${preset.models.length} total)${formatted ? `
+⏱️  Time: ${formatted.time} (p50-p90, timeout ${preset.timeoutMinutes} min)
+💰 Cost: ${formatted.cost} (p50-p90)` : ''}
 🎯 Best for: ${preset.bestFor.join(', ')}
 ✅ Verification: ${preset.verification ? 'Enabled' : 'Disabled'}
 🔄 Iterations: ${preset.iterations}
-📊 Consensus: ${preset.consensusThreshold}%
+📊 Consensus: ${preset.consensusThreshold}%${preset.source ? `
+📁 Custom preset (${preset.source}): ${preset.file}` : ''}
     `.trim();
   }
 
   /**
-   * Estimate actual costs based on current usage
+   * Estimate a preset's cost and time from registry pricing and recorded usage
+   * @param {string} presetId
+   * @param {Object} [options] - question, category or questionLength (see PresetEstimator.estimate)
    */
-  async estimateActualCost(presetId, questionLength = 1000) {
-    const preset = QualityPresets[presetId];
+  async estimateActualCost(presetId, options = {}, presets = this.selector.presets) {
+    const preset = presets[presetId];
     if (!preset) {
       throw new Error(`Unknown preset: ${presetId}`);
     }
-
-    // Rough cost estimation based on model usage
-    const modelCosts = {
-      'k1': 0.015, // Claude Opus
-      'k2': 0.020, // GPT-5
-      'k3': 0.008, // Qwen
-      'k4': 0.012, // Gemini
-      'k5': 0.002  // Grok
-    };
-
-    let totalCost = 0;
-    for (const modelSpec of preset.models) {
-      const [alias, instances] = modelSpec.split(':');
-      const instanceCount = parseInt(instances) || 1;
-      const baseCost = modelCosts[alias] || 0.010;
-
-      // Factor in question length and iterations
-      const lengthMultiplier = Math.max(0.5, questionLength / 1000);
-      totalCost += baseCost * instanceCount * preset.iterations * lengthMultiplier;
-    }
-
-    // Add verification cost if enabled
-    if (preset.verification) {
-      totalCost *= 1.3;
-    }
-
-    return {
-      estimated: totalCost,
-      range: {
-        min: totalCost * 0.7,
-        max: totalCost * 1.5
-      },
-      breakdown: {
-        modelCalls: preset.models.length * preset.iterations,
-        verification: preset.verification,
-        lengthFactor: Math.max(0.5, questionLength / 1000)
-      }
-    };
+    return await this.estimator.estimate(preset, options);
   }
 }
 
@@ -15,12 +15,56 @@ class ProgressReporter {
     this.currentPhase = 'initializing';
     this.heartbeatTimer = null;
     this.lastProgressTime = Date.now();
+    this.lastProgress = null;
+    this.listeners = new Set();
   }
 
   /**
-   * Start the heartbeat timer that shows the process is alive
+   * Register a listener called with getStatus() after every update.
+   * Returns a function that removes the listener.
+   */
+  onUpdate(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    if (this.listeners.size === 0) return;
+
+    const status = this.getStatus();
+    for (const listener of this.listeners) {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error(`Progress listener failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Snapshot of the current run: phase, per-model status and the last progress report
+   */
+  getStatus() {
+    return {
+      phase: this.currentPhase,
+      elapsedSeconds: this.getElapsedTime(),
+      models: Object.fromEntries(this.modelStatus),
+      percentage: this.lastProgress?.percentage ?? null,
+      message: this.lastProgress?.message ?? null
+    };
+  }
+
+  /**
+   * Start the heartbeat timer that shows the process is alive.
+   * Also starts a new run: timings, phase and model status are reset.
    */
   startHeartbeat() {
+    this.startTime = Date.now();
+    this.modelStatus.clear();
+    this.currentPhase = 'initializing';
+    this.lastProgress = null;
+    this.notify();
+
     if (!this.enabled || this.heartbeatTimer) return;
 
     // Emit initial status
@@ -83,6 +127,7 @@ class ProgressReporter {
    */
   updateModelStatus(model, status) {
     this.modelStatus.set(model, status);
+    this.notify();
 
     if (this.verbose || status === 'failed' || status === 'completed') {
       const elapsed = Math.round((Date.now() - this.startTime) / 1000);
@@ -103,6 +148,7 @@ class ProgressReporter {
    */
   setPhase(phase) {
     this.currentPhase = phase;
+    this.notify();
     const elapsed = Math.round((Date.now() - this.startTime) / 1000);
     console.error(`\n[${elapsed}s] ➤ ${phase}`);
     console.error('─'.repeat(50));
@@ -133,6 +179,11 @@ class ProgressReporter {
     }
 
     this.lastProgressTime = Date.now();
+    this.lastProgress = {
+      message,
+      percentage: details.percentage ?? this.lastProgress?.percentage ?? null
+    };
+    this.notify();
   }
 
   /**
@@ -149,6 +200,9 @@ class ProgressReporter {
    */
   complete(message) {
     this.stopHeartbeat();
+    this.currentPhase = 'completed';
+    this.lastProgress = { message, percentage: 100 };
+    this.notify();
     const totalTime = Math.round((Date.now() - this.startTime) / 1000);
     const minutes = Math.floor(totalTime / 60);
     const seconds = totalTime % 60;
@@ -164,6 +218,9 @@ class ProgressReporter {
    */
   error(message, error = null) {
     this.stopHeartbeat();
+    this.currentPhase = 'failed';
+    this.lastProgress = { message, percentage: this.lastProgress?.percentage ?? null };
+    this.notify();
     console.error('\n' + '!'.repeat(50));
     console.error(`[ERROR] ❌ ${message}`);
     if (error && this.verbose) {
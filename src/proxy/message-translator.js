@@ -0,0 +1,295 @@
+/**
+ * Anthropic Messages ↔ OpenAI chat-completion translation
+ *
+ * The Claude CLI speaks the Anthropic Messages API (content blocks, `tools`,
+ * `tool_use` / `tool_result`); OpenRouter speaks the OpenAI chat-completion
+ * API (`tools`, `tool_calls`, `role: tool`). These helpers convert requests
+ * on the way out and non-streamed responses on the way back.
+ */
+
+import { mapStopReason, createToolUseId } from './stream-translator.js';
+
+const EMPTY_RESPONSE_TEXT = 'Model response was empty. Please try rephrasing the question.';
+
+/**
+ * Convert Anthropic tool definitions to OpenAI function tools
+ */
+export function translateTools(tools) {
+  if (!Array.isArray(tools) || tools.length === 0) {
+    return undefined;
+  }
+
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.input_schema || { type: 'object', properties: {} }
+    }
+  }));
+}
+
+/**
+ * Convert an Anthropic tool_choice to the OpenAI equivalent
+ */
+export function translateToolChoice(toolChoice) {
+  if (!toolChoice) {
+    return undefined;
+  }
+
+  switch (toolChoice.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Flatten a system prompt (string or text blocks) to a string
+ */
+function systemText(system) {
+  if (typeof system === 'string') {
+    return system;
+  }
+  if (Array.isArray(system)) {
+    return system
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n\n');
+  }
+  return '';
+}
+
+/**
+ * Convert an Anthropic image block to an OpenAI image_url part
+ */
+function imagePart(block) {
+  const source = block.source || {};
+  const url = source.type === 'base64'
+    ? `data:${source.media_type};base64,${source.data}`
+    : source.url;
+  return { type: 'image_url', image_url: { url } };
+}
+
+/**
+ * Text of a tool_result block. OpenAI tool messages carry plain text only,
+ * so images in a result are replaced by a placeholder.
+ */
+function toolResultText(block) {
+  let text;
+  if (typeof block.content === 'string') {
+    text = block.content;
+  } else if (Array.isArray(block.content)) {
+    text = block.content
+      .map(part => (part.type === 'text' ? part.text : `[${part.type} omitted]`))
+      .join('\n');
+  } else {
+    text = '';
+  }
+
+  return block.is_error ? `Error: ${text}` : text;
+}
+
+/**
+ * Convert user content blocks. tool_result blocks become separate `tool`
+ * messages, which must come before the rest of the user turn.
+ */
+function translateUserMessage(content) {
+  const toolMessages = [];
+  const parts = [];
+
+  for (const block of content) {
+    if (block.type === 'tool_result') {
+      toolMessages.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: toolResultText(block)
+      });
+    } else if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      parts.push(imagePart(block));
+    }
+  }
+
+  const messages = [...toolMessages];
+  if (parts.length > 0) {
+    const textOnly = parts.every(part => part.type === 'text');
+    messages.push({
+      role: 'user',
+      content: textOnly ? parts.map(part => part.text).join('\n') : parts
+    });
+  }
+  return messages;
+}
+
+/**
+ * Convert assistant content blocks. Thinking blocks are not replayed upstream.
+ */
+function translateAssistantMessage(content) {
+  const text = content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+
+  const toolCalls = content
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        arguments: JSON.stringify(block.input || {})
+      }
+    }));
+
+  const message = { role: 'assistant', content: text || null };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+  return [message];
+}
+
+/**
+ * Convert Anthropic messages (and the separate system prompt) to OpenAI messages
+ */
+export function translateMessages(messages, system) {
+  const translated = [];
+
+  const systemPrompt = systemText(system);
+  if (systemPrompt) {
+    translated.push({ role: 'system', content: systemPrompt });
+  }
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      translated.push({ role: message.role, content: message.content });
+    } else if (message.role === 'assistant') {
+      translated.push(...translateAssistantMessage(message.content));
+    } else {
+      translated.push(...translateUserMessage(message.content));
+    }
+  }
+
+  return translated;
+}
+
+/**
+ * Build the tool-related and message fields of an OpenAI request from an
+ * Anthropic request body
+ */
+export function translateRequest(body) {
+  const request = {
+    messages: translateMessages(body.messages, body.system)
+  };
+
+  const tools = translateTools(body.tools);
+  if (tools) {
+    request.tools = tools;
+
+    const toolChoice = translateToolChoice(body.tool_choice);
+    if (toolChoice) {
+      request.tool_choice = toolChoice;
+    }
+    if (body.tool_choice?.disable_parallel_tool_use) {
+      request.parallel_tool_calls = false;
+    }
+  }
+
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    request.stop = body.stop_sequences;
+  }
+
+  return request;
+}
+
+/**
+ * Parse tool call arguments, tolerating models that return invalid JSON
+ */
+export function parseToolArguments(args) {
+  if (!args) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(args);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Convert a non-streamed OpenAI chat completion to an Anthropic message
+ *
+ * @param {Object} data - OpenAI response body
+ * @param {Object} options - { model, sanitize }
+ */
+export function translateResponse(data, options = {}) {
+  if (!data.choices || !data.choices[0]) {
+    throw new Error(`Invalid OpenRouter response: ${JSON.stringify(data).substring(0, 200)}`);
+  }
+
+  const sanitize = options.sanitize || (text => text);
+  const choice = data.choices[0];
+  const message = choice.message || {};
+  const toolCalls = message.tool_calls || [];
+  const content = [];
+
+  if (message.content && message.content.trim() !== '') {
+    content.push({ type: 'text', text: sanitize(message.content) });
+  }
+
+  for (const call of toolCalls) {
+    content.push({
+      type: 'tool_use',
+      id: call.id || createToolUseId(),
+      name: call.function?.name,
+      input: parseToolArguments(call.function?.arguments)
+    });
+  }
+
+  if (content.length === 0) {
+    content.push({ type: 'text', text: EMPTY_RESPONSE_TEXT });
+  }
+
+  // Some providers report finish_reason "stop" even when they called a tool
+  const stopReason = toolCalls.length > 0 ? 'tool_use' : (mapStopReason(choice.finish_reason) || 'end_turn');
+
+  return {
+    id: data.id,
+    type: 'message',
+    role: 'assistant',
+    content,
+    model: options.model || data.model,
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage: {
+      input_tokens: data.usage?.prompt_tokens || 0,
+      output_tokens: data.usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * Sanitize the text blocks of a response from a provider that already speaks
+ * the Anthropic Messages API
+ */
+export function sanitizeAnthropicMessage(message, sanitize = text => text) {
+  if (!Array.isArray(message.content)) {
+    throw new Error(`Invalid Anthropic response: ${JSON.stringify(message).substring(0, 200)}`);
+  }
+
+  return {
+    ...message,
+    content: message.content.map(block => (
+      block.type === 'text' ? { ...block, text: sanitize(block.text) } : block
+    ))
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Per-model request metrics for the k-proxy
+ *
+ * Counts /v1/messages traffic per k-alias so a single multiplexed server
+ * still reports each model separately.
+ */
+
+function emptyStats() {
+  return {
+    requests: 0,
+    errors: 0,
+    rateLimited: 0,
+    aborted: 0,
+    streamed: 0,
+    totalLatencyMs: 0,
+    lastRequestAt: null,
+    lastStatus: null
+  };
+}
+
+export class ProxyMetrics {
+  constructor() {
+    this.models = new Map();
+  }
+
+  stats(alias) {
+    if (!this.models.has(alias)) {
+      this.models.set(alias, emptyStats());
+    }
+    return this.models.get(alias);
+  }
+
+  /**
+   * Record one completed request
+   *
+   * @param {string} alias - k-alias the request was routed to
+   * @param {Object} result - { statusCode, durationMs, streamed, aborted }
+   */
+  record(alias, result) {
+    const stats = this.stats(alias);
+
+    stats.requests++;
+    stats.totalLatencyMs += result.durationMs;
+    stats.lastRequestAt = new Date().toISOString();
+    stats.lastStatus = result.statusCode;
+
+    if (result.aborted) {
+      stats.aborted++;
+    } else if (result.statusCode === 429) {
+      stats.rateLimited++;
+    } else if (result.statusCode >= 400) {
+      stats.errors++;
+    }
+
+    if (result.streamed) {
+      stats.streamed++;
+    }
+  }
+
+  /**
+   * Express middleware recording /v1/messages requests for one model.
+   * Mount it before the rate limiter so rejected requests are counted too.
+   */
+  middleware(alias) {
+    return (req, res, next) => {
+      if (req.method !== 'POST' || req.path !== '/v1/messages') {
+        return next();
+      }
+
+      const startTime = Date.now();
+      let recorded = false;
+      const done = (aborted) => {
+        if (recorded) {
+          return;
+        }
+        recorded = true;
+        this.record(alias, {
+          statusCode: res.statusCode,
+          durationMs: Date.now() - startTime,
+          streamed: req.body?.stream === true,
+          aborted
+        });
+      };
+
+      res.once('finish', () => done(false));
+      res.once('close', () => done(!res.writableEnded));
+      next();
+    };
+  }
+
+  /**
+   * Metrics for one model, or all models keyed by alias
+   */
+  snapshot(alias) {
+    const format = (stats) => ({
+      ...stats,
+      avgLatencyMs: stats.requests > 0 ? Math.round(stats.totalLatencyMs / stats.requests) : 0
+    });
+
+    if (alias) {
+      return format(this.stats(alias));
+    }
+
+    const all = {};
+    for (const [key, stats] of this.models) {
+      all[key] = format(stats);
+    }
+    return all;
+  }
+}
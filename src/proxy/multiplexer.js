@@ -0,0 +1,70 @@
+/**
+ * Single-port request routing for the k-proxy
+ *
+ * All models are served from one port. A request reaches a model's router
+ * either through a path prefix (`/k3/v1/messages`) or, for unprefixed paths,
+ * through the `X-K-Model` header. Each model keeps its own router, so rate
+ * limits and metrics stay per model.
+ */
+
+export const MODEL_HEADER = 'x-k-model';
+
+export class ProxyMultiplexer {
+  constructor() {
+    this.routers = new Map();
+  }
+
+  /**
+   * Register the router that serves one k-alias
+   */
+  register(alias, router) {
+    this.routers.set(alias, router);
+  }
+
+  has(alias) {
+    return this.routers.has(alias);
+  }
+
+  aliases() {
+    return Array.from(this.routers.keys());
+  }
+
+  /**
+   * Express middleware dispatching to the matching model router.
+   * Requests for no known model fall through to `next()`.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const match = req.url.match(/^\/([^/?]+)(.*)$/);
+      const prefix = match && match[1];
+
+      if (prefix && this.routers.has(prefix)) {
+        const originalUrl = req.url;
+        const rest = match[2];
+        req.url = rest.startsWith('/') ? rest : `/${rest}`;
+        req.kInstance = prefix;
+
+        return this.routers.get(prefix)(req, res, (error) => {
+          req.url = originalUrl;
+          next(error);
+        });
+      }
+
+      const headerAlias = req.get(MODEL_HEADER);
+      if (headerAlias) {
+        if (!this.routers.has(headerAlias)) {
+          return res.status(404).json({
+            error: {
+              message: `Unknown model "${headerAlias}" in ${MODEL_HEADER} header`,
+              type: 'proxy_error'
+            }
+          });
+        }
+        req.kInstance = headerAlias;
+        return this.routers.get(headerAlias)(req, res, next);
+      }
+
+      next();
+    };
+  }
+}
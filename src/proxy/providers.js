@@ -0,0 +1,168 @@
+/**
+ * Upstream providers for the k-proxy
+ *
+ * Each registry entry names a `provider`. The provider decides where the proxy
+ * sends a request, which API key it uses and which wire format it speaks:
+ * `openai` (chat completions, translated from the Anthropic format) or
+ * `anthropic` (Messages API, forwarded as-is).
+ *
+ * Registry fields used here:
+ *   provider   - one of PROVIDERS below
+ *   baseUrl    - overrides the provider's default base URL (required for openai-compatible)
+ *   apiKeyEnv  - environment variable holding the API key, overriding the provider default
+ */
+
+export const PROVIDERS = {
+  openrouter: {
+    label: 'OpenRouter',
+    format: 'openai',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    requiresApiKey: true
+  },
+  openai: {
+    label: 'OpenAI',
+    format: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: true
+  },
+  anthropic: {
+    label: 'Anthropic',
+    format: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true
+  },
+  ollama: {
+    label: 'Ollama',
+    format: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    baseUrlEnv: 'OLLAMA_BASE_URL',
+    requiresApiKey: false
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible endpoint',
+    format: 'openai',
+    baseUrl: null,
+    requiresApiKey: false
+  }
+};
+
+export const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Check the provider-related fields of a registry entry.
+ * Returns a list of problems (empty when valid).
+ */
+export function validateProviderConfig(model) {
+  const errors = [];
+
+  if (typeof model.provider === 'string' && model.provider.trim() !== '' && !PROVIDERS[model.provider]) {
+    errors.push(`"provider" must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (model.baseUrl !== undefined) {
+    if (typeof model.baseUrl !== 'string' || !/^https?:\/\//.test(model.baseUrl)) {
+      errors.push('"baseUrl" must be an http(s) URL');
+    }
+  } else if (model.provider === 'openai-compatible') {
+    errors.push('"baseUrl" is required for the openai-compatible provider');
+  }
+
+  if (model.apiKeyEnv !== undefined && (typeof model.apiKeyEnv !== 'string' || model.apiKeyEnv.trim() === '')) {
+    errors.push('"apiKeyEnv" must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the upstream endpoint for a registry entry
+ *
+ * @param {Object} modelEntry - Registry entry
+ * @param {Object} env - Environment to read API keys and base URLs from
+ * @returns {{name, label, format, url, apiKey, apiKeyEnv}}
+ */
+export function resolveProvider(modelEntry, env = process.env) {
+  const definition = PROVIDERS[modelEntry.provider];
+  if (!definition) {
+    throw new Error(`Unknown provider "${modelEntry.provider}" for ${modelEntry.alias}`);
+  }
+
+  const baseUrl = modelEntry.baseUrl ||
+    (definition.baseUrlEnv && env[definition.baseUrlEnv]) ||
+    definition.baseUrl;
+  if (!baseUrl) {
+    throw new Error(`No baseUrl configured for ${modelEntry.alias} (${modelEntry.provider})`);
+  }
+
+  const apiKeyEnv = modelEntry.apiKeyEnv || definition.apiKeyEnv;
+  const apiKey = apiKeyEnv ? env[apiKeyEnv] : undefined;
+  // An explicit apiKeyEnv means the endpoint expects a key, even for local providers
+  const requiresApiKey = definition.requiresApiKey || Boolean(modelEntry.apiKeyEnv);
+
+  const endpoint = definition.format === 'anthropic' ? 'messages' : 'chat/completions';
+
+  return {
+    name: modelEntry.provider,
+    label: definition.label,
+    format: definition.format,
+    url: `${baseUrl.replace(/\/+$/, '')}/${endpoint}`,
+    apiKey,
+    apiKeyEnv,
+    missingApiKey: requiresApiKey && !apiKey
+  };
+}
+
+/**
+ * HTTP headers for a request to the resolved provider
+ *
+ * @param {Object} provider - Result of resolveProvider()
+ * @param {Object} context - { port, title } used for OpenRouter attribution
+ */
+export function buildProviderHeaders(provider, context = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (provider.format === 'anthropic') {
+    headers['anthropic-version'] = ANTHROPIC_VERSION;
+    if (provider.apiKey) {
+      headers['x-api-key'] = provider.apiKey;
+    }
+    return headers;
+  }
+
+  if (provider.apiKey) {
+    headers['Authorization'] = `Bearer ${provider.apiKey}`;
+  }
+
+  if (provider.name === 'openrouter') {
+    headers['HTTP-Referer'] = `http://localhost:${context.port}`;
+    headers['X-Title'] = context.title;
+  }
+
+  return headers;
+}
+
+/**
+ * Map a registry `reasoning` setting to the provider's request fields
+ */
+export function reasoningParams(provider, reasoning) {
+  if (!reasoning) {
+    return {};
+  }
+
+  switch (provider.name) {
+    case 'openrouter':
+      return { reasoning: { ...reasoning } };
+    case 'openai':
+      return reasoning.effort ? { reasoning_effort: reasoning.effort } : {};
+    case 'anthropic':
+      return reasoning.budgetTokens ?
+        { thinking: { type: 'enabled', budget_tokens: reasoning.budgetTokens } } :
+        {};
+    default:
+      // Local and generic OpenAI-compatible servers don't share a reasoning parameter
+      return {};
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Server-Sent Events helpers for the k-proxy
+ *
+ * Parses the `data:` lines of an upstream SSE stream (OpenAI/OpenRouter chat
+ * completions) and formats Anthropic-style `event:`/`data:` frames.
+ */
+
+/**
+ * Incremental SSE parser. Feed it raw text chunks as they arrive;
+ * it returns the complete `data:` payloads seen so far.
+ */
+export class SSEParser {
+  constructor() {
+    this.buffer = '';
+    this.done = false;
+  }
+
+  /**
+   * @param {string|Buffer} chunk - Raw bytes from the upstream response
+   * @returns {Array<Object>} Parsed JSON payloads, in order
+   */
+  push(chunk) {
+    this.buffer += chunk.toString();
+    const payloads = [];
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+
+      const payload = this.parseLine(line);
+      if (payload) {
+        payloads.push(payload);
+      }
+    }
+
+    return payloads;
+  }
+
+  /**
+   * Parse whatever is left in the buffer once the upstream stream ends
+   */
+  flush() {
+    const line = this.buffer.trim();
+    this.buffer = '';
+    const payload = line ? this.parseLine(line) : null;
+    return payload ? [payload] : [];
+  }
+
+  parseLine(line) {
+    // Blank lines separate events; lines starting with ':' are keep-alive comments
+    if (!line || line.startsWith(':') || !line.startsWith('data:')) {
+      return null;
+    }
+
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') {
+      this.done = true;
+      return null;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      // Ignore malformed fragments rather than failing the whole stream
+      return null;
+    }
+  }
+}
+
+/**
+ * Format an Anthropic stream event as an SSE frame
+ */
+export function formatSSEEvent(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
@@ -0,0 +1,359 @@
+/**
+ * OpenAI chat-completion stream → Anthropic Messages stream translation
+ *
+ * OpenRouter streams `chat.completion.chunk` objects; the Claude CLI expects
+ * `message_start` / `content_block_*` / `message_delta` / `message_stop` events.
+ */
+
+const STOP_REASON_MAP = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'end_turn'
+};
+
+/**
+ * Map an OpenAI finish_reason to an Anthropic stop_reason
+ */
+export function mapStopReason(finishReason) {
+  if (!finishReason) {
+    return null;
+  }
+  return STOP_REASON_MAP[finishReason] || 'end_turn';
+}
+
+/**
+ * Generate a tool_use id when the upstream model did not supply one
+ */
+export function createToolUseId() {
+  return `toolu_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Stateful translator for one streamed response.
+ *
+ * Text is sanitized before it is emitted. Because a secret can be split across
+ * chunks, text is held back until the next whitespace boundary and the tail is
+ * flushed when the stream finishes.
+ *
+ * Streamed `tool_calls` deltas become `tool_use` content blocks whose
+ * arguments are relayed as `input_json_delta` fragments. A call that starts
+ * while another one is streaming is held back and emitted whole when the
+ * stream finishes, since fragments of the open call may still follow.
+ */
+export class AnthropicStreamTranslator {
+  constructor(options = {}) {
+    this.id = options.id || `msg_${Date.now().toString(36)}`;
+    this.model = options.model;
+    this.sanitize = options.sanitize || (text => text);
+
+    this.started = false;
+    this.finished = false;
+    this.openBlock = null;
+    this.blockIndex = 0;
+    this.toolCalls = new Map();
+    // Calls held back until finish: index → { block, arguments }
+    this.pendingToolCalls = new Map();
+    this.pendingText = '';
+    this.emittedChars = 0;
+    this.finishReason = null;
+    this.usage = { input_tokens: 0, output_tokens: 0 };
+    this.reportedCost = null;
+  }
+
+  /**
+   * Events that open the message. Emitted once, before the first chunk.
+   */
+  start() {
+    if (this.started) {
+      return [];
+    }
+    this.started = true;
+
+    return [{
+      type: 'message_start',
+      message: {
+        id: this.id,
+        type: 'message',
+        role: 'assistant',
+        content: [],
+        model: this.model,
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    }];
+  }
+
+  /**
+   * Translate one upstream chunk into zero or more Anthropic events
+   */
+  handleChunk(chunk) {
+    if (this.finished) {
+      return [];
+    }
+    const events = this.start();
+
+    if (chunk.id && !this.upstreamId) {
+      this.upstreamId = chunk.id;
+    }
+
+    if (chunk.usage) {
+      this.usage = {
+        input_tokens: chunk.usage.prompt_tokens || 0,
+        output_tokens: chunk.usage.completion_tokens || 0
+      };
+      if (typeof chunk.usage.cost === 'number') {
+        this.reportedCost = chunk.usage.cost;
+      }
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return events;
+    }
+
+    const text = choice.delta?.content;
+    if (text) {
+      events.push(...this.appendText(text));
+    }
+
+    if (choice.delta?.tool_calls) {
+      for (const toolCall of choice.delta.tool_calls) {
+        events.push(...this.appendToolCall(toolCall));
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.finishReason = choice.finish_reason;
+    }
+
+    return events;
+  }
+
+  /**
+   * Close any open block and end the message
+   */
+  finish() {
+    if (this.finished) {
+      return [];
+    }
+    this.finished = true;
+
+    const events = this.start();
+    events.push(...this.flushText(true));
+    events.push(...this.closeBlock());
+
+    for (const [callIndex, { block, arguments: partialJson }] of this.pendingToolCalls) {
+      events.push(...this.openToolBlock(block, callIndex));
+      events.push(...this.toolArguments(partialJson));
+      events.push(...this.closeBlock());
+    }
+    this.pendingToolCalls.clear();
+
+    // Some providers report finish_reason "stop" even when they called a tool
+    const stopReason = this.toolCalls.size > 0 ? 'tool_use' : (mapStopReason(this.finishReason) || 'end_turn');
+
+    events.push({
+      type: 'message_delta',
+      delta: {
+        stop_reason: stopReason,
+        stop_sequence: null
+      },
+      usage: { ...this.usage }
+    });
+    events.push({ type: 'message_stop' });
+
+    return events;
+  }
+
+  /**
+   * Error event for failures after the stream has started
+   */
+  error(message, type = 'api_error') {
+    this.finished = true;
+    return [{ type: 'error', error: { type, message } }];
+  }
+
+  closeBlock() {
+    if (!this.openBlock) {
+      return [];
+    }
+    const event = { type: 'content_block_stop', index: this.blockIndex };
+    this.openBlock = null;
+    this.blockIndex++;
+    return [event];
+  }
+
+  /**
+   * Relay one streamed tool call fragment. The first fragment for a call
+   * carries its id and name; later ones append to its JSON arguments.
+   */
+  appendToolCall(toolCall) {
+    const events = [];
+    const callIndex = toolCall.index ?? 0;
+    const partialJson = toolCall.function?.arguments || '';
+
+    const pending = this.pendingToolCalls.get(callIndex);
+    if (pending) {
+      pending.arguments += partialJson;
+      return events;
+    }
+
+    if (!this.toolCalls.has(callIndex)) {
+      const block = {
+        type: 'tool_use',
+        id: toolCall.id || createToolUseId(),
+        name: toolCall.function?.name || ''
+      };
+      this.toolCalls.set(callIndex, block);
+
+      if (this.openBlock?.type === 'tool_use') {
+        this.pendingToolCalls.set(callIndex, { block, arguments: partialJson });
+        return events;
+      }
+
+      // Text before a tool call is flushed and its block closed
+      events.push(...this.flushText(true));
+      events.push(...this.closeBlock());
+      events.push(...this.openToolBlock(block, callIndex));
+    } else if (this.openBlock?.callIndex !== callIndex) {
+      // Text closed the call's block: its arguments can no longer be completed
+      return this.error(`Arguments for tool call ${callIndex} arrived after its content block was closed`);
+    }
+
+    events.push(...this.toolArguments(partialJson));
+    return events;
+  }
+
+  openToolBlock(block, callIndex) {
+    this.openBlock = { type: 'tool_use', callIndex };
+    return [{
+      type: 'content_block_start',
+      index: this.blockIndex,
+      content_block: { ...block, input: {} }
+    }];
+  }
+
+  toolArguments(partialJson) {
+    if (!partialJson) {
+      return [];
+    }
+    return [{
+      type: 'content_block_delta',
+      index: this.blockIndex,
+      delta: { type: 'input_json_delta', partial_json: partialJson }
+    }];
+  }
+
+  appendText(text) {
+    this.pendingText += text;
+    return this.flushText(false);
+  }
+
+  flushText(force) {
+    let toEmit;
+    if (force) {
+      toEmit = this.pendingText;
+      this.pendingText = '';
+    } else {
+      const boundary = Math.max(this.pendingText.lastIndexOf(' '), this.pendingText.lastIndexOf('\n'));
+      if (boundary === -1) {
+        return [];
+      }
+      toEmit = this.pendingText.slice(0, boundary + 1);
+      this.pendingText = this.pendingText.slice(boundary + 1);
+    }
+
+    if (!toEmit) {
+      return [];
+    }
+
+    const events = [];
+    if (this.openBlock?.type !== 'text') {
+      events.push(...this.closeBlock());
+      events.push({
+        type: 'content_block_start',
+        index: this.blockIndex,
+        content_block: { type: 'text', text: '' }
+      });
+      this.openBlock = { type: 'text' };
+    }
+
+    const sanitized = this.sanitize(toEmit);
+    this.emittedChars += sanitized.length;
+    events.push({
+      type: 'content_block_delta',
+      index: this.blockIndex,
+      delta: { type: 'text_delta', text: sanitized }
+    });
+
+    return events;
+  }
+}
+
+/**
+ * Relay for providers that already stream Anthropic events. Events are passed
+ * through unchanged except that text deltas are sanitized. Exposes the same
+ * interface as AnthropicStreamTranslator so the proxy can use either.
+ */
+export class AnthropicEventRelay {
+  constructor(options = {}) {
+    this.sanitize = options.sanitize || (text => text);
+    this.finished = false;
+    this.emittedChars = 0;
+    this.toolCalls = new Map();
+    this.usage = { input_tokens: 0, output_tokens: 0 };
+  }
+
+  start() {
+    return [];
+  }
+
+  handleChunk(event) {
+    if (!event || !event.type) {
+      return [];
+    }
+
+    if (event.type === 'message_stop') {
+      this.finished = true;
+    }
+
+    // Input tokens arrive with message_start, the output total with message_delta
+    if (event.type === 'message_start' && event.message?.usage) {
+      this.usage = { ...this.usage, ...event.message.usage };
+    }
+    if (event.type === 'message_delta' && event.usage) {
+      this.usage = { ...this.usage, ...event.usage };
+    }
+
+    if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+      this.toolCalls.set(event.index, event.content_block);
+    }
+
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      const text = this.sanitize(event.delta.text);
+      this.emittedChars += text.length;
+      return [{ ...event, delta: { ...event.delta, text } }];
+    }
+
+    return [event];
+  }
+
+  /**
+   * Upstream sends its own message_stop; nothing to add unless it never arrived
+   */
+  finish() {
+    if (this.finished) {
+      return [];
+    }
+    this.finished = true;
+    return [{ type: 'message_stop' }];
+  }
+
+  error(message, type = 'api_error') {
+    this.finished = true;
+    return [{ type: 'error', error: { type, message } }];
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Token usage accounting for the k-proxy
+ *
+ * Providers report the real token counts of every request (`usage` on the
+ * response, or on the final streamed chunk). The proxy records them per debate,
+ * keyed by the `X-Debate-Id` header the debate orchestrator passes to the Claude
+ * CLI, and prices them with the registry's per-model `pricing`. The debate
+ * fetches its totals from `GET /usage/:debateId` once all rounds have finished.
+ */
+
+import axios from 'axios';
+
+export const DEBATE_ID_HEADER = 'x-debate-id';
+
+const DEBATE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Debate ID from a proxy request, or null when absent or malformed
+ */
+export function getDebateId(req) {
+  const value = req.get(DEBATE_ID_HEADER);
+  return value && DEBATE_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * `ANTHROPIC_CUSTOM_HEADERS` value that makes the Claude CLI tag its proxy
+ * requests with a debate ID. Headers the user already set are kept.
+ */
+export function debateHeaderEnv(debateId, existing = '') {
+  const header = `${DEBATE_ID_HEADER}: ${debateId}`;
+  const kept = existing
+    .split('\n')
+    .filter(line => line.trim() && !line.toLowerCase().startsWith(`${DEBATE_ID_HEADER}:`));
+  return [...kept, header].join('\n');
+}
+
+/**
+ * Environment for a model wrapper process whose proxy requests are counted
+ * toward debateId; `env` itself when there is no debate ID
+ */
+export function debateEnv(debateId, env = process.env) {
+  if (!debateId) {
+    return env;
+  }
+  return { ...env, ANTHROPIC_CUSTOM_HEADERS: debateHeaderEnv(debateId, env.ANTHROPIC_CUSTOM_HEADERS) };
+}
+
+/**
+ * Normalize OpenAI-style (`prompt_tokens`/`completion_tokens`) and Anthropic-style
+ * (`input_tokens`/`output_tokens`) usage objects. Returns null when there is nothing to record.
+ */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+
+  const inputTokens = usage.prompt_tokens ??
+    ((usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0));
+  const outputTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+
+  if (!inputTokens && !outputTokens) {
+    return null;
+  }
+
+  return {
+    inputTokens,
+    outputTokens,
+    // OpenRouter reports the billed amount itself
+    cost: typeof usage.cost === 'number' ? usage.cost : null
+  };
+}
+
+/**
+ * Price a request with registry pricing (USD per million tokens).
+ * Returns null when the model has no pricing configured.
+ */
+export function calculateCost(pricing, inputTokens, outputTokens) {
+  if (!pricing) {
+    return null;
+  }
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedRequests: 0
+  };
+}
+
+function addUsage(totals, entry) {
+  totals.requests++;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.totalTokens += entry.inputTokens + entry.outputTokens;
+  if (entry.cost === null) {
+    totals.unpricedRequests++;
+  } else {
+    totals.cost += entry.cost;
+  }
+}
+
+/**
+ * In-memory per-debate usage records. The oldest debates are dropped once
+ * `maxDebates` is reached, so a long-running proxy stays bounded.
+ */
+export class UsageLedger {
+  constructor(options = {}) {
+    this.maxDebates = options.maxDebates || 500;
+    this.debates = new Map();
+    this.totals = emptyTotals();
+  }
+
+  /**
+   * Record one completed request
+   *
+   * @param {string|null} debateId - Debate the request belongs to (untagged requests only count towards totals)
+   * @param {Object} entry - { alias, name, model, inputTokens, outputTokens, cost }
+   */
+  record(debateId, entry) {
+    addUsage(this.totals, entry);
+
+    if (!debateId) {
+      return;
+    }
+
+    let debate = this.debates.get(debateId);
+    if (!debate) {
+      if (this.debates.size >= this.maxDebates) {
+        this.debates.delete(this.debates.keys().next().value);
+      }
+      debate = { ...emptyTotals(), byModel: {}, startedAt: new Date().toISOString() };
+      this.debates.set(debateId, debate);
+    }
+
+    addUsage(debate, entry);
+    debate.updatedAt = new Date().toISOString();
+
+    if (!debate.byModel[entry.alias]) {
+      debate.byModel[entry.alias] = { name: entry.name, model: entry.model, ...emptyTotals() };
+    }
+    addUsage(debate.byModel[entry.alias], entry);
+  }
+
+  /**
+   * Usage recorded for one debate, or null if the proxy saw none
+   */
+  get(debateId) {
+    const debate = this.debates.get(debateId);
+    if (!debate) {
+      return null;
+    }
+
+    return {
+      debateId,
+      ...debate,
+      byModel: Object.fromEntries(
+        Object.entries(debate.byModel).map(([alias, totals]) => [alias, { ...totals }])
+      )
+    };
+  }
+
+  /**
+   * Totals across every request since the proxy started
+   */
+  summary() {
+    return { ...this.totals, debatesTracked: this.debates.size };
+  }
+}
+
+/**
+ * Fetch a debate's usage from the proxy. Returns null when the proxy is
+ * unreachable or saw no tagged requests, so callers can fall back to estimates.
+ */
+export async function fetchDebateUsage(debateId, options = {}) {
+  const baseUrl = options.baseUrl || `http://localhost:${parseInt(process.env.PROXY_PORT) || 3456}`;
+
+  try {
+    const response = await axios.get(`${baseUrl}/usage/${encodeURIComponent(debateId)}`, {
+      timeout: options.timeout || 5000
+    });
+    return response.data.usage || null;
+  } catch (error) {
+    return null;
+  }
+}
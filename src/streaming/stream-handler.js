@@ -227,7 +227,17 @@ export class StreamHandler extends EventEmitter {
     });
 
     try {
-      const response = await debate.callModel(model, question, projectPath);
+      // Relay partial output as it arrives from the model process
+      const response = await debate.callModel(model, question, projectPath, null, {
+        onOutput: (chunk) => {
+          this.emit('model_output', {
+            model: model.alias,
+            name: model.name,
+            chunk,
+            timestamp: Date.now()
+          });
+        }
+      });
       const duration = Date.now() - startTime;
 
       this.emit('model_completed', {
@@ -0,0 +1,314 @@
+/**
+ * Structured Answer Format
+ *
+ * With `responseFormat: "structured"` a debate's answer is a JSON document
+ * instead of free-form markdown: the recommendation, alternatives considered,
+ * risks, code snippets, dissenting opinions and per-claim confidence. The
+ * winning model is asked for the document after the synthesis, the reply is
+ * validated against STRUCTURED_ANSWER_SCHEMA, and the markdown shown to users
+ * is rendered from the document rather than written by the models.
+ */
+
+export const RESPONSE_FORMATS = ['markdown', 'structured'];
+
+// Replies that fail validation are sent back once with the errors listed
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+export const STRUCTURED_ANSWER_SCHEMA = {
+  type: 'object',
+  required: ['recommendation', 'alternatives_considered', 'risks', 'code_snippets', 'dissenting_opinions', 'claims'],
+  properties: {
+    recommendation: {
+      type: 'object',
+      required: ['summary', 'details'],
+      properties: {
+        summary: { type: 'string', minLength: 1, description: 'The recommended solution in one or two sentences' },
+        details: { type: 'string', description: 'How to carry it out, in markdown' }
+      }
+    },
+    alternatives_considered: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['option', 'reason_rejected'],
+        properties: {
+          option: { type: 'string', minLength: 1 },
+          reason_rejected: { type: 'string' }
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['risk', 'severity', 'mitigation'],
+        properties: {
+          risk: { type: 'string', minLength: 1 },
+          severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+          mitigation: { type: 'string' }
+        }
+      }
+    },
+    code_snippets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['language', 'code'],
+        properties: {
+          language: { type: 'string' },
+          file: { type: 'string', description: 'File the snippet belongs in, if any' },
+          description: { type: 'string' },
+          code: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    dissenting_opinions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['model', 'position'],
+        properties: {
+          model: { type: 'string', minLength: 1 },
+          position: { type: 'string', minLength: 1 },
+          reasoning: { type: 'string' }
+        }
+      }
+    },
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['claim', 'confidence'],
+        properties: {
+          claim: { type: 'string', minLength: 1 },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          supported_by: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+export class StructuredAnswerError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'StructuredAnswerError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Throw unless `format` is a known response format (undefined means markdown)
+ */
+export function validateResponseFormat(format) {
+  if (format !== undefined && format !== null && !RESPONSE_FORMATS.includes(format)) {
+    throw new Error(`Unknown responseFormat "${format}". Use one of: ${RESPONSE_FORMATS.join(', ')}`);
+  }
+  return format || 'markdown';
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Checks the subset of JSON Schema used by STRUCTURED_ANSWER_SCHEMA
+function validateValue(value, schema, at, errors) {
+  const actual = typeOf(value);
+  if (actual !== schema.type) {
+    errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+    return;
+  }
+
+  if (schema.type === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${at}.${field}: required`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        validateValue(value[field], fieldSchema, `${at}.${field}`, errors);
+      }
+    }
+  } else if (schema.type === 'array') {
+    value.forEach((item, index) => validateValue(item, schema.items, `${at}[${index}]`, errors));
+  } else if (schema.type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+    }
+  } else if (schema.type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be at most ${schema.maximum}`);
+    }
+  }
+}
+
+/**
+ * Validate a structured answer. Returns the list of problems, empty when valid.
+ */
+export function validateStructuredAnswer(answer) {
+  const errors = [];
+  validateValue(answer, STRUCTURED_ANSWER_SCHEMA, 'answer', errors);
+  return errors;
+}
+
+/**
+ * Parse and validate a model's reply: a JSON object, bare or in a ```json block.
+ * Returns { answer, errors }; `answer` is null unless the reply is valid.
+ */
+export function parseStructuredAnswer(text) {
+  const reply = String(text || '');
+  const fenced = reply.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+  let json = fenced ? fenced[1] : null;
+  if (!json) {
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    json = start >= 0 && end > start ? reply.substring(start, end + 1) : null;
+  }
+  if (!json) {
+    return { answer: null, errors: ['reply contains no JSON object'] };
+  }
+
+  let answer;
+  try {
+    answer = JSON.parse(json);
+  } catch (error) {
+    return { answer: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validateStructuredAnswer(answer);
+  return { answer: errors.length === 0 ? answer : null, errors };
+}
+
+/**
+ * Prompt asking for the structured answer to a debate: its consensus solution,
+ * the other models' contributions by model name, the models that took part and
+ * the dissent found in their proposals (see ConfidenceScorer.findDissent).
+ */
+export function buildStructuredAnswerPrompt(question, { solution, contributions = {}, models = [], dissent = [] }) {
+  const others = Object.entries(contributions)
+    .map(([model, text]) => `### ${model}\n${String(text).substring(0, 2000)}`)
+    .join('\n\n');
+  const disagreements = dissent
+    .map(opinion => `- ${opinion.model} (${opinion.strength}): ${opinion.position}`)
+    .join('\n');
+
+  return `Turn the result of a multi-model debate into a structured answer.
+
+ORIGINAL QUESTION: ${question}
+
+CONSENSUS SOLUTION:
+${solution}
+
+${others ? `CONTRIBUTIONS OF THE OTHER MODELS:\n${others}\n\n` : ''}${disagreements ? `POSITIONS OPPOSED TO THE CONSENSUS:\n${disagreements}\n\n` : ''}MODELS IN THE DEBATE: ${models.join(', ')}
+
+Reply with ONLY a JSON object matching this JSON Schema, in a \`\`\`json block:
+
+${JSON.stringify(STRUCTURED_ANSWER_SCHEMA, null, 2)}
+
+Guidelines:
+- recommendation.summary states the recommended solution; details explain how to carry it out
+- alternatives_considered lists the approaches the debate rejected, with the reason
+- dissenting_opinions lists models whose position differs from the recommendation (empty when all agree)
+- claims lists the key factual and technical claims, each with a confidence from 0 to 1 and the models supporting it
+- Use empty arrays for sections with nothing to report`;
+}
+
+/**
+ * Ask a model for the structured answer until the reply validates.
+ * `ask(prompt)` sends a prompt and resolves to the model's reply, or null when
+ * the call failed; a failed call counts as an attempt and is asked again.
+ * Throws a StructuredAnswerError carrying the last validation errors.
+ */
+export async function requestStructuredAnswer(ask, prompt, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  let errors = [];
+  let request = prompt;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const reply = await ask(request);
+    if (!reply) {
+      errors = ['the model returned no reply'];
+      continue;
+    }
+
+    const parsed = parseStructuredAnswer(reply);
+    if (parsed.answer) {
+      return parsed.answer;
+    }
+
+    errors = parsed.errors;
+    request = `${prompt}
+
+Your previous reply was not valid:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Reply again with the corrected JSON object only.`;
+  }
+
+  throw new StructuredAnswerError(`No valid structured answer after ${maxAttempts} attempts`, errors);
+}
+
+/**
+ * Markdown view of a structured answer
+ */
+export function renderStructuredAnswer(answer) {
+  let markdown = `# Recommendation\n\n${answer.recommendation.summary}\n\n`;
+  if (answer.recommendation.details) {
+    markdown += `${answer.recommendation.details}\n\n`;
+  }
+
+  if (answer.code_snippets.length > 0) {
+    markdown += `## Code\n\n`;
+    for (const snippet of answer.code_snippets) {
+      const title = [snippet.file && `\`${snippet.file}\``, snippet.description].filter(Boolean).join(': ');
+      if (title) {
+        markdown += `${title}\n\n`;
+      }
+      markdown += `\`\`\`${snippet.language}\n${snippet.code}\n\`\`\`\n\n`;
+    }
+  }
+
+  if (answer.risks.length > 0) {
+    markdown += `## Risks\n\n`;
+    for (const risk of answer.risks) {
+      markdown += `- **${risk.severity}**: ${risk.risk}${risk.mitigation ? ` (mitigation: ${risk.mitigation})` : ''}\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (answer.alternatives_considered.length > 0) {
+    markdown += `## Alternatives Considered\n\n`;
+    for (const alternative of answer.alternatives_considered) {
+      markdown += `- **${alternative.option}**${alternative.reason_rejected ? `: ${alternative.reason_rejected}` : ''}\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (answer.dissenting_opinions.length > 0) {
+    markdown += `## Dissenting Opinions\n\n`;
+    for (const dissent of answer.dissenting_opinions) {
+      markdown += `- **${dissent.model}**: ${dissent.position}${dissent.reasoning ? ` (${dissent.reasoning})` : ''}\n`;
+    }
+    markdown += '\n';
+  }
+
+  if (answer.claims.length > 0) {
+    markdown += `## Claims\n\n`;
+    for (const claim of answer.claims) {
+      const support = claim.supported_by?.length ? ` (${claim.supported_by.join(', ')})` : '';
+      markdown += `- ${Math.round(claim.confidence * 100)}%: ${claim.claim}${support}\n`;
+    }
+    markdown += '\n';
+  }
+
+  return markdown.trimEnd() + '\n';
+}
@@ -0,0 +1,73 @@
+/**
+ * Lock files for data files shared by MCP server processes
+ *
+ * A change takes the lock (a `<file>.lock` created exclusively), re-reads the
+ * file and writes it back, so concurrent changes from several processes are
+ * applied one after another instead of overwriting each other.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// How long a change waits for another process's lock before failing
+const LOCK_TIMEOUT_MS = 5000;
+// A lock this old was left by a process that died while writing
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquire(lockPath) {
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    try {
+      const stat = await fs.stat(lockPath);
+      if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+    } catch (error) {
+      // Released between the open and the stat: try again
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for the lock ${lockPath}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Run `change` holding the lock file `lockPath`; resolves to its result
+ */
+export async function withFileLock(lockPath, change) {
+  await acquire(lockPath);
+  try {
+    return await change();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+/**
+ * Write a file through a temporary file and a rename, so readers never see a partial write
+ */
+export async function writeFileAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, data);
+  await fs.rename(tmpPath, filePath);
+}
@@ -0,0 +1,72 @@
+/**
+ * Process tree helpers for model wrapper processes
+ *
+ * A wrapper script starts the Claude CLI, which starts its own tool processes.
+ * Wrappers are spawned as process group leaders so that stopping one can signal
+ * the whole group instead of leaving the CLI and its tools running.
+ */
+
+import logger from './logger.js';
+
+// Time a process tree gets to exit after SIGTERM before it is sent SIGKILL
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Spawn options that make the child lead its own process group
+ */
+export function processGroupOptions(options = {}) {
+  return {
+    ...options,
+    detached: process.platform !== 'win32'
+  };
+}
+
+function signalTree(child, signal) {
+  try {
+    if (child.pid && process.platform !== 'win32') {
+      process.kill(-child.pid, signal);
+      return;
+    }
+  } catch (error) {
+    // Not a group leader (or already gone) - fall back to the child itself
+  }
+
+  try {
+    child.kill(signal);
+  } catch (error) {
+    logger.debug('Failed to signal child process', { pid: child.pid, error: error.message });
+  }
+}
+
+/**
+ * Send SIGTERM to a child's process group, then SIGKILL if it is still running after the grace period
+ */
+export function killProcessTree(child) {
+  if (child.exitCode !== null && child.exitCode !== undefined) {
+    return;
+  }
+
+  signalTree(child, 'SIGTERM');
+
+  const escalation = setTimeout(() => signalTree(child, 'SIGKILL'), KILL_GRACE_MS);
+  escalation.unref?.();
+  child.once('close', () => clearTimeout(escalation));
+}
+
+/**
+ * Kill the child's process tree when `signal` aborts and call onAbort with the abort reason.
+ * The listener is removed when the child closes.
+ */
+export function killOnAbort(child, signal, onAbort) {
+  if (!signal) {
+    return;
+  }
+
+  const listener = () => {
+    killProcessTree(child);
+    onAbort(signal.reason);
+  };
+
+  signal.addEventListener('abort', listener, { once: true });
+  child.once('close', () => signal.removeEventListener('abort', listener));
+}
@@ -18,7 +18,8 @@ export const ErrorTypes = {
   TIMEOUT: 'timeout',
   NETWORK: 'network',
   AUTHENTICATION: 'authentication',
-  CONFIGURATION: 'configuration'
+  CONFIGURATION: 'configuration',
+  ABORTED: 'aborted'
 };
 
 /**
@@ -94,6 +95,15 @@ export class ErrorClassifier {
     const code = error.code?.toUpperCase() || '';
     const status = error.status || error.statusCode || 0;
 
+    // Deliberately stopped calls (e.g. the debate budget ran out) - not retriable
+    if (['AbortError', 'BudgetExceededError', 'DebateCancelledError'].includes(error.name)) {
+      return {
+        type: ErrorTypes.ABORTED,
+        retriable: false,
+        reason: 'Call aborted - not retrying'
+      };
+    }
+
     // Authentication errors - not retriable
     if (message.includes('unauthorized') ||
         message.includes('invalid api key') ||
@@ -261,18 +271,22 @@ export class RetryHandler {
   /**
    * Execute function with retry logic
    * @param {Function} fn - Async function to execute
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (options.signal stops further attempts when aborted)
    * @returns {Promise} Result of the function execution
    */
   async execute(fn, options = {}) {
     const startTime = Date.now();
     const functionName = options.name || fn.name || 'anonymous';
     const context = options.context || {};
+    const { signal } = options;
 
     let lastError = null;
     let totalRetryTime = 0;
 
     for (let attempt = 1; attempt <= this.config.maxRetries + 1; attempt++) {
+      // Aborted between attempts - stop with the abort reason
+      signal?.throwIfAborted();
+
       try {
         if (this.config.enableLogging && attempt > 1) {
           logger.debug('Retry attempt', {
@@ -349,8 +363,13 @@ export class RetryHandler {
           });
         }
 
-        // Wait before next attempt
-        await delay(delayMs);
+        // Wait before next attempt (cut short if aborted)
+        try {
+          await delay(delayMs, undefined, { signal });
+        } catch (error) {
+          signal.throwIfAborted();
+          throw error;
+        }
       }
     }
 
@@ -6,6 +6,7 @@
  */
 
 import { spawn } from 'child_process';
+import { processGroupOptions, killOnAbort } from '../utils/process-tree.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -57,7 +58,7 @@ export class AdversarialTester {
    * Run adversarial testing on a proposal
    */
   async testProposal(proposal, question, options = {}) {
-    const { excludeModel, projectPath = process.cwd() } = options;
+    const { excludeModel, projectPath = process.cwd(), signal } = options;
 
     console.log(`    ⚔️ Running adversarial tests (excluding ${excludeModel})...`);
 
@@ -83,6 +84,8 @@ export class AdversarialTester {
 
     // Run each challenge type
     for (const challenge of this.challenges) {
+      signal?.throwIfAborted();
+
       try {
         console.log(`      🎯 Challenge: ${challenge.name}...`);
 
@@ -91,7 +94,8 @@ export class AdversarialTester {
           proposal,
           question,
           adversarialModels,
-          projectPath
+          projectPath,
+          signal
         );
 
         testResults.push(challengeResult);
@@ -112,6 +116,7 @@ export class AdversarialTester {
         }
 
       } catch (error) {
+        signal?.throwIfAborted();
         console.log(`      ❌ ${challenge.name}: ERROR - ${error.message}`);
         warnings.push(`${challenge.name}: Testing failed - ${error.message}`);
         testResults.push({
@@ -140,7 +145,7 @@ export class AdversarialTester {
   /**
    * Run a specific adversarial challenge
    */
-  async runChallenge(challenge, proposal, question, adversarialModels, projectPath) {
+  async runChallenge(challenge, proposal, question, adversarialModels, projectPath, signal = null) {
     // Select best model for this challenge
     const availableModels = adversarialModels.filter(model =>
       challenge.requiredModels.includes(model.alias)
@@ -156,7 +161,7 @@ export class AdversarialTester {
     const challengePrompt = this.buildChallengePrompt(challenge, proposal, question);
 
     try {
-      const response = await this.callModel(selectedModel, challengePrompt, projectPath);
+      const response = await this.callModel(selectedModel, challengePrompt, projectPath, signal);
       return this.parseChallengeResponse(challenge, response, selectedModel.alias);
     } catch (error) {
       throw new Error(`Challenge ${challenge.name} failed: ${error.message}`);
@@ -360,15 +365,25 @@ RESPONSE FORMAT:
   /**
    * Call model for adversarial testing
    */
-  async callModel(model, prompt, projectPath) {
+  async callModel(model, prompt, projectPath, signal = null) {
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       const timeout = setTimeout(() => {
         reject(new Error(`Adversarial test timeout after ${this.timeout}ms`));
       }, this.timeout);
 
-      const child = spawn(model.wrapper, [], {
+      const child = spawn(model.wrapper, model.wrapperArgs || [], processGroupOptions({
         cwd: projectPath,
         stdio: ['pipe', 'pipe', 'pipe']
+      }));
+
+      killOnAbort(child, signal, (reason) => {
+        clearTimeout(timeout);
+        reject(reason);
       });
 
       let output = '';
@@ -6,6 +6,7 @@
  */
 
 import { spawn } from 'child_process';
+import { processGroupOptions, killOnAbort } from '../utils/process-tree.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -24,7 +25,7 @@ export class FactChecker {
    * Check facts in a proposal using multiple models
    */
   async checkFacts(proposal, question, options = {}) {
-    const { excludeModel, projectPath = process.cwd() } = options;
+    const { excludeModel, projectPath = process.cwd(), signal } = options;
 
     console.log(`    🔍 Fact checking proposal (excluding ${excludeModel})...`);
 
@@ -49,15 +50,18 @@ export class FactChecker {
     const verifications = [];
 
     for (const verifier of selectedVerifiers) {
+      signal?.throwIfAborted();
+
       try {
         console.log(`      🤖 ${verifier.alias} fact-checking...`);
-        const verification = await this.runFactCheck(verifier, proposal, question, projectPath);
+        const verification = await this.runFactCheck(verifier, proposal, question, projectPath, signal);
         verifications.push({
           model: verifier.alias,
           ...verification
         });
         console.log(`      ✅ ${verifier.alias}: ${verification.issues.length} issues found`);
       } catch (error) {
+        signal?.throwIfAborted();
         console.log(`      ❌ ${verifier.alias} fact check failed: ${error.message}`);
         verifications.push({
           model: verifier.alias,
@@ -79,11 +83,11 @@ export class FactChecker {
   /**
    * Run fact check using a specific model
    */
-  async runFactCheck(verifierModel, proposal, question, projectPath) {
+  async runFactCheck(verifierModel, proposal, question, projectPath, signal = null) {
     const factCheckPrompt = this.buildFactCheckPrompt(proposal, question);
 
     try {
-      const response = await this.callModel(verifierModel, factCheckPrompt, projectPath);
+      const response = await this.callModel(verifierModel, factCheckPrompt, projectPath, signal);
       return this.parseFactCheckResponse(response);
     } catch (error) {
       throw new Error(`Fact check failed: ${error.message}`);
@@ -160,15 +164,25 @@ Focus on being thorough but concise. Only flag real issues, not stylistic prefer
   /**
    * Call model for fact checking
    */
-  async callModel(model, prompt, projectPath) {
+  async callModel(model, prompt, projectPath, signal = null) {
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       const timeout = setTimeout(() => {
         reject(new Error(`Fact check timeout after ${this.timeout}ms`));
       }, this.timeout);
 
-      const child = spawn(model.wrapper, [], {
+      const child = spawn(model.wrapper, model.wrapperArgs || [], processGroupOptions({
         cwd: projectPath,
         stdio: ['pipe', 'pipe', 'pipe']
+      }));
+
+      killOnAbort(child, signal, (reason) => {
+        clearTimeout(timeout);
+        reject(reason);
       });
 
       let output = '';
@@ -0,0 +1,320 @@
+/**
+ * Debate Workflow Definitions
+ *
+ * A workflow is a JSON document naming the phases of a debate in order, the
+ * models taking part in each and their prompts, so formats other than the
+ * built-in propose/improve/synthesize pipeline can be run (red team against
+ * blue team, a panel with a judge, ...):
+ *
+ *   {
+ *     "name": "panel-with-judge",
+ *     "description": "Three panelists answer, a judge picks the best",
+ *     "phases": [
+ *       { "id": "panel", "type": "propose", "models": ["k1", "k2", "k3"] },
+ *       { "id": "verdict", "type": "judge", "models": ["k9"], "input": ["panel"] }
+ *     ]
+ *   }
+ *
+ * Prompts are templates. {{question}} is the question, {{input}} the outputs of
+ * the phase's `input` phases (by default the previous phase), {{<phase>}} the
+ * outputs of an earlier phase, {{<phase>.winner}} and {{<phase>.winning}} the
+ * alias and output picked by a vote or judge phase, {{own.<phase>}} the calling
+ * model's own output in an earlier phase and {{own}} its latest output.
+ *
+ * Built-in workflows live in config/workflows/; projects add their own in
+ * `.debate-workflows/` (a project workflow overrides a built-in of the same name).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_WORKFLOWS_DIR = path.join(__dirname, '..', '..', 'config', 'workflows');
+export const PROJECT_WORKFLOWS_DIR = '.debate-workflows';
+
+export const PHASE_TYPES = ['propose', 'critique', 'rebut', 'vote', 'judge', 'synthesize', 'verify', 'fact-check'];
+
+// Phases that pick one of their input phase's outputs
+export const VERDICT_PHASES = ['vote', 'judge'];
+
+const MAX_PHASES = 20;
+const MAX_MODELS_PER_PHASE = 10;
+const MAX_PROMPT_LENGTH = 10000;
+
+const ID_PATTERN = /^[A-Za-z][\w-]*$/;
+const NAME_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+export const DEFAULT_PROMPTS = {
+  propose: `Answer this question using your expertise:
+
+{{question}}
+
+Provide a complete, actionable solution.`,
+  critique: `QUESTION: {{question}}
+
+Critically review these answers. Find flaws, risks, missing cases and wrong assumptions, and say how serious each is:
+
+{{input}}`,
+  rebut: `QUESTION: {{question}}
+
+YOUR ANSWER:
+{{own}}
+
+CRITIQUES:
+{{input}}
+
+Respond to the critiques: concede the valid points, refute the invalid ones, and give your revised answer.`,
+  vote: `QUESTION: {{question}}
+
+Vote for the best of these answers:
+
+{{input}}
+
+Explain your choice briefly, then end with a line "VOTE: <alias>" naming the answer you vote for.`,
+  judge: `QUESTION: {{question}}
+
+You are the judge. Weigh these answers on correctness, completeness and practicality:
+
+{{input}}
+
+Give your reasoning, then end with a line "WINNER: <alias>" naming the best answer.`,
+  synthesize: `QUESTION: {{question}}
+
+Combine the following into one final answer. Keep what is correct and well supported, resolve the disagreements and drop what was refuted:
+
+{{input}}`,
+  verify: `QUESTION: {{question}}
+
+Verify this answer. Check the reasoning, the code and the edge cases, and list every problem you find with its severity:
+
+{{input}}`,
+  'fact-check': `QUESTION: {{question}}
+
+Fact-check the claims in this answer: APIs, versions, behaviour, numbers. Mark each claim as correct, incorrect or unverifiable, with a short explanation:
+
+{{input}}`
+};
+
+export class WorkflowValidationError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n${errors.map(e => `- ${e}`).join('\n')}` : message);
+    this.name = 'WorkflowValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Template references of a prompt, e.g. ['question', 'panel.winner']
+ */
+export function templateReferences(prompt) {
+  return Array.from(prompt.matchAll(TEMPLATE_PATTERN), match => match[1]);
+}
+
+function checkReference(reference, earlier, verdicts) {
+  if (reference === 'question' || reference === 'input' || reference === 'own') {
+    return null;
+  }
+
+  const [first, second, ...rest] = reference.split('.');
+  if (first === 'own') {
+    return second && !rest.length && earlier.has(second) ? null : `unknown phase in {{${reference}}}`;
+  }
+  if (!earlier.has(first) || rest.length > 0) {
+    return `{{${reference}}} does not name an earlier phase`;
+  }
+  if (second && !(['winner', 'winning'].includes(second) && verdicts.has(first))) {
+    return `{{${reference}}}: only vote and judge phases have .winner and .winning`;
+  }
+  return null;
+}
+
+/**
+ * Validate a workflow definition against the available model aliases.
+ * Returns the workflow with defaults filled in (prompt, input); throws a
+ * WorkflowValidationError listing every problem.
+ */
+export function validateWorkflow(definition, aliases) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new WorkflowValidationError('Workflow definition must be a JSON object');
+  }
+  if (typeof definition.name !== 'string' || !NAME_PATTERN.test(definition.name)) {
+    errors.push('name: required, letters, digits, "-" and "_" only');
+  }
+  if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+    throw new WorkflowValidationError('Invalid workflow', [...errors, 'phases: at least one phase is required']);
+  }
+  if (definition.phases.length > MAX_PHASES) {
+    errors.push(`phases: at most ${MAX_PHASES} phases`);
+  }
+
+  const known = new Set(aliases);
+  const earlier = new Set();
+  const verdicts = new Set();
+
+  const phases = definition.phases.map((phase, index) => {
+    const at = `phases[${index}]${phase?.id ? ` (${phase.id})` : ''}`;
+    if (!phase || typeof phase !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return phase;
+    }
+
+    if (typeof phase.id !== 'string' || !ID_PATTERN.test(phase.id)) {
+      errors.push(`${at}.id: required, a letter followed by letters, digits, "-" or "_"`);
+    } else if (earlier.has(phase.id) || ['question', 'input', 'own'].includes(phase.id)) {
+      errors.push(`${at}.id: "${phase.id}" is already used`);
+    }
+
+    if (!PHASE_TYPES.includes(phase.type)) {
+      errors.push(`${at}.type: must be one of ${PHASE_TYPES.join(', ')}`);
+    }
+
+    if (!Array.isArray(phase.models) || phase.models.length === 0) {
+      errors.push(`${at}.models: at least one model alias is required`);
+    } else {
+      if (phase.models.length > MAX_MODELS_PER_PHASE) {
+        errors.push(`${at}.models: at most ${MAX_MODELS_PER_PHASE} models`);
+      }
+      if (new Set(phase.models).size !== phase.models.length) {
+        errors.push(`${at}.models: a model may only appear once per phase`);
+      }
+      const unknown = phase.models.filter(alias => !known.has(alias));
+      if (unknown.length > 0) {
+        errors.push(`${at}.models: unknown model ${unknown.join(', ')} (available: ${aliases.join(', ')})`);
+      }
+    }
+
+    const previous = index > 0 ? definition.phases[index - 1]?.id : null;
+    const input = phase.input ?? (previous ? [previous] : []);
+    if (!Array.isArray(input) || input.some(id => !earlier.has(id))) {
+      errors.push(`${at}.input: must list earlier phases`);
+    }
+    if (VERDICT_PHASES.includes(phase.type) && (!Array.isArray(input) || input.length !== 1)) {
+      errors.push(`${at}.input: a ${phase.type} phase picks from exactly one earlier phase`);
+    }
+
+    const prompt = phase.prompt ?? DEFAULT_PROMPTS[phase.type];
+    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+      errors.push(`${at}.prompt: must be a non-empty string`);
+    } else if (prompt.length > MAX_PROMPT_LENGTH) {
+      errors.push(`${at}.prompt: at most ${MAX_PROMPT_LENGTH} characters`);
+    } else {
+      for (const reference of templateReferences(prompt)) {
+        const problem = checkReference(reference, earlier, verdicts);
+        if (problem) errors.push(`${at}.prompt: ${problem}`);
+      }
+      if (phase.prompt === undefined && input.length === 0 && phase.type !== 'propose') {
+        errors.push(`${at}: the default ${phase.type} prompt needs an input phase`);
+      }
+    }
+
+    if (typeof phase.id === 'string') {
+      earlier.add(phase.id);
+      if (VERDICT_PHASES.includes(phase.type)) verdicts.add(phase.id);
+    }
+
+    return { ...phase, input, prompt };
+  });
+
+  if (errors.length > 0) {
+    throw new WorkflowValidationError(`Invalid workflow "${definition.name}"`, errors);
+  }
+
+  return {
+    name: definition.name,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    phases
+  };
+}
+
+/**
+ * Parse a workflow given as a JSON string (or already parsed)
+ */
+export function parseWorkflow(source) {
+  if (typeof source !== 'string') {
+    return source;
+  }
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    throw new WorkflowValidationError(`Workflow definition is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * One alias per model call the workflow makes, for pricing it
+ */
+export function workflowCalls(workflow) {
+  return workflow.phases.flatMap(phase => phase.models);
+}
+
+/**
+ * Built-in and project workflows, by name
+ */
+export class WorkflowLibrary {
+  constructor(options = {}) {
+    this.builtinDir = options.builtinDir || DEFAULT_WORKFLOWS_DIR;
+  }
+
+  /**
+   * Workflows available to a project: [{ name, description, source }]
+   */
+  async list(projectPath = null) {
+    const workflows = new Map();
+    for (const [source, dir] of this.directories(projectPath)) {
+      for (const file of await this.jsonFiles(dir)) {
+        const name = path.basename(file, '.json');
+        if (workflows.has(name)) continue;
+        try {
+          const definition = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+          workflows.set(name, { name, description: definition.description || '', source });
+        } catch (error) {
+          workflows.set(name, { name, description: `Unreadable: ${error.message}`, source });
+        }
+      }
+    }
+    return Array.from(workflows.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * The definition of a named workflow, from the project first
+   */
+  async load(name, projectPath = null) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid workflow name "${name}"`);
+    }
+
+    for (const [, dir] of this.directories(projectPath)) {
+      try {
+        return parseWorkflow(await fs.readFile(path.join(dir, `${name}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const available = (await this.list(projectPath)).map(w => w.name);
+    throw new Error(`Unknown workflow "${name}". Available: ${available.join(', ') || 'none'}`);
+  }
+
+  directories(projectPath) {
+    const dirs = [];
+    if (projectPath) {
+      dirs.push(['project', path.join(projectPath, PROJECT_WORKFLOWS_DIR)]);
+    }
+    dirs.push(['built-in', this.builtinDir]);
+    return dirs;
+  }
+
+  async jsonFiles(dir) {
+    try {
+      return (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Debate Workflow Runner
+ *
+ * Runs a validated workflow (see workflow-definition.js) phase by phase. The
+ * models of a phase answer in parallel; each phase's outputs, by model alias,
+ * feed the prompts of the phases after it. Vote and judge phases pick one of
+ * their input phase's outputs from the "VOTE:" / "WINNER:" lines of the replies.
+ */
+
+import { VERDICT_PHASES } from './workflow-definition.js';
+
+const VERDICT_PATTERN = /^\s*\**\s*(?:VOTE|WINNER)\s*\**\s*:\s*\**\s*([\w.-]+)/gim;
+
+// Outputs quoted in later prompts are cut to keep those prompts bounded
+const MAX_QUOTED_LENGTH = 6000;
+
+function quote(outputs, label) {
+  return Object.entries(outputs)
+    .map(([alias, text]) => `### ${label ? `${label} / ` : ''}${alias}\n${String(text).substring(0, MAX_QUOTED_LENGTH)}`)
+    .join('\n\n');
+}
+
+/**
+ * The candidate named by the last VOTE:/WINNER: line of a reply, or null
+ */
+export function parseVerdict(reply, candidates) {
+  const named = Array.from(String(reply || '').matchAll(VERDICT_PATTERN), match => match[1].toLowerCase());
+  for (const name of named.reverse()) {
+    const candidate = candidates.find(alias => alias.toLowerCase() === name);
+    if (candidate) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Count the votes; ties go to the candidate listed first
+ */
+export function tallyVotes(votes, candidates) {
+  const tally = Object.fromEntries(candidates.map(alias => [alias, 0]));
+  for (const vote of Object.values(votes)) {
+    if (vote) tally[vote]++;
+  }
+  const winner = candidates.reduce((best, alias) => (tally[alias] > tally[best] ? alias : best), candidates[0]);
+  return { winner: tally[winner] > 0 ? winner : null, tally };
+}
+
+export class WorkflowRunner {
+  /**
+   * @param {Object} options
+   * @param {Function} options.ask - (alias, prompt) => reply text, or null when the model failed
+   * @param {AbortSignal} [options.signal] - Stops the run between phases
+   * @param {Function} [options.onPhase] - (phase, index, total) called as each phase starts
+   */
+  constructor({ ask, signal = null, onPhase = null }) {
+    this.ask = ask;
+    this.signal = signal;
+    this.onPhase = onPhase;
+    this.results = [];
+  }
+
+  /**
+   * Run a validated workflow. Returns { workflow, question, phases, solution }
+   * where phases are [{ id, type, outputs, failed }], verdict phases adding
+   * { from, votes, tally, winner }.
+   */
+  async run(workflow, question) {
+    this.results = [];
+
+    for (let index = 0; index < workflow.phases.length; index++) {
+      const phase = workflow.phases[index];
+      this.onPhase?.(phase, index, workflow.phases.length);
+      this.results.push(await this.runPhase(phase, question));
+      this.signal?.throwIfAborted();
+    }
+
+    return {
+      workflow: workflow.name,
+      question,
+      phases: this.results,
+      solution: this.summarize(workflow)
+    };
+  }
+
+  async runPhase(phase, question) {
+    const settled = await Promise.allSettled(
+      phase.models.map(alias => this.ask(alias, this.render(phase, alias, question)))
+    );
+
+    const outputs = {};
+    const failed = [];
+    settled.forEach((result, i) => {
+      const alias = phase.models[i];
+      if (result.status === 'fulfilled' && result.value) {
+        outputs[alias] = result.value;
+      } else {
+        failed.push(alias);
+      }
+    });
+
+    if (Object.keys(outputs).length === 0) {
+      this.signal?.throwIfAborted();
+      throw new Error(`Workflow phase "${phase.id}" failed: no model responded`);
+    }
+
+    const result = { id: phase.id, type: phase.type, outputs, failed };
+    if (VERDICT_PHASES.includes(phase.type)) {
+      const candidates = Object.keys(this.phase(phase.input[0]).outputs);
+      const votes = Object.fromEntries(
+        Object.entries(outputs).map(([alias, reply]) => [alias, parseVerdict(reply, candidates)])
+      );
+      Object.assign(result, { from: phase.input[0], votes, ...tallyVotes(votes, candidates) });
+    }
+    return result;
+  }
+
+  /**
+   * Fill a phase's prompt template for one model
+   */
+  render(phase, alias, question) {
+    const input = phase.input.length === 1
+      ? quote(this.phase(phase.input[0]).outputs)
+      : phase.input.map(id => quote(this.phase(id).outputs, id)).join('\n\n');
+
+    return phase.prompt.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, reference) => {
+      if (reference === 'question') return question;
+      if (reference === 'input') return input;
+      if (reference === 'own') return this.ownLatest(alias);
+
+      const [first, second] = reference.split('.');
+      if (first === 'own') return this.phase(second).outputs[alias] || '';
+
+      const earlier = this.phase(first);
+      if (second === 'winner') return earlier.winner || '';
+      if (second === 'winning') return earlier.winner ? this.phase(earlier.from).outputs[earlier.winner] : '';
+      return quote(earlier.outputs);
+    });
+  }
+
+  phase(id) {
+    return this.results.find(result => result.id === id);
+  }
+
+  ownLatest(alias) {
+    for (let i = this.results.length - 1; i >= 0; i--) {
+      if (this.results[i].outputs[alias]) return this.results[i].outputs[alias];
+    }
+    return '';
+  }
+
+  /**
+   * The workflow's answer: the last phase's output (for a verdict, the winning
+   * candidate and the verdicts) and what each phase did
+   */
+  summarize(workflow) {
+    const last = this.results[this.results.length - 1];
+    let solution = `# ${workflow.name} Result\n\n`;
+
+    if (VERDICT_PHASES.includes(last.type)) {
+      const candidates = this.phase(last.from);
+      if (last.winner) {
+        solution += `**Winner:** ${last.winner} (${last.tally[last.winner]} of ${Object.keys(last.outputs).length} ${last.type === 'vote' ? 'votes' : 'judges'})\n\n`;
+        solution += `${candidates.outputs[last.winner]}\n\n`;
+      } else {
+        solution += `**No winner:** no ${last.type === 'vote' ? 'vote' : 'verdict'} named a candidate\n\n`;
+      }
+      solution += `## ${last.type === 'vote' ? 'Votes' : 'Verdict'}\n\n${quote(last.outputs)}\n\n`;
+    } else {
+      solution += `${Object.values(last.outputs).join('\n\n---\n\n')}\n\n`;
+    }
+
+    solution += `## Phases\n\n`;
+    for (const result of this.results) {
+      const models = Object.keys(result.outputs).join(', ');
+      const failed = result.failed.length > 0 ? `, failed: ${result.failed.join(', ')}` : '';
+      const winner = result.winner ? `, winner: ${result.winner}` : '';
+      solution += `- **${result.id}** (${result.type}): ${models}${failed}${winner}\n`;
+    }
+
+    return solution;
+  }
+
+  /**
+   * Outputs so far by "phase/alias", kept when a run is cancelled
+   */
+  partialResponses() {
+    const responses = {};
+    for (const result of this.results) {
+      for (const [alias, text] of Object.entries(result.outputs)) {
+        responses[`${result.id}/${alias}`] = text;
+      }
+    }
+    return responses;
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Quality Preset Tools Integration Tests
+ * Drives debate_with_preset, list_presets, analyze_question_for_preset and
+ * estimate_preset_cost through the MCP server's tools/list and tools/call handlers
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+// No model CLIs in tests: the Gemini coordinator falls back to keyword analysis
+jest.unstable_mockModule('child_process', () => ({
+  spawn: jest.fn(),
+  exec: jest.fn(),
+  execFile: jest.fn(),
+  execSync: jest.fn()
+}));
+
+// Keep the request handlers the server registers, by request method
+jest.unstable_mockModule('@modelcontextprotocol/sdk/server/index.js', () => ({
+  Server: class {
+    constructor() {
+      this.handlers = {};
+    }
+
+    setRequestHandler(schema, handler) {
+      this.handlers[schema.method] = handler;
+    }
+
+    async connect() {}
+  }
+}));
+
+jest.unstable_mockModule('@modelcontextprotocol/sdk/server/stdio.js', () => ({
+  StdioServerTransport: class {}
+}));
+
+jest.unstable_mockModule('@modelcontextprotocol/sdk/types.js', () => ({
+  ListToolsRequestSchema: { method: 'tools/list' },
+  CallToolRequestSchema: { method: 'tools/call' }
+}));
+
+const { DebateConsensusMCP } = await import('../../index.js');
+const { DebateCancelledError } = await import('../../src/active-debates.js');
+
+const debateResult = (overrides = {}) => ({
+  winner: 'Grok 4 Fast',
+  score: 0.82,
+  contributors: ['k5-1', 'k5-2', 'k5-3'],
+  solution: 'Use a read-through cache.',
+  improvementRounds: 1,
+  verification: { enabled: false },
+  ...overrides
+});
+
+describe('Quality preset tools', () => {
+  let mcp;
+  let tempDir;
+
+  const callTool = async (name, args) => {
+    const response = await mcp.server.handlers['tools/call']({ params: { name, arguments: args } });
+    return response.content[0].text;
+  };
+
+  beforeEach(async () => {
+    // Keep the developer's own presets out of the tests
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preset-tools-'));
+    process.env.DEBATE_PRESETS_FILE = path.join(tempDir, 'user-presets.json');
+
+    mcp = new DebateConsensusMCP();
+    mcp.ensureProxyServerRunning = jest.fn().mockResolvedValue();
+    await mcp.initialize();
+
+    mcp.debate.initialize = jest.fn().mockResolvedValue();
+    mcp.debate.runDebate = jest.fn().mockResolvedValue(debateResult());
+    mcp.history.save = jest.fn().mockResolvedValue('history-1');
+    // No performance database in tests: estimates come from pricing and defaults
+    mcp.debate.performanceTracker.getUsageSamples = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.DEBATE_PRESETS_FILE;
+  });
+
+  test('should list the four preset tools', async () => {
+    const { tools } = await mcp.server.handlers['tools/list']();
+    const presetTools = tools.filter(tool =>
+      ['debate_with_preset', 'list_presets', 'analyze_question_for_preset', 'estimate_preset_cost'].includes(tool.name));
+
+    expect(presetTools).toHaveLength(4);
+    expect(presetTools[0].inputSchema.properties.preset.description).toContain('a custom preset from .debate-presets.json');
+  });
+
+  describe('debate_with_preset', () => {
+    test('should run rapid as three k5 instances, one round and no verification', async () => {
+      const text = await callTool('debate_with_preset', { question: 'Which cache should we use?', preset: 'rapid' });
+
+      expect(mcp.debate.runDebate).toHaveBeenCalledWith(
+        'Which cache should we use?',
+        process.cwd(),
+        'k5:3',
+        {
+          iterations: 1,
+          consensusThreshold: 70,
+          forceVerification: false,
+          skipVerification: true,
+          timeoutMinutes: 5,
+          promptAddendum: undefined,
+          maxCost: undefined,
+          responseFormat: undefined
+        }
+      );
+      expect(text).toContain('**Preset:** Rapid Response (rapid)');
+      expect(text).toContain('**Improvement Rounds:** 1 of up to 1 (stops at 70% agreement)');
+      expect(text).toContain('**Verification:** Skipped');
+      expect(text).toContain('timeout: 5 min');
+      expect(mcp.history.save).toHaveBeenCalledWith(expect.objectContaining({ type: 'preset', winner: 'Grok 4 Fast' }));
+    });
+
+    test('should run maximum-accuracy with five rounds and verification', async () => {
+      mcp.debate.runDebate.mockResolvedValue(debateResult({
+        improvementRounds: 3,
+        verification: { enabled: true }
+      }));
+
+      const text = await callTool('debate_with_preset', { question: 'Is this migration safe?', preset: 'maximum-accuracy' });
+
+      expect(mcp.debate.runDebate).toHaveBeenCalledWith(
+        'Is this migration safe?',
+        process.cwd(),
+        'k1:2,k2:2,k3,k4,k5',
+        expect.objectContaining({
+          iterations: 5,
+          consensusThreshold: 95,
+          forceVerification: true,
+          skipVerification: false,
+          timeoutMinutes: 30
+        })
+      );
+      expect(text).toContain('**Improvement Rounds:** 3 of up to 5 (stops at 95% agreement)');
+      expect(text).toContain('**Verification:** Performed');
+    });
+
+    test('should apply overrides and pass budgets on', async () => {
+      await callTool('debate_with_preset', {
+        question: 'Which cache should we use?',
+        preset: 'balanced',
+        overrides: { models: ['k1', 'k2'], iterations: 2, verification: true, timeoutMinutes: 8 },
+        maxCost: 0.5,
+        responseFormat: 'structured'
+      });
+
+      expect(mcp.debate.runDebate).toHaveBeenCalledWith(
+        'Which cache should we use?',
+        process.cwd(),
+        'k1,k2',
+        expect.objectContaining({
+          iterations: 2,
+          forceVerification: true,
+          timeoutMinutes: 8,
+          maxCost: 0.5,
+          responseFormat: 'structured'
+        })
+      );
+    });
+
+    test('should run the project\'s custom presets', async () => {
+      fs.writeFileSync(path.join(tempDir, '.debate-presets.json'), JSON.stringify({
+        'our-stack-review': {
+          name: 'Our Stack Review',
+          models: ['k1', 'k2', 'k8'],
+          verification: true,
+          consensusThreshold: 85,
+          bestFor: ['code-review'],
+          promptAddendum: 'We deploy on Kubernetes.'
+        }
+      }));
+
+      const text = await callTool('debate_with_preset', {
+        question: 'Which cache should we use?',
+        preset: 'our-stack-review',
+        projectPath: tempDir
+      });
+
+      expect(mcp.debate.runDebate).toHaveBeenCalledWith('Which cache should we use?', tempDir, 'k1,k2,k8', expect.objectContaining({
+        iterations: 1,
+        consensusThreshold: 85,
+        forceVerification: true,
+        promptAddendum: 'We deploy on Kubernetes.'
+      }));
+      expect(text).toContain('**Preset:** Our Stack Review (our-stack-review)');
+      expect(await callTool('list_presets', { projectPath: tempDir })).toContain('Our Stack Review');
+    });
+
+    test('should report invalid custom presets', async () => {
+      fs.writeFileSync(process.env.DEBATE_PRESETS_FILE, JSON.stringify({ broken: { models: ['k42'] } }));
+
+      const text = await callTool('debate_with_preset', { question: 'Which cache should we use?', preset: 'rapid' });
+
+      expect(text).toContain('Error running preset debate: Preset broken uses unknown model k42');
+      expect(mcp.debate.runDebate).not.toHaveBeenCalled();
+    });
+
+    test('should leave the shared debate settings alone', async () => {
+      const { timeout, useIntelligentSelection } = mcp.debate;
+
+      await callTool('debate_with_preset', { question: 'Which cache should we use?', preset: 'security-focused' });
+
+      expect(mcp.debate.timeout).toBe(timeout);
+      expect(mcp.debate.useIntelligentSelection).toBe(useIntelligentSelection);
+    });
+
+    test('should refuse unknown presets', async () => {
+      const text = await callTool('debate_with_preset', { question: 'Which cache should we use?', preset: 'turbo' });
+
+      expect(text).toMatch(/^Error running preset debate: Unknown preset: turbo\. Use one of: rapid, cost-optimized, balanced/);
+      expect(mcp.debate.runDebate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse invalid budgets before debating', async () => {
+      const text = await callTool('debate_with_preset', { question: 'Which cache should we use?', preset: 'rapid', maxCost: -1 });
+
+      expect(text).toMatch(/^Error running preset debate: /);
+      expect(mcp.debate.runDebate).not.toHaveBeenCalled();
+    });
+
+    test('should report timeouts with the resume hint', async () => {
+      const timeout = new Error('Debate d-7 timed out after 5 minutes');
+      timeout.resumeDebateId = 'd-7';
+      mcp.debate.runDebate.mockRejectedValue(timeout);
+
+      const text = await callTool('debate_with_preset', { question: 'Which cache should we use?', preset: 'rapid' });
+
+      expect(text).toContain('Error running preset debate: Debate d-7 timed out after 5 minutes');
+      expect(text).toContain('resume_debate (debateId: d-7)');
+    });
+
+    test('should save what a cancelled debate produced', async () => {
+      mcp.debate.runDebate.mockRejectedValue(new DebateCancelledError('d-8', { proposals: { k5: 'Redis' } }));
+
+      const text = await callTool('debate_with_preset', { question: 'Which cache should we use?', preset: 'rapid' });
+
+      expect(text).toContain('🛑 Debate cancelled');
+      expect(text).toContain('**Responses kept:** k5');
+      expect(mcp.history.save).toHaveBeenCalledWith(expect.objectContaining({ type: 'preset', status: 'cancelled', debateId: 'd-8' }));
+    });
+  });
+
+  test('list_presets should describe every preset', async () => {
+    const text = await callTool('list_presets', { detailed: true });
+
+    expect(text).toContain('Rapid Response');
+    expect(text).toContain('Security Focused');
+    expect(text).toMatch(/⏱️ {2}Time: \d+m-\d+m \(p50-p90, timeout 5 min\)/);
+  });
+
+  test('estimate_preset_cost should price a preset from pricing and recorded usage', async () => {
+    const [grok] = mcp.debate.budgetManager.registry.list().filter(model => model.alias === 'k5');
+    mcp.debate.performanceTracker.getUsageSamples.mockResolvedValue([30, 40, 50].map(seconds => ({
+      model: grok.name,
+      category: 'tech/programming',
+      responseTimeSeconds: seconds,
+      tokensUsed: null
+    })));
+    mcp.debate.performanceTracker.categorizeQuestion = jest.fn().mockReturnValue('tech/programming');
+
+    const text = await callTool('estimate_preset_cost', { preset: 'balanced', question: 'Why is this query slow?' });
+
+    expect(text).toContain('**Preset:** Balanced (balanced)');
+    expect(text).toContain('**Category:** tech/programming');
+    expect(text).toMatch(/- Cost: \$\d+\.\d+ \(p50\), \$\d+\.\d+ \(p90\)/);
+    expect(text).toContain('**Model Calls (up to 13):**');
+    expect(text).toContain('- k5: time from 3 recorded calls in tech/programming, tokens from defaults');
+  });
+
+  test('estimate_preset_cost should warn when the p90 time exceeds the timeout', async () => {
+    const text = await callTool('estimate_preset_cost', { preset: 'cost-optimized' });
+
+    expect(text).toContain('**Category:** any (no question given)');
+    expect(text).toContain('The p90 time exceeds the 3 minute timeout');
+  });
+
+  test('analyze_question_for_preset should pick security-focused for security questions', async () => {
+    const text = await callTool('analyze_question_for_preset', {
+      question: 'How do we stop XSS in our comment form?'
+    });
+
+    expect(text).toContain('security-focused');
+    expect(mcp.debate.runDebate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for debate cancellation
+ * Tests the active debate registry and killing wrapper process trees
+ */
+
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { ActiveDebates, DebateCancelledError } from '../../src/active-debates.js';
+import { processGroupOptions, killOnAbort } from '../../src/utils/process-tree.js';
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+
+  // A killed orphan stays a zombie until init reaps it
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf8').match(/\) (\w)/)[1] !== 'Z';
+  } catch (error) {
+    return true;
+  }
+}
+
+describe('ActiveDebates', () => {
+  let activeDebates;
+
+  beforeEach(() => {
+    activeDebates = new ActiveDebates();
+  });
+
+  test('should list running debates', () => {
+    activeDebates.start('d-1', { type: 'debate', question: 'Q1', projectPath: '/work' });
+    activeDebates.start('d-2', { type: 'iterative', question: 'Q2', projectPath: '/work' });
+    activeDebates.finish('d-1');
+
+    expect(activeDebates.list()).toEqual([
+      expect.objectContaining({ debateId: 'd-2', type: 'iterative', question: 'Q2', cancelling: false })
+    ]);
+  });
+
+  test('should abort a debate with a DebateCancelledError', () => {
+    const controller = activeDebates.start('d-1', { type: 'debate', question: 'Q' });
+
+    expect(activeDebates.cancel('d-1')).toBe(true);
+
+    expect(controller.signal.aborted).toBe(true);
+    expect(controller.signal.reason).toBeInstanceOf(DebateCancelledError);
+    expect(controller.signal.reason.debateId).toBe('d-1');
+    expect(activeDebates.list()[0].cancelling).toBe(true);
+  });
+
+  test('should report unknown debates', () => {
+    expect(activeDebates.cancel('missing')).toBe(false);
+  });
+
+  test('should refuse a debate ID that is already running', () => {
+    activeDebates.start('d-1');
+
+    expect(() => activeDebates.start('d-1')).toThrow('already running');
+  });
+
+  test('should cancel every debate', () => {
+    const first = activeDebates.start('d-1');
+    const second = activeDebates.start('d-2');
+
+    activeDebates.cancelAll();
+
+    expect(first.signal.aborted && second.signal.aborted).toBe(true);
+  });
+});
+
+describe('killOnAbort', () => {
+  test('should kill the whole process tree', async () => {
+    // The shell stands in for a wrapper script; sleep for the CLI it starts
+    const child = spawn('sh', ['-c', 'sleep 30 & echo $!; wait'], processGroupOptions({
+      stdio: ['ignore', 'pipe', 'ignore']
+    }));
+    const grandchildPid = await new Promise(resolve => {
+      child.stdout.once('data', data => resolve(parseInt(data.toString())));
+    });
+
+    const controller = new AbortController();
+    const aborted = new Promise(resolve => killOnAbort(child, controller.signal, resolve));
+    const closed = new Promise(resolve => child.once('close', resolve));
+
+    controller.abort(new Error('cancelled'));
+
+    expect((await aborted).message).toBe('cancelled');
+    await closed;
+    // Give the kernel a moment to reap the grandchild
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(isRunning(grandchildPid)).toBe(false);
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * Unit tests for debate budgets
+ * Tests budget config validation, limit resolution, pre-debate planning, spend tracking and the abort guard
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import {
+  BudgetManager,
+  BudgetExceededError,
+  validateBudgetConfig
+} from '../../src/budget/budget-manager.js';
+
+const MODELS = [
+  { alias: 'k1', pricing: { input: 3, output: 15 } },
+  { alias: 'k2', pricing: { input: 1.25, output: 10 } },
+  { alias: 'k5', pricing: { input: 0.2, output: 0.5 } },
+  { alias: 'k8', pricing: { input: 0.6, output: 2.2 } },
+  { alias: 'k7' }
+];
+
+// Just enough of the model registry for budget estimates
+const registry = {
+  get: alias => MODELS.find(m => m.alias === alias),
+  list: () => MODELS,
+  getDebateModels: () => MODELS.map(m => ({ alias: m.alias }))
+};
+
+describe('BudgetManager', () => {
+  let tempDir;
+  let now;
+
+  function createManager(config = {}, options = {}) {
+    const configPath = path.join(tempDir, 'budgets.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return new BudgetManager({
+      configPath,
+      spendPath: path.join(tempDir, 'spend.json'),
+      registry,
+      now: () => now,
+      ...options
+    });
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-test-'));
+    now = new Date('2026-03-10T12:00:00Z');
+    delete process.env.BUDGET_PER_DEBATE_USD;
+    delete process.env.BUDGET_PER_DAY_USD;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.BUDGET_PER_DEBATE_USD;
+    delete process.env.BUDGET_PER_DAY_USD;
+  });
+
+  describe('configuration', () => {
+    test('should default to no limits', () => {
+      const manager = createManager();
+
+      expect(manager.config.limits).toEqual({ perDebate: null, perDay: null });
+      expect(manager.debateCap('/work/app')).toBeNull();
+    });
+
+    test('should report every invalid setting', () => {
+      expect(() => validateBudgetConfig({
+        limits: { perDebate: -1 },
+        projects: { 'relative/path': { perWeek: 5 } },
+        degradePreset: 'free'
+      })).toThrow(/limits.perDebate.*project paths must be absolute.*perWeek is not a known limit.*degradePreset "free"/);
+    });
+
+    test('should let environment variables override the file', () => {
+      process.env.BUDGET_PER_DAY_USD = '25';
+
+      const manager = createManager({ limits: { perDay: 100 } });
+
+      expect(manager.config.limits.perDay).toBe(25);
+    });
+  });
+
+  describe('limits', () => {
+    test('should apply the tightest of per-call, per-debate and project limits', () => {
+      const manager = createManager({
+        limits: { perDebate: 2 },
+        projects: {
+          '/work': { perDebate: 1.5 },
+          '/work/app': { perDebate: 0.75 }
+        }
+      });
+
+      expect(manager.debateCap('/work/app/src')).toBe(0.75);
+      expect(manager.debateCap('/work/other')).toBe(1.5);
+      expect(manager.debateCap('/elsewhere')).toBe(2);
+      expect(manager.debateCap('/work/application')).toBe(1.5);
+      expect(manager.debateCap('/elsewhere', 0.5)).toBe(0.5);
+    });
+
+    test('should leave debates only what remains of the daily budgets', async () => {
+      const manager = createManager({
+        limits: { perDay: 10 },
+        projects: { '/work/app': { perDay: 3 } }
+      });
+
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work/app', cost: 2.5 });
+      await manager.recordSpend({ debateId: 'd-2', projectPath: '/work/lib', cost: 4 });
+
+      expect(manager.debateCap('/work/app')).toBeCloseTo(0.5);
+      expect(manager.debateCap('/work/lib')).toBeCloseTo(3.5);
+    });
+
+    test('should start each calendar day with a fresh daily budget', async () => {
+      const manager = createManager({ limits: { perDay: 5 } });
+
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 5 });
+      now = new Date('2026-03-11T00:30:00Z');
+
+      expect(manager.debateCap('/work')).toBe(5);
+    });
+
+    test('should persist spend across instances', async () => {
+      await createManager({ limits: { perDay: 5 } })
+        .recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 1.25 });
+
+      const manager = createManager({ limits: { perDay: 5 } });
+
+      expect(manager.spentToday('/work').total).toBe(1.25);
+      expect(manager.debateCap('/work')).toBe(3.75);
+    });
+
+    test('should add to the spend other processes recorded since', async () => {
+      const first = createManager({ limits: { perDay: 5 } });
+      const second = createManager({ limits: { perDay: 5 } });
+
+      await Promise.all([
+        first.recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 1 }),
+        second.recordSpend({ debateId: 'd-2', projectPath: '/work', cost: 2 }),
+        first.recordSpend({ debateId: 'd-3', projectPath: '/work', cost: 0.5 })
+      ]);
+
+      expect(first.spentToday('/work').total).toBe(3.5);
+      expect(second.debateCap('/work')).toBe(1.5);
+      expect(fs.readdirSync(tempDir).sort()).toEqual(['budgets.json', 'spend.json']);
+    });
+
+    test('should keep the spend last read when the spend file is unreadable', async () => {
+      const manager = createManager({ limits: { perDay: 5 } });
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 2 });
+
+      fs.writeFileSync(path.join(tempDir, 'spend.json'), '{"days": {"2026-03');
+
+      expect(manager.spentToday('/work').total).toBe(2);
+    });
+  });
+
+  describe('estimateCost', () => {
+    test('should price two calls per instance plus the synthesis', () => {
+      const manager = createManager({ estimate: { inputTokensPerCall: 1_000_000, outputTokensPerCall: 0 } });
+
+      // k5 twice at $0.2, k1 twice at $3, one k1 synthesis at $3
+      expect(manager.estimateCost(['k5', 'k1']).cost).toBeCloseTo(9.4);
+    });
+
+    test('should price each further improvement round', () => {
+      const manager = createManager({ estimate: { inputTokensPerCall: 1_000_000, outputTokensPerCall: 0 } });
+
+      // k5 four times at $0.2 (proposal and three rounds), one k1 synthesis at $3
+      expect(manager.estimateCost(['k5'], 3).cost).toBeCloseTo(3.8);
+    });
+
+    test('should list models without pricing', () => {
+      const manager = createManager();
+
+      expect(manager.estimateCost(['k7', 'k5']).unpriced).toEqual(['k7']);
+    });
+  });
+
+  describe('plan', () => {
+    test('should keep the requested models when the estimate fits', () => {
+      const manager = createManager({ limits: { perDebate: 100 } });
+
+      const plan = manager.plan({ projectPath: '/work', modelConfig: 'k1,k2' });
+
+      expect(plan).toMatchObject({ cap: 100, modelConfig: 'k1,k2', degraded: false });
+      expect(plan.estimate).toBeGreaterThan(0);
+    });
+
+    test('should degrade to the preset, topped up to two models', () => {
+      const manager = createManager({ limits: { perDebate: 1 } });
+
+      const plan = manager.plan({ projectPath: '/work', modelConfig: 'k1:3,k2' });
+
+      // cost-optimized only names k5; k8 is the next cheapest priced model
+      expect(plan).toMatchObject({ modelConfig: 'k5,k8', degraded: true });
+      expect(plan.estimate).toBeLessThanOrEqual(1);
+    });
+
+    test('should price auto-selected debates as if every model takes part', () => {
+      const manager = createManager({ limits: { perDebate: 0.5 } });
+
+      expect(manager.plan({ projectPath: '/work' }).degraded).toBe(true);
+    });
+
+    test('should refuse debates that do not fit even when degraded', () => {
+      const manager = createManager({ limits: { perDebate: 0.01 } });
+
+      expect(() => manager.plan({ projectPath: '/work', modelConfig: 'k1,k2' }))
+        .toThrow(BudgetExceededError);
+    });
+
+    test('should refuse debates once the daily budget is spent', async () => {
+      const manager = createManager({ limits: { perDay: 1 } });
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 1 });
+
+      expect(() => manager.plan({ projectPath: '/work', modelConfig: 'k5,k8' }))
+        .toThrow(/Budget exhausted/);
+    });
+
+    test('should not degrade when no degrade preset is configured', () => {
+      const manager = createManager({ limits: { perDebate: 1 }, degradePreset: null });
+
+      expect(() => manager.plan({ projectPath: '/work', modelConfig: 'k1:3,k2' }))
+        .toThrow(/exceeds the \$1.0000 budget/);
+    });
+  });
+
+  describe('planCalls', () => {
+    test('should price each call once', () => {
+      const manager = createManager({
+        limits: { perDebate: 10 },
+        estimate: { inputTokensPerCall: 1_000_000, outputTokensPerCall: 0 }
+      });
+
+      const plan = manager.planCalls({ projectPath: '/work', calls: ['k1', 'k5', 'k5'] });
+
+      expect(plan.cap).toBe(10);
+      expect(plan.estimate).toBeCloseTo(3.4);
+    });
+
+    test('should refuse instead of degrading when over the cap', () => {
+      const manager = createManager({ limits: { perDebate: 1 } });
+
+      expect(() => manager.planCalls({ projectPath: '/work', calls: ['k1', 'k1', 'k1'], maxCost: 0.01 }))
+        .toThrow(/Workflow refused: estimated cost .* exceeds the \$0.0100 budget/);
+    });
+  });
+
+  describe('planResume', () => {
+    test('should keep the checkpointed lineup even when it is over the cap', () => {
+      const manager = createManager({ limits: { perDebate: 0.01 } });
+
+      const plan = manager.planResume({
+        projectPath: '/work',
+        modelConfig: 'k1:3,k2',
+        previous: { estimatedCost: 2, degraded: false }
+      });
+
+      expect(plan).toEqual({ cap: 0.01, estimate: 2, modelConfig: 'k1:3,k2', degraded: false });
+    });
+
+    test('should count what earlier attempts spent against the per-debate limit', async () => {
+      const manager = createManager({ limits: { perDebate: 1, perDay: 10 } });
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 0.6, status: 'failed' });
+
+      const plan = manager.planResume({ projectPath: '/work', previous: { estimatedCost: 0.9, spent: 0.6 } });
+
+      expect(plan.cap).toBeCloseTo(0.4);
+      expect(() => manager.planResume({ projectPath: '/work', previous: { spent: 1 } }))
+        .toThrow(/Budget exhausted/);
+    });
+
+    test('should refuse to resume once the daily budget is spent', async () => {
+      const manager = createManager({ limits: { perDay: 1 } });
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 1 });
+
+      expect(() => manager.planResume({ projectPath: '/work', modelConfig: 'k5,k8' }))
+        .toThrow(/Budget exhausted/);
+    });
+  });
+
+  describe('startGuard', () => {
+    test('should abort the debate when its reported spend reaches the cap', async () => {
+      const fetchUsage = jest.fn()
+        .mockResolvedValueOnce({ cost: 0.4 })
+        .mockResolvedValueOnce({ cost: 1.1 });
+      const manager = createManager({}, { fetchUsage });
+      const controller = new AbortController();
+
+      const guard = manager.startGuard('d-1', 1, controller);
+      guard.stop();
+
+      await guard.check();
+      expect(controller.signal.aborted).toBe(false);
+
+      await guard.check();
+      expect(controller.signal.aborted).toBe(true);
+      expect(controller.signal.reason).toBeInstanceOf(BudgetExceededError);
+      expect(controller.signal.reason).toMatchObject({ limit: 1, spent: 1.1 });
+      expect(fetchUsage).toHaveBeenCalledWith('d-1');
+    });
+
+    test('should not count a resumed debate\'s earlier spend against its cap', async () => {
+      const fetchUsage = jest.fn()
+        .mockResolvedValueOnce({ cost: 1.5 })
+        .mockResolvedValueOnce({ cost: 2.2 });
+      const manager = createManager({}, { fetchUsage });
+      const controller = new AbortController();
+
+      const guard = manager.startGuard('d-1', 1, controller, { spentBefore: 1.2 });
+      guard.stop();
+
+      await guard.check();
+      expect(controller.signal.aborted).toBe(false);
+
+      await guard.check();
+      expect(controller.signal.reason.spent).toBeCloseTo(1);
+    });
+
+    test('should hold running debates\' estimates against the daily budget until their spend is recorded', async () => {
+      const manager = createManager({ limits: { perDay: 5 } }, { fetchUsage: jest.fn().mockResolvedValue(null) });
+
+      manager.startGuard('d-1', 5, new AbortController(), { projectPath: '/work', estimate: 3 }).stop();
+      expect(manager.debateCap('/work')).toBe(2);
+      expect(manager.getStatus().today).toMatchObject({ spent: 0, reserved: 3, remaining: 2 });
+
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work', cost: 1 });
+      expect(manager.debateCap('/work')).toBe(4);
+    });
+
+    test('should lower a running debate\'s cap as other debates spend the daily budget', async () => {
+      const fetchUsage = jest.fn().mockResolvedValue({ cost: 1.5 });
+      const manager = createManager({ limits: { perDay: 5 } }, { fetchUsage });
+      const controller = new AbortController();
+
+      const guard = manager.startGuard('d-1', 5, controller, { projectPath: '/work', estimate: 1 });
+      guard.stop();
+      manager.startGuard('d-2', 4, new AbortController(), { projectPath: '/work', estimate: 3 }).stop();
+
+      await guard.check();
+      expect(controller.signal.aborted).toBe(false);
+      // d-1's spend beyond its estimate is held in its place
+      expect(manager.debateCap('/work', null, 0, 'd-2')).toBeCloseTo(3.5);
+
+      await manager.recordSpend({ debateId: 'd-2', projectPath: '/work', cost: 3.8 });
+      await guard.check();
+      expect(controller.signal.reason).toMatchObject({ spent: 1.5 });
+      expect(controller.signal.reason.limit).toBeCloseTo(1.2);
+    });
+
+    test('should keep running when the proxy reports no usage', async () => {
+      const manager = createManager({}, { fetchUsage: jest.fn().mockResolvedValue(null) });
+      const controller = new AbortController();
+
+      const guard = manager.startGuard('d-1', 1, controller);
+      guard.stop();
+      await guard.check();
+
+      expect(controller.signal.aborted).toBe(false);
+    });
+  });
+
+  describe('getStatus', () => {
+    test('should report limits, spend and recent debates', async () => {
+      const manager = createManager({
+        limits: { perDay: 10 },
+        projects: { '/work/app': { perDebate: 2 } }
+      });
+      await manager.recordSpend({ debateId: 'd-1', projectPath: '/work/app', cost: 1.5, status: 'aborted' });
+
+      const status = manager.getStatus('/work/app');
+
+      expect(status).toMatchObject({
+        date: '2026-03-10',
+        limits: { perDebate: null, perDay: 10 },
+        today: { spent: 1.5, remaining: 8.5 },
+        lastDays: [{ date: '2026-03-10', spent: 1.5 }],
+        project: {
+          configuredPath: '/work/app',
+          limits: { perDebate: 2, perDay: null },
+          spentToday: 1.5,
+          nextDebateCap: 2
+        }
+      });
+      expect(status.recent[0]).toMatchObject({ debateId: 'd-1', cost: 1.5, status: 'aborted' });
+    });
+  });
+});
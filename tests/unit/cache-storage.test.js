@@ -0,0 +1,211 @@
+/**
+ * Unit tests for debate cache storage backends
+ * Runs the same contract against the JSON, sharded file, SQLite and Redis backends
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createCacheStorage,
+  JsonFileStorage,
+  ShardedFileStorage,
+  SqliteStorage,
+  RedisStorage
+} from '../../src/cache/storage/index.js';
+import { DebateCache } from '../../src/cache/debate-cache.js';
+import { FakeRedisServer } from '../utils/fake-redis-server.js';
+
+const NOW = Date.now();
+const entry = (solution) => ({ result: { solution }, question: `Q ${solution}`, timestamp: NOW });
+
+describe('cache storage backends', () => {
+  let dir;
+  let redis;
+  let redisUrl;
+
+  beforeAll(async () => {
+    redis = new FakeRedisServer({ password: 'secret' });
+    redisUrl = await redis.start();
+  });
+
+  afterAll(async () => {
+    await redis.stop();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-storage-'));
+    redis.hashes.clear();
+    redis.strings.clear();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const backends = {
+    json: () => new JsonFileStorage({ path: path.join(dir, 'cache.json') }),
+    shards: () => new ShardedFileStorage({ dir: path.join(dir, 'shards') }),
+    sqlite: () => new SqliteStorage({ path: path.join(dir, 'cache.db') }),
+    redis: () => new RedisStorage({ url: redisUrl })
+  };
+
+  describe.each(Object.keys(backends))('%s', (type) => {
+    let storage;
+
+    beforeEach(() => {
+      storage = backends[type]();
+    });
+
+    afterEach(async () => {
+      await storage.close();
+    });
+
+    test('should set, get and delete entries', async () => {
+      await storage.set('k1', entry('A'));
+
+      expect(await storage.get('k1')).toEqual(entry('A'));
+      expect(await storage.get('missing')).toBeNull();
+
+      await storage.delete('k1');
+      expect(await storage.get('k1')).toBeNull();
+    });
+
+    test('should load every entry and clear them', async () => {
+      await storage.set('k1', entry('A'));
+      await storage.set('k2', entry('B'));
+      await storage.set('k1', entry('C'));
+
+      const loaded = new Map(await storage.load());
+      expect(loaded.size).toBe(2);
+      expect(loaded.get('k1').result.solution).toBe('C');
+
+      await storage.clear();
+      expect(await storage.load()).toEqual([]);
+    });
+
+    test('should persist statistics', async () => {
+      expect(await storage.loadStats()).toBeNull();
+
+      await storage.saveStats({ hits: 3, misses: 1 });
+
+      expect(await storage.loadStats()).toEqual({ hits: 3, misses: 1 });
+    });
+
+    test('should share entries with a second instance', async () => {
+      await storage.set('k1', entry('A'));
+
+      const reader = backends[type]();
+      try {
+        expect(await reader.get('k1')).toEqual(entry('A'));
+      } finally {
+        await reader.close();
+      }
+    });
+
+    test('should keep entries written by another instance', async () => {
+      const other = backends[type]();
+      try {
+        await storage.set('k1', entry('A'));
+        await other.set('k2', entry('B'));
+        await storage.set('k3', entry('C'));
+        await other.delete('k1');
+
+        expect(await storage.get('k2')).toEqual(entry('B'));
+        expect(new Map(await storage.load())).toEqual(new Map([['k2', entry('B')], ['k3', entry('C')]]));
+      } finally {
+        await other.close();
+      }
+    });
+  });
+
+  test('file backends should leave no temporary files behind', async () => {
+    const shards = backends.shards();
+    const json = backends.json();
+    await Promise.all([shards.set('k1', entry('A')), shards.set('k2', entry('B'))]);
+    await json.set('k1', entry('A'));
+
+    const files = fs.readdirSync(dir, { recursive: true });
+    expect(files.filter(file => /\.(tmp|lock)$/.test(String(file)))).toEqual([]);
+  });
+
+  test('json backend should take over a lock left by a dead process', async () => {
+    const storage = backends.json();
+    const lockPath = path.join(dir, 'cache.json.lock');
+    fs.writeFileSync(lockPath, '12345');
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    await storage.set('k1', entry('A'));
+
+    expect(await storage.get('k1')).toEqual(entry('A'));
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('redis backend should authenticate and select the database', async () => {
+    const storage = backends.redis();
+    await storage.set('k1', entry('A'));
+    await storage.close();
+
+    expect(redis.commands.slice(0, 3)).toEqual(['AUTH', 'SELECT', 'HSET']);
+  });
+
+  test('redis backend should reject when the server is unreachable', async () => {
+    const storage = new RedisStorage({ url: 'redis://127.0.0.1:1' });
+
+    await expect(storage.get('k1')).rejects.toThrow();
+  });
+
+  test('createCacheStorage should derive file locations from the JSON path', () => {
+    const jsonPath = path.join(dir, 'debate-cache.json');
+
+    expect(createCacheStorage('json', { jsonPath }).path).toBe(jsonPath);
+    expect(createCacheStorage('shards', { jsonPath }).dir).toBe(path.join(dir, 'debate-cache'));
+    expect(createCacheStorage('sqlite', { jsonPath }).path).toBe(path.join(dir, 'debate-cache.db'));
+    expect(() => createCacheStorage('memcached')).toThrow('Unknown cache storage "memcached"');
+  });
+
+  describe('DebateCache with storage', () => {
+    test('should write entries through and load them in a new cache', async () => {
+      const storagePath = path.join(dir, 'cache.db');
+      const writer = new DebateCache({ enablePersistence: true, storage: 'sqlite', storagePath });
+      await writer.store('How do I rate-limit Express?', { solution: 'Use a token bucket' });
+      await writer.close();
+
+      const reader = new DebateCache({ enablePersistence: true, storage: 'sqlite', storagePath });
+      await reader.loadFromPersistence();
+
+      expect(reader.cache.size).toBe(1);
+      expect(reader.stats.stores).toBe(1);
+      expect(await reader.getCached('How do I rate-limit Express?')).toMatchObject({
+        solution: 'Use a token bucket',
+        fromCache: true
+      });
+      await reader.close();
+    });
+
+    test('should read entries stored by another process on a miss', async () => {
+      const first = new DebateCache({ enablePersistence: true, storage: backends.redis() });
+      const second = new DebateCache({ enablePersistence: true, storage: backends.redis() });
+      await second.loadFromPersistence();
+
+      await first.store('Which queue should I use?', { solution: 'SQS' });
+
+      expect(await second.getCached('Which queue should I use?')).toMatchObject({ solution: 'SQS' });
+      await first.close();
+      await second.close();
+    });
+
+    test('should remove deleted entries from storage', async () => {
+      const storage = backends.shards();
+      const cache = new DebateCache({ enablePersistence: true, storage });
+      await cache.store('Q1', { solution: 'A1' });
+
+      // A fresh request drops the cached entry
+      expect(await cache.getCached('Q1', { fresh: true })).toBeNull();
+      await cache.cache.flush();
+
+      expect(await storage.load()).toEqual([]);
+    });
+  });
+});
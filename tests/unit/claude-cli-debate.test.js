@@ -30,7 +30,15 @@ jest.mock('../../src/utils/retry-handler.js');
 
 // Import AFTER mocks are set up (required for ES modules)
 const { spawn } = await import('child_process');
-const { ClaudeCliDebate, parseModelConfig } = await import('../../src/claude-cli-debate.js');
+const { ClaudeCliDebate, parseModelConfig, DebateTimeoutError } = await import('../../src/claude-cli-debate.js');
+const { getActiveDebates, DebateCancelledError } = await import('../../src/active-debates.js');
+const { SingleFlight } = await import('../../src/cache/single-flight.js');
+
+// fs/promises is shared with the other test files; put back what the tests replace
+const originalFs = { ...fs };
+afterAll(() => {
+  Object.assign(fs, originalFs);
+});
 
 describe('ClaudeCliDebate', () => {
   let debate;
@@ -404,6 +412,34 @@ describe('ClaudeCliDebate', () => {
       await expect(debate.spawnClaude(model, 'prompt', '/path'))
         .rejects.toThrow('timed out');
     });
+
+    test('spawnClaude should kill the process when aborted', async () => {
+      let child;
+      spawn.mockImplementation(() => {
+        child = new EventEmitter();
+        child.stdin = { write: jest.fn(), end: jest.fn() };
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        child.kill = jest.fn();
+        return child;
+      });
+
+      const controller = new AbortController();
+      const call = debate.spawnClaude(debate.models[0], 'prompt', '/path', null, { signal: controller.signal });
+      controller.abort(new Error('Debate stopped: budget reached'));
+
+      await expect(call).rejects.toThrow('budget reached');
+      expect(child.kill).toHaveBeenCalled();
+    });
+
+    test('spawnClaude should not start when already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Debate stopped: budget reached'));
+
+      await expect(debate.spawnClaude(debate.models[0], 'prompt', '/path', null, { signal: controller.signal }))
+        .rejects.toThrow('budget reached');
+      expect(spawn).not.toHaveBeenCalled();
+    });
   });
 
   describe('Call Model with Retry Logic', () => {
@@ -459,6 +495,13 @@ describe('ClaudeCliDebate', () => {
       expect(writtenPrompt).toContain('ultrathink');
     });
 
+    test('callModel should add the preset prompt addendum', async () => {
+      await debate.callModel(debate.models[1], 'Test', '/path', null, { promptAddendum: 'We deploy on Kubernetes.' });
+
+      const writtenPrompt = spawn.mock.results[0].value.stdin.write.mock.calls[0][0];
+      expect(writtenPrompt).toMatch(/an expert in .*\n\nWe deploy on Kubernetes\.\n\nTASK: Test/);
+    });
+
     test('callModel should include instance config in prompt', async () => {
       const model = debate.models[0];
       const instanceConfig = {
@@ -479,14 +522,17 @@ describe('ClaudeCliDebate', () => {
       expect(writtenPrompt).toContain('Innovative approach');
     });
 
-    test('callModel should track model timing', async () => {
-      debate.debateMetrics = { modelTimes: {}, failedModels: [] };
+    test('callModel should track model timing and calls', async () => {
+      const run = { metrics: { modelTimes: {}, modelCalls: {}, failedModels: [] } };
       const model = debate.models[0];
 
-      await debate.callModel(model, 'Test', '/path');
+      await debate.callModel(model, 'Test', '/path', null, { run });
 
-      expect(debate.debateMetrics.modelTimes[model.name]).toBeDefined();
-      expect(debate.debateMetrics.modelTimes[model.name]).toBeGreaterThanOrEqual(0);
+      expect(run.metrics.modelTimes[model.name]).toBeDefined();
+      expect(run.metrics.modelTimes[model.name]).toBeGreaterThanOrEqual(0);
+
+      await debate.callModel(model, 'Test', '/path', null, { run });
+      expect(run.metrics.modelCalls[model.name]).toBe(2);
     });
 
     test('callModel should handle failure gracefully', async () => {
@@ -506,17 +552,17 @@ describe('ClaudeCliDebate', () => {
         }
       });
 
-      debate.debateMetrics = { modelTimes: {}, failedModels: [] };
+      const run = { metrics: { modelTimes: {}, modelCalls: {}, failedModels: [] } };
       const model = debate.models[0];
 
-      const result = await debate.callModel(model, 'Test', '/path');
+      const result = await debate.callModel(model, 'Test', '/path', null, { run });
 
       expect(result).toBeNull();
       expect(debate.progressReporter.updateModelStatus).toHaveBeenCalledWith(
         model.name,
         'failed'
       );
-      expect(debate.debateMetrics.failedModels).toContain(model.name);
+      expect(run.metrics.failedModels).toContain(model.name);
     });
 
     test('callModel should return null on empty response', async () => {
@@ -537,29 +583,33 @@ describe('ClaudeCliDebate', () => {
   });
 
   describe('Get Proposals', () => {
+    let run;
+
     beforeEach(() => {
-      debate.selectedModels = debate.models.slice(0, 3); // Use first 3 models
-      debate.debateMetrics = { modelTimes: {}, failedModels: [] };
+      run = {
+        selectedModels: debate.models.slice(0, 3), // Use first 3 models
+        metrics: { modelTimes: {}, modelCalls: {}, failedModels: [] }
+      };
     });
 
     test('getProposals should collect responses from all models', async () => {
       debate.callModel = jest.fn().mockResolvedValue('Model response');
 
-      const proposals = await debate.getProposals('Test question', '/path');
+      const proposals = await debate.getProposals('Test question', '/path', { run });
 
       expect(Object.keys(proposals)).toHaveLength(3);
       expect(debate.callModel).toHaveBeenCalledTimes(3);
     });
 
     test('getProposals should handle parallel instances', async () => {
-      debate.selectedModels = [
+      run.selectedModels = [
         { ...debate.models[0], instanceConfig: { instanceId: 1, totalInstances: 2 } },
         { ...debate.models[0], instanceConfig: { instanceId: 2, totalInstances: 2 } }
       ];
 
       debate.runParallelInstances = jest.fn().mockResolvedValue('Synthesized response');
 
-      const proposals = await debate.getProposals('Test question', '/path');
+      const proposals = await debate.getProposals('Test question', '/path', { run });
 
       expect(debate.runParallelInstances).toHaveBeenCalledTimes(1);
     });
@@ -570,7 +620,7 @@ describe('ClaudeCliDebate', () => {
         .mockResolvedValueOnce(null) // Failed
         .mockResolvedValueOnce('Response 3');
 
-      const proposals = await debate.getProposals('Test question', '/path');
+      const proposals = await debate.getProposals('Test question', '/path', { run });
 
       expect(Object.keys(proposals)).toHaveLength(2);
     });
@@ -594,7 +644,9 @@ describe('ClaudeCliDebate', () => {
       expect(best.score.total).toBe(95);
       expect(debate.semanticEvaluator.evaluateResponses).toHaveBeenCalledWith(
         'Question',
-        proposals
+        proposals,
+        '',
+        { signal: null, debateId: null }
       );
     });
   });
@@ -668,6 +720,543 @@ describe('ClaudeCliDebate', () => {
     });
   });
 
+  describe('Cancellation', () => {
+    beforeEach(() => {
+      debate.cachingEnabled = false;
+      debate.verificationEnabled = false;
+      debate.recordBudgetSpend = jest.fn();
+      debate.getProposals = jest.fn().mockResolvedValue({ 'Model A': 'Proposal A', 'Model B': 'Proposal B' });
+      debate.selectBestSemantic = jest.fn().mockResolvedValue({
+        model: 'Model A',
+        proposal: 'Proposal A',
+        score: { total: 90 }
+      });
+    });
+
+    test('runDebate should register the debate while it runs', async () => {
+      debate.getImprovements = jest.fn().mockImplementation(async () => {
+        expect(getActiveDebates().list()).toEqual([
+          expect.objectContaining({ debateId: 'd-running', type: 'debate', question: 'Question' })
+        ]);
+        getActiveDebates().cancel('d-running');
+        return {};
+      });
+
+      await expect(debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-running' }))
+        .rejects.toThrow(DebateCancelledError);
+      expect(getActiveDebates().has('d-running')).toBe(false);
+    });
+
+    test('runDebate should keep the proposals received before cancellation', async () => {
+      debate.getImprovements = jest.fn().mockImplementation(async () => {
+        getActiveDebates().cancel('d-cancelled');
+        return { 'Model B': 'Improvement' };
+      });
+
+      const error = await debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-cancelled' })
+        .catch(e => e);
+
+      expect(error.debateId).toBe('d-cancelled');
+      expect(error.partial).toMatchObject({
+        proposals: { 'Model A': 'Proposal A', 'Model B': 'Proposal B' },
+        winner: 'Model A',
+        improvements: { 'Model B': 'Improvement' }
+      });
+      expect(debate.recordBudgetSpend).toHaveBeenCalledWith('d-cancelled', '/path', null, 'cancelled', 0);
+    });
+
+    test('callModel should pass the debate signal to the retry loop', async () => {
+      const controller = new AbortController();
+      debate.retryHandler.execute = jest.fn().mockResolvedValue('response');
+
+      await debate.callModel(debate.models[0], 'prompt', '/path', null, { debateId: 'd-1', signal: controller.signal });
+
+      expect(debate.retryHandler.execute.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    test('concurrent debates should keep their own debate id, signal and lineup', async () => {
+      let releaseFirst;
+      const firstWaiting = new Promise(resolve => {
+        releaseFirst = resolve;
+      });
+      const calls = {};
+      debate.getImprovements = jest.fn().mockImplementation(async (best, question, projectPath, options) => {
+        calls[options.debateId] = options;
+        if (options.debateId === 'd-first') {
+          await firstWaiting;
+        } else {
+          getActiveDebates().cancel('d-second');
+        }
+        return { 'Model B': `Improvement for ${options.debateId}` };
+      });
+      debate.synthesize = jest.fn().mockResolvedValue('Solution');
+      debate.confidenceScorer.calculateConfidence = jest.fn().mockResolvedValue({
+        score: 80, level: 'high', factors: {}, recommendation: '', analysis: { summary: '' }
+      });
+      debate.saveLog = jest.fn();
+      debate.learningEnabled = false;
+      debate.trackingEnabled = false;
+
+      const first = debate.runDebate('First question', '/path', 'k1,k2', { debateId: 'd-first' });
+      await new Promise(resolve => setImmediate(resolve));
+      const second = debate.runDebate('Second question', '/path', 'k1,k3', { debateId: 'd-second' });
+
+      await expect(second).rejects.toThrow(DebateCancelledError);
+      releaseFirst();
+      const result = await first;
+
+      expect(result.solution).toBe('Solution');
+      expect(calls['d-first'].signal.aborted).toBe(false);
+      expect(calls['d-second'].signal.aborted).toBe(true);
+      expect(calls['d-first'].run.selectedModels.map(m => m.alias)).toEqual(['k1', 'k2']);
+      expect(calls['d-second'].run.selectedModels.map(m => m.alias)).toEqual(['k1', 'k3']);
+      expect(debate.saveLog.mock.calls[0][7]).toBe(calls['d-first'].run);
+      expect(debate.getProposals.mock.calls.map(call => call[2].debateId)).toEqual(['d-first', 'd-second']);
+      expect(debate.recordBudgetSpend).toHaveBeenCalledWith('d-first', '/path', null, 'completed', 0);
+      expect(debate.recordBudgetSpend).toHaveBeenCalledWith('d-second', '/path', null, 'cancelled', 0);
+    });
+  });
+
+  describe('Checkpoints', () => {
+    const proposals = { 'Model A': 'Proposal A', 'Model B': 'Proposal B' };
+
+    beforeEach(() => {
+      debate.cachingEnabled = false;
+      debate.verificationEnabled = false;
+      debate.learningEnabled = false;
+      debate.trackingEnabled = false;
+      debate.recordBudgetSpend = jest.fn();
+      debate.saveLog = jest.fn();
+      debate.getProposals = jest.fn().mockResolvedValue(proposals);
+      debate.selectBestSemantic = jest.fn().mockResolvedValue({
+        model: 'Model A',
+        proposal: 'Proposal A',
+        score: { total: 90 }
+      });
+      debate.getImprovements = jest.fn().mockResolvedValue({ 'Model B': 'Improvement' });
+    });
+
+    test('runDebate should keep finished phases when a later phase fails', async () => {
+      debate.synthesize = jest.fn().mockRejectedValue(new Error('synthesis crashed'));
+
+      const error = await debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-failed' })
+        .catch(e => e);
+
+      expect(error.resumeDebateId).toBe('d-failed');
+      const checkpoint = await debate.checkpoints.load('d-failed');
+      expect(checkpoint).toMatchObject({
+        status: 'failed',
+        error: 'synthesis crashed',
+        question: 'Question',
+        modelConfig: 'k1,k2',
+        phases: {
+          proposals,
+          evaluation: { model: 'Model A' },
+          improvements: { 'Model B': 'Improvement' }
+        }
+      });
+      expect(checkpoint.phases.synthesis).toBeUndefined();
+    });
+
+    test('resumeDebate should continue from the first incomplete phase', async () => {
+      debate.synthesize = jest.fn().mockRejectedValueOnce(new Error('synthesis crashed'));
+      await debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-resume' }).catch(() => {});
+      debate.getProposals.mockClear();
+      debate.selectBestSemantic.mockClear();
+      debate.getImprovements.mockClear();
+      debate.synthesize.mockResolvedValue('Final answer');
+
+      const result = await debate.resumeDebate('d-resume');
+
+      expect(debate.getProposals).not.toHaveBeenCalled();
+      expect(debate.selectBestSemantic).not.toHaveBeenCalled();
+      expect(debate.getImprovements).not.toHaveBeenCalled();
+      expect(debate.synthesize).toHaveBeenCalledWith(
+        expect.objectContaining({ model: 'Model A' }),
+        { 'Model B': 'Improvement' },
+        'Question',
+        null,
+        []
+      );
+      expect(result).toMatchObject({ solution: 'Final answer', winner: 'Model A', resumed: true });
+      expect(await debate.checkpoints.load('d-resume')).toBeNull();
+    });
+
+    test('resumeDebate should only record the spend on top of the earlier attempt', async () => {
+      debate.synthesize = jest.fn().mockRejectedValueOnce(new Error('synthesis crashed'));
+      debate.recordBudgetSpend.mockResolvedValueOnce(0.3);
+      await debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-spent' }).catch(() => {});
+
+      expect((await debate.checkpoints.load('d-spent')).budget.spent).toBe(0.3);
+
+      debate.synthesize.mockResolvedValue('Final answer');
+      await debate.resumeDebate('d-spent');
+
+      expect(debate.recordBudgetSpend).toHaveBeenLastCalledWith('d-spent', '/path', null, 'completed', 0.3);
+    });
+
+    test('recordBudgetSpend should subtract the spend of earlier attempts', async () => {
+      debate.recordBudgetSpend = ClaudeCliDebate.prototype.recordBudgetSpend;
+      debate.budgetManager.recordSpend = jest.fn();
+
+      const spent = await debate.recordBudgetSpend('d-1', '/path', { cost: 0.5 }, 'completed', 0.3);
+
+      expect(spent).toBe(0.5);
+      expect(debate.budgetManager.recordSpend).toHaveBeenCalledWith({
+        debateId: 'd-1',
+        projectPath: '/path',
+        cost: expect.closeTo(0.2),
+        status: 'completed'
+      });
+    });
+
+    test('resumeDebate should reject debates without a checkpoint', async () => {
+      await expect(debate.resumeDebate('missing')).rejects.toThrow('No checkpoint found');
+    });
+  });
+
+  describe('Coalescing', () => {
+    beforeEach(() => {
+      debate.verificationEnabled = false;
+      debate.learningEnabled = false;
+      debate.trackingEnabled = false;
+      debate.recordBudgetSpend = jest.fn();
+      debate.saveLog = jest.fn();
+      debate.getProposals = jest.fn().mockResolvedValue({ 'Model A': 'Proposal A', 'Model B': 'Proposal B' });
+      debate.selectBestSemantic = jest.fn().mockResolvedValue({
+        model: 'Model A',
+        proposal: 'Proposal A',
+        score: { total: 90 }
+      });
+      debate.getImprovements = jest.fn().mockResolvedValue({});
+      debate.synthesize = jest.fn().mockResolvedValue('Final answer');
+    });
+
+    test('runDebate should share one run between identical concurrent debates', async () => {
+      const [first, second] = await Promise.all([
+        debate.runDebate('Question', '/path', 'k1,k2'),
+        debate.runDebate('Question', '/path', 'k1,k2')
+      ]);
+
+      expect(debate.getProposals).toHaveBeenCalledTimes(1);
+      expect(first).toMatchObject({ solution: 'Final answer' });
+      expect(first.coalesced).toBeUndefined();
+      expect(second).toMatchObject({ solution: 'Final answer', coalesced: true });
+    });
+
+    test('runDebate should not coalesce fresh debates', async () => {
+      await Promise.all([
+        debate.runDebate('Question', '/path', 'k1,k2', { fresh: true }),
+        debate.runDebate('Question', '/path', 'k1,k2', { fresh: true })
+      ]);
+
+      expect(debate.getProposals).toHaveBeenCalledTimes(2);
+    });
+
+    test('runDebate should not coalesce debates with different settings', async () => {
+      await Promise.all([
+        debate.runDebate('Question', '/path', 'k1,k2'),
+        debate.runDebate('Question', '/path', 'k1,k8'),
+        debate.runDebate('Question', '/path', 'k1,k2', { iterations: 3 }),
+        debate.runDebate('Question', '/path', 'k1,k2', { promptAddendum: 'Focus on security.' }),
+        debate.runDebate('Question', '/path', 'k1,k2', { skipVerification: true }),
+        debate.runDebate('Question', '/path', 'k1,k2', { maxCost: 0.5 })
+      ]);
+
+      expect(debate.getProposals).toHaveBeenCalledTimes(6);
+    });
+
+    test('runDebate should run the debate itself when the one it joined is cancelled', async () => {
+      debate.getImprovements = jest.fn()
+        .mockImplementationOnce(async () => {
+          getActiveDebates().cancel('d-leader');
+          return {};
+        })
+        .mockResolvedValue({});
+
+      const [first, second] = await Promise.allSettled([
+        debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-leader' }),
+        debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-joined' })
+      ]);
+
+      expect(first.reason).toBeInstanceOf(DebateCancelledError);
+      expect(second.value).toMatchObject({ solution: 'Final answer' });
+      expect(second.value.coalesced).toBeUndefined();
+      expect(debate.getProposals).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Minority Report', () => {
+    const best = { model: 'Model A', proposal: 'Extract a billing service', score: { total: 90 } };
+    const dissent = [{
+      model: 'Model C',
+      stance: 'negative',
+      position: 'Keep the monolith',
+      reasons: ['Avoid microservices for a team of four.'],
+      agreement: 0.42,
+      strength: 'strong'
+    }];
+
+    test('synthesize should attribute each dissenting position', async () => {
+      const synthesis = await debate.synthesize(best, {}, 'Question', null, dissent);
+
+      expect(synthesis).toContain('## Minority Report\n\n### Model C (strong dissent, 42% agreement with Model A)');
+      expect(synthesis).toContain('**Position:** Keep the monolith');
+      expect(synthesis).toContain('**Reasons:**\n- Avoid microservices for a team of four.');
+    });
+
+    test('synthesize should say when nobody dissented', async () => {
+      const synthesis = await debate.synthesize(best, {}, 'Question');
+
+      expect(synthesis).toContain('## Minority Report\n\nNo model took a position opposed to Model A.');
+    });
+
+    test('runDebate should return the dissent found in the proposals', async () => {
+      debate.verificationEnabled = false;
+      debate.learningEnabled = false;
+      debate.trackingEnabled = false;
+      debate.recordBudgetSpend = jest.fn();
+      debate.saveLog = jest.fn();
+      const proposals = { 'Model A': 'Proposal A', 'Model C': 'Proposal C' };
+      debate.getProposals = jest.fn().mockResolvedValue(proposals);
+      debate.selectBestSemantic = jest.fn().mockResolvedValue(best);
+      debate.getImprovements = jest.fn().mockResolvedValue({});
+      debate.confidenceScorer.findDissent.mockReturnValue(dissent);
+
+      const result = await debate.runDebate('Question', '/path', 'k1,k2');
+
+      expect(debate.confidenceScorer.findDissent).toHaveBeenCalledWith(proposals, 'Model A');
+      expect(result.dissent).toEqual(dissent);
+      expect(result.solution).toContain('### Model C (strong dissent');
+    });
+  });
+
+  describe('Structured Answers', () => {
+    const structured = {
+      recommendation: { summary: 'Use Redis', details: 'One bucket per key' },
+      alternatives_considered: [],
+      risks: [],
+      code_snippets: [],
+      dissenting_opinions: [{ model: 'Model B', position: 'Use the gateway' }],
+      claims: [{ claim: 'INCR is atomic', confidence: 0.9 }]
+    };
+
+    beforeEach(() => {
+      debate.verificationEnabled = false;
+      debate.learningEnabled = false;
+      debate.trackingEnabled = false;
+      debate.recordBudgetSpend = jest.fn();
+      debate.saveLog = jest.fn();
+      debate.getProposals = jest.fn().mockResolvedValue({ 'Model A': 'Proposal A', 'Model B': 'Proposal B' });
+      debate.selectBestSemantic = jest.fn().mockResolvedValue({
+        model: 'Model A',
+        proposal: 'Proposal A',
+        score: { total: 90 }
+      });
+      debate.getImprovements = jest.fn().mockResolvedValue({ 'Model B': 'Improvement B' });
+      debate.synthesize = jest.fn().mockResolvedValue('Final answer');
+      debate.callModel = jest.fn().mockResolvedValue(`\`\`\`json\n${JSON.stringify(structured)}\n\`\`\``);
+    });
+
+    test('runDebate should return the validated answer and render the solution from it', async () => {
+      const result = await debate.runDebate('Question', '/path', 'k1,k2', { responseFormat: 'structured' });
+
+      expect(result.responseFormat).toBe('structured');
+      expect(result.structured).toEqual(structured);
+      expect(result.solution).toContain('# Recommendation\n\nUse Redis');
+      expect(result.solution).toContain('- **Model B**: Use the gateway');
+      expect(debate.callModel.mock.calls[0][1]).toContain('### Model B\nImprovement B');
+      expect(debate.confidenceScorer.calculateConfidence).toHaveBeenCalledWith(expect.objectContaining({ structured }));
+      expect(debate.debateCache.store).toHaveBeenCalledWith('Question', result, expect.objectContaining({ responseFormat: 'structured' }));
+    });
+
+    test('runDebate should fall back to the markdown synthesis when the structured answer stays invalid', async () => {
+      debate.callModel = jest.fn().mockResolvedValue('No JSON here');
+
+      const result = await debate.runDebate('Question', '/path', 'k1,k2', { responseFormat: 'structured' });
+
+      expect(debate.callModel).toHaveBeenCalledTimes(2);
+      expect(result.structured).toBeNull();
+      expect(result.warnings).toEqual([expect.stringContaining('Structured answer unavailable')]);
+      expect(result.solution).toContain('Structured answer unavailable');
+      expect(result.solution).toContain('Final answer');
+      expect(debate.debateCache.store).not.toHaveBeenCalled();
+    });
+
+    test('runDebate should retry a failed structuring call and fall back when it keeps failing', async () => {
+      debate.callModel = jest.fn().mockResolvedValue(null);
+
+      const result = await debate.runDebate('Question', '/path', 'k1,k2', { responseFormat: 'structured' });
+
+      expect(debate.callModel).toHaveBeenCalledTimes(2);
+      expect(result.structured).toBeNull();
+      expect(result.warnings).toEqual([expect.stringContaining('Structured answer unavailable')]);
+      expect(result.solution).toContain('Final answer');
+
+      debate.callModel = jest.fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(JSON.stringify(structured));
+
+      expect((await debate.runDebate('Question', '/path', 'k1,k2', { responseFormat: 'structured' })).structured)
+        .toEqual(structured);
+    });
+
+    test('runDebate should not change the caller\'s options', async () => {
+      const options = { responseFormat: 'structured' };
+
+      await debate.runDebate('Design the architecture', '/path', 'k1,k2', options);
+
+      expect(options).toEqual({ responseFormat: 'structured' });
+    });
+
+    test('runDebate should keep markdown answers unless asked', async () => {
+      const result = await debate.runDebate('Question', '/path', 'k1,k2');
+
+      expect(result).toMatchObject({ solution: 'Final answer', responseFormat: 'markdown', structured: null });
+      expect(debate.callModel).not.toHaveBeenCalled();
+    });
+
+    test('runDebate should reject unknown formats', async () => {
+      await expect(debate.runDebate('Question', '/path', 'k1,k2', { responseFormat: 'yaml' }))
+        .rejects.toThrow('Unknown responseFormat');
+      expect(debate.getProposals).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Workflows', () => {
+    const workflow = {
+      name: 'panel',
+      phases: [
+        { id: 'answers', type: 'propose', models: ['k1', 'k2'] },
+        { id: 'verdict', type: 'judge', models: ['k3'] }
+      ]
+    };
+
+    beforeEach(() => {
+      debate.recordBudgetSpend = jest.fn();
+      debate.callModel = jest.fn().mockImplementation(async (model) =>
+        model.alias === 'k3' ? 'WINNER: k2' : `Answer of ${model.alias}`);
+    });
+
+    test('runWorkflow should call the registry models of each phase', async () => {
+      const result = await debate.runWorkflow(workflow, 'Question', '/path', { debateId: 'w-1' });
+
+      expect(debate.callModel.mock.calls.map(call => call[0].alias)).toEqual(['k1', 'k2', 'k3']);
+      expect(debate.callModel.mock.calls[0][2]).toBe('/path');
+      expect(result).toMatchObject({ workflow: 'panel', debateId: 'w-1', projectPath: '/path' });
+      expect(result.solution).toContain('**Winner:** k2');
+      expect(debate.recordBudgetSpend).toHaveBeenCalledWith('w-1', '/path', null, 'completed');
+      expect(debate.callModel.mock.calls[0][4]).toEqual({ debateId: 'w-1', signal: expect.any(AbortSignal) });
+    });
+
+    test('runWorkflow should keep the responses received before cancellation', async () => {
+      debate.callModel.mockImplementation(async (model) => {
+        if (model.alias === 'k2') {
+          expect(getActiveDebates().list()).toEqual([
+            expect.objectContaining({ debateId: 'w-cancelled', type: 'workflow' })
+          ]);
+          getActiveDebates().cancel('w-cancelled');
+        }
+        return `Answer of ${model.alias}`;
+      });
+
+      const error = await debate.runWorkflow(workflow, 'Question', '/path', { debateId: 'w-cancelled' })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(DebateCancelledError);
+      expect(error.partial).toEqual({ responses: { 'answers/k1': 'Answer of k1', 'answers/k2': 'Answer of k2' } });
+      expect(debate.recordBudgetSpend).toHaveBeenCalledWith('w-cancelled', '/path', null, 'cancelled');
+    });
+
+    test('runWorkflow should refuse invalid and over-budget workflows before calling models', async () => {
+      await expect(debate.runWorkflow({ ...workflow, phases: [{ id: 'a', type: 'propose', models: ['k42'] }] }, 'Question'))
+        .rejects.toThrow('unknown model k42');
+      await expect(debate.runWorkflow(workflow, 'Question', '/path', { maxCost: 0.000001 }))
+        .rejects.toThrow('Workflow refused');
+      expect(debate.callModel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Preset Options', () => {
+    const best = { model: 'Model A', proposal: 'Proposal A', score: { total: 90 } };
+    const run = {
+      selectedModels: [
+        { name: 'Model A', expertise: 'a' },
+        { name: 'Model B', expertise: 'b' },
+        { name: 'Model C', expertise: 'c' }
+      ]
+    };
+
+    beforeEach(() => {
+      debate.callModel = jest.fn().mockImplementation(async (model, prompt) =>
+        `${model.name} ${prompt.includes('PREVIOUS ROUND') ? 'revised' : 'first'}`);
+      debate.confidenceScorer.calculateConsensus = jest.fn();
+    });
+
+    test('getImprovementRounds should revise improvements until they agree', async () => {
+      debate.confidenceScorer.calculateConsensus
+        .mockResolvedValueOnce(0.5)
+        .mockResolvedValueOnce(0.85);
+
+      const { improvements, rounds } = await debate.getImprovementRounds(
+        best, 'Question', '/path', { iterations: 4, consensusThreshold: 80, run }
+      );
+
+      expect(rounds).toBe(2);
+      expect(improvements).toEqual({ 'Model B': 'Model B revised', 'Model C': 'Model C revised' });
+      expect(debate.callModel).toHaveBeenCalledTimes(4);
+      const revision = debate.callModel.mock.calls[2][1];
+      expect(revision).toContain('Your improvements:\nModel B first');
+      expect(revision).toContain('### Model C\nModel C first');
+    });
+
+    test('getImprovementRounds should stop after options.iterations rounds', async () => {
+      debate.confidenceScorer.calculateConsensus.mockResolvedValue(0.1);
+
+      const { rounds } = await debate.getImprovementRounds(
+        best, 'Question', '/path', { iterations: 3, consensusThreshold: 80, run }
+      );
+
+      expect(rounds).toBe(3);
+      expect(debate.callModel).toHaveBeenCalledTimes(6);
+    });
+
+    test('getImprovementRounds should run one round by default', async () => {
+      const { rounds } = await debate.getImprovementRounds(best, 'Question', '/path');
+
+      expect(rounds).toBe(1);
+      expect(debate.confidenceScorer.calculateConsensus).not.toHaveBeenCalled();
+    });
+
+    test('runDebate should abort once options.timeoutMinutes have passed', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+      debate.cachingEnabled = false;
+      debate.verificationEnabled = false;
+      debate.recordBudgetSpend = jest.fn();
+      debate.getProposals = jest.fn().mockResolvedValue({ 'Model A': 'Proposal A', 'Model B': 'Proposal B' });
+      debate.selectBestSemantic = jest.fn().mockImplementation(async () => {
+        jest.advanceTimersByTime(5 * 60 * 1000);
+        return { model: 'Model A', proposal: 'Proposal A', score: { total: 90 } };
+      });
+
+      try {
+        const error = await debate.runDebate('Question', '/path', 'k1,k2', { debateId: 'd-slow', timeoutMinutes: 5 })
+          .catch(e => e);
+
+        expect(error).toBeInstanceOf(DebateTimeoutError);
+        expect(error.message).toBe('Debate d-slow timed out after 5 minutes');
+        expect(error.resumeDebateId).toBe('d-slow');
+        expect(await debate.checkpoints.load('d-slow')).toMatchObject({
+          status: 'failed',
+          options: { timeoutMinutes: 5 },
+          phases: { proposals: { 'Model A': 'Proposal A' } }
+        });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
   describe('Export Functions', () => {
     test('parseModelConfig should work as standalone export', () => {
       const result = parseModelConfig('k1:2,k2');
@@ -737,6 +1326,18 @@ function mockSubsystems(debate) {
     error: jest.fn()
   };
 
+  // In-memory debate checkpoints
+  const checkpoints = new Map();
+  debate.checkpoints = {
+    save: jest.fn(async checkpoint => {
+      checkpoints.set(checkpoint.debateId, JSON.parse(JSON.stringify(checkpoint)));
+    }),
+    load: jest.fn(async debateId => checkpoints.get(debateId) || null),
+    remove: jest.fn(async debateId => {
+      checkpoints.delete(debateId);
+    })
+  };
+
   // Mock Gemini Coordinator
   debate.geminiCoordinator = {
     initialize: jest.fn().mockResolvedValue(undefined),
@@ -760,7 +1361,8 @@ function mockSubsystems(debate) {
       factors: {},
       recommendation: 'Use with confidence',
       analysis: { summary: 'Good consensus' }
-    })
+    }),
+    findDissent: jest.fn().mockReturnValue([])
   };
 
   // Mock Debate Cache
@@ -769,6 +1371,7 @@ function mockSubsystems(debate) {
     maxEntries: 1000,
     enablePersistence: true,
     getCached: jest.fn().mockResolvedValue(null),
+    generateKey: jest.fn().mockReturnValue('cache-key'),
     store: jest.fn().mockResolvedValue(undefined),
     getStats: jest.fn().mockReturnValue({
       hits: 0,
@@ -781,6 +1384,9 @@ function mockSubsystems(debate) {
     invalidateByContext: jest.fn().mockResolvedValue(0)
   };
 
+  // Identical debates are coalesced in memory only, without lock files
+  debate.debateFlights = new SingleFlight();
+
   // Mock Cache Invalidator
   debate.cacheInvalidator = {
     maxAge: 24 * 60 * 60 * 1000,
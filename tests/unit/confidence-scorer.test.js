@@ -0,0 +1,129 @@
+/**
+ * Unit tests for ConfidenceScorer contradiction detection, the minority report built on it
+ * and verification from project test runs
+ */
+
+import { ConfidenceScorer } from '../../src/confidence-scorer.js';
+
+describe('ConfidenceScorer', () => {
+  const scorer = new ConfidenceScorer();
+
+  const proposals = {
+    'Model A': 'Split the billing code into its own service. It scales independently and deploys on its own schedule.\n\nIn conclusion, extract a billing microservice behind a queue.',
+    'Model B': 'A separate billing service is worth it. Queue the invoice events.\n\nIn conclusion, extract billing behind a queue with retries.',
+    'Model C': 'Avoid microservices for a team of four: the operational cost is wrong for this stage.\n\nIn conclusion, keep the monolith and separate billing as a module with its own schema.'
+  };
+
+  const databases = {
+    postgres: 'The catalogue has relational data with joins between products and suppliers.\n\nIn conclusion, use PostgreSQL with JSONB columns for the product attributes.',
+    postgresAgain: 'Products and suppliers are relational, so keep them in tables.\n\nIn conclusion, use PostgreSQL and store the varying attributes in a JSONB column.',
+    mongo: 'Product attributes vary a lot between categories and are read as a whole.\n\nIn conclusion, use MongoDB with one document per product for the catalogue.'
+  };
+
+  const mutexes = {
+    avoid: 'Several workers update the counter at once.\n\nIn conclusion, use a mutex to avoid races when updating the counter.',
+    guard: 'The counter is shared between workers.\n\nIn conclusion, guard the counter update with a mutex so workers do not race.'
+  };
+
+  describe('classifyStance', () => {
+    test('should return the sentences arguing against an approach', () => {
+      expect(scorer.classifyStance(proposals['Model C'])).toEqual({
+        stance: 'negative',
+        objections: ['Avoid microservices for a team of four: the operational cost is wrong for this stage.']
+      });
+      expect(scorer.classifyStance(proposals['Model A'])).toEqual({ stance: 'positive', objections: [] });
+    });
+
+    test('should not take a negative word inside a recommendation as an objection', () => {
+      expect(scorer.classifyStance('Use a mutex to avoid races on the counter.').stance).toBe('positive');
+      expect(scorer.classifyStance('Locking is fine; never share the connection between workers.').stance).toBe('negative');
+    });
+  });
+
+  describe('detectContradictions', () => {
+    test('should penalize mixed stances', () => {
+      expect(scorer.detectContradictions(Object.values(proposals))).toBeCloseTo(0.5 / 3, 5);
+      expect(scorer.detectContradictions([proposals['Model A'], proposals['Model B']])).toBe(0);
+      expect(scorer.detectContradictions([])).toBe(0);
+    });
+
+    test('should compare what the responses recommend, not their wording', () => {
+      expect(scorer.detectContradictions([databases.postgres, databases.postgresAgain, databases.mongo])).toBeCloseTo(0.5 / 3, 5);
+      expect(scorer.detectContradictions([mutexes.avoid, mutexes.guard])).toBe(0);
+    });
+  });
+
+  describe('findDissent', () => {
+    test('should attribute the position opposed to the winner with its reasons', () => {
+      const dissent = scorer.findDissent(proposals, 'Model A');
+
+      expect(dissent).toHaveLength(1);
+      expect(dissent[0]).toMatchObject({
+        model: 'Model C',
+        stance: 'negative',
+        position: 'In conclusion, keep the monolith and separate billing as a module with its own schema.',
+        reasons: ['Avoid microservices for a team of four: the operational cost is wrong for this stage.']
+      });
+      expect(dissent[0].agreement).toBeGreaterThanOrEqual(0);
+      expect(dissent[0].agreement).toBeLessThan(1);
+      expect(['strong', 'moderate']).toContain(dissent[0].strength);
+    });
+
+    test('should give the reasons of models disagreeing with an objecting winner', () => {
+      const dissent = scorer.findDissent(proposals, 'Model C');
+
+      expect(dissent.map(d => d.model).sort()).toEqual(['Model A', 'Model B']);
+      expect(dissent.find(d => d.model === 'Model A').reasons).toEqual([]);
+      expect(dissent.map(d => d.agreement)).toEqual([...dissent.map(d => d.agreement)].sort((a, b) => a - b));
+    });
+
+    test('should find no dissent when the winner is unknown or all agree', () => {
+      expect(scorer.findDissent(proposals, 'Model Z')).toEqual([]);
+      expect(scorer.findDissent({ 'Model A': proposals['Model A'], 'Model B': proposals['Model B'] }, 'Model A')).toEqual([]);
+    });
+
+    test('should find opposite recommendations without objecting words', () => {
+      const dissent = scorer.findDissent(databases, 'postgres');
+
+      expect(dissent).toHaveLength(1);
+      expect(dissent[0]).toMatchObject({
+        model: 'mongo',
+        stance: 'positive',
+        position: 'In conclusion, use MongoDB with one document per product for the catalogue.',
+        strength: 'strong'
+      });
+    });
+
+    test('should not report agreeing recommendations worded with a negative word', () => {
+      expect(scorer.findDissent(mutexes, 'guard')).toEqual([]);
+    });
+
+    test('should rate dissent with a different conclusion as strong', () => {
+      const dissent = scorer.findDissent({
+        winner: 'Use PostgreSQL with logical replication for the reporting database.',
+        other: 'Do not use replication here, it is the wrong tool. Nightly exports to parquet files are enough.'
+      }, 'winner');
+
+      expect(dissent[0]).toMatchObject({ model: 'other', strength: 'strong' });
+    });
+  });
+
+  describe('calculateVerificationScore', () => {
+    const tests = overrides => ({ status: 'passed', counts: null, coverage: null, ...overrides });
+
+    test('should score verification from project test runs', () => {
+      expect(scorer.calculateVerificationScore({ testResults: tests({ coverage: 80 }) })).toBeCloseTo(0.98);
+      expect(scorer.calculateVerificationScore({
+        testResults: tests({ status: 'failed', counts: { passed: 3, failed: 1, skipped: 0, total: 4 } })
+      })).toBeCloseTo(0.45);
+      expect(scorer.calculateVerificationScore({ testResults: tests({ status: 'timeout' }) })).toBe(0);
+    });
+
+    test('should fall back to textual evidence when the tests did not run', () => {
+      const debate = { question: 'Add a cache', solution: 'Done.' };
+
+      expect(scorer.calculateVerificationScore({ ...debate, testResults: { status: 'not-run' } })).toBe(0.5);
+      expect(scorer.calculateVerificationScore({ ...debate, testResults: tests({ status: 'error' }) })).toBe(0.5);
+    });
+  });
+});
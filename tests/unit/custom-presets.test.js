@@ -0,0 +1,220 @@
+/**
+ * Unit tests for custom quality presets
+ * Loading user and project preset files, validation and auto-selection by bestFor tags
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadCustomPresets,
+  userPresetsFile,
+  PROJECT_PRESETS_FILE
+} from '../../src/presets/custom-presets.js';
+import { PresetSelector, PresetManager } from '../../src/presets/quality-presets.js';
+
+const ALIASES = ['k1', 'k2', 'k3', 'k4', 'k5', 'k8'];
+
+// Just enough of the model registry for preset validation and pricing
+const registry = {
+  has: alias => ALIASES.includes(alias),
+  aliases: () => ALIASES,
+  list: () => ALIASES.map(alias => ({ alias, name: alias, pricing: { input: 1, output: 5 } })),
+  get: alias => ({ alias, name: alias, pricing: { input: 1, output: 5 } })
+};
+
+const ourStackReview = {
+  name: 'Our Stack Review',
+  models: ['k1', 'k2', 'k8'],
+  verification: true,
+  consensusThreshold: 85,
+  bestFor: ['code-review', 'graphql'],
+  promptAddendum: 'We deploy on Kubernetes and use PostgreSQL 16.'
+};
+
+describe('custom presets', () => {
+  let tempDir;
+  let projectDir;
+  let userFile;
+
+  const writeJson = (file, data) => fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  const createSelector = () => new PresetSelector({ userPresetsFile: userFile, registry });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-presets-'));
+    projectDir = path.join(tempDir, 'project');
+    fs.mkdirSync(projectDir);
+    userFile = path.join(tempDir, 'presets.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.DEBATE_PRESETS_FILE;
+    delete process.env.XDG_CONFIG_HOME;
+  });
+
+  describe('loadCustomPresets', () => {
+    test('should fill in defaults and record where presets come from', async () => {
+      writeJson(userFile, { 'our-stack-review': ourStackReview, quick: { models: ['k5'] } });
+
+      const presets = await loadCustomPresets(projectDir, { userFile });
+
+      expect(presets['our-stack-review']).toMatchObject({
+        ...ourStackReview,
+        iterations: 1,
+        timeoutMinutes: 15,
+        source: 'user',
+        file: userFile
+      });
+      expect(presets.quick).toMatchObject({ name: 'quick', verification: false, consensusThreshold: 80, bestFor: [] });
+    });
+
+    test('should let project presets override user presets', async () => {
+      writeJson(userFile, { 'our-stack-review': ourStackReview });
+      writeJson(path.join(projectDir, PROJECT_PRESETS_FILE), { 'our-stack-review': { ...ourStackReview, models: ['k3'] } });
+
+      const presets = await loadCustomPresets(projectDir, { userFile });
+
+      expect(presets['our-stack-review']).toMatchObject({ models: ['k3'], source: 'project' });
+    });
+
+    test('should keep project presets from overriding built-in ones', async () => {
+      writeJson(userFile, { rapid: { models: ['k5'] } });
+      writeJson(path.join(projectDir, PROJECT_PRESETS_FILE), {
+        balanced: { models: ['k5'] },
+        'our-stack-review': ourStackReview
+      });
+
+      const presets = await loadCustomPresets(projectDir, { userFile, builtInIds: ['rapid', 'balanced'] });
+
+      expect(Object.keys(presets).sort()).toEqual(['our-stack-review', 'rapid']);
+      expect(presets.rapid.source).toBe('user');
+    });
+
+    test('should treat missing files as no presets', async () => {
+      expect(await loadCustomPresets(projectDir, { userFile })).toEqual({});
+    });
+
+    test('should reject malformed files', async () => {
+      writeJson(userFile, '{ nope');
+      await expect(loadCustomPresets(null, { userFile })).rejects.toThrow(/is not valid JSON/);
+
+      writeJson(userFile, ['our-stack-review']);
+      await expect(loadCustomPresets(null, { userFile })).rejects.toThrow('must map preset ids to preset settings');
+
+      writeJson(userFile, { 'bad id!': ourStackReview });
+      await expect(loadCustomPresets(null, { userFile })).rejects.toThrow('invalid preset id "bad id!"');
+    });
+
+    test('userPresetsFile should follow DEBATE_PRESETS_FILE and XDG_CONFIG_HOME', () => {
+      process.env.XDG_CONFIG_HOME = '/home/dev/.config-alt';
+      expect(userPresetsFile()).toBe('/home/dev/.config-alt/debate-consensus/presets.json');
+
+      process.env.DEBATE_PRESETS_FILE = '/etc/team-presets.json';
+      expect(userPresetsFile()).toBe('/etc/team-presets.json');
+    });
+  });
+
+  describe('PresetSelector', () => {
+    test('should offer custom presets next to the built-ins', async () => {
+      writeJson(path.join(projectDir, PROJECT_PRESETS_FILE), { 'our-stack-review': ourStackReview });
+      const selector = createSelector();
+
+      const presets = await selector.loadPresets(projectDir);
+
+      expect(selector.getAvailablePresets(presets).map(p => p.id)).toEqual(expect.arrayContaining(['rapid', 'our-stack-review']));
+      expect(await selector.selectPreset('Review this resolver', {
+        userPreference: 'our-stack-review',
+        projectPath: projectDir
+      })).toMatchObject({ id: 'our-stack-review', models: ['k1', 'k2', 'k8'], selectionReason: 'User specified' });
+    });
+
+    test('loadPresets should return each project\'s presets without storing them on the selector', async () => {
+      const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), 'other-project-'));
+      try {
+        writeJson(path.join(projectDir, PROJECT_PRESETS_FILE), { 'our-stack-review': ourStackReview });
+        writeJson(path.join(otherDir, PROJECT_PRESETS_FILE), { 'their-review': { models: ['k2'] } });
+        const selector = createSelector();
+
+        const [ours, theirs] = await Promise.all([selector.loadPresets(projectDir), selector.loadPresets(otherDir)]);
+
+        expect(ours).toHaveProperty('our-stack-review');
+        expect(ours).not.toHaveProperty('their-review');
+        expect(theirs).toHaveProperty('their-review');
+        expect(theirs).not.toHaveProperty('our-stack-review');
+        expect(Object.keys(selector.presets)).not.toEqual(expect.arrayContaining(['our-stack-review']));
+        expect(() => selector.validatePreset('their-review')).toThrow('Unknown preset: their-review');
+        await expect(selector.selectPreset('Review this resolver', {
+          userPreference: 'their-review',
+          projectPath: projectDir
+        })).rejects.toThrow('Unknown preset: their-review');
+      } finally {
+        fs.rmSync(otherDir, { recursive: true, force: true });
+      }
+    });
+
+    test('validatePreset should check custom presets against the registry', async () => {
+      const cases = [
+        [{ models: ['k42'] }, 'Preset broken uses unknown model k42 (available: k1, k2, k3, k4, k5, k8)'],
+        [{ models: ['k1:0'] }, 'Preset broken has an invalid instance count in k1:0'],
+        [{ models: [] }, 'Preset broken has no models configured'],
+        [{ models: ['k1'], consensusThreshold: 120 }, 'Preset broken has invalid consensus threshold'],
+        [{ models: ['k1'], iterations: 0 }, 'Preset broken needs at least one iteration'],
+        [{ models: ['k1'], verification: 'yes' }, 'Preset broken must set verification to true or false'],
+        [{ models: ['k1'], bestFor: 'graphql' }, 'Preset broken bestFor must be a list of tags']
+      ];
+
+      for (const [definition, message] of cases) {
+        writeJson(userFile, { broken: definition });
+        await expect(createSelector().loadPresets()).rejects.toThrow(`${message} (in ${userFile})`);
+      }
+    });
+
+    test('validatePreset should list the presets when one is unknown', () => {
+      expect(() => createSelector().validatePreset('turbo'))
+        .toThrow(/^Unknown preset: turbo\. Use one of: rapid, cost-optimized, balanced/);
+    });
+
+    test('selectBasedOnAnalysis should prefer the custom preset matching most tags', async () => {
+      writeJson(userFile, {
+        'api-review': { models: ['k2'], bestFor: ['graphql'] },
+        'our-stack-review': ourStackReview
+      });
+      const selector = createSelector();
+      const presets = await selector.loadPresets();
+
+      const preset = selector.selectBasedOnAnalysis({
+        category: 'tech/programming',
+        keywords: selector.extractKeywords('Please do a code review of our GraphQL resolvers')
+      }, 0.5, 0.5, presets);
+
+      expect(preset).toMatchObject({
+        id: 'our-stack-review',
+        selectionReason: 'Custom preset for code-review, graphql'
+      });
+    });
+
+    test('selectBasedOnAnalysis should fall back to the built-in rules', async () => {
+      writeJson(userFile, { 'our-stack-review': ourStackReview });
+      const selector = createSelector();
+      const presets = await selector.loadPresets();
+
+      const preset = selector.selectBasedOnAnalysis({
+        category: 'tech/programming',
+        keywords: selector.extractKeywords('How do we stop XSS in the comment form?')
+      }, 0.5, 0.5, presets);
+
+      expect(preset.id).toBe('security-focused');
+    });
+  });
+
+  test('PresetManager should describe and price custom presets', async () => {
+    writeJson(userFile, { 'our-stack-review': ourStackReview });
+    const manager = new PresetManager(createSelector());
+    const presets = await manager.loadPresets();
+
+    expect(manager.formatPresetInfo('our-stack-review', null, presets)).toContain(`📁 Custom preset (user): ${userFile}`);
+    expect((await manager.getComparisonTable(presets)).rows.map(row => row[0])).toContain('Our Stack Review');
+    expect((await manager.estimateActualCost('our-stack-review', {}, presets)).calls.verification).toBe(6);
+  });
+});
@@ -511,6 +511,22 @@ describe('DatabaseQueries', () => {
     });
   });
 
+  describe('getUsageSamples', () => {
+    test('should query successful model records with their debate category', async () => {
+      const mockSamples = [
+        { model: 'Grok 4 Fast', response_time_seconds: 12, tokens_used: 9000, category: 'tech/programming', cost_source: 'provider' }
+      ];
+
+      const spy = jest.spyOn(queries, 'allAsync').mockResolvedValue(mockSamples);
+
+      const results = await queries.getUsageSamples(100);
+
+      expect(results).toEqual(mockSamples);
+      expect(spy).toHaveBeenCalledWith(queries.queries.getUsageSamples, [100]);
+      expect(queries.queries.getUsageSamples).toContain('error_occurred = 0');
+    });
+  });
+
   describe('getPerformanceTrends', () => {
     test('should return trends for model and category', async () => {
       const mockTrends = [
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for debate checkpoints
+ * Tests saving, loading, listing and removing phase checkpoints
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DebateCheckpoints, completedPhases } from '../../src/debate-checkpoints.js';
+
+describe('DebateCheckpoints', () => {
+  let dir;
+  let checkpoints;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debate-checkpoints-'));
+    checkpoints = new DebateCheckpoints({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should save and load a checkpoint', async () => {
+    await checkpoints.save({ debateId: 'd-1', question: 'Q', status: 'in_progress', phases: { proposals: { a: 'A' } } });
+
+    const checkpoint = await checkpoints.load('d-1');
+
+    expect(checkpoint).toMatchObject({ debateId: 'd-1', phases: { proposals: { a: 'A' } } });
+    expect(checkpoint.updatedAt).toBeDefined();
+    expect(fs.readdirSync(dir)).toEqual(['d-1.json']);
+  });
+
+  test('should return null for a missing checkpoint', async () => {
+    expect(await checkpoints.load('missing')).toBeNull();
+  });
+
+  test('should list checkpoints with their completed phases', async () => {
+    await checkpoints.save({
+      debateId: 'd-1',
+      question: 'Q',
+      status: 'failed',
+      error: 'synthesis crashed',
+      phases: { proposals: {}, evaluation: {}, improvements: {} }
+    });
+
+    expect(await checkpoints.list()).toEqual([
+      expect.objectContaining({
+        debateId: 'd-1',
+        status: 'failed',
+        error: 'synthesis crashed',
+        completedPhases: ['proposals', 'evaluation', 'improvements']
+      })
+    ]);
+  });
+
+  test('should remove a checkpoint', async () => {
+    await checkpoints.save({ debateId: 'd-1', phases: {} });
+
+    await checkpoints.remove('d-1');
+
+    expect(await checkpoints.load('d-1')).toBeNull();
+    expect(await checkpoints.list()).toEqual([]);
+  });
+
+  test('should reject debate IDs that are not file names', async () => {
+    await expect(checkpoints.load('../secrets')).rejects.toThrow('Invalid debate ID');
+  });
+
+  test('completedPhases should count a skipped verification as done', () => {
+    expect(completedPhases({ phases: { proposals: {}, evaluation: {}, verification: null } }))
+      .toEqual(['proposals', 'evaluation', 'verification']);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit tests for asynchronous debate jobs
+ * Tests queueing, progress and results, persistence across restarts and progress snapshots
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { DebateJobQueue } from '../../src/jobs/debate-jobs.js';
+import { DebateCancelledError } from '../../src/active-debates.js';
+import { ProgressReporter } from '../../src/progress-reporter.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('DebateJobQueue', () => {
+  let jobsDir;
+
+  function readJob(jobId) {
+    return JSON.parse(fs.readFileSync(path.join(jobsDir, `${jobId}.json`), 'utf8'));
+  }
+
+  function writeJob(job) {
+    fs.mkdirSync(jobsDir, { recursive: true });
+    fs.writeFileSync(path.join(jobsDir, `${job.id}.json`), JSON.stringify(job));
+  }
+
+  beforeEach(() => {
+    jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'debate-jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(jobsDir, { recursive: true, force: true });
+  });
+
+  test('should return a queued job immediately and complete it in the background', async () => {
+    const debate = deferred();
+    const run = jest.fn(() => debate.promise);
+    const queue = new DebateJobQueue({ run, jobsDir });
+
+    const job = queue.submit({ question: 'Q' });
+
+    expect(job.id).toBeDefined();
+    expect(readJob(job.id).params.question).toBe('Q');
+
+    await Promise.resolve();
+    expect(queue.get(job.id).status).toBe('running');
+    expect(run).toHaveBeenCalledWith(job, expect.objectContaining({ onProgress: expect.any(Function) }));
+
+    debate.resolve({ text: 'Final synthesis', historyId: 'debate_1' });
+    await queue.drain();
+
+    expect(queue.get(job.id)).toMatchObject({
+      status: 'completed',
+      result: { text: 'Final synthesis', historyId: 'debate_1' }
+    });
+    expect(readJob(job.id).status).toBe('completed');
+  });
+
+  test('should record progress reported by the run', async () => {
+    const debate = deferred();
+    let report;
+    const queue = new DebateJobQueue({
+      run: (job, { onProgress }) => {
+        report = onProgress;
+        return debate.promise;
+      },
+      jobsDir
+    });
+
+    const job = queue.submit({ question: 'Q' });
+    await Promise.resolve();
+    report({ phase: 'Round 1', models: { k1: 'running' } });
+
+    expect(readJob(job.id).progress).toEqual({ phase: 'Round 1', models: { k1: 'running' } });
+
+    debate.resolve({ text: 'done' });
+    await queue.drain();
+  });
+
+  test('should run jobs one at a time in order', async () => {
+    const first = deferred();
+    const run = jest.fn()
+      .mockImplementationOnce(() => first.promise)
+      .mockImplementationOnce(async () => ({ text: 'second' }));
+    const queue = new DebateJobQueue({ run, jobsDir });
+
+    const a = queue.submit({ question: 'A' });
+    const b = queue.submit({ question: 'B' });
+    await Promise.resolve();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(queue.queuePosition(b.id)).toBe(2);
+
+    first.resolve({ text: 'first' });
+    await queue.drain();
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(queue.get(a.id).status).toBe('completed');
+    expect(queue.get(b.id).result.text).toBe('second');
+  });
+
+  test('should mark failed and cancelled jobs', async () => {
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('proxy down'))
+      .mockRejectedValueOnce(new DebateCancelledError('x'));
+    const queue = new DebateJobQueue({ run, jobsDir });
+
+    const failed = queue.submit({ question: 'A' });
+    const cancelled = queue.submit({ question: 'B' });
+    await queue.drain();
+
+    expect(queue.get(failed.id)).toMatchObject({ status: 'failed', error: 'proxy down' });
+    expect(queue.get(cancelled.id).status).toBe('cancelled');
+  });
+
+  test('should take the status reported by the run', async () => {
+    const queue = new DebateJobQueue({
+      run: async () => ({ status: 'cancelled', text: 'Debate cancelled', historyId: 'debate_2' }),
+      jobsDir
+    });
+
+    const job = queue.submit({ question: 'Q' });
+    await queue.drain();
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'cancelled', result: { historyId: 'debate_2' } });
+  });
+
+  test('should remove a queued job before it starts', async () => {
+    const first = deferred();
+    const run = jest.fn(() => first.promise);
+    const queue = new DebateJobQueue({ run, jobsDir });
+
+    const running = queue.submit({ question: 'A' });
+    const waiting = queue.submit({ question: 'B' });
+    await Promise.resolve();
+
+    expect(queue.cancelQueued(running.id)).toBe(false);
+    expect(queue.cancelQueued(waiting.id)).toBe(true);
+
+    first.resolve({ text: 'done' });
+    await queue.drain();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(queue.get(waiting.id).status).toBe('cancelled');
+  });
+
+  test('should report unfinished jobs as interrupted after a restart', async () => {
+    writeJob({ id: 'job-1', status: 'running', params: { question: 'Q' }, createdAt: '2025-01-01T00:00:00.000Z' });
+    writeJob({ id: 'job-2', status: 'completed', params: { question: 'Q' }, createdAt: '2025-01-01T00:00:00.000Z', result: { text: 'ok' } });
+    const run = jest.fn();
+    const queue = new DebateJobQueue({ run, jobsDir, onRestart: 'interrupt' });
+
+    queue.load();
+    await queue.drain();
+
+    expect(run).not.toHaveBeenCalled();
+    expect(queue.get('job-1').status).toBe('interrupted');
+    expect(readJob('job-1').status).toBe('interrupted');
+    expect(queue.get('job-2').result.text).toBe('ok');
+  });
+
+  test('should resume unfinished jobs when configured to', async () => {
+    writeJob({ id: 'job-1', status: 'running', params: { question: 'Q' }, createdAt: '2025-01-01T00:00:00.000Z' });
+    const run = jest.fn(async () => ({ text: 'resumed' }));
+    const queue = new DebateJobQueue({ run, jobsDir, onRestart: 'resume' });
+
+    queue.load();
+    await queue.drain();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(queue.get('job-1')).toMatchObject({ status: 'completed', restarts: 1, result: { text: 'resumed' } });
+  });
+
+  test('should delete the oldest finished jobs', async () => {
+    const queue = new DebateJobQueue({ run: async () => ({ text: 'done' }), jobsDir, maxFinishedJobs: 2 });
+    let day = 1;
+    queue.now = () => new Date(`2025-01-0${day++}T00:00:00.000Z`);
+
+    const oldest = queue.submit({ question: 'A' });
+    await queue.drain();
+    queue.submit({ question: 'B' });
+    await queue.drain();
+    queue.submit({ question: 'C' });
+    await queue.drain();
+    queue.prune();
+
+    expect(queue.get(oldest.id)).toBeNull();
+    expect(fs.existsSync(path.join(jobsDir, `${oldest.id}.json`))).toBe(false);
+    expect(queue.list()).toHaveLength(2);
+  });
+});
+
+describe('ProgressReporter status', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('should report phase, model status and last progress', () => {
+    const reporter = new ProgressReporter({ enabled: false });
+    const listener = jest.fn();
+    reporter.onUpdate(listener);
+
+    reporter.startHeartbeat();
+    reporter.setPhase('Round 1');
+    reporter.updateModelStatus('k1', 'running');
+    reporter.progress('Halfway', { percentage: 50 });
+
+    expect(reporter.getStatus()).toMatchObject({
+      phase: 'Round 1',
+      models: { k1: 'running' },
+      percentage: 50,
+      message: 'Halfway'
+    });
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Halfway' }));
+  });
+
+  test('should reset per-run state when a new run starts', () => {
+    const reporter = new ProgressReporter({ enabled: false });
+    reporter.updateModelStatus('k1', 'failed');
+    reporter.setPhase('Round 3');
+
+    reporter.startHeartbeat();
+
+    expect(reporter.getStatus()).toMatchObject({ phase: 'initializing', models: {}, percentage: null });
+  });
+});
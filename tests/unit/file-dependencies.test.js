@@ -0,0 +1,113 @@
+/**
+ * Unit tests for cache file dependencies
+ * Tests extracting the files a debate read and scoping invalidation to them
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractFileReferences, resolveProjectFiles } from '../../src/cache/file-dependencies.js';
+import { DebateCache } from '../../src/cache/debate-cache.js';
+import { CacheInvalidator } from '../../src/cache/invalidator.js';
+import { ProjectFingerprinter } from '../../src/cache/project-fingerprint.js';
+
+function write(dir, file, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+describe('file dependencies', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-dependencies-'));
+    write(dir, 'src/auth.js', 'export const auth = 1;\n');
+    write(dir, 'src/db.js', 'export const db = 1;\n');
+    write(dir, 'README.md', '# Project\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should extract cited paths and MCP tool lines', () => {
+    const references = extractFileReferences([
+      'After reading `src/auth.js:12`, the fix belongs in ./src/db.js.',
+      'MCP: Read -> README.md'
+    ]);
+
+    expect(references).toEqual(expect.arrayContaining(['src/auth.js', './src/db.js', 'README.md']));
+  });
+
+  test('should keep only files inside the project', async () => {
+    const files = await resolveProjectFiles(dir, ['src/auth.js', './src/db.js', 'src', 'missing.js', '../etc/passwd', 'e.g']);
+
+    expect(files).toEqual(['src/auth.js', 'src/db.js']);
+  });
+
+  describe('DebateCache', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new DebateCache({ fingerprinter: new ProjectFingerprinter({ useGit: false }) });
+    });
+
+    test('should keep an entry when files it did not read change', async () => {
+      await cache.store('How is auth handled?', { solution: 'S' }, { projectPath: dir, files: ['src/auth.js'] });
+
+      write(dir, 'src/db.js', 'export const db = 2;\n');
+
+      const cached = await cache.getCached('How is auth handled?', { projectPath: dir });
+      expect(cached).toMatchObject({ solution: 'S', fromCache: true, cacheMatch: { type: 'exact' } });
+    });
+
+    test('should drop an entry when a file it read changes', async () => {
+      await cache.store('How is auth handled?', { solution: 'S' }, { projectPath: dir, files: ['src/auth.js'] });
+
+      write(dir, 'src/auth.js', 'export const auth = 2;\n');
+
+      expect(await cache.getCached('How is auth handled?', { projectPath: dir })).toBeNull();
+      expect(cache.cache.size).toBe(0);
+    });
+
+    test('should fall back to the project fingerprint when no files are known', async () => {
+      await cache.store('How is auth handled?', { solution: 'S' }, { projectPath: dir, files: ['missing.js'] });
+
+      write(dir, 'src/db.js', 'export const db = 2;\n');
+
+      expect(await cache.getCached('How is auth handled?', { projectPath: dir })).toBeNull();
+    });
+
+    test('should not store the raw file references with the entry', async () => {
+      await cache.store('Q', { solution: 'S' }, { projectPath: dir, files: ['src/auth.js', 'e.g'] });
+
+      const [entry] = cache.cache.values();
+      expect(entry.options.files).toBeUndefined();
+      expect(Object.keys(entry.dependencies)).toEqual(['src/auth.js']);
+    });
+  });
+
+  describe('CacheInvalidator', () => {
+    let invalidator;
+
+    beforeEach(() => {
+      invalidator = new CacheInvalidator({ fingerprinter: new ProjectFingerprinter({ useGit: false }) });
+    });
+
+    test('should only invalidate entries whose dependency files changed', async () => {
+      const cache = new DebateCache({ fingerprinter: invalidator.fingerprinter });
+      await cache.store('Auth?', { solution: 'A' }, { projectPath: dir, files: ['src/auth.js'] });
+      await cache.store('Database?', { solution: 'D' }, { projectPath: dir, files: ['src/db.js'] });
+      const [authEntry, dbEntry] = cache.cache.values();
+
+      write(dir, 'src/db.js', 'export const db = 2;\n');
+
+      expect(await invalidator.shouldInvalidate(authEntry, { projectPath: dir })).toMatchObject({ shouldInvalidate: false });
+      expect(await invalidator.shouldInvalidate(dbEntry, { projectPath: dir })).toMatchObject({
+        shouldInvalidate: true,
+        reasons: ['files_changed']
+      });
+      expect(invalidator.getInvalidationStats().reasons.filesChanged).toBe(1);
+    });
+  });
+});
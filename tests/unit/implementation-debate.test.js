@@ -0,0 +1,436 @@
+/**
+ * Unit tests for ImplementationDebate
+ * Competing agents in git worktrees of a scratch repository, peer review,
+ * merging and applying the result, with scripted adapters instead of model CLIs
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync, spawnSync } from 'child_process';
+import {
+  ImplementationDebate,
+  agentRole,
+  combinedScore,
+  implementationCalls
+} from '../../src/agents/implementation-debate.js';
+import { ConfidenceScorer } from '../../src/confidence-scorer.js';
+import { ActiveDebates, DebateCancelledError } from '../../src/active-debates.js';
+import { BudgetExceededError } from '../../src/budget/budget-manager.js';
+
+const MODELS = [
+  { alias: 'k1', name: 'Claude', model: 'anthropic/claude', role: 'Architecture', expertise: 'design' },
+  { alias: 'k2', name: 'GPT', model: 'openai/gpt', role: 'Testing & Coding', expertise: 'coding' },
+  { alias: 'k3', name: 'Qwen', model: 'qwen/qwen', role: 'Integration', expertise: 'tests' }
+];
+
+const registry = {
+  aliases: () => MODELS.map(m => m.alias),
+  has: alias => MODELS.some(m => m.alias === alias),
+  get: alias => MODELS.find(m => m.alias === alias)
+};
+
+const createFile = (file, code) => `I will create \`${file}\`:\n\n\`\`\`javascript\n${code}\n\`\`\`\n`;
+
+// Scripted model: its implementation, and the review it gives a diff
+class ScriptedAdapter {
+  constructor({ implementation, improvement = null, review = () => ({ score: 5 }), fail = false }) {
+    Object.assign(this, { implementation, improvement, review, fail });
+    this.prompts = [];
+  }
+
+  async execute(prompt, options) {
+    this.prompts.push(prompt);
+    if (this.fail) throw new Error('CLI not available');
+    if (options.systemPrompt.includes('peer review')) {
+      return { response: JSON.stringify(this.review(prompt)) };
+    }
+    if (options.systemPrompt.includes('improving your solution')) {
+      return { response: this.improvement };
+    }
+    return { response: this.implementation };
+  }
+}
+
+const git = (cwd, command) => execSync(`git ${command}`, { cwd, encoding: 'utf8' });
+
+describe('ImplementationDebate', () => {
+  let tempDir;
+  let repo;
+  let adapters;
+  let debate;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'implementation-debate-'));
+    repo = path.join(tempDir, 'repo');
+    fs.mkdirSync(repo);
+    git(repo, 'init -q');
+    git(repo, 'config user.email dev@example.com');
+    git(repo, 'config user.name Dev');
+    fs.writeFileSync(path.join(repo, 'README.md'), '# App\n');
+    git(repo, 'add -A');
+    git(repo, 'commit -qm initial');
+
+    // k1 and k2 both write src/cache.js; k3 adds a test. Reviewers like the Map cache best.
+    const review = prompt => {
+      if (prompt.includes('new Map()')) return { score: 9, issues: [], mustFix: [] };
+      if (prompt.includes('test("caches"')) return { score: 7, issues: [], mustFix: [] };
+      return { score: 6, issues: ['Unbounded growth'], mustFix: [] };
+    };
+    adapters = {
+      'anthropic/claude': new ScriptedAdapter({
+        implementation: createFile('src/cache.js', 'export const cache = new Map();'),
+        review
+      }),
+      'openai/gpt': new ScriptedAdapter({
+        implementation: createFile('src/cache.js', 'export const cache = {};'),
+        review
+      }),
+      'qwen/qwen': new ScriptedAdapter({
+        implementation: createFile('tests/cache.test.js', 'test("caches", () => {});'),
+        review
+      })
+    };
+
+    const confidenceScorer = new ConfidenceScorer();
+    confidenceScorer.historyFile = path.join(tempDir, 'confidence-history.json');
+
+    debate = new ImplementationDebate({
+      registry,
+      confidenceScorer,
+      worktreeDir: path.join(tempDir, 'worktrees'),
+      createAdapterFactory: () => ({
+        createTeam: async members => members.map(member => ({
+          adapter: adapters[member.modelId],
+          role: member.role,
+          specialization: member.specialization
+        })),
+        cleanup: async () => {}
+      })
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should implement in worktrees, rank by peer review and leave the project alone', async () => {
+    const result = await debate.run('Add a cache module', repo);
+
+    expect(result.candidates.map(c => c.alias)).toEqual(['k1', 'k3', 'k2']);
+    expect(result.winner).toBe('k1');
+    expect(result.candidates[0]).toMatchObject({ files: ['src/cache.js'], score: 9, improved: false });
+    expect(result.candidates[0].tests).toMatchObject({ status: 'not-run', reason: 'no test command found' });
+    expect(result.candidates[2].reviews).toEqual(expect.arrayContaining([
+      { reviewer: 'k1', score: 6, issues: ['Unbounded growth'], mustFix: [] }
+    ]));
+    expect(result.offered).toMatchObject({ source: 'k1', files: ['src/cache.js'] });
+    expect(result.offered.diff).toContain('+export const cache = new Map();');
+
+    // The agents see each other's diffs, not their own
+    expect(adapters['anthropic/claude'].prompts.some(p => p.includes('export const cache = {};'))).toBe(true);
+    expect(adapters['anthropic/claude'].prompts.some(p => p.includes('+export const cache = new Map();'))).toBe(false);
+
+    expect(git(repo, 'status --porcelain')).toBe('');
+    expect(fs.existsSync(path.join(repo, 'src/cache.js'))).toBe(false);
+  });
+
+  test('should let the winner address the issues its reviewers raised', async () => {
+    adapters['qwen/qwen'].review = () => ({ score: 8, issues: ['No eviction'], mustFix: [] });
+    adapters['anthropic/claude'].improvement =
+      'I will update `src/cache.js`:\n\n```javascript\nexport const cache = new Map(); // LRU\n```\n';
+
+    const result = await debate.run('Add a cache module', repo);
+
+    expect(result.winner).toBe('k1');
+    expect(result.candidates[0].improved).toBe(true);
+    expect(result.offered.diff).toContain('+export const cache = new Map(); // LRU');
+    expect(adapters['anthropic/claude'].prompts.at(-1)).toContain('No eviction');
+  });
+
+  test('should merge the patches that apply on top of the winner', async () => {
+    const result = await debate.run('Add a cache module', repo, { merge: true });
+
+    expect(result.merged).toEqual({
+      included: ['k1', 'k3'],
+      skipped: ['k2'],
+      tests: expect.objectContaining({ status: 'not-run' }),
+      rejected: null
+    });
+    expect(result.offered.source).toBe('merged');
+    expect(result.offered.files).toEqual(['src/cache.js', 'tests/cache.test.js']);
+  });
+
+  test('apply should write the offered patch into the project and remove the worktrees', async () => {
+    const { id } = await debate.run('Add a cache module', repo, { merge: true });
+
+    const applied = await debate.apply(id);
+
+    expect(applied).toEqual({ id, source: 'merged', files: ['src/cache.js', 'tests/cache.test.js'] });
+    expect(fs.readFileSync(path.join(repo, 'src/cache.js'), 'utf8')).toContain('new Map()');
+    expect(git(repo, 'worktree list').trim().split('\n')).toHaveLength(1);
+    expect(git(repo, 'branch --list "debate-v2/*"')).toBe('');
+    expect(() => debate.get(id)).toThrow(`Unknown implementation: ${id}`);
+  });
+
+  test('apply should take another candidate on request', async () => {
+    const { id } = await debate.run('Add a cache module', repo);
+
+    await debate.apply(id, { candidate: 'k2' });
+
+    expect(fs.readFileSync(path.join(repo, 'src/cache.js'), 'utf8')).toContain('cache = {}');
+  });
+
+  test('apply should keep the implementation when the patch no longer applies', async () => {
+    const { id } = await debate.run('Add a cache module', repo);
+    fs.mkdirSync(path.join(repo, 'src'));
+    fs.writeFileSync(path.join(repo, 'src/cache.js'), 'mine\n');
+
+    await expect(debate.apply(id)).rejects.toThrow(`The patch no longer applies to ${repo}`);
+    await expect(debate.apply(id, { candidate: 'k5' })).rejects.toThrow('No implementation by k5 (candidates: k1, k3, k2)');
+    expect(fs.readFileSync(path.join(repo, 'src/cache.js'), 'utf8')).toBe('mine\n');
+
+    await debate.discard(id);
+    expect(git(repo, 'worktree list').trim().split('\n')).toHaveLength(1);
+  });
+
+  test('should carry on without models that fail', async () => {
+    adapters['openai/gpt'].fail = true;
+
+    const result = await debate.run('Add a cache module', repo);
+
+    expect(result.candidates.map(c => c.alias)).toEqual(['k1', 'k3']);
+    expect(result.failed).toEqual([{ alias: 'k2', error: 'CLI not available' }]);
+  });
+
+  test('should refuse unknown models, single models and folders outside git', async () => {
+    await expect(debate.run('Add a cache module', repo, { models: ['k1', 'k9'] }))
+      .rejects.toThrow('Unknown model k9 (available: k1, k2, k3)');
+    await expect(debate.run('Add a cache module', repo, { models: ['k1', 'k1'] }))
+      .rejects.toThrow('needs at least 2 models');
+    await expect(debate.run('Add a cache module', tempDir)).rejects.toThrow(`Not a git repository: ${tempDir}`);
+  });
+
+  test('should refuse a run over budget before creating worktrees', async () => {
+    debate.budgetManager = {
+      planCalls: jest.fn(() => {
+        throw new BudgetExceededError('Implementation debate refused: estimated cost $1.2000 exceeds the $0.5000 budget');
+      }),
+      recordSpend: jest.fn()
+    };
+
+    await expect(debate.run('Add a cache module', repo, { maxCost: 0.5 })).rejects.toThrow(BudgetExceededError);
+
+    expect(debate.budgetManager.planCalls).toHaveBeenCalledWith({
+      projectPath: repo,
+      calls: implementationCalls(['k1', 'k2', 'k3']),
+      maxCost: 0.5,
+      label: 'Implementation debate'
+    });
+    expect(adapters['anthropic/claude'].prompts).toEqual([]);
+    expect(fs.existsSync(path.join(tempDir, 'worktrees'))).toBe(false);
+  });
+
+  test('should record the estimated cost as the run\'s spend', async () => {
+    debate.budgetManager = {
+      planCalls: jest.fn().mockReturnValue({ cap: 5, estimate: 0.9 }),
+      reserve: jest.fn(),
+      recordSpend: jest.fn()
+    };
+
+    const { id } = await debate.run('Add a cache module', repo);
+
+    expect(debate.budgetManager.reserve).toHaveBeenCalledWith(id, repo, 0.9);
+    expect(debate.budgetManager.recordSpend).toHaveBeenCalledWith({ debateId: id, projectPath: repo, cost: 0.9, status: 'completed' });
+  });
+
+  test('should be cancellable while running and keep the implementations received', async () => {
+    const activeDebates = new ActiveDebates();
+    debate.activeDebates = activeDebates;
+    const implement = adapters['qwen/qwen'].execute.bind(adapters['qwen/qwen']);
+    adapters['qwen/qwen'].execute = async (prompt, options) => {
+      const [running] = activeDebates.list();
+      expect(running).toMatchObject({ type: 'implementation', question: 'Add a cache module', projectPath: repo });
+      activeDebates.cancel(running.debateId);
+      return implement(prompt, options);
+    };
+
+    const error = await debate.run('Add a cache module', repo).catch(e => e);
+
+    expect(error).toBeInstanceOf(DebateCancelledError);
+    expect(Object.keys(error.partial.responses).sort()).toEqual(['k1', 'k2', 'k3']);
+    expect(activeDebates.list()).toEqual([]);
+    expect(git(repo, 'worktree list').trim().split('\n')).toHaveLength(1);
+    expect(git(repo, 'branch --list "debate-v2/*"')).toBe('');
+  });
+
+  test('removeOrphans should drop the worktrees and branches a stopped server left pending', async () => {
+    const { id } = await debate.run('Add a cache module', repo);
+    const restarted = new ImplementationDebate({ registry, worktreeDir: path.join(tempDir, 'worktrees') });
+
+    // Still owned by this (running) process
+    expect(await restarted.removeOrphans()).toEqual([]);
+
+    const exited = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(path.join(tempDir, 'worktrees', id, 'owner.json'), JSON.stringify({ pid: exited }));
+
+    expect(await restarted.removeOrphans()).toEqual([id]);
+    expect(fs.existsSync(path.join(tempDir, 'worktrees', id))).toBe(false);
+    expect(git(repo, 'worktree list').trim().split('\n')).toHaveLength(1);
+    expect(git(repo, 'branch --list "debate-v2/*"')).toBe('');
+  });
+
+  test('removeOrphans should not run a worktree\'s branch name as a shell command', async () => {
+    const { id } = await debate.run('Add a cache module', repo);
+    const dir = path.join(tempDir, 'worktrees', id);
+    const [worktree] = fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory());
+    execSync('git checkout -q -b \'debate-v2/x;touch${IFS}pwned\'', { cwd: path.join(dir, worktree.name) });
+
+    const exited = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(path.join(dir, 'owner.json'), JSON.stringify({ pid: exited }));
+    await new ImplementationDebate({ registry, worktreeDir: path.join(tempDir, 'worktrees') }).removeOrphans();
+
+    expect(fs.existsSync(path.join(repo, 'pwned'))).toBe(false);
+    expect(git(repo, 'branch --list "debate-v2/x*"')).toBe('');
+  });
+
+  describe('with project tests', () => {
+    // Passes with a Map cache and without src/broken.js
+    const check = [
+      'const fs = require("fs");',
+      'const read = file => (fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "");',
+      'const ok = read("src/cache.js").includes("new Map()") && !fs.existsSync("src/broken.js");',
+      'console.log(`# pass ${ok ? 1 : 0}\\n# fail ${ok ? 0 : 1}`);',
+      'process.exit(ok ? 0 : 1);'
+    ].join('\n');
+
+    beforeEach(() => {
+      fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ scripts: { test: 'node check.js' } }));
+      fs.writeFileSync(path.join(repo, 'check.js'), check);
+      git(repo, 'add -A');
+      git(repo, 'commit -qm tests');
+
+      // Reviewers now prefer the object cache, which fails the tests
+      for (const adapter of Object.values(adapters)) {
+        adapter.review = prompt => {
+          if (prompt.includes('cache = {}')) return { score: 9, issues: [], mustFix: [] };
+          if (prompt.includes('new Map()')) return { score: 6, issues: ['Unbounded growth'], mustFix: [] };
+          return { score: 7, issues: [], mustFix: [] };
+        };
+      }
+    });
+
+    test('should weigh passing tests equally with the peer reviews', async () => {
+      const result = await debate.run('Add a cache module', repo);
+
+      expect(result.candidates.map(c => [c.alias, c.reviewScore, c.score])).toEqual([
+        ['k1', 6, 8],
+        ['k2', 9, 4.5],
+        ['k3', 7, 3.5]
+      ]);
+      expect(result.candidates[0].tests).toMatchObject({
+        status: 'passed',
+        command: 'npm test',
+        counts: { passed: 1, failed: 0, skipped: 0, total: 1 }
+      });
+      expect(result.candidates[1].tests).toMatchObject({ status: 'failed', exitCode: 1 });
+      expect(result.candidates[1].tests.output).toBeUndefined();
+
+      // Reviewers see the results, with the output of failing runs
+      const review = adapters['anthropic/claude'].prompts.find(p => p.includes('cache = {}'));
+      expect(review).toContain('# Project Test Results\n`npm test`: 0 passed, 1 failed');
+      expect(review).toContain('# fail 1');
+
+      expect(result.offered.tests.status).toBe('passed');
+      expect(result.confidence.factors.verification_passed).toBe(90);
+      expect(fs.existsSync(path.join(repo, 'src/cache.js'))).toBe(false);
+    });
+
+    test('should roll back an improvement that fails more tests', async () => {
+      adapters['anthropic/claude'].improvement =
+        'I will update `src/cache.js`:\n\n```javascript\nexport const cache = {}; // LRU\n```\n';
+
+      const result = await debate.run('Add a cache module', repo);
+
+      expect(result.candidates[0]).toMatchObject({ alias: 'k1', improved: false, improvementReverted: true });
+      expect(result.offered.tests.status).toBe('passed');
+      expect(result.offered.diff).toContain('+export const cache = new Map();');
+      expect(result.offered.diff).not.toContain('LRU');
+    });
+
+    test('should not offer a merge that fails tests the winner passes', async () => {
+      adapters['qwen/qwen'].implementation = createFile('src/broken.js', 'export default null;');
+
+      const result = await debate.run('Add a cache module', repo, { merge: true });
+
+      expect(result.merged).toMatchObject({ included: ['k1', 'k3'], skipped: ['k2'] });
+      expect(result.merged.tests.status).toBe('failed');
+      expect(result.merged.rejected).toBe('the merged patch passes fewer tests than k1\'s');
+      expect(result.offered.source).toBe('k1');
+    });
+
+    test('should kill a running test command when the debate is cancelled', async () => {
+      const activeDebates = new ActiveDebates();
+      debate.activeDebates = activeDebates;
+      const started = path.join(tempDir, 'tests-started');
+      const cancelOnceStarted = setInterval(() => {
+        if (fs.existsSync(started)) {
+          clearInterval(cancelOnceStarted);
+          activeDebates.cancel(activeDebates.list()[0].debateId);
+        }
+      }, 25);
+      const before = Date.now();
+
+      const error = await debate.run('Add a cache module', repo, { testCommand: `touch "${started}" && sleep 30` })
+        .catch(e => e);
+      clearInterval(cancelOnceStarted);
+
+      expect(error).toBeInstanceOf(DebateCancelledError);
+      expect(Date.now() - before).toBeLessThan(15000);
+      expect(activeDebates.list()).toEqual([]);
+    });
+
+    test('should skip the tests on request', async () => {
+      const result = await debate.run('Add a cache module', repo, { runTests: false });
+
+      expect(result.winner).toBe('k2');
+      expect(result.candidates.every(c => c.tests === null)).toBe(true);
+    });
+  });
+
+  test('combinedScore should fall back to whichever score exists', () => {
+    const passing = { status: 'passed', counts: { passed: 3, failed: 1, skipped: 0, total: 4 } };
+
+    expect(combinedScore(8, passing)).toBeCloseTo(7.75);
+    expect(combinedScore(null, passing)).toBeCloseTo(7.5);
+    expect(combinedScore(8, { status: 'not-run' })).toBe(8);
+    expect(combinedScore(null, null)).toBeNull();
+  });
+
+  test('combinedScore should not score tests whose configuration the candidate changed', () => {
+    const passing = { status: 'passed', counts: { passed: 4, failed: 0, skipped: 0, total: 4 }, configChanges: ['package.json'] };
+
+    expect(combinedScore(6, passing)).toBe(6);
+    expect(combinedScore(6, { ...passing, configChanges: [] })).toBe(8);
+  });
+
+  test('combinedScore should not score tests run without the tests the candidate removed or skipped', () => {
+    const passing = {
+      status: 'passed',
+      counts: { passed: 4, failed: 0, skipped: 0, total: 4 },
+      configChanges: [],
+      testFileChanges: ['tests/cache.test.js (deleted)']
+    };
+
+    expect(combinedScore(6, passing)).toBe(6);
+    expect(combinedScore(6, { ...passing, testFileChanges: [] })).toBe(8);
+  });
+
+  test('agentRole should map registry roles to agent roles', () => {
+    expect(agentRole('Architecture')).toBe('architect');
+    expect(agentRole('Testing & Coding')).toBe('tester');
+    expect(agentRole('Security Review')).toBe('reviewer');
+    expect(agentRole('Integration')).toBe('implementer');
+  });
+});
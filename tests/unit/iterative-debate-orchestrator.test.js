@@ -26,6 +26,14 @@ const {
   ConsensusAnalyzer,
   DebateMemory
 } = await import('../../src/iterative-debate-orchestrator.js');
+const { getActiveDebates, DebateCancelledError } = await import('../../src/active-debates.js');
+const { BudgetExceededError } = await import('../../src/budget/budget-manager.js');
+
+// fs/promises is shared with the other test files; put back what the tests replace
+const originalFs = { ...fs };
+afterAll(() => {
+  Object.assign(fs, originalFs);
+});
 
 describe('DebateMemory', () => {
   let memory;
@@ -522,8 +530,8 @@ describe('IterativeDebateOrchestrator', () => {
 
     test('should get updated positions from all models', async () => {
       const currentResponses = {
-        'Claude Opus 4.1': 'Current A',
-        'GPT-5': 'Current B'
+        'Claude Sonnet 4.5 Thinking': 'Current A',
+        'GPT-5.1-Codex': 'Current B'
       };
 
       const debateState = {
@@ -545,15 +553,15 @@ describe('IterativeDebateOrchestrator', () => {
     test('should exclude model\'s own response from prompt', async () => {
       let capturedPrompt = '';
       orchestrator.callModel = jest.fn().mockImplementation(async (model, prompt) => {
-        if (model.name === 'Claude Opus 4.1') {
+        if (model.name === 'Claude Sonnet 4.5 Thinking') {
           capturedPrompt = prompt;
         }
         return 'Response';
       });
 
       const currentResponses = {
-        'Claude Opus 4.1': 'My response',
-        'GPT-5': 'Other response'
+        'Claude Sonnet 4.5 Thinking': 'My response',
+        'GPT-5.1-Codex': 'Other response'
       };
 
       await orchestrator.getUpdatedPositions(
@@ -563,7 +571,7 @@ describe('IterativeDebateOrchestrator', () => {
         '/path'
       );
 
-      expect(capturedPrompt).toContain('GPT-5');
+      expect(capturedPrompt).toContain('GPT-5.1-Codex');
       expect(capturedPrompt).not.toContain('## Other Models\' Current Positions:\nMy response');
     });
 
@@ -573,8 +581,8 @@ describe('IterativeDebateOrchestrator', () => {
         .mockResolvedValueOnce(null);
 
       const currentResponses = {
-        'Claude Opus 4.1': 'Current A',
-        'GPT-5': 'Current B'
+        'Claude Sonnet 4.5 Thinking': 'Current A',
+        'GPT-5.1-Codex': 'Current B'
       };
 
       const updated = await orchestrator.getUpdatedPositions(
@@ -584,12 +592,12 @@ describe('IterativeDebateOrchestrator', () => {
         '/path'
       );
 
-      expect(updated['GPT-5']).toBe('Current B');
+      expect(updated['GPT-5.1-Codex']).toBe('Current B');
     });
 
     test('should track position changes in debate memory', async () => {
       const currentResponses = {
-        'Claude Opus 4.1': 'Response'
+        'Claude Sonnet 4.5 Thinking': 'Response'
       };
 
       orchestrator.debateMemory.updateModelPosition = jest.fn();
@@ -605,6 +613,44 @@ describe('IterativeDebateOrchestrator', () => {
     });
   });
 
+  describe('Synthesize Final', () => {
+    const debateState = {
+      currentRound: 1,
+      consensusTrend: [92],
+      history: []
+    };
+    const responses = { 'Claude Opus 4.1': 'Use Redis', 'Other Model': 'Use the gateway' };
+
+    test('should return markdown by default', async () => {
+      orchestrator.callModel = jest.fn();
+
+      const result = await orchestrator.synthesizeFinal('Question', responses, debateState, '/path');
+
+      expect(result.solution).toContain('## Core Solution (Base: Claude Opus 4.1)');
+      expect(result.structured).toBeNull();
+      expect(orchestrator.callModel).not.toHaveBeenCalled();
+    });
+
+    test('should ask the best model for a structured answer', async () => {
+      const structured = {
+        recommendation: { summary: 'Use Redis', details: '' },
+        alternatives_considered: [{ option: 'Gateway', reason_rejected: 'Less control' }],
+        risks: [],
+        code_snippets: [],
+        dissenting_opinions: [],
+        claims: []
+      };
+      orchestrator.callModel = jest.fn().mockResolvedValue(JSON.stringify(structured));
+
+      const result = await orchestrator.synthesizeFinal('Question', responses, debateState, '/path', 'structured');
+
+      expect(result).toMatchObject({ responseFormat: 'structured', structured });
+      expect(result.solution).toContain('- **Gateway**: Less control');
+      expect(orchestrator.callModel.mock.calls[0][1]).toContain('### Other Model\nUse the gateway');
+      expect(orchestrator.callModel.mock.calls[0][2]).toBe('/path');
+    });
+  });
+
   describe('Is Debate Stuck', () => {
     test('should return false for less than 3 iterations', () => {
       orchestrator.debateMemory.consensusHistory = [70, 75];
@@ -667,6 +713,120 @@ describe('IterativeDebateOrchestrator', () => {
     });
   });
 
+  describe('Concurrent Debates', () => {
+    test('should keep each debate\'s signal and partial responses', async () => {
+      let releaseFirst;
+      const firstWaiting = new Promise(resolve => {
+        releaseFirst = resolve;
+      });
+      const runs = {};
+      orchestrator.consensusThreshold = 80;
+      orchestrator.getInitialProposals = jest.fn().mockImplementation(async (question, projectPath, run) => {
+        runs[run.debateId] = run;
+        if (run.debateId === 'i-first') {
+          await firstWaiting;
+        } else {
+          getActiveDebates().cancel('i-second');
+        }
+        return { 'Model A': `${run.debateId} A`, 'Model B': `${run.debateId} B` };
+      });
+      orchestrator.synthesizeFinal = jest.fn().mockImplementation(async (...args) => ({ solution: 'Solution', run: args[5] }));
+
+      const first = orchestrator.runIterativeDebate('First', '/path', { debateId: 'i-first' });
+      await new Promise(resolve => setImmediate(resolve));
+      const second = orchestrator.runIterativeDebate('Second', '/path', { debateId: 'i-second' });
+
+      const error = await second.catch(e => e);
+      expect(error).toBeInstanceOf(DebateCancelledError);
+      expect(error.partial.responses).toEqual({ 'Model A': 'i-second A', 'Model B': 'i-second B' });
+      releaseFirst();
+      const result = await first;
+
+      expect(result.run).toBe(runs['i-first']);
+      expect(runs['i-first'].signal.aborted).toBe(false);
+      expect(runs['i-second'].signal.aborted).toBe(true);
+    });
+
+    test('callModel should stop on its own run\'s signal', async () => {
+      const controller = new AbortController();
+      controller.abort(new DebateCancelledError('i-1'));
+
+      await expect(orchestrator.callModel(orchestrator.models[0], 'Prompt', '/path', { signal: controller.signal }))
+        .rejects.toThrow(DebateCancelledError);
+      expect(spawn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Budget', () => {
+    beforeEach(() => {
+      orchestrator.getInitialProposals = jest.fn().mockResolvedValue({ 'Model A': 'A', 'Model B': 'B' });
+      orchestrator.synthesizeFinal = jest.fn().mockResolvedValue({ solution: 'Solution' });
+    });
+
+    test('should refuse a debate estimated over the budget before calling any model', async () => {
+      orchestrator.budgetManager.planCalls.mockImplementation(() => {
+        throw new BudgetExceededError('Iterative debate refused: estimated cost $2.0000 exceeds the $1.0000 budget');
+      });
+
+      await expect(orchestrator.runIterativeDebate('Question', '/path', { maxCost: 1 }))
+        .rejects.toThrow(BudgetExceededError);
+      expect(orchestrator.budgetManager.planCalls).toHaveBeenCalledWith(expect.objectContaining({
+        projectPath: '/path',
+        maxCost: 1,
+        label: 'Iterative debate'
+      }));
+      expect(orchestrator.getInitialProposals).not.toHaveBeenCalled();
+    });
+
+    test('should estimate every round of the selected models', async () => {
+      orchestrator.useIntelligentSelection = false;
+      orchestrator.maxIterations = 2;
+
+      await orchestrator.runIterativeDebate('Question', '/path', { debateId: 'i-budget' });
+
+      const { calls } = orchestrator.budgetManager.planCalls.mock.calls[0][0];
+      // 3 rounds of 5 models and a consensus check, plus the semantic evaluation
+      expect(calls).toHaveLength(3 * 6 + 1);
+      expect(calls.filter(alias => alias === 'k2')).toHaveLength(3);
+    });
+
+    test('should guard a capped debate and record its spend', async () => {
+      orchestrator.budgetManager.planCalls.mockReturnValue({ cap: 1, estimate: 0.5 });
+      orchestrator.budgetManager.startGuard.mockReturnValue({ stop: jest.fn() });
+      orchestrator.budgetManager.fetchUsage.mockResolvedValue({ cost: 0.25 });
+
+      const result = await orchestrator.runIterativeDebate('Question', '/path', { debateId: 'i-budget' });
+
+      expect(orchestrator.budgetManager.startGuard).toHaveBeenCalledWith(
+        'i-budget', 1, expect.any(AbortController), { projectPath: '/path', estimate: 0.5 }
+      );
+      expect(orchestrator.budgetManager.startGuard.mock.results[0].value.stop).toHaveBeenCalled();
+      expect(orchestrator.budgetManager.recordSpend).toHaveBeenCalledWith({
+        debateId: 'i-budget',
+        projectPath: '/path',
+        cost: 0.25,
+        status: 'completed'
+      });
+      expect(result).toMatchObject({ debateId: 'i-budget', estimatedCost: 0.5 });
+    });
+
+    test('should release the reservation when no usage was reported', async () => {
+      orchestrator.getInitialProposals.mockRejectedValue(new Error('Proxy down'));
+
+      await expect(orchestrator.runIterativeDebate('Question', '/path', { debateId: 'i-budget' }))
+        .rejects.toThrow('Proxy down');
+      expect(orchestrator.budgetManager.recordSpend).not.toHaveBeenCalled();
+      expect(orchestrator.budgetManager.release).toHaveBeenCalledWith('i-budget');
+    });
+
+    test('callModel should tag the wrapper\'s proxy requests with the debate ID', async () => {
+      await orchestrator.callModel(orchestrator.models[0], 'Prompt', '/path', { debateId: 'i-budget' });
+
+      const { env } = spawn.mock.calls[0][2];
+      expect(env.ANTHROPIC_CUSTOM_HEADERS).toContain('x-debate-id: i-budget');
+    });
+  });
+
   describe('Save Logs', () => {
     test('should save intermediate log', async () => {
       const debateState = {
@@ -789,4 +949,12 @@ function mockOrchestrator(orchestrator) {
   };
 
   orchestrator.debateMemory = new DebateMemory();
+
+  orchestrator.budgetManager = {
+    planCalls: jest.fn().mockReturnValue({ cap: null, estimate: 0.5 }),
+    startGuard: jest.fn(),
+    fetchUsage: jest.fn().mockResolvedValue(null),
+    recordSpend: jest.fn().mockResolvedValue(undefined),
+    release: jest.fn()
+  };
 }
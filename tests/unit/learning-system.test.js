@@ -237,6 +237,36 @@ describe('LearningSystem', () => {
       expect(learningSystem.stats.lastAnalysis).toBeDefined();
     });
 
+    test('should base cost analysis on provider-reported usage', async () => {
+      const estimated = await learningSystem.getCostAnalysis();
+      expect(estimated.source).toBe('estimated');
+
+      await learningSystem.processDebate({
+        question: 'Test question',
+        category: 'tech/programming',
+        usage: {
+          inputTokens: 100000,
+          outputTokens: 20000,
+          totalTokens: 120000,
+          cost: 0.25,
+          byModel: {
+            k1: { inputTokens: 40000, outputTokens: 10000, totalTokens: 50000, cost: 0.2 },
+            k5: { inputTokens: 60000, outputTokens: 10000, totalTokens: 70000, cost: 0.05 }
+          }
+        }
+      });
+
+      const analysis = await learningSystem.getCostAnalysis();
+
+      expect(analysis.source).toBe('provider');
+      expect(analysis.actualCost).toBe(0.25);
+      expect(analysis.averageCostPerDebate).toBe(0.25);
+      // Baseline: the same tokens at k1 pricing ($3 / $15 per million)
+      expect(analysis.baselineCost).toBeCloseTo(0.6);
+      expect(analysis.totalSavings).toBeCloseTo(58.33, 1);
+      expect(analysis.costBreakdown.k1).toMatchObject({ debates: 1, inputTokens: 40000, totalCost: 0.2 });
+    });
+
     test('should trigger pattern detection periodically', async () => {
       learningSystem.config.patternDetectionInterval = 2;
 
@@ -0,0 +1,293 @@
+/**
+ * Unit tests for k-proxy tool-use translation
+ * Tests Anthropic ↔ OpenAI conversion against recorded Claude CLI and OpenRouter fixtures
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  translateRequest,
+  translateResponse,
+  translateToolChoice,
+  parseToolArguments,
+  sanitizeAnthropicMessage
+} from '../../src/proxy/message-translator.js';
+import { SSEParser } from '../../src/proxy/sse.js';
+import { AnthropicStreamTranslator } from '../../src/proxy/stream-translator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'proxy');
+
+const loadFixture = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+const loadJsonFixture = (name) => JSON.parse(loadFixture(name));
+
+describe('translateRequest', () => {
+  const request = loadJsonFixture('anthropic-tool-request.json');
+
+  test('should convert Anthropic tools to OpenAI function tools', () => {
+    const translated = translateRequest(request);
+
+    expect(translated.tools).toHaveLength(2);
+    expect(translated.tools[0]).toEqual({
+      type: 'function',
+      function: {
+        name: 'Read',
+        description: 'Reads a file from the local filesystem.',
+        parameters: request.tools[0].input_schema
+      }
+    });
+    expect(translated.tool_choice).toBe('auto');
+    expect(translated.parallel_tool_calls).toBe(false);
+  });
+
+  test('should move the system prompt into a system message', () => {
+    const { messages } = translateRequest(request);
+
+    expect(messages[0]).toEqual({
+      role: 'system',
+      content: "You are Claude Code, Anthropic's official CLI for Claude.\n\nWorking directory: /workspace/app"
+    });
+    expect(messages[1]).toEqual({ role: 'user', content: 'Why does the login handler return 500?' });
+  });
+
+  test('should convert tool_use blocks to assistant tool_calls', () => {
+    const { messages } = translateRequest(request);
+
+    expect(messages[2]).toEqual({
+      role: 'assistant',
+      content: 'Let me look at the handler.',
+      tool_calls: [
+        {
+          id: 'toolu_01A',
+          type: 'function',
+          function: { name: 'Read', arguments: '{"file_path":"/workspace/app/src/login.js"}' }
+        },
+        {
+          id: 'toolu_01B',
+          type: 'function',
+          function: { name: 'Grep', arguments: '{"pattern":"throw","path":"/workspace/app/src"}' }
+        }
+      ]
+    });
+  });
+
+  test('should convert tool_result blocks to tool messages ahead of the user turn', () => {
+    const { messages } = translateRequest(request);
+
+    expect(messages.slice(3).map(m => m.role)).toEqual(['tool', 'tool', 'user']);
+    expect(messages[3]).toEqual({
+      role: 'tool',
+      tool_call_id: 'toolu_01A',
+      content: request.messages[2].content[0].content
+    });
+    expect(messages[4]).toEqual({ role: 'tool', tool_call_id: 'toolu_01B', content: 'Error: Path does not exist' });
+    expect(messages[5].content).toEqual([
+      { type: 'text', text: 'Also check the screenshot.' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+    ]);
+  });
+
+  test('should pass plain string messages through unchanged', () => {
+    const translated = translateRequest({ messages: [{ role: 'user', content: 'Hello' }] });
+
+    expect(translated).toEqual({ messages: [{ role: 'user', content: 'Hello' }] });
+  });
+
+  test('should map tool_choice variants', () => {
+    expect(translateToolChoice({ type: 'any' })).toBe('required');
+    expect(translateToolChoice({ type: 'none' })).toBe('none');
+    expect(translateToolChoice({ type: 'tool', name: 'Read' }))
+      .toEqual({ type: 'function', function: { name: 'Read' } });
+    expect(translateToolChoice(undefined)).toBeUndefined();
+  });
+});
+
+describe('translateResponse', () => {
+  test('should convert tool_calls to tool_use blocks', () => {
+    const response = translateResponse(loadJsonFixture('openrouter-tool-response.json'), {
+      model: 'moonshotai/kimi-k2-thinking'
+    });
+
+    expect(response).toEqual({
+      id: 'gen-1731000000-abc123',
+      type: 'message',
+      role: 'assistant',
+      content: [
+        { type: 'text', text: 'I need to see the database module.' },
+        { type: 'tool_use', id: 'call_0_8f2a', name: 'Read', input: { file_path: '/workspace/app/src/db.js' } }
+      ],
+      model: 'moonshotai/kimi-k2-thinking',
+      stop_reason: 'tool_use',
+      stop_sequence: null,
+      usage: { input_tokens: 1534, output_tokens: 41 }
+    });
+  });
+
+  test('should report tool_use even when the provider says stop', () => {
+    const data = loadJsonFixture('openrouter-tool-response.json');
+    data.choices[0].finish_reason = 'stop';
+    data.choices[0].message.content = null;
+
+    const response = translateResponse(data);
+
+    expect(response.stop_reason).toBe('tool_use');
+    expect(response.content.map(block => block.type)).toEqual(['tool_use']);
+  });
+
+  test('should sanitize text and map finish reasons for plain answers', () => {
+    const response = translateResponse({
+      id: 'gen-2',
+      choices: [{ message: { role: 'assistant', content: 'key sk-secret' }, finish_reason: 'length' }]
+    }, { sanitize: text => text.replace('sk-secret', '[REDACTED]') });
+
+    expect(response.content).toEqual([{ type: 'text', text: 'key [REDACTED]' }]);
+    expect(response.stop_reason).toBe('max_tokens');
+  });
+
+  test('should substitute a notice for an empty response', () => {
+    const response = translateResponse({ choices: [{ message: { content: '  ' }, finish_reason: 'stop' }] });
+
+    expect(response.content[0].text).toMatch(/empty/);
+    expect(response.stop_reason).toBe('end_turn');
+  });
+
+  test('should throw on a response without choices', () => {
+    expect(() => translateResponse({ error: 'nope' })).toThrow('Invalid OpenRouter response');
+  });
+
+  test('should tolerate invalid tool arguments', () => {
+    expect(parseToolArguments('{"a":1')).toEqual({});
+    expect(parseToolArguments('')).toEqual({});
+    expect(parseToolArguments('{"a":1}')).toEqual({ a: 1 });
+  });
+});
+
+describe('sanitizeAnthropicMessage', () => {
+  test('should sanitize text blocks and keep tool_use blocks', () => {
+    const message = {
+      id: 'msg_1',
+      content: [
+        { type: 'text', text: 'key sk-secret' },
+        { type: 'tool_use', id: 'toolu_1', name: 'Read', input: { file_path: '/a' } }
+      ],
+      stop_reason: 'tool_use'
+    };
+
+    const sanitized = sanitizeAnthropicMessage(message, text => text.replace('sk-secret', '[REDACTED]'));
+
+    expect(sanitized.content[0].text).toBe('key [REDACTED]');
+    expect(sanitized.content[1]).toBe(message.content[1]);
+    expect(sanitized.stop_reason).toBe('tool_use');
+  });
+
+  test('should throw on a response without content', () => {
+    expect(() => sanitizeAnthropicMessage({ type: 'error' })).toThrow('Invalid Anthropic response');
+  });
+});
+
+describe('Streamed tool calls', () => {
+  test('should translate a recorded tool-call stream to tool_use blocks', () => {
+    const parser = new SSEParser();
+    const translator = new AnthropicStreamTranslator({ id: 'msg_1', model: 'qwen/qwen3-max' });
+
+    const events = [];
+    for (const payload of parser.push(loadFixture('openrouter-tool-stream.txt'))) {
+      events.push(...translator.handleChunk(payload));
+    }
+    events.push(...translator.finish());
+
+    expect(parser.done).toBe(true);
+    expect(events.map(e => `${e.type}${e.index !== undefined ? `:${e.index}` : ''}`)).toEqual([
+      'message_start',
+      'content_block_start:0',
+      'content_block_delta:0',
+      'content_block_delta:0',
+      'content_block_stop:0',
+      'content_block_start:1',
+      'content_block_delta:1',
+      'content_block_delta:1',
+      'content_block_stop:1',
+      'content_block_start:2',
+      'content_block_delta:2',
+      'content_block_stop:2',
+      'message_delta',
+      'message_stop'
+    ]);
+
+    expect(events[5].content_block).toEqual({ type: 'tool_use', id: 'call_9b1', name: 'Read', input: {} });
+    const readInput = events
+      .filter(e => e.index === 1 && e.type === 'content_block_delta')
+      .map(e => e.delta.partial_json)
+      .join('');
+    expect(JSON.parse(readInput)).toEqual({ file_path: '/workspace/app/config.json' });
+    expect(events[9].content_block.name).toBe('Grep');
+    expect(events[12].delta.stop_reason).toBe('tool_use');
+    expect(events[12].usage).toEqual({ input_tokens: 980, output_tokens: 52 });
+  });
+
+  test('should hold back a tool call that starts while another one is streaming', () => {
+    const parser = new SSEParser();
+    const translator = new AnthropicStreamTranslator({ id: 'msg_2', model: 'qwen/qwen3-max' });
+
+    const events = [];
+    for (const payload of parser.push(loadFixture('openrouter-tool-stream-interleaved.txt'))) {
+      events.push(...translator.handleChunk(payload));
+    }
+    events.push(...translator.finish());
+
+    expect(events.map(e => `${e.type}${e.index !== undefined ? `:${e.index}` : ''}`)).toEqual([
+      'message_start',
+      'content_block_start:0',
+      'content_block_delta:0',
+      'content_block_delta:0',
+      'content_block_stop:0',
+      'content_block_start:1',
+      'content_block_delta:1',
+      'content_block_stop:1',
+      'message_delta',
+      'message_stop'
+    ]);
+
+    const input = index => JSON.parse(events
+      .filter(e => e.index === index && e.type === 'content_block_delta')
+      .map(e => e.delta.partial_json)
+      .join(''));
+    expect(events[1].content_block).toEqual({ type: 'tool_use', id: 'call_7c1', name: 'Read', input: {} });
+    expect(input(0)).toEqual({ file_path: '/workspace/app/config.json' });
+    expect(events[5].content_block).toEqual({ type: 'tool_use', id: 'call_7c2', name: 'Grep', input: {} });
+    expect(input(1)).toEqual({ pattern: 'port' });
+  });
+
+  test('should end with an error when text closed a tool call that still gets arguments', () => {
+    const translator = new AnthropicStreamTranslator({ model: 'm' });
+    const toolCall = (fn, id) => ({ choices: [{ delta: { tool_calls: [{ index: 0, id, function: fn }] } }] });
+
+    translator.handleChunk(toolCall({ name: 'Read', arguments: '{"file_path":' }, 'call_1'));
+    translator.handleChunk({ choices: [{ delta: { content: 'Reading ' } }] });
+    const events = translator.handleChunk(toolCall({ arguments: '"a.js"}' }));
+
+    expect(events).toEqual([{
+      type: 'error',
+      error: { type: 'api_error', message: 'Arguments for tool call 0 arrived after its content block was closed' }
+    }]);
+    expect(translator.handleChunk({ choices: [{ delta: { content: 'more' } }] })).toEqual([]);
+    expect(translator.finish()).toEqual([]);
+  });
+
+  test('should start a new text block after a tool call', () => {
+    const translator = new AnthropicStreamTranslator({ model: 'm' });
+
+    const events = [
+      ...translator.handleChunk({
+        choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'Read', arguments: '{}' } }] } }]
+      }),
+      ...translator.handleChunk({ choices: [{ delta: { content: 'done' }, finish_reason: 'stop' }] }),
+      ...translator.finish()
+    ];
+
+    const starts = events.filter(e => e.type === 'content_block_start');
+    expect(starts.map(e => [e.index, e.content_block.type])).toEqual([[0, 'tool_use'], [1, 'text']]);
+    expect(events.find(e => e.type === 'message_delta').delta.stop_reason).toBe('tool_use');
+  });
+});
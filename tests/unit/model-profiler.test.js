@@ -10,6 +10,12 @@ import fs from 'fs/promises';
 
 jest.mock('fs/promises');
 
+// fs/promises is shared with the other test files; put back what the tests replace
+const originalFs = { ...fs };
+afterAll(() => {
+  Object.assign(fs, originalFs);
+});
+
 describe('ModelProfiler', () => {
   let profiler;
   const mockProfiles = {
@@ -0,0 +1,193 @@
+/**
+ * Unit tests for the Model Registry
+ * Tests schema validation, lookups and hot reload of config/models.json
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ModelRegistry, validateRegistry, DEFAULT_REGISTRY_PATH } from '../../src/models/model-registry.js';
+
+function entry(alias, overrides = {}) {
+  return {
+    alias,
+    name: `Model ${alias}`,
+    role: 'Testing',
+    expertise: 'Test expertise',
+    model: `vendor/${alias}-model`,
+    maxTokens: 1000,
+    ...overrides
+  };
+}
+
+describe('ModelRegistry', () => {
+  let tmpDir;
+  let registryPath;
+
+  const writeRegistry = (data, mtimeOffsetMs = 0) => {
+    fs.writeFileSync(registryPath, JSON.stringify(data));
+    if (mtimeOffsetMs) {
+      const time = new Date(Date.now() + mtimeOffsetMs);
+      fs.utimesSync(registryPath, time, time);
+    }
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+    registryPath = path.join(tmpDir, 'models.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('Bundled registry', () => {
+    test('should define k1-k9 with unique ports', () => {
+      const registry = new ModelRegistry({ registryPath: DEFAULT_REGISTRY_PATH });
+      const models = registry.list();
+
+      expect(registry.aliases()).toEqual(['k1', 'k2', 'k3', 'k4', 'k5', 'k6', 'k7', 'k8', 'k9']);
+      expect(new Set(models.map(m => m.port)).size).toBe(models.length);
+      expect(registry.get('k4').name).toBe('Gemini 3 Pro Preview');
+      expect(registry.get('k1').reasoning).toEqual({ effort: 'high' });
+    });
+  });
+
+  describe('Validation', () => {
+    test('should apply defaults and resolve wrapper paths', () => {
+      const [model] = validateRegistry({
+        defaults: { provider: 'openrouter' },
+        models: [entry('k1')]
+      });
+
+      expect(model.provider).toBe('openrouter');
+      expect(model.enabled).toBe(true);
+      expect(model.shortName).toBe('Model k1');
+      expect(model.wrapper).toMatch(/k1-wrapper\.sh$/);
+      expect(model.wrapperArgs).toEqual([]);
+    });
+
+    test('should reject an empty model list', () => {
+      expect(() => validateRegistry({ models: [] })).toThrow('"models" must be a non-empty array');
+    });
+
+    test('should report missing fields, duplicate aliases and ports together', () => {
+      const data = {
+        defaults: { provider: 'openrouter' },
+        models: [
+          entry('k1', { port: 4000 }),
+          entry('k1', { port: 4000 }),
+          entry('k2', { model: '', maxTokens: -1 })
+        ]
+      };
+
+      expect(() => validateRegistry(data)).toThrow(/duplicate alias/);
+      expect(() => validateRegistry(data)).toThrow(/port 4000 is already used by k1/);
+      expect(() => validateRegistry(data)).toThrow(/k2: "model" is required/);
+      expect(() => validateRegistry(data)).toThrow(/k2: "maxTokens" must be a positive integer/);
+    });
+
+    test('should validate provider settings', () => {
+      const data = {
+        defaults: { provider: 'openrouter' },
+        models: [
+          entry('k1', { provider: 'ollama' }),
+          entry('k2', { provider: 'openai-compatible' }),
+          entry('k3', { provider: 'mystery' })
+        ]
+      };
+
+      expect(() => validateRegistry(data)).toThrow(/k2: "baseUrl" is required for the openai-compatible provider/);
+      expect(() => validateRegistry(data)).toThrow(/k3: "provider" must be one of/);
+      expect(() => validateRegistry(data)).not.toThrow(/k1:/);
+    });
+
+    test('should validate pricing', () => {
+      const data = {
+        defaults: { provider: 'openrouter' },
+        models: [
+          entry('k1', { pricing: { input: 3, output: 15 } }),
+          entry('k2', { pricing: { input: 1 } }),
+          entry('k3', { pricing: { input: -1, output: 2 } })
+        ]
+      };
+
+      expect(() => validateRegistry(data)).toThrow(/k2: "pricing" must be \{ input, output \}/);
+      expect(() => validateRegistry(data)).toThrow(/k3: "pricing"/);
+      expect(() => validateRegistry(data)).not.toThrow(/k1:/);
+    });
+
+    test('should throw on invalid JSON', () => {
+      fs.writeFileSync(registryPath, '{ not json');
+
+      expect(() => new ModelRegistry({ registryPath })).toThrow('is not valid JSON');
+    });
+  });
+
+  describe('Lookups', () => {
+    test('should hide disabled models', () => {
+      writeRegistry({
+        defaults: { provider: 'openrouter' },
+        models: [entry('k1'), entry('k2', { enabled: false })]
+      });
+      const registry = new ModelRegistry({ registryPath });
+
+      expect(registry.aliases()).toEqual(['k1']);
+      expect(registry.get('k2')).toBeUndefined();
+      expect(registry.list({ includeDisabled: true })).toHaveLength(2);
+    });
+
+    test('should return debate model descriptors for requested aliases', () => {
+      writeRegistry({
+        defaults: { provider: 'openrouter' },
+        models: [entry('k1'), entry('k2', { wrapperArgs: ['k2'] }), entry('k3')]
+      });
+      const registry = new ModelRegistry({ registryPath });
+
+      const models = registry.getDebateModels(['k2', 'missing', 'k3']);
+
+      expect(models.map(m => m.alias)).toEqual(['k2', 'k3']);
+      expect(models[0].wrapperArgs).toEqual(['k2']);
+      expect(models[1]).not.toHaveProperty('wrapperArgs');
+    });
+
+    test('should describe models for tool descriptions', () => {
+      writeRegistry({
+        defaults: { provider: 'openrouter' },
+        models: [entry('k1', { summary: 'architecture, 64K tokens' })]
+      });
+      const registry = new ModelRegistry({ registryPath });
+
+      expect(registry.describeModels()).toBe('- k1: Model k1 (architecture, 64K tokens)');
+    });
+  });
+
+  describe('Hot reload', () => {
+    test('should pick up edits when the file changes', () => {
+      writeRegistry({ defaults: { provider: 'openrouter' }, models: [entry('k1')] });
+      const registry = new ModelRegistry({ registryPath });
+      const listener = jest.fn();
+      registry.watchers.add(listener);
+
+      writeRegistry({
+        defaults: { provider: 'openrouter' },
+        models: [entry('k1', { model: 'vendor/new-model' }), entry('k10')]
+      }, 5000);
+
+      expect(registry.get('k1').model).toBe('vendor/new-model');
+      expect(registry.has('k10')).toBe(true);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the last valid registry when an edit is invalid', () => {
+      writeRegistry({ defaults: { provider: 'openrouter' }, models: [entry('k1')] });
+      const registry = new ModelRegistry({ registryPath });
+
+      writeRegistry({ models: [{ alias: 'k1' }] }, 5000);
+
+      expect(registry.refresh()).toBe(false);
+      expect(registry.get('k1').model).toBe('vendor/k1-model');
+    });
+  });
+});
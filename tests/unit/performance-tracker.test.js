@@ -0,0 +1,79 @@
+/**
+ * Unit tests for PerformanceTracker.recordDebate cost accounting
+ */
+
+import { jest } from '@jest/globals';
+import { PerformanceTracker } from '../../src/performance-tracker.js';
+
+describe('PerformanceTracker.recordDebate', () => {
+  let tracker;
+  let recorded;
+
+  const usage = (overrides) => ({
+    requests: 2,
+    unpricedRequests: 0,
+    totalTokens: 3000,
+    cost: 0.042,
+    byModel: {
+      k1: { name: 'Claude Opus 4.1', requests: 2, unpricedRequests: overrides.unpricedRequests ?? 0,
+        inputTokens: 2000, outputTokens: 1000, totalTokens: 3000, cost: 0.042 }
+    },
+    ...overrides
+  });
+
+  const record = (metadata) => tracker.recordDebate({ winner: 'Claude Opus 4.1', score: 0.9 }, {
+    question: 'Which cache?',
+    proposals: { 'Claude Opus 4.1': 'Use Redis.' },
+    ...metadata
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tracker = new PerformanceTracker({ dbPath: ':memory:' });
+    tracker.initialized = true;
+    recorded = null;
+    tracker.queries = {
+      recordDebate: async (debateData) => {
+        recorded = debateData;
+      }
+    };
+  });
+
+  test('should take priced proxy usage as the provider cost', async () => {
+    await record({ usage: usage({}) });
+
+    expect(recorded).toMatchObject({ totalTokens: 3000, totalCost: 0.042, costSource: 'provider' });
+  });
+
+  test('should keep measured tokens but estimate the cost of unpriced usage', async () => {
+    await record({ usage: usage({ unpricedRequests: 2, cost: 0 }) });
+
+    expect(recorded.totalTokens).toBe(3000);
+    expect(recorded.totalCost).toBeGreaterThan(0);
+    expect(recorded.costSource).toBe('estimated');
+  });
+
+  test('should record how many calls the measured tokens cover', async () => {
+    let performances;
+    tracker.queries.recordDebate = async (debateData, modelPerformances) => {
+      performances = modelPerformances;
+    };
+
+    await record({
+      usage: usage({}),
+      proposals: { 'Claude Opus 4.1': 'Use Redis.', 'Claude Opus 4.1 (Instance 2)': 'Use Memcached.' },
+      modelCalls: { 'Claude Opus 4.1': 3, 'Claude Opus 4.1 (Instance 2)': 2, 'Grok': 2 }
+    });
+
+    expect(performances[0]).toMatchObject({ model: 'Claude Opus 4.1', tokensUsed: 3000, calls: 5 });
+    // Not measured on its own: tokens estimated from its one proposal
+    expect(performances[1]).toMatchObject({ model: 'Claude Opus 4.1 (Instance 2)', calls: 1 });
+  });
+
+  test('should estimate when the proxy reported no tokens', async () => {
+    await record({ usage: usage({ totalTokens: 0, cost: 0, byModel: {} }) });
+
+    expect(recorded.costSource).toBe('estimated');
+    expect(recorded.totalTokens).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for PresetEstimator
+ * Preset cost and time from registry pricing, recorded usage per category and defaults
+ */
+
+import {
+  PresetEstimator,
+  percentile,
+  formatDuration,
+  formatCost,
+  describeBasis
+} from '../../src/presets/preset-estimator.js';
+
+const MODELS = [
+  { alias: 'k1', name: 'Claude', pricing: { input: 3, output: 15 } },
+  { alias: 'k5', name: 'Grok', pricing: { input: 0.2, output: 0.5 } },
+  { alias: 'k9', name: 'Local Llama' }
+];
+
+const registry = {
+  list: () => MODELS,
+  get: alias => MODELS.find(model => model.alias === alias)
+};
+
+// Round numbers: 1000 input and 100 output tokens per call without history
+const callEstimate = { inputTokensPerCall: 1000, outputTokensPerCall: 100 };
+
+const history = rows => ({
+  getUsageSamples: async () => rows,
+  categorizeQuestion: () => 'tech/programming'
+});
+
+const sample = (model, category, responseTimeSeconds, tokensUsed = null, calls = 2) =>
+  ({ model, category, responseTimeSeconds, tokensUsed, calls });
+
+describe('PresetEstimator', () => {
+  test('percentile should interpolate between samples', () => {
+    expect(percentile([30, 10, 20], 50)).toBe(20);
+    expect(percentile([10, 20, 30], 90)).toBeCloseTo(28);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  test('should price every call with registry pricing and defaults without history', async () => {
+    const estimator = new PresetEstimator({ registry, callEstimate });
+
+    const estimate = await estimator.estimate(
+      { models: ['k5:2', 'k1'], iterations: 2, verification: false, timeoutMinutes: 15 },
+      { questionLength: 0 }
+    );
+
+    // k5: 2 proposals + instance synthesis + 4 improvements; k1: proposal + 2 improvements + evaluation
+    expect(estimate.calls).toEqual({ proposals: 4, evaluation: 1, improvements: 6, verification: 0, total: 11 });
+    expect(estimate.cost.p50).toBeCloseTo(7 * 250e-6 + 4 * 4500e-6);
+    expect(estimate.cost.p90).toBeCloseTo(2 * estimate.cost.p50);
+    // Proposals (instances, then their synthesis), evaluation, two improvement rounds
+    expect(estimate.time).toEqual({ p50: 600, p90: 1200 });
+    expect(estimate.exceedsTimeout).toBe(true);
+    expect(estimate.basis.k5).toEqual({ time: { source: 'default', samples: 0 }, tokens: { source: 'default', samples: 0 } });
+  });
+
+  test('should use the question category\'s history, then all history', async () => {
+    const estimator = new PresetEstimator({
+      registry,
+      callEstimate,
+      history: history([
+        sample('Grok (Instance 2)', 'tech/programming', 10, 2200),
+        sample('Grok', 'tech/programming', 20, 2200),
+        sample('Grok', 'tech/programming', 30, 2200),
+        sample('Grok', 'general', 500, 2200),
+        sample('Claude', 'general', 100),
+        sample('Claude', 'general', 200),
+        sample('Claude', 'general', 300),
+        sample('Someone Else', 'tech/programming', 1)
+      ])
+    });
+
+    const estimate = await estimator.estimate(
+      { models: ['k5', 'k1'], iterations: 1, verification: true, timeoutMinutes: 30 },
+      { question: 'Why does this resolver leak memory?' }
+    );
+
+    expect(estimate.category).toBe('tech/programming');
+    expect(estimate.basis.k5).toEqual({ time: { source: 'category', samples: 3 }, tokens: { source: 'category', samples: 3 } });
+    expect(estimate.basis.k1).toEqual({ time: { source: 'history', samples: 3 }, tokens: { source: 'default', samples: 0 } });
+    // Proposals, evaluation and one round wait for Claude; 4 verification calls take the lineup average
+    expect(estimate.time.p50).toBe(200 + 200 + 200 + 4 * 110);
+    expect(estimate.calls.verification).toBe(4);
+    expect(describeBasis(estimate)).toContain('k5: time from 3 recorded calls in tech/programming, tokens from 3 recorded calls in tech/programming');
+  });
+
+  test('should report models without pricing and survive a missing history', async () => {
+    const estimator = new PresetEstimator({
+      registry,
+      history: { getUsageSamples: async () => { throw new Error('SQLITE_CANTOPEN'); } }
+    });
+
+    const estimate = await estimator.estimate({ models: ['k9', 'k5'], iterations: 1 }, { category: 'general' });
+
+    expect(estimate.unpriced).toEqual(['k9']);
+    expect(estimate.cost.p50).toBeGreaterThan(0);
+    expect(estimate.basis.k9.time.source).toBe('default');
+    expect(describeBasis(estimate)).toContain('k9: time from defaults, tokens from defaults (no registry pricing)');
+  });
+
+  test('should divide recorded tokens by the calls they cover', async () => {
+    const preset = { models: ['k5'], iterations: 3 };
+    const estimateFrom = rows => new PresetEstimator({ registry, callEstimate, history: history(rows) })
+      .estimate(preset, { category: 'general' });
+
+    const twoCalls = await estimateFrom([1, 2, 3].map(() => sample('Grok', 'general', 10, 2200, 2)));
+    const sixCalls = await estimateFrom([1, 2, 3].map(() => sample('Grok', 'general', 10, 6600, 6)));
+    const uncounted = await estimateFrom([1, 2, 3].map(() => sample('Grok', 'general', 10, 6600, null)));
+
+    expect(sixCalls.cost.p50).toBeCloseTo(twoCalls.cost.p50);
+    expect(sixCalls.basis.k5.tokens).toEqual({ source: 'category', samples: 3 });
+    expect(uncounted.basis.k5.tokens).toEqual({ source: 'default', samples: 0 });
+  });
+
+  test('should re-read the usage history once its samples are a minute old', async () => {
+    const rows = [sample('Grok', 'general', 10), sample('Grok', 'general', 20)];
+    let now = 0;
+    const estimator = new PresetEstimator({ registry, callEstimate, history: history(rows), now: () => now });
+    const preset = { models: ['k5'], iterations: 1 };
+
+    expect((await estimator.estimate(preset, { category: 'general' })).basis.k5.time.source).toBe('default');
+
+    rows.push(sample('Grok', 'general', 30));
+    now = 30 * 1000;
+    expect((await estimator.estimate(preset, { category: 'general' })).basis.k5.time.source).toBe('default');
+    now = 61 * 1000;
+    expect((await estimator.estimate(preset, { category: 'general' })).basis.k5.time).toEqual({ source: 'category', samples: 3 });
+  });
+
+  test('should format durations and costs', () => {
+    expect(formatDuration(45)).toBe('45s');
+    expect(formatDuration(720)).toBe('12m');
+    expect(formatDuration(3900)).toBe('1h 05m');
+    expect(formatCost(0.4213)).toBe('$0.42');
+    expect(formatCost(0.0031)).toBe('$0.0031');
+  });
+});
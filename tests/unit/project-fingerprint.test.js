@@ -0,0 +1,188 @@
+/**
+ * Unit tests for project fingerprinting
+ * Tests content hashing, .gitignore handling and the git tree fast path
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProjectFingerprinter, parseGitignore, isIgnored } from '../../src/cache/project-fingerprint.js';
+import { CacheInvalidator } from '../../src/cache/invalidator.js';
+
+function write(dir, file, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+function touch(dir, file) {
+  const future = new Date(Date.now() + 60000);
+  fs.utimesSync(path.join(dir, file), future, future);
+}
+
+function git(dir, ...args) {
+  execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+}
+
+describe('gitignore matching', () => {
+  test('should match names, directories, anchored paths and negations', () => {
+    const rules = parseGitignore('*.log\nbuild/\n/secret.txt\n!keep.log\ndocs/**/*.tmp\n');
+
+    expect(isIgnored(rules, 'debug.log', false)).toBe(true);
+    expect(isIgnored(rules, 'src/debug.log', false)).toBe(true);
+    expect(isIgnored(rules, 'keep.log', false)).toBe(false);
+    expect(isIgnored(rules, 'build', true)).toBe(true);
+    expect(isIgnored(rules, 'build', false)).toBe(false);
+    expect(isIgnored(rules, 'secret.txt', false)).toBe(true);
+    expect(isIgnored(rules, 'src/secret.txt', false)).toBe(false);
+    expect(isIgnored(rules, 'docs/a/b/notes.tmp', false)).toBe(true);
+  });
+
+  test('should scope rules to the directory of their .gitignore', () => {
+    const rules = parseGitignore('*.out', 'sub');
+
+    expect(isIgnored(rules, 'sub/result.out', false)).toBe(true);
+    expect(isIgnored(rules, 'result.out', false)).toBe(false);
+  });
+});
+
+describe('ProjectFingerprinter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-fingerprint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('content hashing', () => {
+    let fingerprinter;
+
+    beforeEach(() => {
+      fingerprinter = new ProjectFingerprinter({ useGit: false });
+      write(dir, 'main.py', 'print("hello")\n');
+      write(dir, 'src/lib.rs', 'fn main() {}\n');
+    });
+
+    test('should not change when files are only touched', async () => {
+      const before = await fingerprinter.fingerprint(dir);
+      touch(dir, 'main.py');
+
+      const after = await fingerprinter.fingerprint(dir);
+
+      expect(after).toEqual(before);
+      expect(after.method).toBe('content');
+    });
+
+    test('should change when a file in any language changes', async () => {
+      const before = await fingerprinter.fingerprint(dir);
+      write(dir, 'src/lib.rs', 'fn main() { println!("hi"); }\n');
+
+      const after = await fingerprinter.fingerprint(dir);
+
+      expect(after.hash).not.toBe(before.hash);
+    });
+
+    test('should ignore files matched by .gitignore', async () => {
+      write(dir, '.gitignore', 'dist/\n*.log\n');
+      const before = await fingerprinter.fingerprint(dir);
+
+      write(dir, 'dist/bundle.js', 'built');
+      write(dir, 'src/debug.log', 'noise');
+      write(dir, 'node_modules/pkg/index.js', 'dependency');
+
+      expect(await fingerprinter.fingerprint(dir)).toEqual(before);
+    });
+
+    test('should reuse content hashes while mtime and size are unchanged', async () => {
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(path.join(dir, 'main.py'), past, past);
+      await fingerprinter.fingerprint(dir);
+      const first = fingerprinter.contentHashes.get(path.join(dir, 'main.py'));
+
+      await fingerprinter.fingerprint(dir);
+
+      expect(first).toBeDefined();
+      expect(fingerprinter.contentHashes.get(path.join(dir, 'main.py'))).toBe(first);
+    });
+
+    test('should not reuse hashes of files modified moments ago', async () => {
+      await fingerprinter.fingerprint(dir);
+
+      expect(fingerprinter.contentHashes.has(path.join(dir, 'main.py'))).toBe(false);
+    });
+  });
+
+  describe('git repositories', () => {
+    let fingerprinter;
+
+    beforeEach(() => {
+      fingerprinter = new ProjectFingerprinter();
+      git(dir, 'init', '-q');
+      git(dir, 'config', 'user.email', 'test@example.com');
+      git(dir, 'config', 'user.name', 'Test');
+      write(dir, '.gitignore', 'out/\n');
+      write(dir, 'app/main.go', 'package main\n');
+      git(dir, 'add', '-A');
+      git(dir, 'commit', '-q', '-m', 'initial');
+    });
+
+    test('should use the git tree and ignore touched or ignored files', async () => {
+      const before = await fingerprinter.fingerprint(dir);
+      touch(dir, 'app/main.go');
+      write(dir, 'out/binary', 'built');
+
+      const after = await fingerprinter.fingerprint(dir);
+
+      expect(before.method).toBe('git');
+      expect(after).toEqual(before);
+    });
+
+    test('should change for uncommitted and untracked changes', async () => {
+      const clean = await fingerprinter.fingerprint(dir);
+
+      write(dir, 'app/main.go', 'package main\n\nfunc main() {}\n');
+      const modified = await fingerprinter.fingerprint(dir);
+
+      write(dir, 'app/util.go', 'package main\n');
+      const untracked = await fingerprinter.fingerprint(dir);
+
+      expect(modified.hash).not.toBe(clean.hash);
+      expect(untracked.hash).not.toBe(modified.hash);
+    });
+
+    test('should change when a commit changes the project', async () => {
+      const before = await fingerprinter.fingerprint(dir);
+      write(dir, 'app/main.go', 'package app\n');
+      git(dir, 'commit', '-q', '-am', 'rename package');
+
+      expect((await fingerprinter.fingerprint(dir)).hash).not.toBe(before.hash);
+    });
+
+    test('should only cover the project subdirectory', async () => {
+      const project = path.join(dir, 'app');
+      const before = await fingerprinter.fingerprint(project);
+
+      write(dir, 'README.md', 'outside the project');
+
+      expect(await fingerprinter.fingerprint(project)).toEqual(before);
+    });
+  });
+
+  test('CacheInvalidator should detect changes with the same fingerprint', async () => {
+    const fingerprinter = new ProjectFingerprinter({ useGit: false });
+    const invalidator = new CacheInvalidator({ fingerprinter });
+    write(dir, 'index.rb', 'puts 1\n');
+
+    const state = await invalidator.captureProjectState(dir);
+    expect(state.fingerprint).toBe((await fingerprinter.fingerprint(dir)).hash);
+
+    touch(dir, 'index.rb');
+    expect(await invalidator.detectProjectChanges(dir, state)).toBe(false);
+
+    write(dir, 'index.rb', 'puts 2\n');
+    expect(await invalidator.detectProjectChanges(dir, state)).toBe(true);
+  });
+});
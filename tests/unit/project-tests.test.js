@@ -0,0 +1,209 @@
+/**
+ * Unit tests for project test detection and test output parsing
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  detectTestCommand,
+  testConfigChanges,
+  testFileChanges,
+  parseTestCounts,
+  parseCoverage,
+  passRate,
+  describeTests
+} from '../../src/git/project-tests.js';
+
+describe('detectTestCommand', () => {
+  let dir;
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-tests-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should use the package.json test script with the project\'s package manager', async () => {
+    write('package.json', JSON.stringify({ scripts: { test: 'jest' } }));
+    expect(await detectTestCommand(dir)).toEqual({ command: 'npm test', source: 'package.json' });
+
+    write('yarn.lock', '');
+    expect((await detectTestCommand(dir)).command).toBe('yarn test');
+  });
+
+  test('should skip the npm init placeholder script', async () => {
+    write('package.json', JSON.stringify({ scripts: { test: 'echo "Error: no test specified" && exit 1' } }));
+    write('go.mod', 'module example.com/app\n');
+
+    expect(await detectTestCommand(dir)).toEqual({ command: 'go test ./...', source: 'go.mod' });
+  });
+
+  test('should find pytest configured in pyproject.toml, but not other pyproject files', async () => {
+    write('pyproject.toml', '[project]\nname = "app"\n');
+    expect(await detectTestCommand(dir)).toBeNull();
+
+    write('pyproject.toml', '[project]\nname = "app"\n\n[tool.pytest.ini_options]\naddopts = "-q"\n');
+    expect(await detectTestCommand(dir)).toEqual({ command: 'python -m pytest', source: 'pyproject.toml' });
+  });
+
+  test('should detect Cargo, Gradle and Makefile test targets', async () => {
+    write('Makefile', 'build:\n\tcc app.c\n\ntest:\n\t./run-tests\n');
+    expect((await detectTestCommand(dir)).command).toBe('make test');
+
+    write('build.gradle', '');
+    write('gradlew', '#!/bin/sh\n');
+    expect((await detectTestCommand(dir)).command).toBe('./gradlew test');
+
+    write('Cargo.toml', '[package]\nname = "app"\n');
+    expect((await detectTestCommand(dir)).command).toBe('cargo test');
+  });
+
+  test('should prefer a configured command', async () => {
+    write('package.json', JSON.stringify({ scripts: { test: 'jest' } }));
+
+    expect(await detectTestCommand(dir, 'npm run test:unit')).toEqual({ command: 'npm run test:unit', source: 'configured' });
+  });
+});
+
+describe('testConfigChanges', () => {
+  const changes = (files, before, after) => testConfigChanges(
+    Object.keys(files),
+    file => before[file] ?? null,
+    file => after[file] ?? null
+  );
+
+  test('should flag changed test scripts and runner settings, not dependencies', async () => {
+    const pkg = fields => JSON.stringify({ name: 'app', ...fields });
+    const before = { 'package.json': pkg({ scripts: { test: 'jest' }, dependencies: {} }) };
+
+    expect(await changes(before, before, { 'package.json': pkg({ scripts: { test: 'jest' }, dependencies: { a: '1' } }) }))
+      .toEqual([]);
+    expect(await changes(before, before, { 'package.json': pkg({ scripts: { test: 'jest' }, jest: { testMatch: [] } }) }))
+      .toEqual(['package.json']);
+  });
+
+  test('should flag added or removed config files and only the pytest section of shared ones', async () => {
+    const files = { 'vitest.config.ts': '', 'conftest.py': '', 'pyproject.toml': '', 'src/app.js': '' };
+    const before = {
+      'conftest.py': 'import pytest\n',
+      'pyproject.toml': '[project]\nversion = "1"\n\n[tool.pytest.ini_options]\naddopts = "-q"\n',
+      'src/app.js': 'a'
+    };
+    const after = {
+      'vitest.config.ts': 'export default {};\n',
+      'pyproject.toml': '[project]\nversion = "2"\n\n[tool.pytest.ini_options]\naddopts = "-q"\n',
+      'src/app.js': 'b'
+    };
+
+    expect(await changes(files, before, after)).toEqual(['vitest.config.ts', 'conftest.py']);
+    expect(await changes({ 'pyproject.toml': '' }, before,
+      { 'pyproject.toml': '[project]\nversion = "1"\n\n[tool.pytest.ini_options]\naddopts = "-k nothing"\n' }))
+      .toEqual(['pyproject.toml']);
+  });
+});
+
+describe('testFileChanges', () => {
+  const changes = (before, after) => testFileChanges(
+    [...new Set([...Object.keys(before), ...Object.keys(after)])],
+    file => before[file] ?? null,
+    file => after[file] ?? null
+  );
+
+  test('should flag deleted test files, not added ones or other files', async () => {
+    expect(await changes(
+      { 'tests/cache.test.js': 'test("hit", () => {});\n', 'src/cache.js': 'old' },
+      { 'tests/cache.test.js.bak': 'test("hit", () => {});\n', 'tests/lru.test.js': 'test("evicts", () => {});\n' }
+    )).toEqual(['tests/cache.test.js (deleted)']);
+  });
+
+  test('should flag newly skipped, focused or removed tests', async () => {
+    const before = {
+      'src/cache.spec.ts': 'describe("cache", () => {\n  it("hits", () => {});\n  it("misses", () => {});\n});\n',
+      'test_store.py': 'def test_get():\n    pass\n',
+      'store/store_test.go': 'func TestGet(t *testing.T) {}\nfunc TestSet(t *testing.T) {}\n'
+    };
+    const after = {
+      'src/cache.spec.ts': 'describe("cache", () => {\n  it.only("hits", () => {});\n  it("misses", () => {});\n});\n',
+      'test_store.py': '@pytest.mark.skip(reason="flaky")\ndef test_get():\n    pass\n',
+      'store/store_test.go': 'func TestGet(t *testing.T) {}\n'
+    };
+
+    expect(await changes(before, after)).toEqual([
+      'src/cache.spec.ts (tests skipped)',
+      'test_store.py (tests skipped)',
+      'store/store_test.go (fewer tests)'
+    ]);
+    expect(await changes(before, { ...before, 'test_store.py': 'def test_get():\n    assert get() == 1\n' })).toEqual([]);
+  });
+});
+
+describe('parseTestCounts', () => {
+  test.each([
+    ['jest', 'Test Suites: 1 failed, 4 passed, 5 total\nTests:       1 failed, 2 skipped, 10 passed, 13 total\n',
+      { passed: 10, failed: 1, skipped: 2, total: 13 }],
+    ['vitest', ' Test Files  1 failed | 3 passed (4)\n      Tests  2 failed | 20 passed (22)\n',
+      { passed: 20, failed: 2, skipped: 0, total: 22 }],
+    ['mocha', '\n  14 passing (32ms)\n  1 pending\n  2 failing\n',
+      { passed: 14, failed: 2, skipped: 1, total: 17 }],
+    ['node --test', '# tests 6\n# pass 5\n# fail 1\n# skipped 0\n',
+      { passed: 5, failed: 1, skipped: 0, total: 6 }],
+    ['pytest', '=========== 1 failed, 8 passed, 1 skipped, 1 error in 0.52s ===========\n',
+      { passed: 8, failed: 2, skipped: 1, total: 11 }],
+    ['cargo', 'test result: ok. 4 passed; 0 failed; 1 ignored; 0 measured\ntest result: FAILED. 2 passed; 1 failed; 0 ignored; 0 measured\n',
+      { passed: 6, failed: 1, skipped: 1, total: 8 }],
+    ['maven', 'Tests run: 3, Failures: 0, Errors: 0, Skipped: 0\nResults:\nTests run: 12, Failures: 1, Errors: 1, Skipped: 2\n',
+      { passed: 8, failed: 2, skipped: 2, total: 12 }],
+    ['go test', 'ok  \texample.com/app/cache\t0.012s\nFAIL\texample.com/app/store\t0.020s\nFAIL\n',
+      { passed: 1, failed: 1, skipped: 0, total: 2 }]
+  ])('should read %s summaries', (runner, output, counts) => {
+    expect(parseTestCounts(output)).toEqual(counts);
+  });
+
+  test('should return null without a summary', () => {
+    expect(parseTestCounts('Compiling...\nsegmentation fault\n')).toBeNull();
+  });
+});
+
+describe('parseCoverage', () => {
+  test('should read the lines column of Istanbul tables', () => {
+    const table = [
+      '----------|---------|----------|---------|---------|',
+      'File      | % Stmts | % Branch | % Funcs | % Lines |',
+      '----------|---------|----------|---------|---------|',
+      'All files |   85.5  |    70    |   90    |   86.1  |'
+    ].join('\n');
+
+    expect(parseCoverage(table)).toBe(86.1);
+  });
+
+  test('should read pytest-cov totals and the lowest go package coverage', () => {
+    expect(parseCoverage('Name    Stmts   Miss  Cover\nTOTAL     360     50    86%\n')).toBe(86);
+    expect(parseCoverage('ok  a\t0.1s\tcoverage: 75.0% of statements\nok  b\t0.1s\tcoverage: 60.5% of statements\n')).toBe(60.5);
+    expect(parseCoverage('10 passing')).toBeNull();
+  });
+});
+
+describe('passRate and describeTests', () => {
+  const run = (overrides) => ({ status: 'failed', exitCode: 1, counts: null, coverage: null, durationMs: 1200, ...overrides });
+
+  test('passRate should prefer counts over the exit status', () => {
+    expect(passRate(run({ counts: { passed: 3, failed: 1, skipped: 4, total: 8 } }))).toBe(0.75);
+    expect(passRate(run({ status: 'passed', exitCode: 0 }))).toBe(1);
+    expect(passRate(run({ status: 'timeout' }))).toBe(0);
+    expect(passRate({ status: 'not-run', reason: 'no test command found' })).toBeNull();
+    expect(passRate(null)).toBeNull();
+  });
+
+  test('describeTests should summarize a run', () => {
+    expect(describeTests(run({ status: 'passed', counts: { passed: 12, failed: 0, skipped: 1, total: 13 }, coverage: 86.1 })))
+      .toBe('12 passed, 0 failed, 1 skipped, 86.1% coverage');
+    expect(describeTests(run({}))).toBe('failed (exit code 1)');
+    expect(describeTests(run({ status: 'timeout', durationMs: 600000 }))).toBe('timed out after 600s');
+    expect(describeTests({ status: 'not-run', reason: 'no test command found' })).toBe('not run (no test command found)');
+  });
+});
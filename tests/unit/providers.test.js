@@ -0,0 +1,122 @@
+/**
+ * Unit tests for k-proxy provider resolution
+ * Tests per-model routing to OpenRouter, OpenAI, Anthropic, Ollama and OpenAI-compatible endpoints
+ */
+
+import {
+  resolveProvider,
+  buildProviderHeaders,
+  reasoningParams,
+  validateProviderConfig
+} from '../../src/proxy/providers.js';
+
+function entry(provider, overrides = {}) {
+  return { alias: 'k1', model: 'vendor/model', provider, ...overrides };
+}
+
+describe('resolveProvider', () => {
+  test('should route OpenRouter models with the OpenRouter key', () => {
+    const provider = resolveProvider(entry('openrouter'), { OPENROUTER_API_KEY: 'or-key' });
+
+    expect(provider).toMatchObject({
+      name: 'openrouter',
+      format: 'openai',
+      url: 'https://openrouter.ai/api/v1/chat/completions',
+      apiKey: 'or-key',
+      missingApiKey: false
+    });
+  });
+
+  test('should route Anthropic models to the Messages API', () => {
+    const provider = resolveProvider(entry('anthropic'), { ANTHROPIC_API_KEY: 'ant-key' });
+
+    expect(provider.format).toBe('anthropic');
+    expect(provider.url).toBe('https://api.anthropic.com/v1/messages');
+  });
+
+  test('should report a missing key without throwing', () => {
+    const provider = resolveProvider(entry('openai'), {});
+
+    expect(provider.missingApiKey).toBe(true);
+    expect(provider.apiKeyEnv).toBe('OPENAI_API_KEY');
+  });
+
+  test('should not require a key for Ollama and honour OLLAMA_BASE_URL', () => {
+    expect(resolveProvider(entry('ollama'), {})).toMatchObject({
+      url: 'http://localhost:11434/v1/chat/completions',
+      missingApiKey: false
+    });
+    expect(resolveProvider(entry('ollama'), { OLLAMA_BASE_URL: 'http://gpu-box:11434/v1/' }).url)
+      .toBe('http://gpu-box:11434/v1/chat/completions');
+  });
+
+  test('should use baseUrl and apiKeyEnv from the registry entry', () => {
+    const model = entry('openai-compatible', { baseUrl: 'http://127.0.0.1:8080/v1', apiKeyEnv: 'LLAMA_KEY' });
+
+    expect(resolveProvider(model, {})).toMatchObject({
+      url: 'http://127.0.0.1:8080/v1/chat/completions',
+      missingApiKey: true
+    });
+    expect(resolveProvider(model, { LLAMA_KEY: 'secret' }).apiKey).toBe('secret');
+  });
+
+  test('should throw for an unknown provider', () => {
+    expect(() => resolveProvider(entry('mystery'))).toThrow('Unknown provider "mystery" for k1');
+  });
+});
+
+describe('buildProviderHeaders', () => {
+  test('should add OpenRouter attribution headers', () => {
+    const provider = resolveProvider(entry('openrouter'), { OPENROUTER_API_KEY: 'or-key' });
+
+    expect(buildProviderHeaders(provider, { port: 3457, title: 'Debate Consensus MCP - k1' })).toEqual({
+      'Content-Type': 'application/json',
+      'Authorization': 'Bearer or-key',
+      'HTTP-Referer': 'http://localhost:3457',
+      'X-Title': 'Debate Consensus MCP - k1'
+    });
+  });
+
+  test('should use x-api-key and anthropic-version for Anthropic', () => {
+    const provider = resolveProvider(entry('anthropic'), { ANTHROPIC_API_KEY: 'ant-key' });
+    const headers = buildProviderHeaders(provider);
+
+    expect(headers['x-api-key']).toBe('ant-key');
+    expect(headers['anthropic-version']).toBe('2023-06-01');
+    expect(headers).not.toHaveProperty('Authorization');
+  });
+
+  test('should omit Authorization for keyless local servers', () => {
+    const provider = resolveProvider(entry('ollama'), {});
+
+    expect(buildProviderHeaders(provider)).toEqual({ 'Content-Type': 'application/json' });
+  });
+});
+
+describe('reasoningParams', () => {
+  test('should map registry reasoning to each provider', () => {
+    const reasoning = { effort: 'high', budgetTokens: 8000 };
+
+    expect(reasoningParams({ name: 'openrouter' }, reasoning)).toEqual({ reasoning });
+    expect(reasoningParams({ name: 'openai' }, reasoning)).toEqual({ reasoning_effort: 'high' });
+    expect(reasoningParams({ name: 'anthropic' }, reasoning))
+      .toEqual({ thinking: { type: 'enabled', budget_tokens: 8000 } });
+    expect(reasoningParams({ name: 'ollama' }, reasoning)).toEqual({});
+    expect(reasoningParams({ name: 'openrouter' }, undefined)).toEqual({});
+  });
+});
+
+describe('validateProviderConfig', () => {
+  test('should accept known providers', () => {
+    expect(validateProviderConfig(entry('openrouter'))).toEqual([]);
+    expect(validateProviderConfig(entry('openai-compatible', { baseUrl: 'http://localhost:8080/v1' }))).toEqual([]);
+  });
+
+  test('should reject unknown providers and missing or invalid base URLs', () => {
+    expect(validateProviderConfig(entry('mystery'))[0]).toMatch(/"provider" must be one of/);
+    expect(validateProviderConfig(entry('openai-compatible')))
+      .toEqual(['"baseUrl" is required for the openai-compatible provider']);
+    expect(validateProviderConfig(entry('ollama', { baseUrl: 'localhost:11434' })))
+      .toEqual(['"baseUrl" must be an http(s) URL']);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the single-port k-proxy routing
+ * Tests path-prefix and header routing to per-model routers and per-model metrics
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { ProxyMultiplexer, MODEL_HEADER } from '../../src/proxy/multiplexer.js';
+import { ProxyMetrics } from '../../src/proxy/metrics.js';
+
+function modelRouter(alias, metrics) {
+  const router = express.Router();
+  router.use(metrics.middleware(alias));
+  router.post('/v1/messages', (req, res) => {
+    if (req.body.fail) {
+      return res.status(502).json({ error: { message: 'upstream failed' } });
+    }
+    res.json({ instance: alias, path: req.path, query: req.query });
+  });
+  router.get('/health', (req, res) => res.json({ status: 'ok', instance: alias }));
+  return router;
+}
+
+describe('ProxyMultiplexer', () => {
+  let app;
+  let metrics;
+  let multiplexer;
+
+  beforeEach(() => {
+    metrics = new ProxyMetrics();
+    multiplexer = new ProxyMultiplexer();
+    multiplexer.register('k1', modelRouter('k1', metrics));
+    multiplexer.register('k3', modelRouter('k3', metrics));
+
+    app = express();
+    app.use(express.json());
+    app.get('/health', (req, res) => res.json({ status: 'ok', models: multiplexer.aliases() }));
+    app.use(multiplexer.middleware());
+    app.use((req, res) => res.status(404).json({ error: 'not found' }));
+  });
+
+  test('should route by path prefix', async () => {
+    const response = await request(app).post('/k3/v1/messages?beta=true').send({ messages: [] });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ instance: 'k3', path: '/v1/messages', query: { beta: 'true' } });
+  });
+
+  test('should route unprefixed paths by header', async () => {
+    const response = await request(app)
+      .post('/v1/messages')
+      .set(MODEL_HEADER, 'k1')
+      .send({ messages: [] });
+
+    expect(response.body.instance).toBe('k1');
+  });
+
+  test('should prefer the path prefix over the header', async () => {
+    const response = await request(app)
+      .get('/k3/health')
+      .set(MODEL_HEADER, 'k1');
+
+    expect(response.body).toEqual({ status: 'ok', instance: 'k3' });
+  });
+
+  test('should reject an unknown model in the header', async () => {
+    const response = await request(app)
+      .post('/v1/messages')
+      .set(MODEL_HEADER, 'k9')
+      .send({ messages: [] });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.message).toBe('Unknown model "k9" in x-k-model header');
+  });
+
+  test('should fall through when no model is selected', async () => {
+    expect((await request(app).get('/health')).body).toEqual({ status: 'ok', models: ['k1', 'k3'] });
+    expect((await request(app).post('/k7/v1/messages').send({})).status).toBe(404);
+    expect((await request(app).get('/k1/unknown')).status).toBe(404);
+  });
+
+  test('should serve the same router at the root for legacy ports', async () => {
+    const legacy = express();
+    legacy.use(express.json());
+    legacy.use(multiplexer.routers.get('k1'));
+
+    await request(legacy).post('/v1/messages').send({ messages: [] });
+    await request(app).post('/k1/v1/messages').send({ messages: [] });
+
+    // Both entry points share the model's router, so they share its metrics
+    expect(metrics.snapshot('k1').requests).toBe(2);
+  });
+});
+
+describe('ProxyMetrics', () => {
+  test('should count requests per model', async () => {
+    const metrics = new ProxyMetrics();
+    const multiplexer = new ProxyMultiplexer();
+    multiplexer.register('k1', modelRouter('k1', metrics));
+    multiplexer.register('k2', modelRouter('k2', metrics));
+    const app = express();
+    app.use(express.json());
+    app.use(multiplexer.middleware());
+
+    await request(app).post('/k1/v1/messages').send({ stream: true });
+    await request(app).post('/k1/v1/messages').send({ fail: true });
+    await request(app).get('/k1/health');
+    await request(app).post('/k2/v1/messages').send({});
+
+    const all = metrics.snapshot();
+    expect(Object.keys(all)).toEqual(['k1', 'k2']);
+    expect(all.k1).toMatchObject({ requests: 2, errors: 1, streamed: 1, lastStatus: 502 });
+    expect(all.k2).toMatchObject({ requests: 1, errors: 0, lastStatus: 200 });
+  });
+
+  test('should classify rate-limited and aborted requests', () => {
+    const metrics = new ProxyMetrics();
+
+    metrics.record('k1', { statusCode: 429, durationMs: 1 });
+    metrics.record('k1', { statusCode: 200, durationMs: 9, aborted: true });
+
+    expect(metrics.snapshot('k1')).toMatchObject({
+      requests: 2,
+      rateLimited: 1,
+      aborted: 1,
+      errors: 0,
+      avgLatencyMs: 5
+    });
+  });
+
+  test('should report empty stats for a model without traffic', () => {
+    expect(new ProxyMetrics().snapshot('k5')).toMatchObject({ requests: 0, avgLatencyMs: 0 });
+  });
+});
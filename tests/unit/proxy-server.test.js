@@ -63,21 +63,16 @@ describe('K-Proxy Server', () => {
   });
 
   describe('Server Configuration', () => {
-    test('should fail to start without OpenRouter API key', () => {
-      // Test the configuration validation logic directly
-      const originalKey = process.env.OPENROUTER_API_KEY;
+    test('should start without an OpenRouter API key and flag the affected models', async () => {
+      const { resolveProvider } = await import('../../src/proxy/providers.js');
 
-      // Simulate missing API key
-      const mockEnv = {};
-      const OPENROUTER_API_KEY = mockEnv.OPENROUTER_API_KEY;
+      // Missing keys no longer stop the proxy; only models routed to that provider are unavailable
+      const openRouterModel = resolveProvider({ alias: 'k1', provider: 'openrouter' }, {});
+      const localModel = resolveProvider({ alias: 'k2', provider: 'ollama' }, {});
 
-      // This simulates the check in k-proxy-server.js line 28-31
-      const shouldExit = !OPENROUTER_API_KEY;
-
-      expect(shouldExit).toBe(true);
-
-      // Verify that the environment variable is required
-      expect(process.env.OPENROUTER_API_KEY).toBeDefined();
+      expect(openRouterModel.missingApiKey).toBe(true);
+      expect(openRouterModel.apiKeyEnv).toBe('OPENROUTER_API_KEY');
+      expect(localModel.missingApiKey).toBe(false);
     });
 
     test('should use default timeout when not configured', () => {
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for k-proxy token usage accounting
+ * Tests usage normalization, pricing, the per-debate ledger and fetching a debate's usage
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  UsageLedger,
+  DEBATE_ID_HEADER,
+  getDebateId,
+  debateHeaderEnv,
+  debateEnv,
+  normalizeUsage,
+  calculateCost,
+  fetchDebateUsage
+} from '../../src/proxy/usage.js';
+
+describe('normalizeUsage', () => {
+  test('should read OpenAI-style usage including a reported cost', () => {
+    expect(normalizeUsage({ prompt_tokens: 1000, completion_tokens: 250, cost: 0.0042 }))
+      .toEqual({ inputTokens: 1000, outputTokens: 250, cost: 0.0042 });
+  });
+
+  test('should count cached Anthropic input tokens', () => {
+    expect(normalizeUsage({ input_tokens: 10, cache_read_input_tokens: 900, output_tokens: 40 }))
+      .toEqual({ inputTokens: 910, outputTokens: 40, cost: null });
+  });
+
+  test('should ignore missing or empty usage', () => {
+    expect(normalizeUsage(undefined)).toBeNull();
+    expect(normalizeUsage({ input_tokens: 0, output_tokens: 0 })).toBeNull();
+  });
+});
+
+describe('calculateCost', () => {
+  test('should price tokens per million', () => {
+    expect(calculateCost({ input: 3, output: 15 }, 1_000_000, 100_000)).toBeCloseTo(4.5);
+  });
+
+  test('should return null without pricing', () => {
+    expect(calculateCost(undefined, 100, 100)).toBeNull();
+  });
+});
+
+describe('debate ID header', () => {
+  test('should build ANTHROPIC_CUSTOM_HEADERS, keeping other headers', () => {
+    expect(debateHeaderEnv('d-1')).toBe('x-debate-id: d-1');
+    expect(debateHeaderEnv('d-2', 'X-Team: core\nx-debate-id: d-1')).toBe('X-Team: core\nx-debate-id: d-2');
+  });
+
+  test('should add the header to a wrapper environment only for a debate', () => {
+    const env = { PATH: '/bin', ANTHROPIC_CUSTOM_HEADERS: 'X-Team: core' };
+
+    expect(debateEnv('d-1', env)).toEqual({ PATH: '/bin', ANTHROPIC_CUSTOM_HEADERS: 'X-Team: core\nx-debate-id: d-1' });
+    expect(env.ANTHROPIC_CUSTOM_HEADERS).toBe('X-Team: core');
+    expect(debateEnv(null, env)).toBe(env);
+  });
+
+  test('should only accept well-formed debate IDs', async () => {
+    const app = express();
+    app.get('/', (req, res) => res.json({ debateId: getDebateId(req) }));
+
+    const tagged = await request(app).get('/').set(DEBATE_ID_HEADER, '3f2a-9c');
+    const malformed = await request(app).get('/').set(DEBATE_ID_HEADER, '../etc/passwd');
+
+    expect(tagged.body.debateId).toBe('3f2a-9c');
+    expect(malformed.body.debateId).toBeNull();
+  });
+});
+
+describe('UsageLedger', () => {
+  const k1 = { alias: 'k1', name: 'Claude', model: 'anthropic/claude-sonnet-4.5' };
+  const k3 = { alias: 'k3', name: 'Qwen', model: 'qwen/qwen3-max' };
+
+  test('should total usage per debate and per model', () => {
+    const ledger = new UsageLedger();
+
+    ledger.record('d-1', { ...k1, inputTokens: 1000, outputTokens: 200, cost: 0.006 });
+    ledger.record('d-1', { ...k1, inputTokens: 1500, outputTokens: 300, cost: 0.009 });
+    ledger.record('d-1', { ...k3, inputTokens: 800, outputTokens: 100, cost: null });
+    ledger.record('d-2', { ...k3, inputTokens: 50, outputTokens: 5, cost: 0.0001 });
+
+    const usage = ledger.get('d-1');
+    expect(usage).toMatchObject({
+      debateId: 'd-1',
+      requests: 3,
+      inputTokens: 3300,
+      outputTokens: 600,
+      totalTokens: 3900,
+      unpricedRequests: 1
+    });
+    expect(usage.cost).toBeCloseTo(0.015);
+    expect(usage.byModel.k1).toMatchObject({ name: 'Claude', requests: 2, totalTokens: 3000 });
+    expect(usage.byModel.k3).toMatchObject({ requests: 1, cost: 0, unpricedRequests: 1 });
+  });
+
+  test('should count untagged requests in the totals only', () => {
+    const ledger = new UsageLedger();
+
+    ledger.record(null, { ...k1, inputTokens: 10, outputTokens: 5, cost: 0.001 });
+
+    expect(ledger.get('d-1')).toBeNull();
+    expect(ledger.summary()).toMatchObject({ requests: 1, totalTokens: 15, debatesTracked: 0 });
+  });
+
+  test('should drop the oldest debate when full', () => {
+    const ledger = new UsageLedger({ maxDebates: 2 });
+
+    for (const id of ['d-1', 'd-2', 'd-3']) {
+      ledger.record(id, { ...k1, inputTokens: 1, outputTokens: 1, cost: 0 });
+    }
+
+    expect(ledger.get('d-1')).toBeNull();
+    expect(ledger.get('d-3')).not.toBeNull();
+  });
+});
+
+describe('fetchDebateUsage', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const ledger = new UsageLedger();
+    ledger.record('d-1', { alias: 'k1', name: 'Claude', model: 'm', inputTokens: 100, outputTokens: 20, cost: 0.001 });
+
+    const app = express();
+    app.get('/usage/:debateId', (req, res) => {
+      const usage = ledger.get(req.params.debateId);
+      return usage ? res.json({ usage }) : res.status(404).json({ error: { message: 'not found' } });
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should return the usage the proxy recorded', async () => {
+    const usage = await fetchDebateUsage('d-1', { baseUrl });
+
+    expect(usage).toMatchObject({ debateId: 'd-1', totalTokens: 120 });
+  });
+
+  test('should return null for unknown debates', async () => {
+    expect(await fetchDebateUsage('d-9', { baseUrl })).toBeNull();
+  });
+});
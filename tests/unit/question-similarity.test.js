@@ -0,0 +1,67 @@
+/**
+ * Unit tests for question similarity
+ * Tests the local question embedding used for near-duplicate cache lookups
+ */
+
+import {
+  questionTerms,
+  questionNumbers,
+  questionSimilarity,
+  orderAgreement,
+  cosineSimilarity
+} from '../../src/cache/question-similarity.js';
+
+describe('questionSimilarity', () => {
+  test('should drop filler words and stem the rest', () => {
+    expect(questionTerms('How should I rate-limit requests in Express?'))
+      .toEqual(['rate', 'limit', 'request', 'express']);
+  });
+
+  test('should score identical questions as 1', () => {
+    expect(questionSimilarity('Optimize PostgreSQL indexes', 'optimize postgresql indexes?')).toBeCloseTo(1);
+  });
+
+  test('should score rewordings above unrelated questions', () => {
+    const reworded = questionSimilarity(
+      'Compare JWT vs sessions for authentication in a SaaS app',
+      'JWT or sessions for SaaS app authentication?'
+    );
+    const unrelated = questionSimilarity(
+      'Compare JWT vs sessions for authentication in a SaaS app',
+      'How to optimize slow MySQL queries?'
+    );
+
+    expect(reworded).toBeGreaterThan(0.85);
+    expect(unrelated).toBeLessThan(0.3);
+  });
+
+  test('should never match a question with its negation', () => {
+    expect(questionSimilarity("Should I use Redis for sessions?", "Shouldn't I use Redis for sessions?")).toBe(0);
+  });
+
+  test.each([
+    ['How do I migrate from Python 2 to 3?', 'How do I migrate from Python 3 to 2?'],
+    ['Is JWT more secure than sessions?', 'Are sessions more secure than JWT?'],
+    ['Should I use PostgreSQL or MongoDB for user data?', 'Should I use MongoDB or PostgreSQL for user data?'],
+    ['Migrate from MySQL to PostgreSQL', 'Migrate from PostgreSQL to MySQL']
+  ])('should never match a question with its word order reversed: %s', (a, b) => {
+    expect(questionSimilarity(a, b)).toBe(0);
+  });
+
+  test('should require the same numbers and versions', () => {
+    expect(questionNumbers('Upgrade Python 3.11 to 3.12 on Node 20')).toEqual(['3.11', '3.12', '20']);
+    expect(questionSimilarity('Upgrade to Node 18', 'Upgrade to Node 20')).toBe(0);
+    expect(questionSimilarity('Upgrade to Node 20', 'How do I upgrade to Node 20?')).toBeGreaterThan(0.85);
+  });
+
+  test('orderAgreement should count the shared word pairs kept in order', () => {
+    expect(orderAgreement(['jwt', 'more', 'secure', 'than', 'session'], ['session', 'more', 'secure', 'than', 'jwt']))
+      .toBeCloseTo(0.3);
+    expect(orderAgreement(['rate', 'limit', 'express'], ['rate', 'limit', 'express', 'api'])).toBe(1);
+    expect(orderAgreement(['redis'], ['redis', 'cache'])).toBe(1);
+  });
+
+  test('cosineSimilarity should be 0 for empty vectors', () => {
+    expect(cosineSimilarity(new Map(), new Map([['a', 1]]))).toBe(0);
+  });
+});
@@ -98,6 +98,30 @@ describe('RetryHandler', () => {
     });
   });
 
+  describe('cancellation', () => {
+    test('should stop retrying when aborted during the backoff delay', async () => {
+      const controller = new AbortController();
+      const reason = new Error('Debate d-1 was cancelled');
+      const mockFn = jest.fn().mockImplementation(async () => {
+        setTimeout(() => controller.abort(reason), 10);
+        throw new Error('Temporary failure');
+      });
+
+      await expect(retryHandler.execute(mockFn, { name: 'test', signal: controller.signal }))
+        .rejects.toBe(reason);
+      expect(mockFn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not start when already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('cancelled'));
+      const mockFn = jest.fn();
+
+      await expect(retryHandler.execute(mockFn, { signal: controller.signal })).rejects.toThrow('cancelled');
+      expect(mockFn).not.toHaveBeenCalled();
+    });
+  });
+
   describe('timeout handling', () => {
     test('should timeout long-running functions', async () => {
       const longRunningFn = jest.fn().mockImplementation(
@@ -144,6 +168,18 @@ describe('RetryHandler', () => {
 });
 
 describe('ErrorClassifier', () => {
+  describe('aborted calls', () => {
+    test('should not retry aborted calls', () => {
+      const error = new Error('Debate stopped: spent $1.0000 of its $1.0000 budget');
+      error.name = 'BudgetExceededError';
+
+      const classification = ErrorClassifier.classify(error);
+
+      expect(classification.type).toBe(ErrorTypes.ABORTED);
+      expect(classification.retriable).toBe(false);
+    });
+  });
+
   describe('authentication errors', () => {
     test('should classify 401 errors as non-retriable', () => {
       const error = new Error('Unauthorized');
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for SingleFlight
+ * Identical debates share one run, within a process and across processes through lock files
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SingleFlight, FlightFailedError } from '../../src/cache/single-flight.js';
+
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const waitUntil = async (condition) => {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('SingleFlight', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'single-flight-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('in one process', () => {
+    test('should run identical flights once', async () => {
+      const flights = new SingleFlight();
+      const debate = deferred();
+      let runs = 0;
+      const fn = () => {
+        runs++;
+        return debate.promise;
+      };
+
+      const first = flights.run('key', fn);
+      const second = flights.run('key', fn);
+      debate.resolve({ solution: 'A' });
+
+      expect(await first).toEqual({ value: { solution: 'A' }, joined: false });
+      expect(await second).toEqual({ value: { solution: 'A' }, joined: true });
+      expect(runs).toBe(1);
+    });
+
+    test('should run different keys and later flights separately', async () => {
+      const flights = new SingleFlight();
+      let runs = 0;
+      const fn = async () => ++runs;
+
+      await Promise.all([flights.run('a', fn), flights.run('b', fn)]);
+      await flights.run('a', fn);
+
+      expect(runs).toBe(3);
+    });
+
+    test('should pass failures to joined callers', async () => {
+      const flights = new SingleFlight();
+      const debate = deferred();
+
+      const first = flights.run('key', () => debate.promise);
+      const second = flights.run('key', () => debate.promise);
+      debate.reject(new Error('models unavailable'));
+
+      await expect(first).rejects.toThrow('models unavailable');
+      await expect(second).rejects.toThrow('models unavailable');
+    });
+
+    test('should run an abandoned flight again for joined callers', async () => {
+      const flights = new SingleFlight();
+      const debate = deferred();
+      const isAbandoned = error => error.name === 'DebateCancelledError';
+      const cancelled = Object.assign(new Error('cancelled'), { name: 'DebateCancelledError' });
+      let runs = 0;
+
+      const first = flights.run('key', () => {
+        runs++;
+        return debate.promise;
+      }, { isAbandoned });
+      const second = flights.run('key', async () => {
+        runs++;
+        return { solution: 'B' };
+      }, { isAbandoned });
+      debate.reject(cancelled);
+
+      await expect(first).rejects.toThrow('cancelled');
+      expect(await second).toEqual({ value: { solution: 'B' }, joined: false });
+      expect(runs).toBe(2);
+    });
+  });
+
+  describe('across processes', () => {
+    // Separate instances do not share in-memory flights, like separate processes
+    const processFlights = () => new SingleFlight({ dir, pollInterval: 10 });
+
+    test('should hand the result to a waiting process', async () => {
+      const leader = processFlights();
+      const follower = processFlights();
+      const debate = deferred();
+      let started = false;
+
+      const first = leader.run('key', () => {
+        started = true;
+        return debate.promise;
+      });
+      await waitUntil(() => started);
+      const second = follower.run('key', async () => ({ solution: 'should not run' }));
+      await new Promise(resolve => setTimeout(resolve, 30));
+      debate.resolve({ solution: 'A' });
+
+      expect(await first).toEqual({ value: { solution: 'A' }, joined: false });
+      expect(await second).toEqual({ value: { solution: 'A' }, joined: true });
+      expect(fs.readdirSync(dir).filter(file => file.endsWith('.lock'))).toEqual([]);
+    });
+
+    test('should report a failure of the other process', async () => {
+      const leader = processFlights();
+      const follower = processFlights();
+      const debate = deferred();
+      let started = false;
+
+      const first = leader.run('key', () => {
+        started = true;
+        return debate.promise;
+      });
+      await waitUntil(() => started);
+      const second = follower.run('key', async () => 'should not run');
+      await new Promise(resolve => setTimeout(resolve, 30));
+      debate.reject(new Error('budget exceeded'));
+
+      await expect(first).rejects.toThrow('budget exceeded');
+      await expect(second).rejects.toThrow(FlightFailedError);
+      await expect(second).rejects.toThrow('budget exceeded');
+    });
+
+    test('should take over an abandoned flight of the other process', async () => {
+      const leader = processFlights();
+      const follower = processFlights();
+      const debate = deferred();
+      const isAbandoned = error => error.name === 'DebateCancelledError';
+      let started = false;
+
+      const first = leader.run('key', () => {
+        started = true;
+        return debate.promise;
+      }, { isAbandoned });
+      await waitUntil(() => started);
+      const second = follower.run('key', async () => ({ solution: 'B' }), { isAbandoned });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      debate.reject(Object.assign(new Error('cancelled'), { name: 'DebateCancelledError' }));
+
+      await expect(first).rejects.toThrow('cancelled');
+      expect(await second).toEqual({ value: { solution: 'B' }, joined: false });
+    });
+
+    test('should take over the lock of a process that died', async () => {
+      const flights = processFlights();
+      fs.writeFileSync(flights.lockPath('key'), JSON.stringify({
+        id: 'dead', pid: 2 ** 22 + 1, hostname: os.hostname(), startedAt: Date.now()
+      }));
+
+      expect(await flights.run('key', async () => 'ran')).toEqual({ value: 'ran', joined: false });
+    });
+
+    test('should take over a lock whose heartbeat stopped', async () => {
+      const flights = new SingleFlight({ dir, pollInterval: 10, staleLockMs: 1000 });
+      const lockPath = flights.lockPath('key');
+      fs.writeFileSync(lockPath, JSON.stringify({ id: 'remote', pid: 1, hostname: 'other-host', startedAt: 0 }));
+      const past = new Date(Date.now() - 5000);
+      fs.utimesSync(lockPath, past, past);
+
+      expect(await flights.run('key', async () => 'ran')).toEqual({ value: 'ran', joined: false });
+    });
+
+    test('should stop waiting after maxWaitMs', async () => {
+      const flights = new SingleFlight({ dir, pollInterval: 10, maxWaitMs: 50 });
+      fs.writeFileSync(flights.lockPath('key'), JSON.stringify({
+        id: 'busy', pid: process.pid, hostname: os.hostname(), startedAt: Date.now()
+      }));
+
+      await expect(flights.run('key', async () => 'ran')).rejects.toThrow('Timed out waiting');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for stale-while-revalidate cache mode
+ * Stale entries returned with their age and reasons, kept by cleanup, replaced by refreshes,
+ * and the answer diff shown for refreshed results
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DebateCache } from '../../src/cache/debate-cache.js';
+import { CacheInvalidator } from '../../src/cache/invalidator.js';
+import { ProjectFingerprinter } from '../../src/cache/project-fingerprint.js';
+import { diffAnswers } from '../../src/cache/answer-diff.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('stale-while-revalidate', () => {
+  let dir;
+  let fingerprinter;
+  let cache;
+
+  const backdate = (question, ms) => {
+    for (const entry of cache.cache.values()) {
+      if (entry.question === question) entry.timestamp -= ms;
+    }
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stale-cache-'));
+    fs.writeFileSync(path.join(dir, 'app.js'), 'export const port = 3000;\n');
+    fs.writeFileSync(path.join(dir, 'README.md'), '# App\n');
+    fingerprinter = new ProjectFingerprinter({ useGit: false });
+    cache = new DebateCache({ maxAge: HOUR, staleWhileRevalidate: true, fingerprinter });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should keep stale entries for a week by default', () => {
+    expect(cache.maxStale).toBe(7 * 24 * HOUR);
+    expect(new DebateCache({ maxAge: HOUR, fingerprinter }).maxStale).toBe(0);
+  });
+
+  test('should return an expired entry labeled with its age', async () => {
+    await cache.store('Which port?', { solution: '3000' }, { projectPath: dir });
+    backdate('Which port?', 2 * HOUR);
+
+    const cached = await cache.getCached('Which port?', { projectPath: dir });
+
+    expect(cached).toMatchObject({ solution: '3000', fromCache: true, stale: { reasons: ['time_expired'] } });
+    expect(cached.stale.ageMs).toBeGreaterThanOrEqual(2 * HOUR);
+    expect(cache.getStats().staleHits).toBe(1);
+  });
+
+  test('should report project and cited file changes', async () => {
+    await cache.store('Which port?', { solution: '3000' }, { projectPath: dir });
+    await cache.store('Where is the app?', { solution: 'app.js' }, { projectPath: dir, files: ['app.js'] });
+
+    fs.writeFileSync(path.join(dir, 'app.js'), 'export const port = 8080;\n');
+
+    expect((await cache.getCached('Which port?', { projectPath: dir })).stale.reasons).toEqual(['project_changed']);
+    expect((await cache.getCached('Where is the app?', { projectPath: dir })).stale.reasons).toEqual(['files_changed']);
+  });
+
+  test('should return valid entries as fresh hits', async () => {
+    await cache.store('Which port?', { solution: '3000' }, { projectPath: dir });
+
+    const cached = await cache.getCached('Which port?', { projectPath: dir });
+
+    expect(cached.solution).toBe('3000');
+    expect(cached.stale).toBeUndefined();
+  });
+
+  test('should not return stale entries when not allowed or past the stale window', async () => {
+    await cache.store('Which port?', { solution: '3000' }, { projectPath: dir });
+    await cache.store('Which host?', { solution: 'localhost' }, { projectPath: dir });
+    backdate('Which port?', 2 * HOUR);
+    backdate('Which host?', HOUR + cache.maxStale + 1000);
+
+    expect(await cache.getCached('Which port?', { projectPath: dir, fresh: true })).toBeNull();
+    expect(await cache.getCached('Which host?', { projectPath: dir })).toBeNull();
+  });
+
+  test('should drop outdated entries when stale answers are not allowed', async () => {
+    await cache.store('Which port?', { solution: '3000' }, { projectPath: dir });
+    backdate('Which port?', 2 * HOUR);
+
+    expect(await cache.getCached('Which port?', { projectPath: dir, allowStale: false })).toBeNull();
+    expect(await cache.getCached('Which port?', { projectPath: dir })).toBeNull();
+  });
+
+  test('should replace the stale entry with its refresh', async () => {
+    await cache.store('Which port?', { solution: '3000' }, { projectPath: dir });
+    const stale = await cache.getCached('Which port?', { projectPath: dir });
+    fs.writeFileSync(path.join(dir, 'app.js'), 'export const port = 8080;\n');
+
+    await cache.store('Which port?', { solution: '8080' }, { projectPath: dir, replaces: stale.cacheKey });
+
+    expect(cache.cache.size).toBe(1);
+    expect(cache.cache.has(stale.cacheKey)).toBe(false);
+    expect(await cache.getCached('Which port?', { projectPath: dir })).toMatchObject({ solution: '8080' });
+  });
+
+  test('periodic cleanup should keep entries within the stale window', async () => {
+    const invalidator = new CacheInvalidator({ maxAge: HOUR, maxStale: cache.maxStale, fingerprinter });
+    await cache.store('Which port?', { solution: '3000' }, { projectPath: dir });
+    await cache.store('Which host?', { solution: 'localhost' }, { projectPath: dir });
+    backdate('Which port?', 2 * HOUR);
+    backdate('Which host?', HOUR + cache.maxStale + 1000);
+
+    const invalidated = await invalidator.invalidateMatching(cache.cache, { keepStale: true });
+
+    expect(invalidated.map(i => i.reasons)).toEqual([['time_expired']]);
+    expect(Array.from(cache.cache.values()).map(e => e.question)).toEqual(['Which port?']);
+  });
+
+  describe('diffAnswers', () => {
+    test('should list added and removed lines ignoring whitespace', () => {
+      const diff = diffAnswers(
+        'Use port 3000.\n\n  Run   npm start\nSet NODE_ENV',
+        'Use port 8080.\nRun npm start\nSet NODE_ENV\nAdd a health check'
+      );
+
+      expect(diff).toMatchObject({
+        unchanged: 2,
+        addedCount: 2,
+        removedCount: 1,
+        added: ['Use port 8080.', 'Add a health check'],
+        removed: ['Use port 3000.']
+      });
+      expect(diff.similarity).toBeGreaterThan(0.5);
+      expect(diff.similarity).toBeLessThan(1);
+    });
+
+    test('should report identical answers', () => {
+      const diff = diffAnswers('Do not cache secrets.', 'Do not cache secrets.');
+
+      expect(diff).toMatchObject({ unchanged: 1, addedCount: 0, removedCount: 0 });
+      expect(diff.similarity).toBeCloseTo(1, 5);
+    });
+
+    test('should cap the listed lines', () => {
+      const lines = Array.from({ length: 15 }, (_, i) => `step ${i}`).join('\n');
+
+      const diff = diffAnswers('', lines, { maxLines: 5 });
+
+      expect(diff.addedCount).toBe(15);
+      expect(diff.added).toHaveLength(5);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the k-proxy streaming helpers
+ * Tests SSE parsing and OpenAI → Anthropic stream event translation
+ */
+
+import { jest } from '@jest/globals';
+import { SSEParser, formatSSEEvent } from '../../src/proxy/sse.js';
+import { AnthropicStreamTranslator, AnthropicEventRelay, mapStopReason } from '../../src/proxy/stream-translator.js';
+
+function chunk(content, extra = {}) {
+  return {
+    id: 'gen-1',
+    choices: [{ index: 0, delta: content === undefined ? {} : { content }, finish_reason: null }],
+    ...extra
+  };
+}
+
+describe('SSEParser', () => {
+  test('should reassemble payloads split across chunks', () => {
+    const parser = new SSEParser();
+
+    expect(parser.push('data: {"a":')).toEqual([]);
+    expect(parser.push('1}\n\ndata: {"b":2}\n')).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  test('should ignore comments and malformed data', () => {
+    const parser = new SSEParser();
+
+    const payloads = parser.push(': OPENROUTER PROCESSING\n\ndata: {broken\r\ndata: {"ok":true}\r\n');
+
+    expect(payloads).toEqual([{ ok: true }]);
+  });
+
+  test('should mark the stream done on [DONE]', () => {
+    const parser = new SSEParser();
+
+    expect(parser.push('data: [DONE]\n')).toEqual([]);
+    expect(parser.done).toBe(true);
+  });
+
+  test('should parse a trailing line without newline on flush', () => {
+    const parser = new SSEParser();
+    parser.push('data: {"last":1}');
+
+    expect(parser.flush()).toEqual([{ last: 1 }]);
+    expect(parser.flush()).toEqual([]);
+  });
+
+  test('should format Anthropic events as SSE frames', () => {
+    expect(formatSSEEvent({ type: 'message_stop' }))
+      .toBe('event: message_stop\ndata: {"type":"message_stop"}\n\n');
+  });
+});
+
+describe('mapStopReason', () => {
+  test('should map OpenAI finish reasons', () => {
+    expect(mapStopReason('stop')).toBe('end_turn');
+    expect(mapStopReason('length')).toBe('max_tokens');
+    expect(mapStopReason('tool_calls')).toBe('tool_use');
+    expect(mapStopReason('something_new')).toBe('end_turn');
+    expect(mapStopReason(null)).toBeNull();
+  });
+});
+
+describe('AnthropicStreamTranslator', () => {
+  test('should emit the Anthropic event sequence for a text response', () => {
+    const translator = new AnthropicStreamTranslator({ id: 'msg_1', model: 'vendor/model' });
+
+    const events = [
+      ...translator.handleChunk(chunk('Hello ')),
+      ...translator.handleChunk(chunk('world')),
+      ...translator.handleChunk({
+        choices: [{ index: 0, delta: {}, finish_reason: 'length' }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+      }),
+      ...translator.finish()
+    ];
+
+    expect(events.map(e => e.type)).toEqual([
+      'message_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ]);
+    expect(events[0].message).toMatchObject({ id: 'msg_1', model: 'vendor/model', role: 'assistant' });
+    expect(events[2].delta).toEqual({ type: 'text_delta', text: 'Hello ' });
+    expect(events[3].delta).toEqual({ type: 'text_delta', text: 'world' });
+    expect(events[5].delta.stop_reason).toBe('max_tokens');
+    expect(events[5].usage).toEqual({ input_tokens: 12, output_tokens: 3 });
+    expect(translator.emittedChars).toBe(11);
+  });
+
+  test('should keep the cost reported with the final usage chunk', () => {
+    const translator = new AnthropicStreamTranslator({ model: 'qwen/qwen3-max' });
+
+    translator.handleChunk(chunk(undefined, { usage: { prompt_tokens: 900, completion_tokens: 80, cost: 0.0016 } }));
+
+    expect(translator.usage).toEqual({ input_tokens: 900, output_tokens: 80 });
+    expect(translator.reportedCost).toBe(0.0016);
+  });
+
+  test('should hold text back to a whitespace boundary before sanitizing', () => {
+    const sanitize = jest.fn(text => text.replace(/sk-[a-z0-9]+/g, '[REDACTED]'));
+    const translator = new AnthropicStreamTranslator({ model: 'm', sanitize });
+
+    translator.handleChunk(chunk('key sk-ab'));
+    translator.handleChunk(chunk('c123 done'));
+    const tail = translator.finish();
+
+    expect(sanitize.mock.calls.map(call => call[0])).toEqual(['key ', 'sk-abc123 ', 'done']);
+    expect(sanitize).toHaveReturnedWith('[REDACTED] ');
+    expect(tail[0].delta.text).toBe('done');
+  });
+
+  test('should end an empty response with end_turn', () => {
+    const translator = new AnthropicStreamTranslator({ model: 'm' });
+
+    const events = translator.finish();
+
+    expect(events.map(e => e.type)).toEqual(['message_start', 'message_delta', 'message_stop']);
+    expect(events[1].delta.stop_reason).toBe('end_turn');
+    expect(translator.finish()).toEqual([]);
+  });
+
+  test('should produce an error event', () => {
+    const translator = new AnthropicStreamTranslator({ model: 'm' });
+
+    expect(translator.error('upstream failed')).toEqual([
+      { type: 'error', error: { type: 'api_error', message: 'upstream failed' } }
+    ]);
+    expect(translator.finish()).toEqual([]);
+  });
+});
+
+describe('AnthropicEventRelay', () => {
+  test('should pass events through and sanitize text deltas', () => {
+    const relay = new AnthropicEventRelay({ sanitize: text => text.replace('sk-secret', '[REDACTED]') });
+    const toolStart = {
+      type: 'content_block_start',
+      index: 1,
+      content_block: { type: 'tool_use', id: 'toolu_1', name: 'Read', input: {} }
+    };
+
+    const events = [
+      ...relay.start(),
+      ...relay.handleChunk({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'key sk-secret' } }),
+      ...relay.handleChunk(toolStart),
+      ...relay.handleChunk({ type: 'message_stop' }),
+      ...relay.finish()
+    ];
+
+    expect(events).toHaveLength(3);
+    expect(events[0].delta.text).toBe('key [REDACTED]');
+    expect(events[1]).toBe(toolStart);
+    expect(relay.toolCalls.size).toBe(1);
+    expect(relay.emittedChars).toBe(14);
+  });
+
+  test('should collect usage from message_start and message_delta', () => {
+    const relay = new AnthropicEventRelay();
+
+    relay.handleChunk({ type: 'message_start', message: { usage: { input_tokens: 1200, output_tokens: 1 } } });
+    relay.handleChunk({ type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 340 } });
+
+    expect(relay.usage).toEqual({ input_tokens: 1200, output_tokens: 340 });
+  });
+
+  test('should close a stream that ended without message_stop', () => {
+    const relay = new AnthropicEventRelay();
+
+    expect(relay.finish()).toEqual([{ type: 'message_stop' }]);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the structured answer format
+ * Schema validation, parsing model replies, asking again on invalid replies,
+ * the markdown view and confidence scoring from structured answers
+ */
+
+import {
+  validateResponseFormat,
+  validateStructuredAnswer,
+  parseStructuredAnswer,
+  requestStructuredAnswer,
+  renderStructuredAnswer,
+  buildStructuredAnswerPrompt,
+  StructuredAnswerError
+} from '../../src/structured-answer.js';
+import { ConfidenceScorer } from '../../src/confidence-scorer.js';
+
+const answer = () => ({
+  recommendation: {
+    summary: 'Use a token bucket per API key stored in Redis.',
+    details: 'Keep one bucket per key and tier.'
+  },
+  alternatives_considered: [
+    { option: 'Fixed window counters', reason_rejected: 'Bursts at window edges' }
+  ],
+  risks: [
+    { risk: 'Redis outage blocks all requests', severity: 'high', mitigation: 'Fail open with a local limiter' }
+  ],
+  code_snippets: [
+    { language: 'js', file: 'src/limiter.js', description: 'Bucket refill', code: 'const tokens = Math.min(capacity, stored + elapsed * rate);' }
+  ],
+  dissenting_opinions: [
+    { model: 'k3', position: 'Use the API gateway instead', reasoning: 'Less code to maintain' }
+  ],
+  claims: [
+    { claim: 'Redis INCR is atomic', confidence: 0.95, supported_by: ['k1', 'k2'] },
+    { claim: 'Token buckets allow short bursts', confidence: 0.85 }
+  ]
+});
+
+describe('structured answers', () => {
+  describe('validateResponseFormat', () => {
+    test('should default to markdown and reject unknown formats', () => {
+      expect(validateResponseFormat(undefined)).toBe('markdown');
+      expect(validateResponseFormat('structured')).toBe('structured');
+      expect(() => validateResponseFormat('yaml')).toThrow('Unknown responseFormat "yaml"');
+    });
+  });
+
+  describe('validateStructuredAnswer', () => {
+    test('should accept a complete answer', () => {
+      expect(validateStructuredAnswer(answer())).toEqual([]);
+    });
+
+    test('should report missing fields, wrong types and values out of range', () => {
+      const invalid = answer();
+      delete invalid.risks;
+      invalid.claims[0].confidence = 1.5;
+      invalid.claims[1].confidence = 'high';
+      invalid.code_snippets[0].code = '  ';
+      invalid.alternatives_considered = 'none';
+
+      expect(validateStructuredAnswer(invalid)).toEqual([
+        'answer.risks: required',
+        'answer.alternatives_considered: expected array, got string',
+        'answer.code_snippets[0].code: must not be empty',
+        'answer.claims[0].confidence: must be at most 1',
+        'answer.claims[1].confidence: expected number, got string'
+      ]);
+    });
+
+    test('should check enumerated values', () => {
+      const invalid = answer();
+      invalid.risks[0].severity = 'critical';
+
+      expect(validateStructuredAnswer(invalid)).toEqual(['answer.risks[0].severity: must be one of low, medium, high']);
+    });
+  });
+
+  describe('parseStructuredAnswer', () => {
+    test('should read JSON from a fenced block', () => {
+      const reply = `Here is the answer:\n\n\`\`\`json\n${JSON.stringify(answer(), null, 2)}\n\`\`\`\n`;
+
+      expect(parseStructuredAnswer(reply)).toEqual({ answer: answer(), errors: [] });
+    });
+
+    test('should read a bare JSON object', () => {
+      expect(parseStructuredAnswer(`Answer: ${JSON.stringify(answer())}`).answer).toEqual(answer());
+    });
+
+    test('should return the errors of invalid replies', () => {
+      expect(parseStructuredAnswer('No JSON here')).toEqual({ answer: null, errors: ['reply contains no JSON object'] });
+      expect(parseStructuredAnswer('{ "recommendation": }').errors[0]).toMatch(/^invalid JSON/);
+      expect(parseStructuredAnswer('{}').errors).toContain('answer.recommendation: required');
+    });
+  });
+
+  describe('requestStructuredAnswer', () => {
+    test('should ask again with the validation errors', async () => {
+      const prompts = [];
+      const replies = ['{"recommendation": {"summary": "Redis"}}', JSON.stringify(answer())];
+      const ask = async (prompt) => {
+        prompts.push(prompt);
+        return replies.shift();
+      };
+
+      const result = await requestStructuredAnswer(ask, 'PROMPT');
+
+      expect(result).toEqual(answer());
+      expect(prompts[0]).toBe('PROMPT');
+      expect(prompts[1]).toContain('Your previous reply was not valid');
+      expect(prompts[1]).toContain('- answer.recommendation.details: required');
+    });
+
+    test('should give up after the last attempt', async () => {
+      const ask = async () => 'I cannot answer in JSON';
+
+      const request = requestStructuredAnswer(ask, 'PROMPT', { maxAttempts: 3 });
+
+      await expect(request).rejects.toThrow(StructuredAnswerError);
+      await expect(request).rejects.toMatchObject({ errors: ['reply contains no JSON object'] });
+    });
+
+    test('should count a failed call as an attempt and ask again', async () => {
+      const prompts = [];
+      const replies = [null, JSON.stringify(answer())];
+      const ask = async (prompt) => {
+        prompts.push(prompt);
+        return replies.shift();
+      };
+
+      expect(await requestStructuredAnswer(ask, 'PROMPT')).toEqual(answer());
+      expect(prompts).toEqual(['PROMPT', 'PROMPT']);
+      await expect(requestStructuredAnswer(async () => null, 'PROMPT'))
+        .rejects.toMatchObject({ errors: ['the model returned no reply'] });
+    });
+  });
+
+  test('buildStructuredAnswerPrompt should include the debate and the schema', () => {
+    const prompt = buildStructuredAnswerPrompt('How to rate limit?', {
+      solution: 'Token bucket',
+      contributions: { k3: 'Use the gateway' },
+      models: ['k1', 'k3'],
+      dissent: [{ model: 'k3', strength: 'strong', position: 'Use the gateway' }]
+    });
+
+    expect(prompt).toContain('ORIGINAL QUESTION: How to rate limit?');
+    expect(prompt).toContain('### k3\nUse the gateway');
+    expect(prompt).toContain('POSITIONS OPPOSED TO THE CONSENSUS:\n- k3 (strong): Use the gateway');
+    expect(prompt).toContain('MODELS IN THE DEBATE: k1, k3');
+    expect(prompt).toContain('"dissenting_opinions"');
+  });
+
+  describe('renderStructuredAnswer', () => {
+    test('should render every section', () => {
+      const markdown = renderStructuredAnswer(answer());
+
+      expect(markdown).toMatch(/^# Recommendation\n\nUse a token bucket per API key stored in Redis\./);
+      expect(markdown).toContain('`src/limiter.js`: Bucket refill\n\n```js\nconst tokens');
+      expect(markdown).toContain('- **high**: Redis outage blocks all requests (mitigation: Fail open with a local limiter)');
+      expect(markdown).toContain('- **Fixed window counters**: Bursts at window edges');
+      expect(markdown).toContain('- **k3**: Use the API gateway instead (Less code to maintain)');
+      expect(markdown).toContain('- 95%: Redis INCR is atomic (k1, k2)');
+    });
+
+    test('should leave out empty sections', () => {
+      const markdown = renderStructuredAnswer({
+        ...answer(),
+        alternatives_considered: [],
+        risks: [],
+        code_snippets: [],
+        dissenting_opinions: [],
+        claims: []
+      });
+
+      expect(markdown).toBe('# Recommendation\n\nUse a token bucket per API key stored in Redis.\n\nKeep one bucket per key and tier.\n');
+    });
+  });
+
+  describe('ConfidenceScorer.structuredConsistency', () => {
+    const scorer = new ConfidenceScorer();
+    const responses = { k1: 'a', k2: 'b', k3: 'c', k4: 'd' };
+
+    test('should combine dissent and claim confidence', () => {
+      // One of four models dissents (12.5% penalty), claims average 90%
+      expect(scorer.structuredConsistency(answer(), responses)).toBeCloseTo((0.875 + 0.9) / 2, 5);
+    });
+
+    test('should score unanimous answers without claims as neutral on claims', () => {
+      const unanimous = { ...answer(), dissenting_opinions: [], claims: [] };
+
+      expect(scorer.structuredConsistency(unanimous, responses)).toBeCloseTo(0.75, 5);
+    });
+  });
+});
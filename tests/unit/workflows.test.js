@@ -0,0 +1,263 @@
+/**
+ * Unit tests for declarative debate workflows
+ * Definition validation, the workflow library, and running phases with prompt templates and verdicts
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  validateWorkflow,
+  parseWorkflow,
+  workflowCalls,
+  templateReferences,
+  WorkflowLibrary,
+  WorkflowValidationError,
+  DEFAULT_PROMPTS
+} from '../../src/workflows/workflow-definition.js';
+import { WorkflowRunner, parseVerdict, tallyVotes } from '../../src/workflows/workflow-runner.js';
+
+const ALIASES = ['k1', 'k2', 'k3', 'k4', 'k5', 'k9'];
+
+const panel = () => ({
+  name: 'panel',
+  phases: [
+    { id: 'answers', type: 'propose', models: ['k1', 'k2', 'k3'] },
+    { id: 'verdict', type: 'judge', models: ['k9'] }
+  ]
+});
+
+const validationErrors = (definition) => {
+  try {
+    validateWorkflow(definition, ALIASES);
+  } catch (error) {
+    expect(error).toBeInstanceOf(WorkflowValidationError);
+    return error.errors;
+  }
+  throw new Error('workflow was valid');
+};
+
+describe('workflows', () => {
+  describe('validateWorkflow', () => {
+    test('should fill in default prompts and inputs', () => {
+      const workflow = validateWorkflow(panel(), ALIASES);
+
+      expect(workflow.phases[0]).toMatchObject({ input: [], prompt: DEFAULT_PROMPTS.propose });
+      expect(workflow.phases[1]).toMatchObject({ input: ['answers'], prompt: DEFAULT_PROMPTS.judge });
+      expect(workflowCalls(workflow)).toEqual(['k1', 'k2', 'k3', 'k9']);
+    });
+
+    test('should list every problem', () => {
+      expect(validationErrors({
+        name: 'bad name!',
+        phases: [
+          { id: 'answers', type: 'brainstorm', models: ['k1', 'k42'] },
+          { id: 'answers', type: 'vote', models: [], input: ['later'] }
+        ]
+      })).toEqual([
+        'name: required, letters, digits, "-" and "_" only',
+        'phases[0] (answers).type: must be one of propose, critique, rebut, vote, judge, synthesize, verify, fact-check',
+        'phases[0] (answers).models: unknown model k42 (available: k1, k2, k3, k4, k5, k9)',
+        'phases[0] (answers).prompt: must be a non-empty string',
+        'phases[1] (answers).id: "answers" is already used',
+        'phases[1] (answers).models: at least one model alias is required',
+        'phases[1] (answers).input: must list earlier phases'
+      ]);
+    });
+
+    test('should check prompt template references', () => {
+      const definition = panel();
+      definition.phases[0].prompt = '{{question}} {{verdict}}';
+      definition.phases.push({
+        id: 'final',
+        type: 'synthesize',
+        models: ['k1'],
+        prompt: '{{verdict.winning}} {{own.answers}} {{answers.winner}} {{own.nope}}'
+      });
+
+      expect(validationErrors(definition)).toEqual([
+        'phases[0] (answers).prompt: {{verdict}} does not name an earlier phase',
+        'phases[2] (final).prompt: {{answers.winner}}: only vote and judge phases have .winner and .winning',
+        'phases[2] (final).prompt: unknown phase in {{own.nope}}'
+      ]);
+    });
+
+    test('should need one input for verdicts and an input for default prompts', () => {
+      expect(validationErrors({
+        name: 'w',
+        phases: [
+          { id: 'check', type: 'verify', models: ['k1'] },
+          { id: 'a', type: 'propose', models: ['k1'] },
+          { id: 'b', type: 'propose', models: ['k2'] },
+          { id: 'pick', type: 'vote', models: ['k3'], input: ['a', 'b'] }
+        ]
+      })).toEqual([
+        'phases[0] (check): the default verify prompt needs an input phase',
+        'phases[3] (pick).input: a vote phase picks from exactly one earlier phase'
+      ]);
+    });
+
+    test('should reject definitions without phases', () => {
+      expect(() => validateWorkflow({ name: 'w' }, ALIASES)).toThrow('phases: at least one phase is required');
+      expect(() => validateWorkflow([], ALIASES)).toThrow('Workflow definition must be a JSON object');
+      expect(() => parseWorkflow('{ not json')).toThrow(/not valid JSON/);
+    });
+
+    test('templateReferences should list the placeholders', () => {
+      expect(templateReferences('{{question}} and {{ red.winner }}')).toEqual(['question', 'red.winner']);
+    });
+
+    test('should accept the built-in workflows', async () => {
+      const library = new WorkflowLibrary();
+      const names = (await library.list()).map(w => w.name);
+
+      expect(names).toEqual(expect.arrayContaining(['panel-with-judge', 'red-team-blue-team']));
+      const definitions = await Promise.all(names.map(name => library.load(name)));
+      const registryAliases = ['k1', 'k2', 'k3', 'k4', 'k5', 'k6', 'k7', 'k8', 'k9'];
+      for (const definition of definitions) {
+        expect(validateWorkflow(definition, registryAliases).name).toBe(definition.name);
+      }
+    });
+  });
+
+  describe('WorkflowLibrary', () => {
+    let projectDir;
+    let builtinDir;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflows-project-'));
+      builtinDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflows-builtin-'));
+      fs.writeFileSync(path.join(builtinDir, 'panel.json'), JSON.stringify({ ...panel(), description: 'Built-in panel' }));
+      fs.writeFileSync(path.join(builtinDir, 'duel.json'), JSON.stringify({ name: 'duel', description: 'Two models' }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+      fs.rmSync(builtinDir, { recursive: true, force: true });
+    });
+
+    test('should prefer project workflows over built-ins of the same name', async () => {
+      fs.mkdirSync(path.join(projectDir, '.debate-workflows'));
+      fs.writeFileSync(
+        path.join(projectDir, '.debate-workflows', 'panel.json'),
+        JSON.stringify({ ...panel(), description: 'Our panel' })
+      );
+      const library = new WorkflowLibrary({ builtinDir });
+
+      expect(await library.list(projectDir)).toEqual([
+        { name: 'duel', description: 'Two models', source: 'built-in' },
+        { name: 'panel', description: 'Our panel', source: 'project' }
+      ]);
+      expect((await library.load('panel', projectDir)).description).toBe('Our panel');
+      expect((await library.load('panel')).description).toBe('Built-in panel');
+    });
+
+    test('should reject unknown and unsafe names', async () => {
+      const library = new WorkflowLibrary({ builtinDir });
+
+      await expect(library.load('missing', projectDir)).rejects.toThrow('Unknown workflow "missing". Available: duel, panel');
+      await expect(library.load('../panel', projectDir)).rejects.toThrow('Invalid workflow name');
+    });
+  });
+
+  describe('verdicts', () => {
+    test('parseVerdict should take the last line naming a candidate', () => {
+      expect(parseVerdict('k1 looked good.\nVOTE: k2', ['k1', 'k2'])).toBe('k2');
+      expect(parseVerdict('**WINNER:** K3\n\nWINNER: nobody', ['k3'])).toBe('k3');
+      expect(parseVerdict('I like k1 best', ['k1'])).toBeNull();
+    });
+
+    test('tallyVotes should break ties by candidate order', () => {
+      expect(tallyVotes({ a: 'k2', b: 'k1', c: null }, ['k1', 'k2'])).toEqual({ winner: 'k1', tally: { k1: 1, k2: 1 } });
+      expect(tallyVotes({ a: null }, ['k1'])).toEqual({ winner: null, tally: { k1: 0 } });
+    });
+  });
+
+  describe('WorkflowRunner', () => {
+    const redBlue = () => validateWorkflow({
+      name: 'red-blue',
+      phases: [
+        { id: 'blue', type: 'propose', models: ['k1', 'k2'], prompt: 'BLUE {{question}}' },
+        { id: 'red', type: 'critique', models: ['k3'], prompt: 'RED {{blue}}' },
+        { id: 'defense', type: 'rebut', models: ['k1', 'k2'], prompt: 'DEFEND {{own.blue}} AGAINST {{input}}' },
+        { id: 'verdict', type: 'judge', models: ['k9'] }
+      ]
+    }, ALIASES);
+
+    const replies = {
+      'k1 BLUE': 'Use a queue',
+      'k2 BLUE': 'Use cron',
+      'k3 RED': 'Cron jobs overlap',
+      'k1 DEFEND': 'Queue with retries',
+      'k2 DEFEND': 'Cron with a lock',
+      'k9 QUESTION': 'Retries beat locks.\nWINNER: k1'
+    };
+
+    const fakeAsk = (prompts, overrides = {}) => async (alias, prompt) => {
+      prompts.push({ alias, prompt });
+      const key = `${alias} ${prompt.split(/[\s:]/)[0]}`;
+      return key in overrides ? overrides[key] : replies[key];
+    };
+
+    test('should feed phase outputs into later prompts and pick the winner', async () => {
+      const prompts = [];
+      const phases = [];
+      const runner = new WorkflowRunner({ ask: fakeAsk(prompts), onPhase: phase => phases.push(phase.id) });
+
+      const result = await runner.run(redBlue(), 'How to run nightly jobs?');
+
+      expect(phases).toEqual(['blue', 'red', 'defense', 'verdict']);
+      expect(prompts.find(p => p.alias === 'k3').prompt).toBe('RED ### k1\nUse a queue\n\n### k2\nUse cron');
+      expect(prompts.find(p => p.alias === 'k2' && p.prompt.startsWith('DEFEND')).prompt)
+        .toBe('DEFEND Use cron AGAINST ### k3\nCron jobs overlap');
+      expect(prompts.find(p => p.alias === 'k9').prompt).toContain('### k1\nQueue with retries\n\n### k2\nCron with a lock');
+
+      expect(result.phases[3]).toMatchObject({ from: 'defense', winner: 'k1', votes: { k9: 'k1' }, tally: { k1: 1, k2: 0 } });
+      expect(result.solution).toMatch(/^# red-blue Result\n\n\*\*Winner:\*\* k1 \(1 of 1 judges\)\n\nQueue with retries/);
+      expect(result.solution).toContain('- **verdict** (judge): k9, winner: k1');
+    });
+
+    test('should carry on without models that failed', async () => {
+      const runner = new WorkflowRunner({ ask: fakeAsk([], { 'k2 BLUE': null }) });
+
+      const result = await runner.run(redBlue(), 'Q');
+
+      expect(result.phases[0]).toMatchObject({ outputs: { k1: 'Use a queue' }, failed: ['k2'] });
+      expect(result.solution).toContain('- **blue** (propose): k1, failed: k2');
+    });
+
+    test('should fail a phase no model answered', async () => {
+      const runner = new WorkflowRunner({ ask: fakeAsk([], { 'k3 RED': null }) });
+
+      await expect(runner.run(redBlue(), 'Q')).rejects.toThrow('Workflow phase "red" failed: no model responded');
+      expect(runner.partialResponses()).toEqual({ 'blue/k1': 'Use a queue', 'blue/k2': 'Use cron' });
+    });
+
+    test('should stop between phases once aborted', async () => {
+      const controller = new AbortController();
+      const runner = new WorkflowRunner({
+        ask: fakeAsk([]),
+        signal: controller.signal,
+        onPhase: phase => phase.id === 'red' && controller.abort(new Error('cancelled'))
+      });
+
+      await expect(runner.run(redBlue(), 'Q')).rejects.toThrow('cancelled');
+      expect(Object.keys(runner.partialResponses())).toEqual(['blue/k1', 'blue/k2', 'red/k3']);
+    });
+
+    test('should show every output when the last phase is not a verdict', async () => {
+      const workflow = validateWorkflow({
+        name: 'check',
+        phases: [
+          { id: 'answer', type: 'propose', models: ['k1'], prompt: 'BLUE {{question}}' },
+          { id: 'facts', type: 'fact-check', models: ['k3'], prompt: 'RED {{answer}}' }
+        ]
+      }, ALIASES);
+
+      const result = await new WorkflowRunner({ ask: fakeAsk([]) }).run(workflow, 'Q');
+
+      expect(result.solution).toBe('# check Result\n\nCron jobs overlap\n\n## Phases\n\n' +
+        '- **answer** (propose): k1\n- **facts** (fact-check): k3\n');
+    });
+  });
+});
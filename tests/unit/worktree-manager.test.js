@@ -0,0 +1,175 @@
+/**
+ * Unit tests for WorktreeManager test runs
+ * Runs commands in worktrees of a scratch repository: detection, counts,
+ * timeouts, aborts and the linked node_modules
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import WorktreeManager from '../../src/git/worktree-manager.js';
+
+const git = (cwd, command) => execSync(`git ${command}`, { cwd, encoding: 'utf8' });
+
+describe('WorktreeManager.runTests', () => {
+  let tempDir;
+  let repo;
+  let manager;
+
+  const commit = files => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(repo, file), content);
+    }
+    git(repo, 'add -A');
+    git(repo, 'commit -qm files');
+  };
+
+  const worktree = async () => (await manager.createWorktree(`agent-${Math.random().toString(16).slice(2, 8)}`, {
+    baseBranch: 'HEAD'
+  })).id;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worktree-manager-'));
+    repo = path.join(tempDir, 'repo');
+    fs.mkdirSync(repo);
+    git(repo, 'init -q');
+    git(repo, 'config user.email dev@example.com');
+    git(repo, 'config user.name Dev');
+    commit({ 'README.md': '# App\n', '.gitignore': 'node_modules\n' });
+
+    manager = new WorktreeManager({ baseDir: path.join(tempDir, 'worktrees'), repoPath: repo });
+    await manager.initialize();
+  });
+
+  afterEach(async () => {
+    await manager.cleanup({ deleteBranches: true });
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should run the package.json test script and read its counts', async () => {
+    commit({
+      'package.json': JSON.stringify({ scripts: { test: 'node check.js' } }),
+      'check.js': 'console.log("# pass 3\\n# fail 1"); process.exit(1);\n'
+    });
+    const id = await worktree();
+
+    const tests = await manager.runTests(id);
+
+    expect(tests).toMatchObject({
+      status: 'failed',
+      command: 'npm test',
+      source: 'package.json',
+      exitCode: 1,
+      counts: { passed: 3, failed: 1, skipped: 0, total: 4 },
+      coverage: null
+    });
+    expect(tests.output).toContain('# fail 1');
+  });
+
+  test('should detect the test command from the repository, not the worktree', async () => {
+    const id = await worktree();
+    fs.writeFileSync(path.join(manager.worktrees.get(id).path, 'package.json'),
+      JSON.stringify({ scripts: { test: 'echo "# pass 9"' } }));
+
+    expect(await manager.runTests(id)).toMatchObject({ status: 'not-run', reason: 'no test command found' });
+  });
+
+  test('should list the test configuration the worktree changed', async () => {
+    commit({
+      'package.json': JSON.stringify({ scripts: { test: 'node check.js' }, dependencies: {} }),
+      'check.js': 'process.exit(1);\n'
+    });
+    const id = await worktree();
+    const worktreePath = manager.worktrees.get(id).path;
+
+    fs.writeFileSync(path.join(worktreePath, 'package.json'),
+      JSON.stringify({ scripts: { test: 'node check.js' }, dependencies: { lodash: '^4.0.0' } }));
+    expect((await manager.runTests(id)).configChanges).toEqual([]);
+
+    fs.writeFileSync(path.join(worktreePath, 'package.json'), JSON.stringify({ scripts: { test: 'exit 0' } }));
+    fs.writeFileSync(path.join(worktreePath, 'jest.config.js'), 'export default {};\n');
+    expect(await manager.runTests(id)).toMatchObject({
+      status: 'passed',
+      configChanges: ['package.json', 'jest.config.js']
+    });
+  });
+
+  test('should list the test files the worktree deleted, renamed or skipped tests in', async () => {
+    commit({
+      'package.json': JSON.stringify({ scripts: { test: 'node check.js' } }),
+      'check.js': 'process.exit(0);\n',
+      'cache.test.js': 'test("hit", () => {});\n',
+      'store.test.js': 'test("get", () => {});\n'
+    });
+    const id = await worktree();
+    const worktreePath = manager.worktrees.get(id).path;
+
+    expect((await manager.runTests(id)).testFileChanges).toEqual([]);
+
+    git(worktreePath, 'mv cache.test.js cache.test.js.off');
+    fs.writeFileSync(path.join(worktreePath, 'store.test.js'), 'test.skip("get", () => {});\n');
+    expect(await manager.runTests(id)).toMatchObject({
+      status: 'passed',
+      testFileChanges: ['cache.test.js (deleted)', 'store.test.js (tests skipped)']
+    });
+  });
+
+  test('should read changed files without passing their names through a shell', async () => {
+    const file = 'x"$(touch pwned)".test.js';
+    commit({
+      'package.json': JSON.stringify({ scripts: { test: 'node check.js' } }),
+      'check.js': 'process.exit(0);\n',
+      [file]: 'test("x", () => {});\n'
+    });
+    const id = await worktree();
+    const worktreePath = manager.worktrees.get(id).path;
+    fs.unlinkSync(path.join(worktreePath, file));
+
+    expect((await manager.runTests(id)).testFileChanges).toEqual([`${file} (deleted)`]);
+    expect(fs.existsSync(path.join(worktreePath, 'pwned'))).toBe(false);
+  });
+
+  test('should link the repository\'s node_modules for the run only', async () => {
+    fs.mkdirSync(path.join(repo, 'node_modules', 'dep'), { recursive: true });
+    fs.writeFileSync(path.join(repo, 'node_modules', 'dep', 'index.js'), 'module.exports = 42;\n');
+    const id = await worktree();
+
+    const tests = await manager.runTests(id, { command: 'node -e "process.exit(require(\'dep\') === 42 ? 0 : 1)"' });
+
+    expect(tests).toMatchObject({ status: 'passed', source: 'configured', exitCode: 0 });
+    expect(fs.existsSync(path.join(manager.worktrees.get(id).path, 'node_modules'))).toBe(false);
+  });
+
+  test('should kill test runs that exceed the timeout', async () => {
+    const id = await worktree();
+
+    const tests = await manager.runTests(id, { command: 'sleep 30', timeout: 300 });
+
+    expect(tests.status).toBe('timeout');
+    expect(tests.durationMs).toBeLessThan(10000);
+  });
+
+  test('should kill a test run when its signal aborts and reject with the reason', async () => {
+    const id = await worktree();
+    const controller = new AbortController();
+    const reason = new Error('Debate cancelled');
+    setTimeout(() => controller.abort(reason), 300);
+    const started = Date.now();
+
+    await expect(manager.runTests(id, { command: 'sleep 30', signal: controller.signal })).rejects.toBe(reason);
+    expect(Date.now() - started).toBeLessThan(10000);
+    await expect(manager.runTests(id, { command: 'sleep 30', signal: controller.signal })).rejects.toBe(reason);
+  });
+
+  test('should tell missing test runners and projects without tests apart from failures', async () => {
+    const id = await worktree();
+
+    expect(await manager.runTests(id)).toMatchObject({ status: 'not-run', reason: 'no test command found' });
+    expect(await manager.runTests(id, { command: 'no-such-test-runner' })).toMatchObject({
+      status: 'error',
+      exitCode: 127,
+      error: 'command not found: no-such-test-runner'
+    });
+  });
+});
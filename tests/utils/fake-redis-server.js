@@ -0,0 +1,98 @@
+/**
+ * Fake Redis Server
+ * In-process stand-in speaking the Redis protocol for the commands the cache storage uses
+ */
+
+import net from 'net';
+import { parseReply } from '../../src/cache/storage/redis-storage.js';
+
+function bulk(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+export class FakeRedisServer {
+  constructor(options = {}) {
+    this.password = options.password || null;
+    this.strings = new Map();
+    this.hashes = new Map();
+    this.commands = [];
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return `redis://${this.password ? `:${this.password}@` : ''}127.0.0.1:${this.server.address().port}/1`;
+  }
+
+  async stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  accept(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    let authenticated = !this.password;
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while ((request = parseReply(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        const [name, ...args] = request.value;
+        const command = name.toUpperCase();
+        this.commands.push(command);
+
+        if (!authenticated && command !== 'AUTH') {
+          socket.write('-NOAUTH Authentication required.\r\n');
+        } else if (command === 'AUTH') {
+          authenticated = args[args.length - 1] === this.password;
+          socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('+OK\r\n');
+        } else {
+          socket.write(this.execute(command, args));
+        }
+      }
+    });
+  }
+
+  execute(command, args) {
+    const hash = (key) => {
+      if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+      return this.hashes.get(key);
+    };
+
+    switch (command) {
+      case 'PING':
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'GET':
+        return bulk(this.strings.get(args[0]));
+      case 'SET':
+        this.strings.set(args[0], args[1]);
+        return '+OK\r\n';
+      case 'DEL': {
+        const existed = this.strings.delete(args[0]) || this.hashes.delete(args[0]);
+        return `:${existed ? 1 : 0}\r\n`;
+      }
+      case 'HSET':
+        hash(args[0]).set(args[1], args[2]);
+        return ':1\r\n';
+      case 'HGET':
+        return bulk(this.hashes.get(args[0])?.get(args[1]));
+      case 'HDEL':
+        return `:${this.hashes.get(args[0])?.delete(args[1]) ? 1 : 0}\r\n`;
+      case 'HGETALL': {
+        const fields = Array.from(this.hashes.get(args[0]) || []).flat();
+        return `*${fields.length}\r\n${fields.map(bulk).join('')}`;
+      }
+      default:
+        return `-ERR unknown command '${command}'\r\n`;
+    }
+  }
+}